@@ -0,0 +1,196 @@
+// backend/src/audit/audit.service.js
+// Integrity of the hash-chained audit log (lib/audit.js, lib/auditChain.js).
+//
+// - verifyLog(): walks the whole chain and every checkpoint, reports the first broken link
+// - checkpoints: { seq, hash, createdAt, keyId } signed with Ed25519, stored in
+//   db.auditCheckpoints. checkpointIfDue() (server housekeeping) signs the current tail
+//   once AUDIT_CHECKPOINT_EVERY records (default 1000) or AUDIT_CHECKPOINT_HOURS (24) have
+//   passed since the last one. A checkpoint is only signed over a chain that verifies.
+// - exportBundle(): records + checkpoints + public keys in one JSON file that
+//   audit/verify.js checks offline (npm run audit:verify -- bundle.json [--key pub.pem])
+//
+// Signing key: AUDIT_SIGNING_KEY (PEM, "\n" escapes allowed), else the file at
+// AUDIT_SIGNING_KEY_PATH (default data/audit-signing-key.pem), created on first use.
+// Keep it outside backups and away from whoever can edit the database: with the key, a
+// rewritten log can be re-signed. After rotating, list the old key ids in
+// AUDIT_TRUSTED_KEY_IDS (comma separated) so older checkpoints still verify.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { store } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const chain = require('../lib/auditChain');
+
+const BUNDLE_FORMAT = 'autoshield-audit';
+const BUNDLE_VERSION = 1;
+
+const KEY_PATH =
+  (process.env.AUDIT_SIGNING_KEY_PATH && String(process.env.AUDIT_SIGNING_KEY_PATH).trim()) ||
+  path.join(__dirname, '..', 'data', 'audit-signing-key.pem');
+
+const CHECKPOINT_EVERY = Math.max(1, Number(process.env.AUDIT_CHECKPOINT_EVERY || 1000));
+const CHECKPOINT_HOURS = Number(process.env.AUDIT_CHECKPOINT_HOURS ?? 24);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* ================= SIGNING KEY ================= */
+
+let key = null;
+
+function loadPrivateKey() {
+  const fromEnv = process.env.AUDIT_SIGNING_KEY && String(process.env.AUDIT_SIGNING_KEY).trim();
+  if (fromEnv) return crypto.createPrivateKey(fromEnv.replace(/\\n/g, '\n'));
+
+  if (fs.existsSync(KEY_PATH)) return crypto.createPrivateKey(fs.readFileSync(KEY_PATH, 'utf-8'));
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const dir = path.dirname(KEY_PATH);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  return privateKey;
+}
+
+function signingKey() {
+  if (key) return key;
+  const privateKey = loadPrivateKey();
+  if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('The audit signing key must be an Ed25519 key');
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  key = { privateKey, publicKey, keyId: chain.keyIdOf(publicKey) };
+  return key;
+}
+
+function trustedKeyIds() {
+  const extra = String(process.env.AUDIT_TRUSTED_KEY_IDS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return [signingKey().keyId, ...extra];
+}
+
+/* ================= VERIFY ================= */
+
+function tail() {
+  const [last] = store.find('audit', {}, { sort: { seq: -1 }, limit: 1 });
+  return last?.hash ? last : null;
+}
+
+function latestCheckpoint() {
+  const [cp] = store.find('auditCheckpoints', {}, { sort: { seq: -1 }, limit: 1 });
+  return cp || null;
+}
+
+/**
+ * verifyLog() -> { ok, checkedAt, keyId, records, lastSeq, lastHash, redacted, checkpoints, broken }
+ * broken is the first problem found, or null.
+ */
+function verifyLog() {
+  const result = chain.verifyChain(store.find('audit'), {
+    checkpoints: store.find('auditCheckpoints'),
+    trustedKeyIds: trustedKeyIds(),
+  });
+  return { ok: result.ok, checkedAt: new Date().toISOString(), keyId: signingKey().keyId, ...result };
+}
+
+/* ================= CHECKPOINTS ================= */
+
+/**
+ * createCheckpoint({ trigger }) -> checkpoint, or null when the log is empty or the tail
+ * is already signed. Throws 409 when the chain does not verify.
+ */
+function createCheckpoint({ trigger = 'manual' } = {}) {
+  const last = tail();
+  if (!last) return null;
+  const prev = latestCheckpoint();
+  if (prev && prev.seq >= last.seq) return null;
+
+  const check = verifyLog();
+  if (!check.ok) {
+    const b = check.broken;
+    throw httpError(409, `Audit chain is broken at seq ${b.seq} (${b.reason}); no checkpoint signed`);
+  }
+
+  const { privateKey, publicKey } = signingKey();
+  const cp = {
+    id: nanoid(),
+    ...chain.signCheckpoint({ seq: last.seq, hash: last.hash, createdAt: new Date().toISOString() }, privateKey, publicKey),
+    trigger,
+  };
+  store.insert('auditCheckpoints', cp);
+  return cp;
+}
+
+function checkpointIfDue(now = Date.now()) {
+  const last = tail();
+  if (!last) return null;
+  const prev = latestCheckpoint();
+  if (prev && prev.seq >= last.seq) return null;
+
+  const dueByCount = !prev || last.seq - prev.seq >= CHECKPOINT_EVERY;
+  const dueByAge = CHECKPOINT_HOURS > 0 && (!prev || now - Date.parse(prev.createdAt) >= CHECKPOINT_HOURS * 3600 * 1000);
+  return dueByCount || dueByAge ? createCheckpoint({ trigger: 'schedule' }) : null;
+}
+
+function listCheckpoints({ limit = 100 } = {}) {
+  return store
+    .find('auditCheckpoints', {}, { sort: { seq: -1 }, limit: Math.min(Math.max(1, Number(limit) || 100), 1000) })
+    .map(({ publicKey, ...cp }) => cp);
+}
+
+/* ================= EXPORT ================= */
+
+/**
+ * exportBundle({ actorId }) -> bundle (plain object; serve as JSON)
+ * { format, version, exportedAt, exportedBy, publicKeys: [{ keyId, publicKey }],
+ *   records, checkpoints, verification }
+ * The export is audited first and a checkpoint taken, so the bundle ends on a signed record.
+ */
+function exportBundle({ actorId = null } = {}) {
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'AUDIT_EXPORTED',
+    targetType: 'Audit',
+    targetId: null,
+  });
+  try {
+    createCheckpoint({ trigger: 'export' });
+  } catch (e) {
+    if (e?.status !== 409) throw e; // broken chain: export anyway, verification says where
+  }
+
+  const records = store.find('audit', {}, { sort: { seq: 1 } });
+  const checkpoints = store.find('auditCheckpoints', {}, { sort: { seq: 1 } });
+  const keys = new Map(checkpoints.map((cp) => [cp.keyId, cp.publicKey]));
+  const { keyId, publicKey } = signingKey();
+  keys.set(keyId, publicKey);
+
+  const { checkedAt, ...verification } = verifyLog();
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: checkedAt,
+    exportedBy: actorId ? String(actorId) : null,
+    publicKeys: [...keys].map(([id, pem]) => ({ keyId: id, publicKey: pem })),
+    verification: { ok: verification.ok, records: verification.records, lastSeq: verification.lastSeq, broken: verification.broken },
+    records: records.map(({ _rev, ...r }) => r),
+    checkpoints: checkpoints.map(({ _rev, ...cp }) => cp),
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  signingKey,
+  trustedKeyIds,
+  verifyLog,
+  createCheckpoint,
+  checkpointIfDue,
+  listCheckpoints,
+  exportBundle,
+};
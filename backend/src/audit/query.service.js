@@ -0,0 +1,291 @@
+// backend/src/audit/query.service.js
+// Searching and exporting the audit log (GET /api/manager/audit, GET /api/company/audit).
+//
+// Query (query-string fields, all optional):
+//   from, to          ISO time or epoch ms; from is inclusive, to exclusive
+//   actorId, targetType, targetId, companyId    exact match
+//   action            case-insensitive substring (LOGIN matches LOGIN_FAILED)
+//   actions           comma-separated exact action names
+//   meta.<path>       exact match on a metadata field, compared as text (meta.reason=erasure_request)
+//   q                 case-insensitive free text over the whole record
+//   order             desc (newest first, default) | asc
+//   limit             page size, 1..1000 (default 200; export: no limit unless given)
+//   cursor            nextCursor of the previous page
+//
+// Records are walked in chain order (seq, lib/auditChain.js), so a cursor stays valid while
+// new records arrive. Archived records (stubs, retention/retention.service.js) are skipped;
+// GET /api/admin/archives/search finds them. Callers pass a scope predicate (a manager's book, one company);
+// records outside it are never returned or counted.
+
+const { once } = require('events');
+const { store } = require('../lib/db');
+const chain = require('../lib/auditChain');
+
+const BATCH = 500;
+const MAX_LIMIT = 1000;
+const DEFAULT_LIMIT = 200;
+const META_PREFIX = 'meta.';
+const META_PATH_RE = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+const CSV_COLUMNS = [
+  'seq',
+  'id',
+  'at',
+  'action',
+  'actorId',
+  'impersonatorId',
+  'targetType',
+  'targetId',
+  'companyId',
+  'metadata',
+  'hash',
+];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function safeStr(v, maxLen = 120) {
+  const s = String(v ?? '').trim();
+  if (!s) return '';
+  return s.slice(0, maxLen);
+}
+
+function timeOf(v, name) {
+  const s = safeStr(v, 40);
+  if (!s) return null;
+  const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  if (!Number.isFinite(ms)) throw httpError(400, `${name} must be an ISO time or epoch milliseconds`);
+  return new Date(ms).toISOString();
+}
+
+function getPath(obj, path) {
+  let v = obj;
+  for (const k of path.split('.')) {
+    if (v === null || v === undefined) return undefined;
+    v = v[k];
+  }
+  return v;
+}
+
+/* ================= CURSOR ================= */
+
+function encodeCursor(order, seq) {
+  return Buffer.from(`${order}:${seq}`).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  const s = safeStr(cursor, 60);
+  if (!s) return null;
+  const m = Buffer.from(s, 'base64url').toString('utf-8').match(/^(asc|desc):(\d+)$/);
+  if (!m) throw httpError(400, 'Invalid cursor');
+  if (m[1] !== order) throw httpError(400, 'cursor belongs to a query with another order');
+  return Number(m[2]);
+}
+
+/* ================= QUERY ================= */
+
+/**
+ * parseQuery(query, { defaultLimit }) -> normalised query (400 on bad input)
+ * defaultLimit: null = no limit (export)
+ */
+function parseQuery(query = {}, { defaultLimit = DEFAULT_LIMIT } = {}) {
+  const order = safeStr(query.order).toLowerCase() || 'desc';
+  if (!['asc', 'desc'].includes(order)) throw httpError(400, 'order must be asc or desc');
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    const n = Number(query.limit);
+    if (!Number.isFinite(n)) throw httpError(400, 'limit must be a number');
+    limit = Math.max(1, Math.min(MAX_LIMIT, Math.floor(n)));
+  }
+
+  const meta = {};
+  for (const [k, v] of Object.entries(query)) {
+    if (!k.startsWith(META_PREFIX)) continue;
+    const path = k.slice(META_PREFIX.length);
+    if (!META_PATH_RE.test(path)) throw httpError(400, `Invalid metadata field: ${path}`);
+    meta[path] = safeStr(Array.isArray(v) ? v[0] : v, 200);
+  }
+
+  const actions = safeStr(query.actions, 1000)
+    .split(',')
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+  return {
+    from: timeOf(query.from, 'from'),
+    to: timeOf(query.to, 'to'),
+    actorId: safeStr(query.actorId) || null,
+    targetType: safeStr(query.targetType) || null,
+    targetId: safeStr(query.targetId) || null,
+    companyId: safeStr(query.companyId) || null,
+    action: safeStr(query.action).toLowerCase() || null,
+    actions,
+    meta,
+    q: safeStr(query.q, 200).toLowerCase() || null,
+    order,
+    limit,
+    cursor: decodeCursor(query.cursor, order),
+  };
+}
+
+// The part of the query the storage layer can filter on
+function storeFilter(query) {
+  const f = {};
+  if (query.actorId) f.actorId = query.actorId;
+  if (query.targetType) f.targetType = query.targetType;
+  if (query.targetId) f.targetId = query.targetId;
+  if (query.companyId) f.companyId = query.companyId;
+  if (query.actions.length) f.action = { $in: query.actions };
+  if (query.from || query.to) {
+    f.at = {};
+    if (query.from) f.at.$gte = query.from;
+    if (query.to) f.at.$lt = query.to;
+  }
+  return f;
+}
+
+// ...and the rest, in memory
+function matchesRest(query, rec) {
+  if (query.action && !String(rec.action || '').toLowerCase().includes(query.action)) return false;
+  for (const [path, want] of Object.entries(query.meta)) {
+    const v = getPath(rec.metadata, path);
+    if (v === null || v === undefined || typeof v === 'object' || String(v) !== want) return false;
+  }
+  if (query.q && !JSON.stringify(chain.contentOf(rec)).toLowerCase().includes(query.q)) return false;
+  return true;
+}
+
+/**
+ * scan(query, { scope, until }) -> generator of matching records in query order
+ * scope(rec) -> boolean; until: ignore records after this seq
+ */
+function* scan(query, { scope = () => true, until = null } = {}) {
+  const dir = query.order === 'asc' ? 1 : -1;
+  const base = storeFilter(query);
+  let bound = query.cursor;
+
+  for (;;) {
+    const seq = {};
+    if (bound !== null && bound !== undefined) seq[dir > 0 ? '$gt' : '$lt'] = bound;
+    if (until !== null) seq.$lte = until;
+    const filter = Object.keys(seq).length ? { ...base, seq } : base;
+
+    const batch = store.find('audit', filter, { sort: { seq: dir }, limit: BATCH });
+    for (const rec of batch) {
+      bound = rec.seq;
+      if (!rec.archived && scope(rec) && matchesRest(query, rec)) {
+        const { _rev, ...out } = rec;
+        yield out;
+      }
+    }
+    if (batch.length < BATCH) return;
+  }
+}
+
+/**
+ * search(query, { scope }) -> { items, nextCursor, order, limit }
+ */
+function search(query, { scope } = {}) {
+  const items = [];
+  let more = false;
+  for (const rec of scan(query, { scope })) {
+    if (items.length === query.limit) {
+      more = true;
+      break;
+    }
+    items.push(rec);
+  }
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: more && last ? encodeCursor(query.order, last.seq) : null,
+    order: query.order,
+    limit: query.limit,
+  };
+}
+
+// Records of one company: stamped with it, or about it
+function companyScope(companyId) {
+  const id = String(companyId);
+  return (rec) => rec.companyId === id || (rec.targetType === 'Company' && rec.targetId === id);
+}
+
+/* ================= EXPORT ================= */
+
+// Spreadsheet-safe CSV cell (formula prefixes are neutralised)
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(rec) {
+  return CSV_COLUMNS.map((c) => csvCell(rec[c])).join(',') + '\r\n';
+}
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv', head: CSV_COLUMNS.join(',') + '\r\n', line: csvLine },
+  jsonl: { contentType: 'application/x-ndjson', ext: 'jsonl', head: '', line: (rec) => JSON.stringify(rec) + '\n' },
+};
+
+function exportFormat(name) {
+  const f = FORMATS[safeStr(name).toLowerCase() || 'jsonl'];
+  if (!f) throw httpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  return f;
+}
+
+function exportFilename(format, d = new Date()) {
+  const stamp = d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `audit-${stamp}.${exportFormat(format).ext}`;
+}
+
+// Seq of the newest record; an export stops there so it is a fixed picture
+function lastSeq() {
+  const [rec] = store.find('audit', {}, { sort: { seq: -1 }, limit: 1 });
+  return rec?.seq || 0;
+}
+
+/**
+ * writeExport(out, query, { format, scope, until }) -> number of records written
+ * out: a writable stream (the response); waits for it to drain and stops when it closes.
+ */
+async function writeExport(out, query, { format, scope, until = lastSeq() } = {}) {
+  const f = exportFormat(format);
+  let written = 0;
+  let chunk = f.head;
+
+  const flush = async () => {
+    if (!chunk) return;
+    const ok = out.write(chunk);
+    chunk = '';
+    if (!ok && !out.destroyed) await Promise.race([once(out, 'drain'), once(out, 'close')]);
+  };
+
+  for (const rec of scan(query, { scope, until })) {
+    if (out.destroyed) break;
+    if (query.limit && written >= query.limit) break;
+    chunk += f.line(rec);
+    written++;
+    if (written % BATCH === 0) await flush();
+  }
+  await flush();
+  out.end();
+  return written;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  parseQuery,
+  scan,
+  search,
+  companyScope,
+  exportFormat,
+  exportFilename,
+  lastSeq,
+  writeExport,
+};
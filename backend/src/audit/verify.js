@@ -0,0 +1,69 @@
+// backend/src/audit/verify.js
+// Offline check of an audit export bundle (GET /api/admin/audit/export).
+//
+//   npm run audit:verify -- bundle.json                  trust the keys listed in the bundle
+//   npm run audit:verify -- bundle.json --key pub.pem    only accept checkpoints signed by pub.pem
+//                                                        (repeat --key for rotated keys)
+//
+// Needs nothing but node and lib/auditChain.js: no database, no server, no configuration.
+// Pass --key with a public key obtained separately from the operator, otherwise anyone
+// who rewrote the bundle could also have replaced the key in it.
+// Exit code 0 when the chain and every checkpoint verify, 1 otherwise.
+
+const fs = require('fs');
+const chain = require('../lib/auditChain');
+
+const FORMAT = 'autoshield-audit';
+
+function argsOf(argv) {
+  const out = { file: null, keys: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--key') out.keys.push(argv[++i]);
+    else if (!out.file) out.file = argv[i];
+  }
+  return out;
+}
+
+function main() {
+  const { file, keys } = argsOf(process.argv.slice(2));
+  if (!file) {
+    console.error('usage: node audit/verify.js <bundle.json> [--key public.pem ...]');
+    return 2;
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (bundle?.format !== FORMAT || !Array.isArray(bundle.records)) {
+    console.error(`[audit] ${file} is not an audit export bundle`);
+    return 1;
+  }
+
+  const trusted = keys.length
+    ? keys.map((k) => chain.keyIdOf(fs.readFileSync(k, 'utf-8')))
+    : (bundle.publicKeys || []).map((k) => k.keyId);
+
+  const result = chain.verifyChain(bundle.records, { checkpoints: bundle.checkpoints || [], trustedKeyIds: trusted });
+
+  console.log(`[audit] bundle exported ${bundle.exportedAt} (${result.records} records)`);
+  console.log(`[audit] trusted keys: ${trusted.join(', ') || 'none'}${keys.length ? '' : ' (taken from the bundle)'}`);
+  console.log(`[audit] checkpoints: ${result.checkpoints.verified}/${result.checkpoints.total} verified, latest at seq ${result.checkpoints.latestSeq}`);
+  if (result.redacted) console.log(`[audit] ${result.redacted} records were pseudonymised after erasure (attested)`);
+  if (result.archived) console.log(`[audit] ${result.archived} records were moved to retention archives (stubs kept in the chain)`);
+
+  if (!result.ok) {
+    const b = result.broken;
+    console.log(`[audit] BROKEN at seq ${b.seq}${b.id ? ` (record ${b.id})` : ''}${b.checkpointId ? ` (checkpoint ${b.checkpointId})` : ''}: ${b.reason}`);
+    return 1;
+  }
+  if (result.checkpoints.latestSeq < result.lastSeq) {
+    console.log(`[audit] note: records after seq ${result.checkpoints.latestSeq} are not covered by a signed checkpoint`);
+  }
+  console.log(`[audit] chain intact through seq ${result.lastSeq} (${result.lastHash})`);
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (e) {
+  console.error('[audit]', e?.message || e);
+  process.exitCode = 1;
+}
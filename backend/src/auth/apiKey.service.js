@@ -0,0 +1,318 @@
+// backend/src/auth/apiKey.service.js
+// Personal + company (service) API keys for machine-to-machine access.
+//
+// Key format: ask_<prefix>_<secret>
+// - prefix (8 chars) is stored in clear so keys can be identified in lists/logs
+// - only sha256(full key) is stored; the key itself is shown ONCE at creation
+// - optional expiry, IP allowlist (exact or IPv4 CIDR) and route-group scopes
+//
+// db.apiKeys[] = {
+//   id, name, prefix, hash, ownerType: 'user'|'company', userId, companyId,
+//   scopes: ['/api/posture', ...], ipAllowlist: [], createdBy, createdAt,
+//   expiresAt, revokedAt, revokedBy, lastUsedAt, lastUsedIp
+// }
+
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { readDb, writeDb, store } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const users = require('../users/user.service');
+const companies = require('../companies/company.service');
+
+const KEY_PREFIX = 'ask_';
+
+// Route groups a key can be restricted to (mount paths in server.js)
+const SCOPES = [
+  '/api/me',
+  '/api/posture',
+  '/api/trading',
+  '/api/company',
+  '/api/manager',
+  '/api/admin',
+  '/api/ai',
+  '/api/paper',
+  '/api/live',
+  '/api/voice',
+];
+
+const MAX_KEYS_PER_OWNER = 25;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureKeys(db) {
+  if (!db.apiKeys) db.apiKeys = [];
+  if (!Array.isArray(db.apiKeys)) db.apiKeys = [];
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(String(v)).digest('hex');
+}
+
+function cleanStr(v, max = 120) {
+  return String(v || '').trim().slice(0, max);
+}
+
+function looksLikeKey(v) {
+  return String(v || '').startsWith(KEY_PREFIX);
+}
+
+/* ================= IP ALLOWLIST ================= */
+
+function normIp(ip) {
+  return String(ip || '').trim().replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt(ip) {
+  const p = ip.split('.').map(Number);
+  if (p.length !== 4 || p.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return ((p[0] << 24) | (p[1] << 16) | (p[2] << 8) | p[3]) >>> 0;
+}
+
+function ipAllowed(ip, allowlist) {
+  if (!Array.isArray(allowlist) || !allowlist.length) return true;
+  const addr = normIp(ip);
+
+  return allowlist.some((entry) => {
+    const e = String(entry || '').trim();
+    if (!e.includes('/')) return normIp(e) === addr;
+
+    const [base, bitsRaw] = e.split('/');
+    const bits = Number(bitsRaw);
+    const a = ipv4ToInt(addr);
+    const b = ipv4ToInt(base);
+    if (a === null || b === null || !(bits >= 0 && bits <= 32)) return false;
+
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (a & mask) === (b & mask);
+  });
+}
+
+function validateAllowlist(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map((e) => {
+    const s = cleanStr(e, 60);
+    const [base, bits] = s.split('/');
+    const isV4 = ipv4ToInt(base) !== null;
+    if (bits !== undefined && (!isV4 || !(Number(bits) >= 0 && Number(bits) <= 32))) {
+      throw new Error(`Invalid IP allowlist entry: ${s}`);
+    }
+    if (!isV4 && !/^[0-9a-f:]+$/i.test(base)) throw new Error(`Invalid IP allowlist entry: ${s}`);
+    return s;
+  });
+}
+
+function validateScopes(list) {
+  const arr = Array.isArray(list) ? list.map((s) => cleanStr(s, 60)) : [];
+  if (!arr.length) throw new Error('At least one scope is required');
+  const bad = arr.filter((s) => !SCOPES.includes(s));
+  if (bad.length) throw new Error(`Unknown scope: ${bad.join(', ')}`);
+  return Array.from(new Set(arr));
+}
+
+/* ================= PUBLIC SHAPE ================= */
+
+function publicKey(k) {
+  const { hash, ...rest } = k;
+  return {
+    ...rest,
+    active: isActive(k),
+  };
+}
+
+function isActive(k, now = Date.now()) {
+  if (!k || k.revokedAt) return false;
+  if (k.expiresAt && new Date(k.expiresAt).getTime() <= now) return false;
+  return true;
+}
+
+/* ================= CRUD ================= */
+
+/**
+ * createKey({ ownerType, userId, companyId, name, scopes, ipAllowlist, expiresAt, createdBy })
+ * Returns { key, apiKey } — `key` is the plaintext secret, never stored.
+ */
+function createKey({
+  ownerType = 'user',
+  userId = null,
+  companyId = null,
+  name,
+  scopes,
+  ipAllowlist = [],
+  expiresAt = null,
+  createdBy,
+}) {
+  if (!['user', 'company'].includes(ownerType)) throw new Error('Invalid key owner type');
+  if (ownerType === 'user' && !userId) throw new Error('Missing userId');
+  if (ownerType === 'company' && !companyId) throw new Error('Missing companyId');
+
+  const cleanName = cleanStr(name, 80);
+  if (!cleanName) throw new Error('Key name is required');
+
+  let exp = null;
+  if (expiresAt) {
+    const t = new Date(expiresAt).getTime();
+    if (!Number.isFinite(t) || t <= Date.now()) throw new Error('expiresAt must be in the future');
+    exp = new Date(t).toISOString();
+  }
+
+  const db = readDb();
+  ensureKeys(db);
+
+  const owned = db.apiKeys.filter((k) =>
+    isActive(k) &&
+    (ownerType === 'user' ? k.ownerType === 'user' && k.userId === userId : k.ownerType === 'company' && k.companyId === companyId)
+  );
+  if (owned.length >= MAX_KEYS_PER_OWNER) throw new Error('API key limit reached');
+
+  const prefix = nanoid(8).replace(/[-_]/g, 'x');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+  const rec = {
+    id: nanoid(),
+    name: cleanName,
+    prefix,
+    hash: sha256(key),
+    ownerType,
+    userId: ownerType === 'user' ? String(userId) : null,
+    companyId: companyId ? String(companyId) : null,
+    scopes: validateScopes(scopes),
+    ipAllowlist: validateAllowlist(ipAllowlist),
+    createdBy: createdBy ? String(createdBy) : null,
+    createdAt: nowISO(),
+    expiresAt: exp,
+    revokedAt: null,
+    revokedBy: null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+  };
+
+  db.apiKeys.push(rec);
+  writeDb(db);
+
+  audit({
+    actorId: rec.createdBy,
+    action: 'API_KEY_CREATED',
+    targetType: 'ApiKey',
+    targetId: rec.id,
+    companyId: rec.companyId,
+    metadata: { prefix, ownerType, scopes: rec.scopes, expiresAt: rec.expiresAt },
+  });
+
+  return { key, apiKey: publicKey(rec) };
+}
+
+function listKeys({ userId = null, companyId = null, ownerType = null } = {}) {
+  const db = readDb();
+  ensureKeys(db);
+  return db.apiKeys
+    .filter((k) => {
+      if (ownerType && k.ownerType !== ownerType) return false;
+      if (userId && k.userId !== String(userId)) return false;
+      if (companyId && k.companyId !== String(companyId)) return false;
+      return true;
+    })
+    .map(publicKey);
+}
+
+/**
+ * revokeKey(id, { actorId, ownerType?, userId?, companyId? })
+ * Scope params make sure callers can only revoke their own keys.
+ */
+function revokeKey(id, { actorId, ownerType = null, userId = null, companyId = null } = {}) {
+  const db = readDb();
+  ensureKeys(db);
+
+  const k = db.apiKeys.find((x) => x.id === String(id || ''));
+  if (!k) return null;
+  if (ownerType && k.ownerType !== ownerType) return null;
+  if (userId && k.userId !== String(userId)) return null;
+  if (companyId && k.companyId !== String(companyId)) return null;
+
+  if (!k.revokedAt) {
+    k.revokedAt = nowISO();
+    k.revokedBy = actorId ? String(actorId) : null;
+    writeDb(db);
+
+    audit({
+      actorId,
+      action: 'API_KEY_REVOKED',
+      targetType: 'ApiKey',
+      targetId: k.id,
+      companyId: k.companyId,
+      metadata: { prefix: k.prefix },
+    });
+  }
+
+  return publicKey(k);
+}
+
+/* ================= AUTHENTICATION ================= */
+
+/**
+ * authenticate(rawKey, { ip, scope, method, path })
+ * Returns { ok: true, key, user } or { ok: false, error }.
+ * `user` is the req.user shape; company keys act as the Company role.
+ */
+function authenticate(rawKey, { ip, scope, method, path } = {}) {
+  const raw = String(rawKey || '').trim();
+  if (!looksLikeKey(raw)) return { ok: false, error: 'Invalid API key' };
+
+  // every keyed request lands here: single-record reads and one update, no document load
+  const hash = sha256(raw);
+  const k = store.findOne('apiKeys', { hash });
+  if (!k) return { ok: false, error: 'Invalid API key' };
+
+  if (k.revokedAt) return { ok: false, error: 'API key revoked' };
+  if (!isActive(k)) return { ok: false, error: 'API key expired' };
+  if (!ipAllowed(ip, k.ipAllowlist)) return { ok: false, error: 'API key not allowed from this IP' };
+
+  const inScope = (k.scopes || []).some((s) => scope === s || String(scope || '').startsWith(s + '/'));
+  if (!inScope) return { ok: false, error: 'API key not allowed for this route', status: 403 };
+
+  let user;
+  if (k.ownerType === 'user') {
+    const u = store.findOne('users', { id: String(k.userId || '') });
+    if (!u) return { ok: false, error: 'API key owner not found' };
+    if (u.subscriptionStatus === users.SUBSCRIPTION.LOCKED) return { ok: false, error: 'Account locked', status: 403 };
+    user = { id: u.id, role: u.role, companyId: u.companyId || null };
+  } else {
+    user = { id: `apikey:${k.id}`, role: users.ROLES.COMPANY, companyId: k.companyId };
+  }
+
+  // suspended / deleted company: member and company keys stop working
+  const staff = [users.ROLES.ADMIN, users.ROLES.MANAGER].includes(user.role);
+  const block = user.companyId && !staff ? companies.blockOf(companies.findCompany(user.companyId)) : null;
+  if (block) return { ok: false, error: block.error, status: block.status };
+
+  k.lastUsedAt = nowISO();
+  k.lastUsedIp = normIp(ip) || null;
+  store.update('apiKeys', { id: k.id }, { lastUsedAt: k.lastUsedAt, lastUsedIp: k.lastUsedIp });
+
+  audit({
+    actorId: user.id,
+    action: 'API_KEY_USED',
+    targetType: 'ApiKey',
+    targetId: k.id,
+    companyId: k.companyId,
+    metadata: { prefix: k.prefix, method, path, ip: k.lastUsedIp },
+  });
+
+  return {
+    ok: true,
+    key: publicKey(k),
+    user: { ...user, authType: 'apiKey', apiKeyId: k.id },
+  };
+}
+
+module.exports = {
+  SCOPES,
+  looksLikeKey,
+  ipAllowed,
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticate,
+};
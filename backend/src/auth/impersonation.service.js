@@ -0,0 +1,94 @@
+// backend/src/auth/impersonation.service.js
+// Admin "view as user" for support staff.
+//
+// - Only Admins, only Company / Individual subjects, a reason is required
+// - Issues a short-lived access token (IMPERSONATION_TTL_MIN, default 30, max 60)
+//   carrying { id: subject, imp: adminId }; no refresh token
+// - Sensitive routes refuse it (middleware/auth.js noImpersonation)
+// - Audit records written while it is used carry impersonatorId (lib/audit.js)
+// - The subject is notified when a session starts
+
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const users = require('../users/user.service');
+const sessions = require('./session.service');
+
+const DEFAULT_TTL_MIN = Number(process.env.IMPERSONATION_TTL_MIN || 30);
+const MAX_TTL_MIN = 60;
+
+const IMPERSONATABLE = [users.ROLES.COMPANY, users.ROLES.INDIVIDUAL];
+
+/**
+ * start({ actorId, userId, reason, ttlMinutes, ip, userAgent })
+ * Returns { token, expiresAt, sessionId, user }
+ */
+function start({ actorId, userId, reason, ttlMinutes, ip = null, userAgent = null }) {
+  const actor = users.findById(actorId);
+  if (!actor || actor.role !== users.ROLES.ADMIN) throw new Error('Only Admins can impersonate');
+
+  const subject = users.findById(userId);
+  if (!subject) throw new Error('User not found');
+  if (subject.id === actor.id) throw new Error('Cannot impersonate yourself');
+  if (!IMPERSONATABLE.includes(subject.role)) {
+    throw new Error(`Cannot impersonate ${subject.role} accounts`);
+  }
+
+  const why = String(reason || '').trim().slice(0, 300);
+  if (why.length < 3) throw new Error('A reason is required');
+
+  const ttl = Math.min(Math.max(Number(ttlMinutes) || DEFAULT_TTL_MIN, 1), MAX_TTL_MIN);
+
+  const s = sessions.createImpersonationSession(subject, {
+    impersonatorId: actor.id,
+    reason: why,
+    ttlMinutes: ttl,
+    ip,
+    userAgent,
+  });
+
+  audit({
+    actorId: actor.id,
+    action: 'IMPERSONATION_STARTED',
+    targetType: 'User',
+    targetId: subject.id,
+    companyId: subject.companyId || null,
+    metadata: { sessionId: s.sessionId, reason: why, expiresAt: s.expiresAt, ip },
+  });
+
+  createNotification({
+    userId: subject.id,
+    severity: 'info',
+    category: 'security',
+    title: 'Support viewed your account',
+    message: `An AutoShield administrator started a read-only support session on your account (reason: ${why}). It ends at ${s.expiresAt}.`,
+  });
+
+  return { ...s, user: users.sanitize(subject) };
+}
+
+/**
+ * end(sessionId, { actorId })
+ * Called by the impersonation token itself or by any Admin.
+ */
+function end(sessionId, { actorId, reason = 'impersonation_ended' } = {}) {
+  const s = sessions.getSession(sessionId);
+  if (!s || !s.impersonatorId) return null;
+
+  const out = sessions.revokeSession(s.id, { reason });
+
+  audit({
+    actorId: actorId || s.impersonatorId,
+    action: 'IMPERSONATION_ENDED',
+    targetType: 'User',
+    targetId: s.userId,
+    metadata: { sessionId: s.id, impersonatorId: s.impersonatorId },
+  });
+
+  return out;
+}
+
+function list({ activeOnly = false } = {}) {
+  return sessions.listImpersonations({ activeOnly });
+}
+
+module.exports = { start, end, list };
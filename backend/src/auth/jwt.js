@@ -2,9 +2,14 @@ const jwt = require("jsonwebtoken");
 
 /**
  * Sign a JWT
- * - Default expiration: 7 days
+ * - Default expiration: ACCESS_TOKEN_TTL (15 minutes)
+ * - Long-lived sessions use rotating refresh tokens (auth/session.service.js)
  */
-const sign = (payload, secret = process.env.JWT_SECRET, expiresIn = "7d") => {
+const sign = (
+  payload,
+  secret = process.env.JWT_SECRET,
+  expiresIn = process.env.ACCESS_TOKEN_TTL || "15m"
+) => {
   if (!secret) {
     throw new Error("JWT_SECRET is not defined");
   }
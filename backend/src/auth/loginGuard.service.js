@@ -0,0 +1,308 @@
+// backend/src/auth/loginGuard.service.js
+// Failed-login tracking, progressive delays, lockout + credential-stuffing detection.
+//
+// Tracked per ACCOUNT (normalized email, so unknown emails behave the same
+// as real ones and can't be enumerated) and per SOURCE IP.
+//
+// - Account: LOGIN_LOCK_THRESHOLD failures in the window -> temporary lock.
+//            Each repeat lock doubles the duration (capped).
+// - IP:      too many failures, or failures across many distinct accounts,
+//            -> the IP is blocked and a credential-stuffing event is raised.
+// - Every lock writes a security event (services/securityEvents.js) and
+//   notifies the affected user.
+//
+// db.loginGuard = {
+//   accounts: { [email]: { failures: [ts], lockedUntil, lockCount, userId } },
+//   ips:      { [ip]:    { failures: [{ ts, account }], blockedUntil } }
+// }
+
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const { recordEvent } = require('../services/securityEvents');
+
+const WINDOW_MS = Number(process.env.LOGIN_FAIL_WINDOW_MS || 15 * 60 * 1000);
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD || 5);
+const LOCK_BASE_MS = Number(process.env.LOGIN_LOCK_BASE_MS || 15 * 60 * 1000);
+const LOCK_MAX_MS = 24 * 3600 * 1000;
+
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 30);
+const IP_MAX_ACCOUNTS = Number(process.env.LOGIN_IP_MAX_ACCOUNTS || 10);
+const IP_BLOCK_MS = Number(process.env.LOGIN_IP_BLOCK_MS || 30 * 60 * 1000);
+
+const DELAY_BASE_MS = 250;
+const DELAY_MAX_MS = 8000;
+
+function ensureGuard(db) {
+  if (!db.loginGuard || typeof db.loginGuard !== 'object') db.loginGuard = {};
+  if (!db.loginGuard.accounts || typeof db.loginGuard.accounts !== 'object') db.loginGuard.accounts = {};
+  if (!db.loginGuard.ips || typeof db.loginGuard.ips !== 'object') db.loginGuard.ips = {};
+  return db.loginGuard;
+}
+
+function accountKey(email) {
+  return String(email || '').trim().toLowerCase().slice(0, 200);
+}
+
+function ipKey(ip) {
+  return String(ip || 'unknown').trim().slice(0, 80);
+}
+
+function recent(list, now) {
+  return (Array.isArray(list) ? list : []).filter((x) => now - (x.ts || x) < WINDOW_MS);
+}
+
+// drop entries that carry no state anymore so db.json doesn't grow forever
+function prune(guard, now) {
+  for (const [k, a] of Object.entries(guard.accounts)) {
+    a.failures = recent(a.failures, now);
+    const locked = a.lockedUntil && new Date(a.lockedUntil).getTime() > now;
+    if (!a.failures.length && !locked && !a.lockCount) delete guard.accounts[k];
+  }
+  for (const [k, i] of Object.entries(guard.ips)) {
+    i.failures = recent(i.failures, now);
+    const blocked = i.blockedUntil && new Date(i.blockedUntil).getTime() > now;
+    if (!i.failures.length && !blocked) delete guard.ips[k];
+  }
+}
+
+function retryAfterSec(untilIso, now) {
+  return Math.max(1, Math.ceil((new Date(untilIso).getTime() - now) / 1000));
+}
+
+/**
+ * check(email, ip)
+ * Call BEFORE verifying credentials.
+ * Returns { allowed: true, delayMs } or { allowed: false, reason, lockedUntil, retryAfter }
+ */
+function check(email, ip) {
+  const now = Date.now();
+  const db = readDb();
+  const guard = ensureGuard(db);
+
+  const ipRec = guard.ips[ipKey(ip)];
+  if (ipRec?.blockedUntil && new Date(ipRec.blockedUntil).getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'ip_blocked',
+      lockedUntil: ipRec.blockedUntil,
+      retryAfter: retryAfterSec(ipRec.blockedUntil, now),
+    };
+  }
+
+  const acct = guard.accounts[accountKey(email)];
+  if (acct?.lockedUntil && new Date(acct.lockedUntil).getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'account_locked',
+      lockedUntil: acct.lockedUntil,
+      retryAfter: retryAfterSec(acct.lockedUntil, now),
+    };
+  }
+
+  // progressive delay: 0, 250ms, 500ms, 1s, 2s ... capped
+  const fails = recent(acct?.failures, now).length;
+  const delayMs = fails > 0 ? Math.min(DELAY_BASE_MS * 2 ** (fails - 1), DELAY_MAX_MS) : 0;
+
+  return { allowed: true, delayMs };
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * admit(email, ip)
+ * check() plus its progressive delay, then check() again right before the caller
+ * verifies credentials: parallel requests that were all waiting out the delay must
+ * not slip past a lock applied meanwhile. Verify + recordFailure synchronously after it.
+ * Resolves to the same shape as check().
+ */
+async function admit(email, ip) {
+  const gate = check(email, ip);
+  if (!gate.allowed || !gate.delayMs) return gate;
+
+  await sleep(gate.delayMs);
+  return check(email, ip);
+}
+
+// Side effects (event, audit, notification) write db.json themselves,
+// so they run only after the guard state has been persisted.
+function lockAccount(key, acct, { ip, now }) {
+  acct.lockCount = Number(acct.lockCount || 0) + 1;
+  const ms = Math.min(LOCK_BASE_MS * 2 ** (acct.lockCount - 1), LOCK_MAX_MS);
+  acct.lockedUntil = new Date(now + ms).toISOString();
+  acct.failures = [];
+
+  return () => announceLock(key, acct, ip);
+}
+
+function announceLock(key, acct, ip) {
+  recordEvent({
+    type: 'account_lockout',
+    severity: 'warn',
+    source: ip,
+    target: acct.userId || key,
+    description: `Account locked after ${LOCK_THRESHOLD} failed sign-in attempts.`,
+    meta: { account: key, lockedUntil: acct.lockedUntil, lockCount: acct.lockCount },
+  });
+
+  if (acct.userId) {
+    audit({
+      actorId: null,
+      action: 'ACCOUNT_LOCKED',
+      targetType: 'User',
+      targetId: acct.userId,
+      metadata: { ip, lockedUntil: acct.lockedUntil, lockCount: acct.lockCount },
+    });
+
+    createNotification({
+      userId: acct.userId,
+      severity: 'danger',
+      category: 'security',
+      title: 'Account temporarily locked',
+      message: `Too many failed sign-in attempts (last from ${ip}). Sign-in is blocked until ${acct.lockedUntil}. If this wasn't you, reset your password.`,
+    });
+  }
+}
+
+function blockIp(ipRec, ip, { now }) {
+  ipRec.blockedUntil = new Date(now + IP_BLOCK_MS).toISOString();
+  return () => announceIpBlock(ipRec, ip);
+}
+
+function announceIpBlock(ipRec, ip) {
+  const accounts = new Set(ipRec.failures.map((f) => f.account));
+
+  recordEvent({
+    type: 'credential_stuffing',
+    severity: 'danger',
+    source: ip,
+    target: 'auth/login',
+    description: `Possible credential stuffing: ${ipRec.failures.length} failed logins across ${accounts.size} accounts from ${ip}.`,
+    meta: { ip, failures: ipRec.failures.length, accounts: accounts.size, blockedUntil: ipRec.blockedUntil },
+  });
+
+  audit({
+    actorId: null,
+    action: 'LOGIN_IP_BLOCKED',
+    targetType: 'IP',
+    targetId: ip,
+    metadata: { failures: ipRec.failures.length, accounts: accounts.size, blockedUntil: ipRec.blockedUntil },
+  });
+}
+
+/**
+ * recordFailure(email, ip, userId?)
+ * Returns the same shape as check() reflecting any lock just applied.
+ */
+function recordFailure(email, ip, userId = null) {
+  const now = Date.now();
+  const db = readDb();
+  const guard = ensureGuard(db);
+  prune(guard, now);
+
+  const key = accountKey(email);
+  const acct = guard.accounts[key] || (guard.accounts[key] = { failures: [], lockedUntil: null, lockCount: 0 });
+  if (userId) acct.userId = userId;
+  acct.failures = [...recent(acct.failures, now), now];
+
+  const ik = ipKey(ip);
+  const ipRec = guard.ips[ik] || (guard.ips[ik] = { failures: [], blockedUntil: null });
+  ipRec.failures = [...recent(ipRec.failures, now), { ts: now, account: key }];
+
+  const effects = [];
+
+  if (acct.failures.length >= LOCK_THRESHOLD) effects.push(lockAccount(key, acct, { ip: ik, now }));
+
+  const distinct = new Set(ipRec.failures.map((f) => f.account)).size;
+  const ipBlocked = ipRec.blockedUntil && new Date(ipRec.blockedUntil).getTime() > now;
+  if (!ipBlocked && (ipRec.failures.length >= IP_MAX_FAILURES || distinct >= IP_MAX_ACCOUNTS)) {
+    effects.push(blockIp(ipRec, ik, { now }));
+  }
+
+  writeDb(db);
+  effects.forEach((run) => run());
+
+  return check(email, ip);
+}
+
+// Successful sign-in clears the account's failure streak and lock history
+function recordSuccess(email) {
+  const db = readDb();
+  const guard = ensureGuard(db);
+  const key = accountKey(email);
+  if (!guard.accounts[key]) return;
+
+  delete guard.accounts[key];
+  writeDb(db);
+}
+
+function listLocks() {
+  const now = Date.now();
+  const db = readDb();
+  const guard = ensureGuard(db);
+
+  return {
+    accounts: Object.entries(guard.accounts)
+      .filter(([, a]) => a.lockedUntil && new Date(a.lockedUntil).getTime() > now)
+      .map(([account, a]) => ({ account, userId: a.userId || null, lockedUntil: a.lockedUntil, lockCount: a.lockCount })),
+    ips: Object.entries(guard.ips)
+      .filter(([, i]) => i.blockedUntil && new Date(i.blockedUntil).getTime() > now)
+      .map(([ip, i]) => ({ ip, blockedUntil: i.blockedUntil, failures: i.failures.length })),
+    time: new Date(now).toISOString(),
+  };
+}
+
+function unlockAccount(email, actorId) {
+  const db = readDb();
+  const guard = ensureGuard(db);
+  const key = accountKey(email);
+  const acct = guard.accounts[key];
+
+  delete guard.accounts[key];
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'ACCOUNT_UNLOCKED',
+    targetType: 'User',
+    targetId: acct?.userId || null,
+    metadata: { account: key },
+  });
+
+  if (acct?.userId) {
+    createNotification({
+      userId: acct.userId,
+      severity: 'info',
+      category: 'security',
+      title: 'Account unlocked',
+      message: 'An administrator unlocked your account. You can sign in again.',
+    });
+  }
+
+  return { ok: true, account: key, wasLocked: !!acct?.lockedUntil };
+}
+
+function unblockIp(ip, actorId) {
+  const db = readDb();
+  const guard = ensureGuard(db);
+  const k = ipKey(ip);
+  const existed = !!guard.ips[k];
+
+  delete guard.ips[k];
+  writeDb(db);
+
+  audit({ actorId, action: 'LOGIN_IP_UNBLOCKED', targetType: 'IP', targetId: k });
+  return { ok: true, ip: k, existed };
+}
+
+module.exports = {
+  check,
+  admit,
+  recordFailure,
+  recordSuccess,
+  listLocks,
+  unlockAccount,
+  unblockIp,
+};
@@ -0,0 +1,453 @@
+// backend/src/auth/oidc.service.js
+// OpenID Connect single sign-on for company tenants.
+//
+// Flow: authorization code + PKCE (S256), state + nonce.
+//   1) start(companyId)     -> IdP authorization URL (flow state kept in memory, 10 min)
+//   2) callback(code,state) -> token exchange, id_token verification (JWKS, iss, aud, exp, nonce)
+//   3) just-in-time user provisioning into the company + role from claim mapping
+//   4) browser logins: the session is parked behind a one-time code (60 s) that the app
+//      redeems with a POST, so tokens never appear in a URL
+//
+// Per-company config lives on companies[].sso:
+//   {
+//     enabled, issuer, clientId, clientSecret,
+//     scopes: 'openid email profile',
+//     roleClaim: 'groups', roleMapping: { '<claim value>': 'Company' }, defaultRole: 'Company',
+//     domains: ['acme.com'], enforce: false, jit: true
+//   }
+//
+// Existing accounts are linked only if they are already members of the company, and
+// never for platform staff (Admin / Manager).
+//
+// Issuers on local / private addresses (a mock provider in development) need
+// OIDC_ALLOW_PRIVATE_HOSTS=true, and only those may use plain http unless
+// OIDC_ALLOW_INSECURE_HTTP=true. Discovery, JWKS and token requests go through
+// lib/outbound.js, which checks the resolved address as well.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const outbound = require('../lib/outbound');
+const users = require('../users/user.service');
+const companies = require('../companies/company.service');
+
+const FLOW_TTL_MS = 10 * 60 * 1000;
+const META_TTL_MS = 10 * 60 * 1000;
+const HANDOFF_TTL_MS = 60 * 1000;
+
+// Roles an IdP is allowed to grant (never platform Admin/Manager)
+const SSO_ROLES = [users.ROLES.COMPANY, users.ROLES.INDIVIDUAL];
+
+const flows = new Map(); // state -> { companyId, verifier, nonce, redirectUri, returnTo, createdAt }
+const metaCache = new Map(); // issuer -> { at, discovery, jwks }
+const handoffs = new Map(); // sha256(code) -> { payload, createdAt }
+
+function cleanStr(v, max = 300) {
+  return String(v || '').trim().slice(0, max);
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function emailDomain(email) {
+  return String(email || '').trim().toLowerCase().split('@')[1] || '';
+}
+
+function pruneFlows() {
+  const now = Date.now();
+  for (const [k, f] of flows) {
+    if (now - f.createdAt > FLOW_TTL_MS) flows.delete(k);
+  }
+}
+
+function allowPrivateHosts() {
+  return String(process.env.OIDC_ALLOW_PRIVATE_HOSTS || '').toLowerCase() === 'true';
+}
+
+function assertIssuerUrl(issuer) {
+  let u;
+  try {
+    u = new URL(issuer);
+  } catch {
+    throw new Error('Invalid issuer URL');
+  }
+  const local = outbound.isPrivateHost(u.hostname);
+  if (local && !allowPrivateHosts()) throw new Error('Issuer must not be a local or private address');
+
+  const insecureOk = String(process.env.OIDC_ALLOW_INSECURE_HTTP || '').toLowerCase() === 'true';
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && (local || insecureOk))) {
+    throw new Error('Issuer must use https');
+  }
+}
+
+/* ================= CONFIG ================= */
+
+function publicConfig(c) {
+  return companies.sanitize(c).sso || null;
+}
+
+// internal read (includes clientSecret)
+function loadCompany(companyId) {
+  return companies.getCompanyById(readDb(), companyId);
+}
+
+function getConfig(companyId) {
+  const c = loadCompany(companyId);
+  if (!c) throw new Error('Company not found');
+  return publicConfig(c);
+}
+
+/**
+ * setConfig(companyId, input, actorId)
+ * clientSecret is kept if omitted (so the UI never has to round-trip it).
+ */
+function setConfig(companyId, input, actorId) {
+  const body = input && typeof input === 'object' ? input : {};
+  const db = readDb();
+  const c = (db.companies || []).find((x) => String(x.id) === String(companyId));
+  if (!c) throw new Error('Company not found');
+
+  const prev = c.sso || {};
+  const issuer = cleanStr(body.issuer ?? prev.issuer, 300).replace(/\/+$/, '');
+  const clientId = cleanStr(body.clientId ?? prev.clientId, 300);
+  if (!issuer || !clientId) throw new Error('issuer and clientId are required');
+  assertIssuerUrl(issuer);
+
+  const mappingIn = body.roleMapping ?? prev.roleMapping ?? {};
+  const roleMapping = {};
+  for (const [claimValue, role] of Object.entries(mappingIn || {})) {
+    const r = cleanStr(role, 40);
+    if (!SSO_ROLES.includes(r)) throw new Error(`SSO role mapping cannot grant role: ${r}`);
+    roleMapping[cleanStr(claimValue, 120)] = r;
+  }
+
+  const defaultRole = cleanStr(body.defaultRole ?? prev.defaultRole ?? users.ROLES.COMPANY, 40);
+  if (!SSO_ROLES.includes(defaultRole)) throw new Error(`Invalid defaultRole: ${defaultRole}`);
+
+  const domains = (Array.isArray(body.domains) ? body.domains : prev.domains || [])
+    .map((d) => cleanStr(d, 120).toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+  // provision() only accepts emails from these domains
+  if (!domains.length) throw new Error('At least one email domain is required');
+
+  // a domain can only belong to one company's SSO
+  for (const other of db.companies || []) {
+    if (other.id === c.id || !other.sso) continue;
+    const clash = (other.sso.domains || []).find((d) => domains.includes(d));
+    if (clash) throw new Error(`Domain ${clash} is already claimed by another company`);
+  }
+
+  c.sso = {
+    enabled: typeof body.enabled === 'undefined' ? prev.enabled !== false : !!body.enabled,
+    issuer,
+    clientId,
+    clientSecret: typeof body.clientSecret === 'string' ? body.clientSecret.trim() : prev.clientSecret || '',
+    scopes: cleanStr(body.scopes ?? prev.scopes ?? 'openid email profile', 200),
+    roleClaim: cleanStr(body.roleClaim ?? prev.roleClaim ?? 'groups', 80),
+    roleMapping,
+    defaultRole,
+    domains,
+    enforce: typeof body.enforce === 'undefined' ? !!prev.enforce : !!body.enforce,
+    jit: typeof body.jit === 'undefined' ? prev.jit !== false : !!body.jit,
+    updatedAt: new Date().toISOString(),
+  };
+  writeDb(db);
+
+  metaCache.delete(issuer);
+
+  audit({
+    actorId,
+    action: 'COMPANY_SSO_CONFIGURED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { issuer, clientId, domains, enforce: c.sso.enforce, enabled: c.sso.enabled },
+  });
+
+  return publicConfig(c);
+}
+
+/**
+ * companyForEmail(email)
+ * Returns the company whose enabled SSO claims the email's domain, or null.
+ */
+function companyForEmail(email) {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+  const db = readDb();
+  return (
+    (db.companies || []).find(
+      (c) => c.sso && c.sso.enabled && (c.sso.domains || []).includes(domain)
+    ) || null
+  );
+}
+
+function ssoEnforcedFor(email) {
+  const c = companyForEmail(email);
+  return c && c.sso.enforce ? c : null;
+}
+
+/* ================= PROVIDER METADATA ================= */
+
+async function fetchJson(url, opts = {}) {
+  const r = await outbound.request(url, { ...opts, allowPrivate: allowPrivateHosts() });
+  const txt = r.text;
+  let json = null;
+  try {
+    json = JSON.parse(txt);
+  } catch {}
+  if (!r.ok) {
+    throw new Error(`OIDC provider error ${r.status}: ${json?.error_description || json?.error || txt.slice(0, 200)}`);
+  }
+  if (!json) throw new Error('OIDC provider returned invalid JSON');
+  return json;
+}
+
+async function providerMeta(issuer, { forceJwks = false } = {}) {
+  const cached = metaCache.get(issuer);
+  if (cached && !forceJwks && Date.now() - cached.at < META_TTL_MS) return cached;
+
+  const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(discovery.issuer || '').replace(/\/+$/, '') !== issuer) {
+    throw new Error('OIDC discovery issuer mismatch');
+  }
+  const jwks = await fetchJson(discovery.jwks_uri);
+
+  const meta = { at: Date.now(), discovery, jwks };
+  metaCache.set(issuer, meta);
+  return meta;
+}
+
+function keyFor(jwks, kid) {
+  const keys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+  const jwk = kid ? keys.find((k) => k.kid === kid) : keys.find((k) => k.use !== 'enc');
+  if (!jwk) return null;
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/* ================= FLOW ================= */
+
+/**
+ * start(companyId, { redirectUri, returnTo, loginHint })
+ * Returns { authorizationUrl, state }
+ */
+async function start(companyId, { redirectUri, returnTo = null, loginHint = null } = {}) {
+  const c = loadCompany(companyId);
+  if (!c || !c.sso || !c.sso.enabled) throw new Error('SSO is not configured for this company');
+  if (companies.accessBlock(readDb(), c.id)) throw new Error('Company is not active');
+
+  const { discovery } = await providerMeta(c.sso.issuer);
+
+  pruneFlows();
+
+  const state = b64url(crypto.randomBytes(24));
+  const nonce = b64url(crypto.randomBytes(24));
+  const verifier = b64url(crypto.randomBytes(32));
+  const challenge = b64url(crypto.createHash('sha256').update(verifier).digest());
+
+  flows.set(state, {
+    companyId: c.id,
+    verifier,
+    nonce,
+    redirectUri,
+    returnTo,
+    createdAt: Date.now(),
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: c.sso.clientId,
+    redirect_uri: redirectUri,
+    scope: c.sso.scopes || 'openid email profile',
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  });
+  if (loginHint) params.set('login_hint', loginHint);
+
+  return { authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`, state };
+}
+
+async function verifyIdToken(idToken, sso, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new Error('Invalid id_token');
+
+  let { jwks } = await providerMeta(sso.issuer);
+  let key = keyFor(jwks, decoded.header.kid);
+  if (!key) {
+    // provider may have rotated keys since we cached them
+    ({ jwks } = await providerMeta(sso.issuer, { forceJwks: true }));
+    key = keyFor(jwks, decoded.header.kid);
+  }
+  if (!key) throw new Error('id_token signing key not found');
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+    issuer: sso.issuer,
+    audience: sso.clientId,
+    clockTolerance: 30,
+  });
+
+  if (claims.nonce !== nonce) throw new Error('id_token nonce mismatch');
+  return claims;
+}
+
+function mapRole(claims, sso) {
+  const raw = claims[sso.roleClaim];
+  const values = Array.isArray(raw) ? raw.map(String) : raw ? [String(raw)] : [];
+  for (const v of values) {
+    if (sso.roleMapping && sso.roleMapping[v]) return sso.roleMapping[v];
+  }
+  return sso.defaultRole || users.ROLES.COMPANY;
+}
+
+/**
+ * provision(company, claims)
+ * Finds (by issuer+sub, then email) or just-in-time creates the user.
+ * The IdP is configured by the company itself, so it is only trusted for the company's
+ * own people: verified emails in its domains, and existing accounts only if they are
+ * already members of the company. Platform staff are never signed in through SSO.
+ */
+function provision(c, claims) {
+  const sso = c.sso;
+  const email = cleanStr(claims.email, 200).toLowerCase();
+  if (!email) throw new Error('id_token has no email claim');
+  if (claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw new Error('Email not verified by identity provider');
+  }
+
+  if (!sso.domains?.length || !sso.domains.includes(emailDomain(email))) {
+    throw new Error('Email domain is not allowed for this company');
+  }
+
+  const role = mapRole(claims, sso);
+  const link = { companyId: c.id, issuer: sso.issuer, sub: String(claims.sub) };
+
+  const db = readDb();
+  let u =
+    (db.users || []).find((x) => x.sso && x.sso.issuer === link.issuer && x.sso.sub === link.sub) ||
+    (db.users || []).find((x) => String(x.email || '').toLowerCase() === email) ||
+    null;
+
+  if (u) {
+    if (!SSO_ROLES.includes(u.role)) throw new Error('This account cannot sign in with SSO');
+    const member = (c.members || []).map(String).includes(String(u.id));
+    if (!member || (u.companyId && String(u.companyId) !== String(c.id))) {
+      throw new Error('Account is not a member of this company');
+    }
+    const patch = { sso: link, companyId: c.id };
+    if (u.role !== role) patch.role = role;
+    users.updateUser(u.id, patch, u.id);
+    companies.addMember(c.id, u.id, u.id);
+    return { user: users.findById(u.id), created: false };
+  }
+
+  if (!sso.jit) throw new Error('No account exists and just-in-time provisioning is disabled');
+
+  const profile = {};
+  if (claims.name) profile.displayName = cleanStr(claims.name, 120);
+
+  const created = users.createUser({
+    email,
+    role,
+    companyId: c.id,
+    profile,
+    sso: link,
+  });
+  companies.addMember(c.id, created.id, created.id);
+
+  audit({
+    actorId: created.id,
+    action: 'SSO_USER_PROVISIONED',
+    targetType: 'User',
+    targetId: created.id,
+    companyId: c.id,
+    metadata: { issuer: sso.issuer, role },
+  });
+
+  return { user: users.findById(created.id), created: true };
+}
+
+/**
+ * callback({ code, state })
+ * Returns { user, company, created, returnTo }
+ */
+async function callback({ code, state }) {
+  pruneFlows();
+  const flow = flows.get(String(state || ''));
+  if (!flow) throw new Error('SSO login expired or invalid state');
+  flows.delete(state); // single use
+
+  const c = loadCompany(flow.companyId);
+  if (!c || !c.sso || !c.sso.enabled) throw new Error('SSO is not configured for this company');
+
+  const { discovery } = await providerMeta(c.sso.issuer);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code || ''),
+    redirect_uri: flow.redirectUri,
+    client_id: c.sso.clientId,
+    code_verifier: flow.verifier,
+  });
+  if (c.sso.clientSecret) form.set('client_secret', c.sso.clientSecret);
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' },
+    body: form.toString(),
+  });
+
+  if (!tokens.id_token) throw new Error('Identity provider returned no id_token');
+
+  const claims = await verifyIdToken(tokens.id_token, c.sso, flow.nonce);
+  const { user, created } = provision(c, claims);
+
+  return { user, company: c, created, returnTo: flow.returnTo };
+}
+
+/* ================= BROWSER HANDOFF ================= */
+
+function codeHash(code) {
+  return crypto.createHash('sha256').update(String(code || '')).digest('hex');
+}
+
+function pruneHandoffs() {
+  const now = Date.now();
+  for (const [k, h] of handoffs) {
+    if (now - h.createdAt > HANDOFF_TTL_MS) handoffs.delete(k);
+  }
+}
+
+// park a session for the app -> one-time code
+function handoff(payload) {
+  pruneHandoffs();
+  const code = b64url(crypto.randomBytes(32));
+  handoffs.set(codeHash(code), { payload, createdAt: Date.now() });
+  return code;
+}
+
+// code -> session payload, once; null when unknown, used or expired
+function redeemHandoff(code) {
+  pruneHandoffs();
+  const key = codeHash(code);
+  const h = handoffs.get(key);
+  if (!h) return null;
+  handoffs.delete(key); // single use
+  return h.payload;
+}
+
+module.exports = {
+  SSO_ROLES,
+  getConfig,
+  setConfig,
+  companyForEmail,
+  ssoEnforcedFor,
+  start,
+  callback,
+  handoff,
+  redeemHandoff,
+};
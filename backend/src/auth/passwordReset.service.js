@@ -0,0 +1,225 @@
+// backend/src/auth/passwordReset.service.js
+// Self-service forgot-password flow.
+//
+// - Token = "<resetId>.<secret>" (random, URL-safe)
+// - Only an HMAC-SHA256 of the secret (keyed with JWT_SECRET) is stored
+// - Single-use, expires after PASSWORD_RESET_TTL_MIN (default 30)
+// - Issuing a new token or completing a reset invalidates older tokens
+// - Every step is written to the audit log
+//
+// db.passwordResets[] = { id, userId, tokenHash, createdAt, expiresAt, usedAt, ip }
+
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const { sendMail } = require('../lib/mail');
+const users = require('../users/user.service');
+const sessions = require('./session.service');
+
+const TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 30);
+const MAX_PER_WINDOW = 3;
+const WINDOW_MS = 15 * 60 * 1000;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureResets(db) {
+  if (!db.passwordResets) db.passwordResets = [];
+  if (!Array.isArray(db.passwordResets)) db.passwordResets = [];
+}
+
+function hmac(secret) {
+  const key = process.env.JWT_SECRET;
+  if (!key) throw new Error('JWT_SECRET is not defined');
+  return crypto.createHmac('sha256', key).update(String(secret)).digest('hex');
+}
+
+function resetLink(token) {
+  const base = String(process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${base}/reset-password?token=${encodeURIComponent(token)}`;
+}
+
+// Never throws; the outcome goes to the audit log
+async function sendResetMail(u, rec, token) {
+  try {
+    const sent = await sendMail({
+      to: u.email,
+      subject: 'Reset your AutoShield Tech password',
+      text:
+        `A password reset was requested for your account.\n\n` +
+        `Open this link within ${TTL_MIN} minutes to choose a new password:\n${resetLink(token)}\n\n` +
+        `If you did not request this, you can ignore this email.`,
+      tags: ['password-reset'],
+    });
+
+    audit({
+      actorId: null,
+      action: 'PASSWORD_RESET_EMAIL_SENT',
+      targetType: 'User',
+      targetId: u.id,
+      metadata: { resetId: rec.id, transport: sent.transport, messageId: sent.id },
+    });
+  } catch (e) {
+    audit({
+      actorId: null,
+      action: 'PASSWORD_RESET_EMAIL_FAILED',
+      targetType: 'User',
+      targetId: u.id,
+      metadata: { resetId: rec.id, error: e?.message || String(e) },
+    });
+  }
+}
+
+/**
+ * requestReset(email, { ip })
+ * Never reveals whether the email exists, by answer or by timing: the mail
+ * goes out in the background and its outcome is only audited.
+ */
+function requestReset(email, { ip = null } = {}) {
+  const u = users.findByEmail(email);
+
+  if (!u) {
+    audit({
+      actorId: null,
+      action: 'PASSWORD_RESET_REQUEST_UNKNOWN',
+      targetType: 'User',
+      targetId: null,
+      metadata: { email: String(email || '').slice(0, 200), ip },
+    });
+    return { ok: true };
+  }
+
+  const db = readDb();
+  ensureResets(db);
+
+  // drop finished rows older than a day
+  const dayAgo = Date.now() - 24 * 3600 * 1000;
+  db.passwordResets = db.passwordResets.filter(
+    (r) => new Date(r.createdAt).getTime() > dayAgo || (!r.usedAt && new Date(r.expiresAt).getTime() > Date.now())
+  );
+
+  const recent = db.passwordResets.filter(
+    (r) => r.userId === u.id && Date.now() - new Date(r.createdAt).getTime() < WINDOW_MS
+  );
+  if (recent.length >= MAX_PER_WINDOW) {
+    writeDb(db);
+    audit({
+      actorId: null,
+      action: 'PASSWORD_RESET_THROTTLED',
+      targetType: 'User',
+      targetId: u.id,
+      metadata: { ip },
+    });
+    return { ok: true };
+  }
+
+  // only the newest token is valid
+  for (const r of db.passwordResets) {
+    if (r.userId === u.id && !r.usedAt && !r.supersededAt) r.supersededAt = nowISO();
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const rec = {
+    id: nanoid(),
+    userId: u.id,
+    tokenHash: hmac(secret),
+    createdAt: nowISO(),
+    expiresAt: new Date(Date.now() + TTL_MIN * 60 * 1000).toISOString(),
+    usedAt: null,
+    supersededAt: null,
+    ip,
+  };
+
+  db.passwordResets.push(rec);
+  writeDb(db);
+
+  audit({
+    actorId: null,
+    action: 'PASSWORD_RESET_REQUESTED',
+    targetType: 'User',
+    targetId: u.id,
+    metadata: { resetId: rec.id, ip },
+  });
+
+  // not awaited: answering only after the mail went out would time-reveal real accounts
+  sendResetMail(u, rec, `${rec.id}.${secret}`);
+
+  return { ok: true };
+}
+
+/**
+ * confirmReset(token, newPassword, { ip })
+ * Throws on invalid / expired / used tokens.
+ */
+function confirmReset(token, newPassword, { ip = null } = {}) {
+  const raw = String(token || '').trim();
+  const dot = raw.indexOf('.');
+  const id = dot > 0 ? raw.slice(0, dot) : '';
+  const secret = dot > 0 ? raw.slice(dot + 1) : '';
+
+  const db = readDb();
+  ensureResets(db);
+
+  const rec = id ? db.passwordResets.find((r) => r.id === id) : null;
+
+  const fail = (reason) => {
+    audit({
+      actorId: null,
+      action: 'PASSWORD_RESET_REJECTED',
+      targetType: 'User',
+      targetId: rec ? rec.userId : null,
+      metadata: { resetId: rec ? rec.id : null, reason, ip },
+    });
+    const err = new Error('Reset link is invalid or has expired');
+    err.status = 400;
+    return err;
+  };
+
+  if (!rec || !secret) throw fail('unknown_token');
+
+  const a = Buffer.from(hmac(secret));
+  const b = Buffer.from(String(rec.tokenHash || ''));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw fail('bad_signature');
+
+  if (rec.usedAt) throw fail('already_used');
+  if (rec.supersededAt) throw fail('superseded');
+  if (new Date(rec.expiresAt).getTime() <= Date.now()) throw fail('expired');
+
+  // validates + hashes the password (throws with a message on policy failure)
+  users.setPassword(rec.userId, newPassword, rec.userId);
+
+  const fresh = readDb();
+  ensureResets(fresh);
+  const mark = fresh.passwordResets.find((r) => r.id === rec.id);
+  if (mark) mark.usedAt = nowISO();
+  for (const r of fresh.passwordResets) {
+    if (r.userId === rec.userId && !r.usedAt && r.id !== rec.id) r.supersededAt = nowISO();
+  }
+  writeDb(fresh);
+
+  // anyone holding an old session is signed out
+  sessions.revokeAllForUser(rec.userId, 'password_reset');
+
+  audit({
+    actorId: rec.userId,
+    action: 'PASSWORD_RESET_COMPLETED',
+    targetType: 'User',
+    targetId: rec.userId,
+    metadata: { resetId: rec.id, ip },
+  });
+
+  createNotification({
+    userId: rec.userId,
+    severity: 'warn',
+    category: 'security',
+    title: 'Password changed',
+    message: 'Your password was reset and all sessions were signed out. If this was not you, contact support.',
+  });
+
+  return { ok: true };
+}
+
+module.exports = { requestReset, confirmReset };
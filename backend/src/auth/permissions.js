@@ -0,0 +1,199 @@
+// backend/src/auth/permissions.js
+// Central permission catalog + role bindings.
+//
+// Routes declare what they need (middleware/auth.js requirePermission) instead of
+// comparing role strings. Roles are matched case-insensitively ("admin" == "Admin").
+//
+// Bindings may use a trailing wildcard ("company.*"); permissionsFor() expands
+// them against the catalog, so the UI always receives concrete names.
+//
+// Company-scoped permissions (COMPANY_SCOPED) can also come from a per-company
+// binding (companies[].roleBindings -> a built-in role or a custom role in
+// companies[].roles, see companies/role.service.js). In a company where the user
+// has a binding, the binding replaces the company-scoped part of their global
+// role; platform staff and API keys are never affected by bindings.
+
+const users = require('../users/user.service');
+const companies = require('../companies/company.service');
+
+const { ADMIN, MANAGER, COMPANY, INDIVIDUAL } = users.ROLES;
+
+const PERMISSIONS = {
+  // platform administration
+  'admin.users.read': 'List all users',
+  'admin.users.write': 'Create users, rotate ids, change subscriptions',
+  'admin.users.security': 'Reset MFA, revoke sessions, unlock accounts and IPs',
+  'admin.users.impersonate': 'Start and end support impersonation sessions',
+  'admin.apikeys.manage': 'List and revoke any API key',
+  'admin.policy.read': 'View platform password and MFA policies',
+  'admin.policy.write': 'Change platform password and MFA policies',
+  'admin.companies.write': 'Create companies and change their slug or policies',
+  'admin.companies.lifecycle': 'Suspend, reactivate, delete, restore and purge companies',
+  'admin.managers.assign': 'Assign managers to the companies they look after',
+  'admin.platform.read': 'Unfiltered platform view (every company, user and event)',
+  'admin.privacy.manage': 'Export or erase all data held about a company or user',
+  'admin.backups.manage': 'Take, verify and restore backups of all persisted state',
+  'admin.audit.verify': 'Verify the audit chain, sign checkpoints and export the log for auditors',
+  'admin.siem.manage': 'View SIEM forwarding status, send test events and retry buffered events',
+  'admin.retention.manage': 'Set retention policies and run archival',
+  'admin.legalhold.manage': 'Place and release legal holds on companies',
+  'admin.archives.read': 'List, search and verify archived records',
+  'admin.notifications.manage': 'View notification deliveries and retry failed ones',
+
+  // manager room (read-only; Managers see their assigned companies only)
+  'platform.read': 'Platform overview, users, companies and notifications',
+  'audit.read': 'Read the audit log',
+
+  // company room
+  'company.read': 'View company profile and notifications',
+  'company.profile.write': 'Edit the company profile',
+  'company.members.write': 'Add and remove company members',
+  'company.invites.write': 'Invite, resend and revoke company invitations',
+  'company.apikeys.write': 'Manage company API keys',
+  'company.sso.write': 'Configure company single sign-on',
+  'company.roles.write': 'Define custom company roles and assign them to members',
+  'company.data.export': 'Export all data held about the company',
+  'company.audit.read': 'Search and export the company audit log',
+
+  // trading
+  'trading.paper.read': 'View the paper trading snapshot',
+  'trading.paper.config': 'Change paper trading configuration',
+  'trading.paper.reset': 'Reset the paper trader',
+  'trading.live.read': 'View the live trading snapshot',
+  'trading.live.signal': 'Push live trading signals',
+
+  // security rooms
+  'autoprotect.use': 'Enable AutoProtect and create guided projects',
+  'autoprotect.global.read': 'View AutoProtect totals across all individuals',
+  'posture.read': 'View security posture for the current scope',
+  'posture.global.read': 'View platform-wide posture totals',
+
+  // AI
+  'brain.manage': 'Manage the shared AI brain',
+};
+
+const ROLE_PERMISSIONS = {
+  [ADMIN]: [
+    'admin.*',
+    'platform.*',
+    'audit.read',
+    'company.*',
+    'trading.*',
+    'autoprotect.global.read',
+    'posture.*',
+    'brain.manage',
+  ],
+  [MANAGER]: [
+    'platform.read',
+    'audit.read',
+    'trading.paper.read',
+    'trading.live.read',
+    'autoprotect.global.read',
+    'posture.read',
+  ],
+  [COMPANY]: ['company.*', 'posture.read'],
+  [INDIVIDUAL]: ['autoprotect.use', 'posture.read'],
+};
+
+// Built-in roles that can be bound inside a company
+const COMPANY_BUILTIN_ROLES = [COMPANY, INDIVIDUAL];
+
+// "admin" / " ADMIN " -> "Admin"; unknown roles -> null
+function normalizeRole(role) {
+  const r = String(role || '').trim().toLowerCase();
+  if (!r) return null;
+  return Object.values(users.ROLES).find((x) => x.toLowerCase() === r) || null;
+}
+
+function hasRole(user, ...roles) {
+  const r = normalizeRole(user?.role);
+  return !!r && roles.flat().some((x) => normalizeRole(x) === r);
+}
+
+function expand(patterns) {
+  const all = Object.keys(PERMISSIONS);
+  const out = new Set();
+  for (const p of patterns) {
+    if (p.endsWith('.*')) {
+      const prefix = p.slice(0, -1);
+      all.filter((k) => k.startsWith(prefix)).forEach((k) => out.add(k));
+    } else if (PERMISSIONS[p]) {
+      out.add(p);
+    }
+  }
+  return Array.from(out).sort();
+}
+
+// Permissions a company binding (built-in or custom role) may grant
+const COMPANY_SCOPED = expand(['company.*', 'posture.read']);
+
+function builtinCompanyPermissions(role) {
+  const r = normalizeRole(role);
+  if (!COMPANY_BUILTIN_ROLES.includes(r)) return null;
+  return expand(ROLE_PERMISSIONS[r]).filter((p) => COMPANY_SCOPED.includes(p));
+}
+
+/**
+ * companyRoleOf(company, userId)
+ * -> { role, name, custom, permissions } | null (no binding in that company)
+ */
+function companyRoleOf(company, userId) {
+  const b = (company?.roleBindings || []).find((x) => String(x.userId) === String(userId));
+  if (!b) return null;
+
+  const builtin = builtinCompanyPermissions(b.role);
+  if (builtin) return { role: normalizeRole(b.role), name: normalizeRole(b.role), custom: false, permissions: builtin };
+
+  const custom = (company.roles || []).find((r) => r.id === b.role);
+  if (!custom) return { role: b.role, name: null, custom: true, permissions: [] }; // role deleted underneath
+
+  return {
+    role: custom.id,
+    name: custom.name,
+    custom: true,
+    permissions: expand(custom.permissions || []).filter((p) => COMPANY_SCOPED.includes(p)),
+  };
+}
+
+/**
+ * permissionsFor(user, { companyId }) -> sorted list of concrete permission names
+ * companyId defaults to the user's active company (user.companyId).
+ */
+function permissionsFor(user, { companyId } = {}) {
+  const role = normalizeRole(user?.role);
+  if (!role) return [];
+
+  const base = expand(ROLE_PERMISSIONS[role] || []);
+  const cid = String((companyId === undefined ? user.companyId : companyId) || '').trim();
+
+  // company keys ("apikey:<id>") act as the Company role itself; personal keys carry
+  // their owner's id and get the owner's bindings like a session would
+  const companyKey = String(user.id || '').startsWith('apikey:');
+  if (!cid || role === ADMIN || role === MANAGER || companyKey) return base;
+
+  const binding = companyRoleOf(companies.findCompany(cid), user.id);
+  if (!binding) return base;
+
+  return Array.from(
+    new Set([...base.filter((p) => !COMPANY_SCOPED.includes(p)), ...binding.permissions])
+  ).sort();
+}
+
+function can(user, permission, opts) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return permissionsFor(user, opts).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  COMPANY_SCOPED,
+  COMPANY_BUILTIN_ROLES,
+  normalizeRole,
+  hasRole,
+  expand,
+  builtinCompanyPermissions,
+  companyRoleOf,
+  permissionsFor,
+  can,
+};
@@ -0,0 +1,389 @@
+// backend/src/auth/session.service.js
+// Server-side sessions + rotating refresh tokens.
+//
+// - Access tokens are short-lived JWTs carrying { sid, tv }; tokens without a sid
+//   are refused
+// - Refresh tokens are opaque "<sessionId>.<secret>", stored as sha256 only
+// - Every refresh rotates the secret; presenting an already-rotated secret
+//   is treated as token theft -> the whole session is revoked
+// - users[].tokenVersion is bumped to kill every session at once
+// - Impersonation sessions (Admin "view as user") have no refresh token,
+//   a short fixed expiry and carry impersonatorId (also in the JWT as `imp`)
+// - The session remembers the active company (multi-company members switch it);
+//   access tokens carry it as `companyId` plus that company's effective `perms`
+//   (informational for clients; the server re-evaluates on every request)
+// - The session remembers how its sign-in was verified (`mfa`: 'totp', or
+//   'sso:<companyId>' when that company's IdP did it); tokens carry it as `mfa`, and
+//   companies that require MFA refuse sessions without it (middleware/tenant.js)
+//
+// db.sessions[] = {
+//   id, userId, refreshHash, previousHashes[],
+//   createdAt, lastUsedAt, expiresAt,
+//   ip, userAgent, device,
+//   revokedAt, revokedReason, activeCompanyId, mfa,
+//   impersonatorId?, impersonationReason?
+// }
+
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { readDb, writeDb, store } = require('../lib/db');
+const { sign } = require('./jwt');
+const companies = require('../companies/company.service');
+
+const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const MAX_PREVIOUS_HASHES = 20;
+
+// keep revoked/expired rows around a while so the UI can show history
+const PRUNE_AFTER_MS = 30 * 24 * 3600 * 1000;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureSessions(db) {
+  if (!db.sessions) db.sessions = [];
+  if (!Array.isArray(db.sessions)) db.sessions = [];
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(String(v)).digest('hex');
+}
+
+function cleanStr(v, max = 300) {
+  return String(v || '').trim().slice(0, max);
+}
+
+// Small, dependency-free UA summary ("Chrome on Windows")
+function describeDevice(ua) {
+  const s = String(ua || '');
+  if (!s) return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(s) ? 'Edge' :
+    /OPR\//.test(s) ? 'Opera' :
+    /Chrome\//.test(s) ? 'Chrome' :
+    /Firefox\//.test(s) ? 'Firefox' :
+    /Safari\//.test(s) ? 'Safari' :
+    /curl\//i.test(s) ? 'curl' :
+    /node|undici/i.test(s) ? 'Node.js' :
+    'Browser';
+
+  const os =
+    /Windows/.test(s) ? 'Windows' :
+    /iPhone|iPad/.test(s) ? 'iOS' :
+    /Android/.test(s) ? 'Android' :
+    /Mac OS X|Macintosh/.test(s) ? 'macOS' :
+    /Linux/.test(s) ? 'Linux' :
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function isActive(s, now = Date.now()) {
+  return !!s && !s.revokedAt && new Date(s.expiresAt).getTime() > now;
+}
+
+function prune(db) {
+  const cutoff = Date.now() - PRUNE_AFTER_MS;
+  db.sessions = db.sessions.filter((s) => {
+    const ended = s.revokedAt || s.expiresAt;
+    return new Date(ended).getTime() > cutoff;
+  });
+}
+
+function publicSession(s, currentSid = null) {
+  return {
+    id: s.id,
+    device: s.device,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    revokedAt: s.revokedAt || null,
+    revokedReason: s.revokedReason || null,
+    active: isActive(s),
+    current: !!currentSid && s.id === currentSid,
+    impersonatorId: s.impersonatorId || null,
+    activeCompanyId: s.activeCompanyId || null,
+  };
+}
+
+function accessTokenFor(
+  u,
+  sid,
+  { impersonatorId = null, expiresIn = ACCESS_TTL, companyId, permissions = null, mfa = null } = {}
+) {
+  const claims = {
+    id: u.id,
+    role: u.role,
+    companyId: (companyId === undefined ? u.companyId : companyId) || null,
+    sid,
+    tv: Number(u.tokenVersion || 0),
+  };
+  if (impersonatorId) claims.imp = String(impersonatorId);
+  if (Array.isArray(permissions)) claims.perms = permissions;
+  if (mfa) claims.mfa = String(mfa);
+
+  return sign(claims, process.env.JWT_SECRET, expiresIn);
+}
+
+/**
+ * createSession(user, { ip, userAgent, companyId, permissions, mfa })
+ * companyId: active company (defaults to the user's primary company)
+ * mfa: how the sign-in was verified ('totp' | 'sso:<companyId>'), if it was
+ * Returns { token, refreshToken, expiresIn, sessionId }
+ */
+function createSession(u, { ip, userAgent, companyId, permissions, mfa = null } = {}) {
+  const db = readDb();
+  ensureSessions(db);
+  prune(db);
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const s = {
+    id: nanoid(),
+    userId: u.id,
+    refreshHash: sha256(secret),
+    previousHashes: [],
+    createdAt: nowISO(),
+    lastUsedAt: nowISO(),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 3600 * 1000).toISOString(),
+    ip: cleanStr(ip, 80) || null,
+    userAgent: cleanStr(userAgent, 300) || null,
+    device: describeDevice(userAgent),
+    revokedAt: null,
+    revokedReason: null,
+    activeCompanyId: (companyId === undefined ? u.companyId : companyId) || null,
+    mfa: mfa || null,
+  };
+
+  db.sessions.push(s);
+  writeDb(db);
+
+  return {
+    token: accessTokenFor(u, s.id, { companyId: s.activeCompanyId, permissions, mfa: s.mfa }),
+    refreshToken: `${s.id}.${secret}`,
+    expiresIn: ACCESS_TTL,
+    sessionId: s.id,
+  };
+}
+
+/**
+ * createImpersonationSession(subject, { impersonatorId, reason, ttlMinutes, ip, userAgent })
+ * Access token only (no refresh); the token and the session expire together.
+ * Returns { token, expiresAt, sessionId }
+ */
+function createImpersonationSession(u, { impersonatorId, reason, ttlMinutes, ip, userAgent } = {}) {
+  const db = readDb();
+  ensureSessions(db);
+  prune(db);
+
+  const ttlSec = Math.max(60, Math.floor(Number(ttlMinutes) * 60));
+  const s = {
+    id: nanoid(),
+    userId: u.id,
+    refreshHash: null,
+    previousHashes: [],
+    createdAt: nowISO(),
+    lastUsedAt: nowISO(),
+    expiresAt: new Date(Date.now() + ttlSec * 1000).toISOString(),
+    ip: cleanStr(ip, 80) || null,
+    userAgent: cleanStr(userAgent, 300) || null,
+    device: describeDevice(userAgent),
+    revokedAt: null,
+    revokedReason: null,
+    impersonatorId: String(impersonatorId),
+    impersonationReason: cleanStr(reason, 300) || null,
+  };
+
+  db.sessions.push(s);
+  writeDb(db);
+
+  return {
+    token: accessTokenFor(u, s.id, { impersonatorId, expiresIn: ttlSec }),
+    expiresAt: s.expiresAt,
+    sessionId: s.id,
+  };
+}
+
+function listImpersonations({ activeOnly = false } = {}) {
+  const db = readDb();
+  ensureSessions(db);
+  return db.sessions
+    .filter((s) => s.impersonatorId && (!activeOnly || isActive(s)))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .map((s) => ({
+      ...publicSession(s),
+      userId: s.userId,
+      reason: s.impersonationReason || null,
+    }));
+}
+
+/**
+ * rotate(refreshToken, { ip, userAgent })
+ * Returns:
+ *   { ok: true, session, refreshToken }
+ *   { ok: false, reason: 'invalid' | 'expired' | 'revoked' | 'reused', session? }
+ * The caller mints the access token (it needs the fresh user record).
+ */
+function rotate(refreshToken, { ip, userAgent } = {}) {
+  const raw = cleanStr(refreshToken, 300);
+  const dot = raw.indexOf('.');
+  if (dot < 1) return { ok: false, reason: 'invalid' };
+
+  const sid = raw.slice(0, dot);
+  const hash = sha256(raw.slice(dot + 1));
+
+  const db = readDb();
+  ensureSessions(db);
+
+  const s = db.sessions.find((x) => x.id === sid);
+  if (!s) return { ok: false, reason: 'invalid' };
+
+  if (s.revokedAt) return { ok: false, reason: 'revoked', session: s };
+  if (!isActive(s)) return { ok: false, reason: 'expired', session: s };
+
+  if (s.refreshHash !== hash) {
+    // an old (already rotated) token came back -> someone else holds a copy
+    if ((s.previousHashes || []).includes(hash)) {
+      s.revokedAt = nowISO();
+      s.revokedReason = 'refresh_token_reuse';
+      writeDb(db);
+      return { ok: false, reason: 'reused', session: s };
+    }
+    return { ok: false, reason: 'invalid' };
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  s.previousHashes = [...(s.previousHashes || []), s.refreshHash].slice(-MAX_PREVIOUS_HASHES);
+  s.refreshHash = sha256(secret);
+  s.lastUsedAt = nowISO();
+  if (ip) s.ip = cleanStr(ip, 80);
+  if (userAgent) {
+    s.userAgent = cleanStr(userAgent, 300);
+    s.device = describeDevice(userAgent);
+  }
+  writeDb(db);
+
+  return { ok: true, session: s, refreshToken: `${s.id}.${secret}` };
+}
+
+// Multi-company members: remember which company this session works in
+function setActiveCompany(sid, companyId) {
+  const db = readDb();
+  ensureSessions(db);
+
+  const s = db.sessions.find((x) => x.id === String(sid || ''));
+  if (!isActive(s)) return null;
+
+  s.activeCompanyId = companyId ? String(companyId) : null;
+  s.lastUsedAt = nowISO();
+  writeDb(db);
+  return s;
+}
+
+function getSession(sid) {
+  const db = readDb();
+  ensureSessions(db);
+  return db.sessions.find((x) => x.id === String(sid || '')) || null;
+}
+
+function listForUser(userId, currentSid = null) {
+  const db = readDb();
+  ensureSessions(db);
+  return db.sessions
+    .filter((s) => s.userId === userId)
+    .sort((a, b) => (a.lastUsedAt < b.lastUsedAt ? 1 : -1))
+    .map((s) => publicSession(s, currentSid));
+}
+
+function revokeSession(sid, { userId = null, reason = 'logout' } = {}) {
+  const db = readDb();
+  ensureSessions(db);
+
+  const s = db.sessions.find((x) => x.id === String(sid || ''));
+  if (!s) return null;
+  if (userId && s.userId !== userId) return null;
+
+  if (!s.revokedAt) {
+    s.revokedAt = nowISO();
+    s.revokedReason = reason;
+    writeDb(db);
+  }
+  return publicSession(s);
+}
+
+/**
+ * revokeAllForUser(userId, reason)
+ * Revokes every session row AND bumps users[].tokenVersion so any
+ * access token already in flight stops working immediately.
+ */
+function revokeAllForUser(userId, reason = 'revoke_all') {
+  const db = readDb();
+  ensureSessions(db);
+
+  let revoked = 0;
+  for (const s of db.sessions) {
+    if (s.userId === userId && !s.revokedAt) {
+      s.revokedAt = nowISO();
+      s.revokedReason = reason;
+      revoked++;
+    }
+  }
+
+  const u = (db.users || []).find((x) => x.id === userId);
+  if (u) u.tokenVersion = Number(u.tokenVersion || 0) + 1;
+
+  writeDb(db);
+  return { ok: true, revoked };
+}
+
+/**
+ * checkAccess(claims)
+ * Used by authRequired. Returns null if OK, else a short reason string.
+ * Runs on every request, so it reads single records only.
+ */
+function checkAccess(claims) {
+  const u = store.findOne('users', { id: String(claims.id || '') });
+  if (!u) return 'user_not_found';
+
+  if (Number(claims.tv || 0) !== Number(u.tokenVersion || 0)) return 'token_revoked';
+
+  // suspended / deleted company: its members are locked out until it is reactivated
+  if (u.companyId && !['Admin', 'Manager'].includes(u.role)) {
+    const block = companies.blockOf(companies.findCompany(u.companyId));
+    if (block) return block.reason;
+  }
+
+  // every access token is bound to a session; older session-less tokens can't be revoked
+  if (!claims.sid) return 'session_required';
+
+  const s = store.findOne('sessions', { id: String(claims.sid) });
+  if (!isActive(s)) return 'session_revoked';
+  if (claims.imp && s.impersonatorId !== claims.imp) return 'session_revoked';
+
+  // impersonation ends the moment the Admin loses the role or signs out everywhere
+  if (claims.imp) {
+    const admin = store.findOne('users', { id: String(claims.imp) });
+    if (!admin || admin.role !== 'Admin') return 'impersonator_revoked';
+  }
+
+  return null;
+}
+
+module.exports = {
+  ACCESS_TTL,
+  describeDevice,
+  accessTokenFor,
+  createSession,
+  createImpersonationSession,
+  listImpersonations,
+  rotate,
+  setActiveCompany,
+  getSession,
+  listForUser,
+  revokeSession,
+  revokeAllForUser,
+  checkAccess,
+};
@@ -0,0 +1,117 @@
+// backend/src/auth/totp.js
+// RFC 6238 TOTP (HMAC-SHA1, 30s step, 6 digits) + base32 helpers.
+// No external deps — works with Google Authenticator, Authy, 1Password, etc.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(out);
+}
+
+// 160-bit secret (RFC 4226 recommendation)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function stepAt(ts = Date.now()) {
+  return Math.floor(ts / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+  const key = base32Decode(secret);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * verifyCode(secret, code, { window, afterStep })
+ * - window: accepted drift in steps on each side (default 1 = ±30s)
+ * - afterStep: reject steps <= this value (replay protection)
+ * Returns the matched step, or null.
+ */
+function verifyCode(secret, code, { window = 1, afterStep = null, ts = Date.now() } = {}) {
+  const c = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(c) || !secret) return null;
+
+  const now = stepAt(ts);
+  for (let i = -window; i <= window; i++) {
+    const step = now + i;
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step;
+  }
+
+  return null;
+}
+
+function otpauthUrl({ secret, account, issuer = 'AutoShield Tech' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  stepAt,
+  verifyCode,
+  otpauthUrl,
+  base32Encode,
+  base32Decode,
+};
@@ -18,7 +18,7 @@ function guidanceForIssue(issue){
 function createProject({ actorId, companyId=null, title, issue }){
   const project = { id:`PRJ-${Date.now()}`, title, companyId, issue, createdAt:new Date().toISOString(), status:'Open', steps: guidanceForIssue(issue), notes:[] };
   audit({ actorId, action:'AUTOPROTECT_PROJECT_CREATED', targetType:'Project', targetId:project.id, metadata:{companyId,title,issue} });
-  createNotification({ companyId, severity:'info', title:'New project created', message:`Project "${title}" is open. Review steps and complete actions.` });
+  createNotification({ companyId, severity:'info', category:'projects', title:'New project created', message:`Project "${title}" is open. Review steps and complete actions.` });
   return project;
 }
 module.exports = { guidanceForIssue, createProject };
@@ -0,0 +1,347 @@
+// backend/src/backup/backup.service.js
+// Snapshots of all persisted state, taken on a schedule (server.js) or on demand.
+//
+// Sources (each path is whatever its module is configured with):
+// - db              the database document, as JSON (either STORAGE_DRIVER)
+// - paper           services/paperTrader.js     PAPER_STATE_PATH
+// - live            services/liveTrader.js      LIVE_TRADER_STATE_PATH
+// - aiBrain         services/aiBrain.js         AI_BRAIN_PATH
+// - brains          lib/brain.js                AI_MEMORY_PATH/brain_<tenant>.json
+// - securityEvents  services/securityEvents.js  SECURITY_EVENTS_PATH
+// - brainMemory     brain/brain.store.js        brain/brain.memory.json
+// Files that do not exist yet are simply not in the snapshot.
+//
+// Snapshot = BACKUP_DIR/<id>/ (default data/backups) with manifest.json + one gzip'd
+// file per entry:
+//   manifest = { format, version, id, createdAt, trigger: 'schedule'|'manual'|'pre-restore',
+//                driver, schemaVersion, encryption: null | { cipher, kdf, salt },
+//                entries: [{ source, name, file, path, bytes, sha256 }] }
+// sha256 is taken over the original bytes, so verifySnapshot() proves that decrypting and
+// unzipping gives back exactly what was saved. With BACKUP_ENCRYPTION_KEY set, every entry
+// is AES-256-GCM encrypted (iv | tag | ciphertext, key = scrypt(secret, salt)); the same
+// secret is needed to verify or restore.
+//
+// Schedule: backupIfDue() takes a snapshot when the newest one is older than
+// BACKUP_INTERVAL_HOURS (default 6; 0 turns scheduled backups off).
+// Retention, after every snapshot: the newest BACKUP_KEEP_LAST (default 24), plus the
+// newest of each of the last BACKUP_KEEP_DAILY days (7) and BACKUP_KEEP_WEEKLY weeks (4).
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { readDb, DRIVER } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const brain = require('../lib/brain');
+const brainStore = require('../brain/brain.store');
+const paperTrader = require('../services/paperTrader');
+const liveTrader = require('../services/liveTrader');
+const aiBrain = require('../services/aiBrain');
+const securityEvents = require('../services/securityEvents');
+
+const FORMAT = 'autoshield-backup';
+const VERSION = 1;
+
+const BACKUP_DIR =
+  (process.env.BACKUP_DIR && String(process.env.BACKUP_DIR).trim()) ||
+  path.join(__dirname, '..', 'data', 'backups');
+
+const INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 6);
+const KEEP_LAST = Number(process.env.BACKUP_KEEP_LAST || 24);
+const KEEP_DAILY = Number(process.env.BACKUP_KEEP_DAILY || 7);
+const KEEP_WEEKLY = Number(process.env.BACKUP_KEEP_WEEKLY || 4);
+
+const ID_RE = /^bk_\d{8}T\d{6}Z_[A-Za-z0-9_-]{6}$/;
+
+// single files restored in place; reload() lets the owning module pick the file up again
+const FILE_SOURCES = [
+  { source: 'paper', path: () => paperTrader.STATE_FILE, reload: () => paperTrader.reloadState() },
+  { source: 'live', path: () => liveTrader.STATE_PATH, reload: () => liveTrader.reloadState() },
+  { source: 'aiBrain', path: () => aiBrain.BRAIN_PATH, reload: () => aiBrain.reloadState() },
+  { source: 'securityEvents', path: () => securityEvents.EVENTS_PATH, reload: () => securityEvents.reloadState() },
+  { source: 'brainMemory', path: () => brainStore.BRAIN_PATH, reload: () => {} },
+];
+
+const BRAIN_FILE_RE = /^brain_.+\.json$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(v).digest('hex');
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function newId(d = new Date()) {
+  const stamp = d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `bk_${stamp}_${nanoid(6)}`;
+}
+
+function snapshotDir(id) {
+  if (!ID_RE.test(String(id || ''))) throw httpError(404, 'Backup not found');
+  return path.join(BACKUP_DIR, id);
+}
+
+/* ================= ENCRYPTION ================= */
+
+function encryptionSecret() {
+  const k = process.env.BACKUP_ENCRYPTION_KEY;
+  return k && String(k).trim() ? String(k).trim() : null;
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+function encrypt(buf, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const body = Buffer.concat([cipher.update(buf), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]);
+}
+
+function decrypt(buf, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+function keyFor(manifest) {
+  if (!manifest.encryption) return null;
+  const secret = encryptionSecret();
+  if (!secret) throw httpError(409, 'This backup is encrypted; set BACKUP_ENCRYPTION_KEY to read it');
+  return deriveKey(secret, manifest.encryption.salt);
+}
+
+/* ================= COLLECT ================= */
+
+// [{ source, name, path, data: Buffer }] for everything that exists right now
+function collectEntries() {
+  const out = [];
+
+  const db = readDb();
+  out.push({ source: 'db', name: 'db.json', path: null, data: Buffer.from(JSON.stringify(db)) });
+
+  for (const s of FILE_SOURCES) {
+    const file = s.path();
+    if (!file || !fs.existsSync(file)) continue;
+    out.push({ source: s.source, name: path.basename(file), path: file, data: fs.readFileSync(file) });
+  }
+
+  if (fs.existsSync(brain.BASE_PATH)) {
+    for (const name of fs.readdirSync(brain.BASE_PATH).filter((f) => BRAIN_FILE_RE.test(f)).sort()) {
+      const file = path.join(brain.BASE_PATH, name);
+      out.push({ source: 'brains', name, path: file, data: fs.readFileSync(file) });
+    }
+  }
+
+  return out;
+}
+
+/* ================= SNAPSHOTS ================= */
+
+function summary(m) {
+  const sources = {};
+  for (const e of m.entries) sources[e.source] = (sources[e.source] || 0) + 1;
+  return {
+    id: m.id,
+    createdAt: m.createdAt,
+    trigger: m.trigger,
+    createdBy: m.createdBy || null,
+    driver: m.driver,
+    schemaVersion: m.schemaVersion,
+    encrypted: !!m.encryption,
+    entries: m.entries.length,
+    bytes: m.entries.reduce((n, e) => n + e.bytes, 0),
+    sources,
+  };
+}
+
+function createSnapshot({ trigger = 'manual', actorId = null } = {}) {
+  const created = new Date();
+  const id = newId(created);
+  const tmpDir = path.join(BACKUP_DIR, `.tmp-${id}`);
+  ensureDir(tmpDir);
+
+  const secret = encryptionSecret();
+  const salt = secret ? crypto.randomBytes(16).toString('base64') : null;
+  const key = secret ? deriveKey(secret, salt) : null;
+
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    id,
+    createdAt: created.toISOString(),
+    trigger,
+    createdBy: actorId ? String(actorId) : null,
+    driver: DRIVER,
+    schemaVersion: null,
+    encryption: secret ? { cipher: 'aes-256-gcm', kdf: 'scrypt', salt } : null,
+    entries: [],
+  };
+
+  try {
+    for (const e of collectEntries()) {
+      if (e.source === 'db') manifest.schemaVersion = JSON.parse(e.data).schemaVersion || null;
+
+      const file = e.source === 'brains' ? `brains/${e.name}.gz` : `${e.source}.json.gz`;
+      const packed = zlib.gzipSync(e.data);
+      ensureDir(path.dirname(path.join(tmpDir, file)));
+      fs.writeFileSync(path.join(tmpDir, file), key ? encrypt(packed, key) : packed);
+
+      manifest.entries.push({
+        source: e.source,
+        name: e.name,
+        file,
+        path: e.path,
+        bytes: e.data.length,
+        sha256: sha256(e.data),
+      });
+    }
+
+    fs.writeFileSync(path.join(tmpDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmpDir, path.join(BACKUP_DIR, id));
+  } catch (e) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw e;
+  }
+
+  const out = summary(manifest);
+  audit({
+    actorId,
+    action: 'BACKUP_CREATED',
+    targetType: 'Backup',
+    targetId: id,
+    metadata: { trigger, entries: out.entries, bytes: out.bytes, encrypted: out.encrypted },
+  });
+
+  applyRetention();
+  return out;
+}
+
+function readManifest(id) {
+  const file = path.join(snapshotDir(id), 'manifest.json');
+  if (!fs.existsSync(file)) throw httpError(404, 'Backup not found');
+  const m = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (m.format !== FORMAT) throw httpError(422, 'Not an AutoShield backup');
+  return m;
+}
+
+function getSnapshot(id) {
+  const m = readManifest(id);
+  return { ...summary(m), entries: m.entries.map(({ source, name, bytes, sha256 }) => ({ source, name, bytes, sha256 })) };
+}
+
+// newest first
+function listSnapshots() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter((d) => ID_RE.test(d) && fs.existsSync(path.join(BACKUP_DIR, d, 'manifest.json')))
+    .sort()
+    .reverse()
+    .map((d) => {
+      try {
+        return summary(readManifest(d));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Original bytes of one entry; throws 422 when the file was altered or damaged
+function readEntry(manifest, entry, key = keyFor(manifest)) {
+  const file = path.join(snapshotDir(manifest.id), entry.file);
+  if (!fs.existsSync(file)) throw httpError(422, `${entry.file} is missing`);
+
+  let data;
+  try {
+    const raw = fs.readFileSync(file);
+    data = zlib.gunzipSync(key ? decrypt(raw, key) : raw);
+  } catch {
+    throw httpError(422, `${entry.file} cannot be ${key ? 'decrypted' : 'read'}`);
+  }
+  if (sha256(data) !== entry.sha256) throw httpError(422, `${entry.file} does not match its checksum`);
+  return data;
+}
+
+function verifySnapshot(id) {
+  const m = readManifest(id);
+  const key = keyFor(m);
+  const problems = [];
+
+  for (const e of m.entries) {
+    try {
+      readEntry(m, e, key);
+    } catch (err) {
+      problems.push({ file: e.file, error: err?.message || String(err) });
+    }
+  }
+  return { ok: problems.length === 0, id: m.id, checked: m.entries.length, problems };
+}
+
+/* ================= SCHEDULE + RETENTION ================= */
+
+function backupIfDue(now = Date.now()) {
+  if (!(INTERVAL_HOURS > 0)) return null;
+  const last = listSnapshots()[0];
+  if (last && now - Date.parse(last.createdAt) < INTERVAL_HOURS * 3600 * 1000) return null;
+  return createSnapshot({ trigger: 'schedule' });
+}
+
+function weekKey(d) {
+  // Monday-based week, keyed by its first day
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+function applyRetention() {
+  const all = listSnapshots();
+  const keep = new Set(all.slice(0, KEEP_LAST).map((s) => s.id));
+
+  const newestPer = (keyOf, limit) => {
+    const seen = new Set();
+    for (const s of all) {
+      const k = keyOf(new Date(s.createdAt));
+      if (seen.has(k)) continue;
+      seen.add(k);
+      if (seen.size > limit) break;
+      keep.add(s.id);
+    }
+  };
+  newestPer((d) => d.toISOString().slice(0, 10), KEEP_DAILY);
+  newestPer(weekKey, KEEP_WEEKLY);
+
+  const removed = [];
+  for (const s of all) {
+    if (keep.has(s.id)) continue;
+    fs.rmSync(snapshotDir(s.id), { recursive: true, force: true });
+    removed.push(s.id);
+  }
+  return removed;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  INTERVAL_HOURS,
+  FILE_SOURCES,
+  BRAIN_FILE_RE,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  readManifest,
+  keyFor,
+  readEntry,
+  verifySnapshot,
+  backupIfDue,
+  applyRetention,
+};
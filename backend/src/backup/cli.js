@@ -0,0 +1,62 @@
+// backend/src/backup/cli.js
+// Backups by hand (the server also takes them on schedule, see backup/backup.service.js).
+//
+//   npm run backup -- create
+//   npm run backup -- list
+//   npm run backup -- verify <id>
+//   npm run backup -- restore <id> [--tenant <companyId | user:userId>]
+//
+// Uses the same env as the server (BACKUP_DIR, BACKUP_ENCRYPTION_KEY, state file paths).
+// Stop the server before restoring: it keeps state in memory and would write it back.
+
+require('dotenv').config();
+
+const { ensureDb } = require('../lib/db');
+const backups = require('./backup.service');
+const restore = require('./restore.service');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? null : process.argv[i + 1] || null;
+}
+
+function main() {
+  const [cmd, id] = process.argv.slice(2).filter((a, i, all) => !a.startsWith('--') && all[i - 1] !== '--tenant');
+  ensureDb();
+
+  if (cmd === 'create') {
+    const s = backups.createSnapshot({ trigger: 'manual' });
+    console.log(`[backup] ${s.id}: ${s.entries} files, ${s.bytes} bytes${s.encrypted ? ', encrypted' : ''}`);
+    return 0;
+  }
+
+  if (cmd === 'list') {
+    for (const s of backups.listSnapshots()) {
+      console.log(`${s.id}  ${s.createdAt}  ${s.trigger.padEnd(11)} ${String(s.entries).padStart(4)} files${s.encrypted ? '  encrypted' : ''}`);
+    }
+    return 0;
+  }
+
+  if (cmd === 'verify' && id) {
+    const out = backups.verifySnapshot(id);
+    for (const p of out.problems) console.error(`[backup] ${p.file}: ${p.error}`);
+    console.log(`[backup] ${out.id}: ${out.checked} files checked, ${out.ok ? 'intact' : `${out.problems.length} damaged`}`);
+    return out.ok ? 0 : 1;
+  }
+
+  if (cmd === 'restore' && id) {
+    const out = restore.restoreSnapshot(id, { tenant: arg('tenant') });
+    console.log(JSON.stringify(out, null, 2));
+    return 0;
+  }
+
+  console.error('usage: backup create | list | verify <id> | restore <id> [--tenant <companyId | user:userId>]');
+  return 1;
+}
+
+try {
+  process.exitCode = main();
+} catch (e) {
+  console.error('[backup]', e?.message || e);
+  process.exitCode = 1;
+}
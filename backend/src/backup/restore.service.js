@@ -0,0 +1,294 @@
+// backend/src/backup/restore.service.js
+// Restore from a snapshot (backup/backup.service.js): everything, or one tenant.
+//
+// Everything (tenant = null):
+// - a 'pre-restore' snapshot of the current state is taken first
+// - the database document is replaced, then pending schema migrations run; the audit log
+//   and its checkpoints are kept as they are now (history is never rewound, and the hash
+//   chain stays whole), unless the current log is empty
+// - every file in the snapshot is written back to its current path and the owning
+//   module reloads it; files that are not in the snapshot are left alone
+//
+// Either way, sign-in credentials are never rewound: sessions, API keys and password
+// resets stay as they are now, and users that exist now keep their current password,
+// MFA and tokenVersion. A restore can't bring back a revoked session or key, a used
+// reset link or recovery code, or an old password.
+//
+// One tenant (tenant = '<companyId>' or 'user:<userId>'):
+// - database records of that tenant are put back as they were in the snapshot and
+//   records it gained since are removed (company, members, invites, manager assignments,
+//   notifications, data jobs)
+// - records that now belong to someone else (e.g. a user moved to another company) are
+//   skipped and listed in the report
+// - the tenant's AI brain files and security events are replaced too
+// - the audit log is history and is never rewound; BACKUP_RESTORED is appended
+//
+// The server keeps state in memory: restore through the Admin API, or stop it before
+// using the CLI.
+
+const fs = require('fs');
+const path = require('path');
+const { readDb, writeDb, ensureDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const brain = require('../lib/brain');
+const securityEvents = require('../services/securityEvents');
+const { eventMatches } = require('../privacy/export.service');
+const users = require('../users/user.service');
+const permissions = require('../auth/permissions');
+const backups = require('./backup.service');
+
+const PERSONAL_PREFIX = 'user:';
+
+// kept as they are now (see above)
+const CREDENTIAL_COLLECTIONS = ['sessions', 'apiKeys', 'passwordResets'];
+const CREDENTIAL_FIELDS = ['passwordHash', 'passwordHistory', 'passwordChangedAt', 'mustResetPassword', 'tokenVersion', 'mfa'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function writeFileAtomic(file, data) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function loadSnapshot(snapshotId) {
+  const manifest = backups.readManifest(snapshotId);
+  const key = backups.keyFor(manifest);
+  const entry = manifest.entries.find((e) => e.source === 'db');
+  if (!entry) throw httpError(422, 'Backup has no database entry');
+  const db = JSON.parse(backups.readEntry(manifest, entry, key).toString('utf-8'));
+  return { manifest, key, db };
+}
+
+/* ================= CREDENTIALS ================= */
+
+// snapshot user record with the sign-in fields of the user as it is now
+function withCurrentCredentials(rec, cur) {
+  if (!cur) return rec;
+  const out = { ...rec };
+  for (const f of CREDENTIAL_FIELDS) {
+    if (f in cur) out[f] = cur[f];
+    else delete out[f];
+  }
+  return out;
+}
+
+// -> { collections: { name: [...] }, users: Map id -> user }, read before anything is replaced
+function currentCredentials(db) {
+  return {
+    collections: Object.fromEntries(CREDENTIAL_COLLECTIONS.map((n) => [n, db[n] || []])),
+    users: new Map((db.users || []).map((u) => [String(u.id), u])),
+  };
+}
+
+function keepCredentials(db, creds) {
+  Object.assign(db, creds.collections);
+  db.users = (db.users || []).map((u) => withCurrentCredentials(u, creds.users.get(String(u.id))));
+}
+
+/* ================= TENANT SCOPE ================= */
+
+function parseTenant(tenant) {
+  const t = String(tenant || '').trim().slice(0, 90);
+  if (!t) throw httpError(400, 'tenant is required');
+  if (t.startsWith(PERSONAL_PREFIX)) {
+    const userId = t.slice(PERSONAL_PREFIX.length);
+    if (!userId) throw httpError(400, 'tenant must be a company id or user:<userId>');
+    return { type: 'user', id: userId, label: t };
+  }
+  return { type: 'company', id: t, label: t };
+}
+
+// What belongs to the tenant inside one database document
+function scopeOf(db, tenant) {
+  const companyId = tenant.type === 'company' ? tenant.id : null;
+  const people =
+    tenant.type === 'company'
+      ? (db.users || []).filter(
+          (u) => u.companyId === companyId && !permissions.hasRole(u, users.ROLES.ADMIN, users.ROLES.MANAGER)
+        )
+      : (db.users || []).filter((u) => u.id === tenant.id);
+
+  const userIds = new Set(people.map((u) => u.id));
+  const emails = new Set(people.map((u) => String(u.email || '').toLowerCase()));
+  const byCompany = (r) => !!companyId && r.companyId === companyId;
+  const byUser = (field) => (r) => userIds.has(String(r[field] || ''));
+
+  const owns = {
+    companies: (r) => !!companyId && r.id === companyId,
+    users: byUser('id'),
+    invites: byCompany,
+    managerAssignments: byCompany,
+    notifications: (r) => byCompany(r) || byUser('userId')(r),
+    notificationPrefs: byUser('userId'),
+    notificationDeliveries: byUser('userId'),
+    dataJobs: (r) => (!!companyId && r.subjectId === companyId) || byUser('subjectId')(r),
+  };
+
+  return {
+    userIds,
+    owns,
+    exists: tenant.type === 'company' ? (db.companies || []).some(owns.companies) : people.length > 0,
+    brainTenants: [...(companyId ? [companyId] : []), ...people.map((u) => `${PERSONAL_PREFIX}${u.id}`)],
+    events: (e) => eventMatches(e, { companyId, userIds, emails }),
+  };
+}
+
+function restoreRecords(db, snap, tenant) {
+  const before = scopeOf(db, tenant);
+  const then = scopeOf(snap, tenant);
+  const report = { restored: {}, removed: {}, skipped: [] };
+
+  for (const [name, ownedThen] of Object.entries(then.owns)) {
+    const ownedNow = before.owns[name];
+    const wanted = (snap[name] || []).filter(ownedThen);
+    const wantedIds = new Set(wanted.map((r) => String(r.id)));
+
+    // records the tenant gained after the snapshot
+    const list = (db[name] || []).filter((r) => !ownedNow(r) || wantedIds.has(String(r.id)));
+    const removed = (db[name] || []).length - list.length;
+
+    const at = new Map(list.map((r, i) => [String(r.id), i]));
+    let restored = 0;
+    for (const rec of wanted) {
+      const id = String(rec.id);
+      if (!at.has(id)) {
+        at.set(id, list.length);
+        list.push(rec);
+        restored++;
+        continue;
+      }
+      const cur = list[at.get(id)];
+      if (!ownedNow(cur)) {
+        report.skipped.push({ collection: name, id, reason: 'now belongs to another tenant' });
+        continue;
+      }
+      list[at.get(id)] = name === 'users' ? withCurrentCredentials(rec, cur) : rec;
+      restored++;
+    }
+
+    db[name] = list;
+    if (restored) report.restored[name] = restored;
+    if (removed) report.removed[name] = removed;
+  }
+
+  return { report, now: before, then };
+}
+
+/* ================= RESTORE ================= */
+
+function restoreAll({ manifest, key, db }) {
+  const safety = backups.createSnapshot({ trigger: 'pre-restore' });
+
+  const current = readDb();
+  const creds = currentCredentials(current);
+  if (current.audit.length) {
+    db.audit = current.audit;
+    db.auditCheckpoints = current.auditCheckpoints;
+  }
+  writeDb(db);
+  const migrated = ensureDb();
+
+  // after the migrations, which expect the snapshot's schema
+  const restored = readDb();
+  keepCredentials(restored, creds);
+  writeDb(restored);
+
+  const files = [];
+  for (const e of manifest.entries) {
+    if (e.source === 'db') continue;
+    const target =
+      e.source === 'brains'
+        ? path.join(brain.BASE_PATH, e.name)
+        : backups.FILE_SOURCES.find((s) => s.source === e.source)?.path();
+    if (!target) continue;
+    writeFileAtomic(target, backups.readEntry(manifest, e, key));
+    files.push({ source: e.source, name: e.name });
+  }
+
+  for (const s of backups.FILE_SOURCES) {
+    if (files.some((f) => f.source === s.source)) s.reload();
+  }
+
+  return {
+    safetySnapshot: safety.id,
+    database: { schemaVersion: migrated.to, migrationsApplied: migrated.applied.length },
+    files: files.length,
+  };
+}
+
+function restoreTenant({ manifest, key, db: snap }, tenant) {
+  const db = readDb();
+  if (!scopeOf(snap, tenant).exists) throw httpError(404, `${tenant.label} is not in this backup`);
+
+  const { report, now, then } = restoreRecords(db, snap, tenant);
+  writeDb(db);
+
+  // brain files: the tenant's own plus those of its members at snapshot time
+  const brainNames = new Set(then.brainTenants.map((t) => path.basename(brain.brainPath(t))));
+  let brainFiles = 0;
+  for (const e of manifest.entries) {
+    if (e.source !== 'brains' || !brainNames.has(e.name)) continue;
+    writeFileAtomic(path.join(brain.BASE_PATH, e.name), backups.readEntry(manifest, e, key));
+    brainFiles++;
+  }
+
+  // security events: everything matching the tenant now, swapped for what matched then
+  let events = 0;
+  const eventsEntry = manifest.entries.find((e) => e.source === 'securityEvents');
+  if (eventsEntry) {
+    const stored = JSON.parse(backups.readEntry(manifest, eventsEntry, key).toString('utf-8'));
+    const wanted = (stored.events || []).filter(then.events);
+    events = securityEvents.replaceEvents((e) => now.events(e) || then.events(e), wanted);
+  }
+
+  return { ...report, brainFiles, securityEvents: events };
+}
+
+/**
+ * restoreSnapshot(snapshotId, { tenant, actorId })
+ * -> { snapshotId, snapshotCreatedAt, tenant, restoredAt, ...details }
+ */
+function restoreSnapshot(snapshotId, { tenant = null, actorId = null } = {}) {
+  const loaded = loadSnapshot(snapshotId);
+  const scope = tenant ? parseTenant(tenant) : null;
+
+  const details = scope ? restoreTenant(loaded, scope) : restoreAll(loaded);
+  const out = {
+    snapshotId: loaded.manifest.id,
+    snapshotCreatedAt: loaded.manifest.createdAt,
+    tenant: scope ? scope.label : 'all',
+    restoredAt: new Date().toISOString(),
+    ...details,
+  };
+
+  audit({
+    actorId,
+    action: 'BACKUP_RESTORED',
+    targetType: 'Backup',
+    targetId: out.snapshotId,
+    companyId: scope?.type === 'company' ? scope.id : null,
+    metadata: { tenant: out.tenant, snapshotCreatedAt: out.snapshotCreatedAt },
+  });
+
+  if (scope?.type === 'company') {
+    createNotification({
+      companyId: scope.id,
+      severity: 'warn',
+      category: 'system',
+      title: 'Company data restored',
+      message: `Your company data was restored from a backup taken at ${out.snapshotCreatedAt}.`,
+    });
+  }
+
+  return out;
+}
+
+module.exports = { restoreSnapshot, parseTenant };
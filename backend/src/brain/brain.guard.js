@@ -1,7 +1,7 @@
-const { requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 const brainAdminOnly = [
-  requireRole('admin')
+  requirePermission('brain.manage')
 ];
 
 module.exports = { brainAdminOnly };
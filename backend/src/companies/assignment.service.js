@@ -0,0 +1,205 @@
+// backend/src/companies/assignment.service.js
+// MSP "book of business": which Manager looks after which companies.
+//
+// - Admins assign / unassign (routes/admin.routes.js); both are audited and
+//   the manager + company are notified
+// - Managers only see data for their assigned companies (manager room, posture);
+//   callers holding admin.platform.read see everything
+// - A company can have several managers, a manager several companies
+//
+// db.managerAssignments[] = { id, managerId, companyId, assignedBy, assignedAt }
+
+const { nanoid } = require('nanoid');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const users = require('../users/user.service');
+const companies = require('./company.service');
+const permissions = require('../auth/permissions');
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureAssignments(db) {
+  if (!db.managerAssignments) db.managerAssignments = [];
+  if (!Array.isArray(db.managerAssignments)) db.managerAssignments = [];
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanId(v) {
+  return String(v || '').trim().slice(0, 80);
+}
+
+function loadPair(db, managerId, companyId) {
+  const m = (db.users || []).find((u) => u.id === cleanId(managerId));
+  if (!m) throw httpError(404, 'Manager not found');
+  if (!permissions.hasRole(m, users.ROLES.MANAGER)) throw httpError(400, 'User is not a Manager');
+
+  const c = companies.getCompanyById(db, cleanId(companyId));
+  if (!c) throw httpError(404, 'Company not found');
+
+  return { m, c };
+}
+
+function present(db, a) {
+  const m = (db.users || []).find((u) => u.id === a.managerId);
+  const c = companies.getCompanyById(db, a.companyId);
+  return {
+    ...a,
+    managerEmail: m ? m.email : null,
+    companyName: c ? c.name : null,
+  };
+}
+
+function assign({ managerId, companyId, actorId }) {
+  const db = readDb();
+  ensureAssignments(db);
+
+  const { m, c } = loadPair(db, managerId, companyId);
+
+  const existing = db.managerAssignments.find((a) => a.managerId === m.id && a.companyId === c.id);
+  if (existing) return { assignment: present(db, existing), created: false };
+
+  const a = {
+    id: nanoid(),
+    managerId: m.id,
+    companyId: c.id,
+    assignedBy: actorId ? String(actorId) : null,
+    assignedAt: nowISO(),
+  };
+
+  db.managerAssignments.push(a);
+  writeDb(db);
+
+  audit({
+    actorId: a.assignedBy,
+    action: 'MANAGER_ASSIGNED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { managerId: m.id },
+  });
+
+  createNotification({
+    userId: m.id,
+    severity: 'info',
+    category: 'company',
+    title: 'Company assigned',
+    message: `You now manage ${c.name}.`,
+  });
+
+  createNotification({
+    companyId: c.id,
+    severity: 'info',
+    category: 'company',
+    title: 'Manager assigned',
+    message: `${m.email} is now a manager for this company.`,
+  });
+
+  return { assignment: present(readDb(), a), created: true };
+}
+
+function unassign({ managerId, companyId, actorId }) {
+  const db = readDb();
+  ensureAssignments(db);
+
+  const a = db.managerAssignments.find(
+    (x) => x.managerId === cleanId(managerId) && x.companyId === cleanId(companyId)
+  );
+  if (!a) return null;
+
+  db.managerAssignments = db.managerAssignments.filter((x) => x.id !== a.id);
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'MANAGER_UNASSIGNED',
+    targetType: 'Company',
+    targetId: a.companyId,
+    companyId: a.companyId,
+    metadata: { managerId: a.managerId },
+  });
+
+  const c = companies.getCompanyById(readDb(), a.companyId);
+  createNotification({
+    userId: a.managerId,
+    severity: 'info',
+    category: 'company',
+    title: 'Company unassigned',
+    message: `You no longer manage ${c ? c.name : a.companyId}.`,
+  });
+
+  return { ok: true, id: a.id };
+}
+
+function listAssignments({ managerId = null, companyId = null } = {}) {
+  const db = readDb();
+  ensureAssignments(db);
+
+  return db.managerAssignments
+    .filter((a) => !managerId || a.managerId === managerId)
+    .filter((a) => !companyId || a.companyId === companyId)
+    .map((a) => present(db, a));
+}
+
+function companyIdsFor(managerId, db = readDb()) {
+  ensureAssignments(db);
+  return db.managerAssignments.filter((a) => a.managerId === String(managerId || '')).map((a) => a.companyId);
+}
+
+/**
+ * bookFor(user, db)
+ * -> { all: true } for callers with admin.platform.read
+ * -> { all: false, companyIds: Set, userIds: Set } otherwise (members of assigned companies)
+ */
+function bookFor(user, db = readDb()) {
+  if (permissions.can(user, 'admin.platform.read')) return { all: true };
+
+  const ids = permissions.hasRole(user, users.ROLES.MANAGER) ? companyIdsFor(user.id, db) : [];
+  const companyIds = new Set(ids);
+  const userIds = new Set();
+
+  for (const c of db.companies || []) {
+    if (!companyIds.has(c.id)) continue;
+    (c.members || []).forEach((uid) => userIds.add(String(uid)));
+  }
+  for (const u of db.users || []) {
+    if (u.companyId && companyIds.has(u.companyId)) userIds.add(u.id);
+  }
+
+  return { all: false, companyIds, userIds };
+}
+
+function inBook(book, { companyId = null, userId = null } = {}) {
+  if (book.all) return true;
+  if (companyId && book.companyIds.has(String(companyId))) return true;
+  if (userId && book.userIds.has(String(userId))) return true;
+  return false;
+}
+
+// audit rows: by company, company target, or a user in the book (actor or target)
+function auditInBook(book, ev) {
+  if (book.all) return true;
+  return (
+    inBook(book, { companyId: ev.companyId }) ||
+    (ev.targetType === 'Company' && inBook(book, { companyId: ev.targetId })) ||
+    inBook(book, { userId: ev.actorId }) ||
+    (ev.targetType === 'User' && inBook(book, { userId: ev.targetId }))
+  );
+}
+
+module.exports = {
+  assign,
+  unassign,
+  listAssignments,
+  companyIdsFor,
+  bookFor,
+  inBook,
+  auditInBook,
+};
@@ -1,12 +1,58 @@
 // backend/src/companies/company.service.js
 const { nanoid } = require('nanoid');
-const { readDb, writeDb } = require('../lib/db');
+const { readDb, writeDb, store } = require('../lib/db');
 const { audit } = require('../lib/audit');
 const { createNotification } = require('../lib/notify');
 
+// Lifecycle (companies/lifecycle.service.js): Active <-> Suspended, -> Deleted (restorable) -> purged
+const COMPANY_STATUS = {
+  ACTIVE: 'Active',
+  SUSPENDED: 'Suspended',
+  DELETED: 'Deleted',
+};
+
+// Profile fields a company owner / Admin may edit
+const PROFILE_FIELDS = {
+  name: 120,
+  country: 80,
+  website: 160,
+  industry: 120,
+  contactEmail: 160,
+  contactPhone: 60,
+  sizeTier: 30,
+};
+
+// Subdomain-safe tenant slugs: "Acme Corp" -> "acme-corp"
+const RESERVED_SLUGS = ['www', 'api', 'app', 'admin', 'auth', 'mail', 'static'];
+
+function slugify(v) {
+  return String(v || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+function uniqueSlug(db, base, exceptId = null) {
+  let root = slugify(base) || 'company';
+  if (RESERVED_SLUGS.includes(root)) root = `${root}-co`;
+  const taken = new Set(
+    db.companies.filter((c) => c.id !== exceptId && c.slug).map((c) => c.slug)
+  );
+  let slug = root;
+  for (let i = 2; taken.has(slug); i++) slug = `${root}-${i}`;
+  return slug;
+}
+
 function ensureCompanies(db) {
   if (!db.companies) db.companies = [];
   if (!Array.isArray(db.companies)) db.companies = [];
+
+  // backfill slugs for companies created before slugs existed (persisted on next write)
+  for (const c of db.companies) {
+    if (!c.slug) c.slug = uniqueSlug(db, c.name, c.id);
+  }
 }
 
 function safeStr(v, maxLen = 160) {
@@ -26,6 +72,55 @@ function getCompanyById(db, id) {
   return db.companies.find(c => String(c.id) === cid) || null;
 }
 
+function getCompanyBySlug(db, slug) {
+  ensureCompanies(db);
+  const s = String(slug || '').trim().toLowerCase();
+  if (!s) return null;
+  return db.companies.find(c => c.slug === s) || null;
+}
+
+// single-record reads for per-request paths (auth, tenant): no whole-document load
+function findCompany(id) {
+  const cid = String(id || '').trim();
+  if (!cid) return null;
+  return store.findOne('companies', { id: cid });
+}
+
+function findCompanyBySlug(slug) {
+  const s = String(slug || '').trim().toLowerCase();
+  if (!s) return null;
+  return store.findOne('companies', { slug: s });
+}
+
+function setSlug(companyId, slug, actorId) {
+  const db = readDb();
+  ensureCompanies(db);
+
+  const c = getCompanyById(db, companyId);
+  if (!c) throw new Error('Company not found');
+
+  const clean = slugify(slug);
+  if (!clean || clean !== String(slug || '').trim().toLowerCase()) {
+    throw new Error('Slug may only contain a-z, 0-9 and single dashes');
+  }
+  if (RESERVED_SLUGS.includes(clean)) throw new Error('Slug is reserved');
+  if (db.companies.some(x => x.id !== c.id && x.slug === clean)) throw new Error('Slug already in use');
+
+  const prev = c.slug;
+  c.slug = clean;
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'COMPANY_SLUG_SET',
+    targetType: 'Company',
+    targetId: c.id,
+    metadata: { from: prev, to: clean }
+  });
+
+  return sanitize(c);
+}
+
 function createCompany({
   name,
   country,
@@ -45,6 +140,7 @@ function createCompany({
   const c = {
     id: nanoid(),
     name: cleanName,
+    slug: uniqueSlug(db, cleanName),
     country: safeStr(country, 80),
     website: safeStr(website, 160),
     industry: safeStr(industry, 120),
@@ -52,7 +148,7 @@ function createCompany({
     contactPhone: safeStr(contactPhone, 60),
     sizeTier: safeStr(sizeTier, 30) || 'Small',
     createdAt: nowISO(),
-    status: 'Active',
+    status: COMPANY_STATUS.ACTIVE,
     createdBy: createdBy ? String(createdBy) : null,
     members: []
   };
@@ -70,6 +166,7 @@ function createCompany({
   createNotification({
     companyId: c.id,
     severity: 'info',
+    category: 'company',
     title: 'Company created',
     message: 'Company workspace is ready.'
   });
@@ -77,15 +174,82 @@ function createCompany({
   return c;
 }
 
+// API shape: never expose the SSO client secret
+function sanitize(c) {
+  if (!c) return null;
+  if (!c.sso) return c;
+  const { clientSecret, ...sso } = c.sso;
+  return { ...c, sso: { ...sso, clientSecretSet: !!clientSecret } };
+}
+
 function listCompanies() {
   const db = readDb();
   ensureCompanies(db);
-  return db.companies;
+  return db.companies.map(sanitize);
 }
 
 function getCompany(id) {
   const db = readDb();
-  return getCompanyById(db, id);
+  return sanitize(getCompanyById(db, id));
+}
+
+/**
+ * accessBlock(db, companyId)
+ * null when members may sign in / use API keys, else { status, error, reason }
+ */
+function accessBlock(db, companyId) {
+  return blockOf(getCompanyById(db, companyId));
+}
+
+// same check on a company record already loaded
+function blockOf(c) {
+  if (!c) return null;
+  if (c.status === COMPANY_STATUS.SUSPENDED) {
+    return { status: 403, error: 'Company suspended', reason: 'company_suspended' };
+  }
+  if (c.status === COMPANY_STATUS.DELETED) {
+    return { status: 403, error: 'Company deleted', reason: 'company_deleted' };
+  }
+  return null;
+}
+
+function updateCompany(companyId, patch, actorId) {
+  const db = readDb();
+  ensureCompanies(db);
+
+  const c = getCompanyById(db, companyId);
+  if (!c) throw new Error('Company not found');
+  if (c.status === COMPANY_STATUS.DELETED) throw new Error('Company is deleted; restore it first');
+
+  const p = patch && typeof patch === 'object' ? patch : {};
+  const changes = {};
+
+  for (const [field, max] of Object.entries(PROFILE_FIELDS)) {
+    if (typeof p[field] === 'undefined') continue;
+    const v = safeStr(p[field], max);
+    if (field === 'name' && !v) throw new Error('Company name is required');
+    if (v !== (c[field] || '')) changes[field] = { from: c[field] || '', to: v };
+  }
+
+  const unknown = Object.keys(p).filter(k => !PROFILE_FIELDS[k]);
+  if (unknown.length) throw new Error(`Fields cannot be changed here: ${unknown.join(', ')}`);
+
+  if (!Object.keys(changes).length) return sanitize(c);
+
+  for (const [field, ch] of Object.entries(changes)) c[field] = ch.to;
+  c.updatedAt = nowISO();
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'COMPANY_UPDATED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { changes }
+  });
+
+  return sanitize(c);
 }
 
 function addMember(companyId, userId, actorId) {
@@ -94,6 +258,7 @@ function addMember(companyId, userId, actorId) {
 
   const c = getCompanyById(db, companyId);
   if (!c) throw new Error('Company not found');
+  if (c.status === COMPANY_STATUS.DELETED) throw new Error('Company is deleted');
 
   const uid = String(userId || '').trim();
   if (!uid) throw new Error('Missing userId');
@@ -116,12 +281,13 @@ function addMember(companyId, userId, actorId) {
     createNotification({
       companyId: c.id,
       severity: 'info',
+      category: 'company',
       title: 'Member added',
       message: `User ${uid} was added to company.`
     });
   }
 
-  return c;
+  return sanitize(c);
 }
 
 function removeMember(companyId, userId, actorId) {
@@ -140,6 +306,8 @@ function removeMember(companyId, userId, actorId) {
   c.members = c.members.filter(x => String(x) !== uid);
 
   if (c.members.length !== before) {
+    // a company role never outlives the membership
+    if (Array.isArray(c.roleBindings)) c.roleBindings = c.roleBindings.filter(b => String(b.userId) !== uid);
     writeDb(db);
 
     audit({
@@ -153,15 +321,27 @@ function removeMember(companyId, userId, actorId) {
     createNotification({
       companyId: c.id,
       severity: 'warn',
+      category: 'company',
       title: 'Member removed',
       message: `User ${uid} was removed from company.`
     });
   }
 
-  return c;
+  return sanitize(c);
 }
 
 module.exports = {
+  COMPANY_STATUS,
+  PROFILE_FIELDS,
+  accessBlock,
+  blockOf,
+  updateCompany,
+  sanitize,
+  getCompanyById,
+  getCompanyBySlug,
+  findCompany,
+  findCompanyBySlug,
+  setSlug,
   createCompany,
   listCompanies,
   getCompany,
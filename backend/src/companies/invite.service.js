@@ -0,0 +1,425 @@
+// backend/src/companies/invite.service.js
+// Company invitations: invite by email + role, invitee accepts and sets a password.
+//
+// - Token = "<inviteId>.<secret>", only an HMAC of the secret is stored (keyed with JWT_SECRET)
+// - Expires after INVITE_TTL_HOURS (default 72); resending issues a new token
+//   (the old link stops working) and restarts the clock
+// - Accepting creates the user (or attaches an existing, signed-in account),
+//   sets companyId and adds them to companies[].members
+// - Every step is audited; the company room is notified
+//
+// db.invites[] = {
+//   id, companyId, email, role, tokenHash, status: 'pending'|'accepted'|'revoked',
+//   invitedBy, createdAt, expiresAt, resentAt, resendCount,
+//   acceptedAt, acceptedUserId, revokedAt, revokedBy
+// }
+
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const { sendMail } = require('../lib/mail');
+const users = require('../users/user.service');
+const companies = require('./company.service');
+const oidc = require('../auth/oidc.service');
+
+const TTL_HOURS = Number(process.env.INVITE_TTL_HOURS || 72);
+const MAX_RESENDS = 5;
+
+// Company owners can bring in staff; platform roles are never granted by invite
+const INVITE_ROLES = [users.ROLES.COMPANY, users.ROLES.INDIVIDUAL];
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureInvites(db) {
+  if (!db.invites) db.invites = [];
+  if (!Array.isArray(db.invites)) db.invites = [];
+}
+
+function normEmail(v) {
+  return String(v || '').trim().toLowerCase().slice(0, 200);
+}
+
+function hmac(secret) {
+  const key = process.env.JWT_SECRET;
+  if (!key) throw new Error('JWT_SECRET is not defined');
+  return crypto.createHmac('sha256', key).update(String(secret)).digest('hex');
+}
+
+function inviteLink(token) {
+  const base = String(process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${base}/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+function isExpired(inv, now = Date.now()) {
+  return new Date(inv.expiresAt).getTime() <= now;
+}
+
+function statusOf(inv) {
+  if (inv.status === 'pending' && isExpired(inv)) return 'expired';
+  return inv.status;
+}
+
+function publicInvite(inv) {
+  const { tokenHash, ...rest } = inv;
+  return { ...rest, status: statusOf(inv) };
+}
+
+function newToken(inv) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  inv.tokenHash = hmac(secret);
+  inv.expiresAt = new Date(Date.now() + TTL_HOURS * 3600 * 1000).toISOString();
+  return `${inv.id}.${secret}`;
+}
+
+async function mailInvite(inv, token, companyName) {
+  try {
+    const sent = await sendMail({
+      to: inv.email,
+      subject: `You're invited to join ${companyName} on AutoShield Tech`,
+      text:
+        `You have been invited to join ${companyName} on AutoShield Tech as ${inv.role}.\n\n` +
+        `Accept the invitation within ${TTL_HOURS} hours:\n${inviteLink(token)}\n\n` +
+        `If you were not expecting this, you can ignore this email.`,
+      tags: ['invite'],
+    });
+
+    audit({
+      actorId: inv.invitedBy,
+      action: 'INVITE_EMAIL_SENT',
+      targetType: 'Invite',
+      targetId: inv.id,
+      companyId: inv.companyId,
+      metadata: { transport: sent.transport, messageId: sent.id },
+    });
+    return true;
+  } catch (e) {
+    audit({
+      actorId: inv.invitedBy,
+      action: 'INVITE_EMAIL_FAILED',
+      targetType: 'Invite',
+      targetId: inv.id,
+      companyId: inv.companyId,
+      metadata: { error: e?.message || String(e) },
+    });
+    return false;
+  }
+}
+
+/* ================= COMPANY SIDE ================= */
+
+/**
+ * createInvite({ companyId, email, role, invitedBy })
+ * Returns { invite, emailSent }
+ */
+async function createInvite({ companyId, email, role = users.ROLES.COMPANY, invitedBy }) {
+  const cleanEmail = normEmail(email);
+  if (!cleanEmail || !cleanEmail.includes('@')) throw new Error('Valid email required');
+  if (!INVITE_ROLES.includes(role)) throw new Error(`Role cannot be granted by invite: ${role}`);
+
+  const db = readDb();
+  ensureInvites(db);
+
+  const c = companies.getCompanyById(db, companyId);
+  if (!c) throw new Error('Company not found');
+  if (companies.accessBlock(db, c.id)) throw new Error('Company is not active');
+
+  const existing = (db.users || []).find((u) => normEmail(u.email) === cleanEmail);
+  if (existing && (c.members || []).map(String).includes(String(existing.id))) {
+    throw new Error('User is already a member of this company');
+  }
+  if (existing && existing.companyId && String(existing.companyId) !== String(c.id)) {
+    throw new Error('User belongs to another company');
+  }
+
+  const pending = db.invites.find(
+    (i) => i.companyId === c.id && i.email === cleanEmail && statusOf(i) === 'pending'
+  );
+  if (pending) throw new Error('An invite is already pending for this email; resend it instead');
+
+  const inv = {
+    id: nanoid(),
+    companyId: c.id,
+    email: cleanEmail,
+    role,
+    tokenHash: null,
+    status: 'pending',
+    invitedBy: invitedBy ? String(invitedBy) : null,
+    createdAt: nowISO(),
+    expiresAt: null,
+    resentAt: null,
+    resendCount: 0,
+    acceptedAt: null,
+    acceptedUserId: null,
+    revokedAt: null,
+    revokedBy: null,
+  };
+  const token = newToken(inv);
+
+  db.invites.push(inv);
+  writeDb(db);
+
+  audit({
+    actorId: inv.invitedBy,
+    action: 'INVITE_CREATED',
+    targetType: 'Invite',
+    targetId: inv.id,
+    companyId: c.id,
+    metadata: { email: cleanEmail, role, expiresAt: inv.expiresAt },
+  });
+
+  createNotification({
+    companyId: c.id,
+    severity: 'info',
+    category: 'company',
+    title: 'Invitation sent',
+    message: `${cleanEmail} was invited as ${role}.`,
+  });
+
+  const emailSent = await mailInvite(inv, token, c.name);
+  return { invite: publicInvite(inv), emailSent };
+}
+
+function listInvites(companyId, { status = null } = {}) {
+  const db = readDb();
+  ensureInvites(db);
+  return db.invites
+    .filter((i) => String(i.companyId) === String(companyId))
+    .map(publicInvite)
+    .filter((i) => !status || i.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Works for pending and expired invites; returns null when not found in this company
+async function resendInvite(id, { companyId, actorId }) {
+  const db = readDb();
+  ensureInvites(db);
+
+  const inv = db.invites.find((i) => i.id === String(id || '') && String(i.companyId) === String(companyId));
+  if (!inv) return null;
+  if (inv.status !== 'pending') throw new Error(`Invite is ${inv.status}`);
+  if (inv.resendCount >= MAX_RESENDS) throw new Error('Resend limit reached; revoke and invite again');
+
+  const token = newToken(inv);
+  inv.resentAt = nowISO();
+  inv.resendCount = Number(inv.resendCount || 0) + 1;
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'INVITE_RESENT',
+    targetType: 'Invite',
+    targetId: inv.id,
+    companyId: inv.companyId,
+    metadata: { email: inv.email, resendCount: inv.resendCount, expiresAt: inv.expiresAt },
+  });
+
+  createNotification({
+    companyId: inv.companyId,
+    severity: 'info',
+    category: 'company',
+    title: 'Invitation resent',
+    message: `The invitation for ${inv.email} was sent again.`,
+  });
+
+  const c = companies.getCompany(inv.companyId);
+  const emailSent = await mailInvite(inv, token, c ? c.name : 'your company');
+  return { invite: publicInvite(inv), emailSent };
+}
+
+function revokeInvite(id, { companyId, actorId }) {
+  const db = readDb();
+  ensureInvites(db);
+
+  const inv = db.invites.find((i) => i.id === String(id || '') && String(i.companyId) === String(companyId));
+  if (!inv) return null;
+  if (inv.status === 'accepted') throw new Error('Invite was already accepted');
+
+  if (inv.status !== 'revoked') {
+    inv.status = 'revoked';
+    inv.revokedAt = nowISO();
+    inv.revokedBy = actorId ? String(actorId) : null;
+    writeDb(db);
+
+    audit({
+      actorId,
+      action: 'INVITE_REVOKED',
+      targetType: 'Invite',
+      targetId: inv.id,
+      companyId: inv.companyId,
+      metadata: { email: inv.email },
+    });
+
+    createNotification({
+      companyId: inv.companyId,
+      severity: 'warn',
+      category: 'company',
+      title: 'Invitation revoked',
+      message: `The invitation for ${inv.email} was revoked.`,
+    });
+  }
+
+  return publicInvite(inv);
+}
+
+/* ================= INVITEE SIDE ================= */
+
+// Resolves a token to its invite; throws a 400 for anything unusable
+function resolveToken(db, token, { ip = null } = {}) {
+  const raw = String(token || '').trim();
+  const dot = raw.indexOf('.');
+  const id = dot > 0 ? raw.slice(0, dot) : '';
+  const secret = dot > 0 ? raw.slice(dot + 1) : '';
+
+  const inv = id ? db.invites.find((i) => i.id === id) : null;
+
+  const fail = (reason) => {
+    audit({
+      actorId: null,
+      action: 'INVITE_REJECTED',
+      targetType: 'Invite',
+      targetId: inv ? inv.id : null,
+      companyId: inv ? inv.companyId : null,
+      metadata: { reason, ip },
+    });
+    const err = new Error('Invitation is invalid or has expired');
+    err.status = 400;
+    return err;
+  };
+
+  if (!inv || !secret) throw fail('unknown_token');
+
+  const a = Buffer.from(hmac(secret));
+  const b = Buffer.from(String(inv.tokenHash || ''));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw fail('bad_signature');
+
+  if (inv.status !== 'pending') throw fail(inv.status);
+  if (isExpired(inv)) throw fail('expired');
+
+  return inv;
+}
+
+// What the accept page shows before the user commits
+function previewInvite(token) {
+  const db = readDb();
+  ensureInvites(db);
+  const inv = resolveToken(db, token);
+  const c = companies.getCompanyById(db, inv.companyId);
+
+  return {
+    email: inv.email,
+    role: inv.role,
+    companyId: inv.companyId,
+    companyName: c ? c.name : null,
+    expiresAt: inv.expiresAt,
+    accountExists: !!users.findByEmail(inv.email),
+  };
+}
+
+/**
+ * acceptInvite(token, { password, userId, ip })
+ * - new account:      pass `password` (validated by users/passwordPolicy.js)
+ * - existing account: pass `userId` of the signed-in user (email must match)
+ * Returns { user, companyId, created }
+ */
+function acceptInvite(token, { password = null, userId = null, ip = null } = {}) {
+  const db = readDb();
+  ensureInvites(db);
+  const inv = resolveToken(db, token, { ip });
+
+  const block = companies.accessBlock(db, inv.companyId);
+  if (block) {
+    const err = new Error(block.error);
+    err.status = block.status;
+    throw err;
+  }
+
+  const existing = users.findByEmail(inv.email);
+  let user;
+  let created = false;
+
+  if (existing) {
+    if (!userId || String(existing.id) !== String(userId)) {
+      const err = new Error('An account already exists for this email; sign in to accept the invitation');
+      err.status = 409;
+      throw err;
+    }
+    if (existing.companyId && String(existing.companyId) !== String(inv.companyId)) {
+      throw new Error('Account belongs to another company');
+    }
+    const patch = { companyId: inv.companyId };
+    if (INVITE_ROLES.includes(existing.role)) patch.role = inv.role;
+    user = users.updateUser(existing.id, patch, existing.id);
+  } else {
+    if (userId) throw new Error('Invitation was sent to a different email');
+    // SSO-only domains get their account from the IdP on first sign-in instead
+    const sso = oidc.ssoEnforcedFor(inv.email);
+    if (sso && String(sso.id) === String(inv.companyId)) {
+      const err = new Error('This organization requires single sign-on');
+      err.status = 403;
+      throw err;
+    }
+    user = users.createUser({
+      email: inv.email,
+      password,
+      role: inv.role,
+      companyId: inv.companyId,
+    });
+    created = true;
+  }
+
+  companies.addMember(inv.companyId, user.id, user.id);
+
+  const fresh = readDb();
+  ensureInvites(fresh);
+  const mark = fresh.invites.find((i) => i.id === inv.id);
+  if (mark) {
+    mark.status = 'accepted';
+    mark.acceptedAt = nowISO();
+    mark.acceptedUserId = user.id;
+    mark.tokenHash = null;
+  }
+  writeDb(fresh);
+
+  audit({
+    actorId: user.id,
+    action: 'INVITE_ACCEPTED',
+    targetType: 'Invite',
+    targetId: inv.id,
+    companyId: inv.companyId,
+    metadata: { email: inv.email, role: inv.role, created, ip },
+  });
+
+  createNotification({
+    companyId: inv.companyId,
+    severity: 'ok',
+    category: 'company',
+    title: 'Invitation accepted',
+    message: `${inv.email} joined the company.`,
+  });
+
+  if (inv.invitedBy) {
+    createNotification({
+      userId: inv.invitedBy,
+      severity: 'info',
+      category: 'company',
+      title: 'Invitation accepted',
+      message: `${inv.email} accepted your invitation.`,
+    });
+  }
+
+  return { user, companyId: inv.companyId, created };
+}
+
+module.exports = {
+  INVITE_ROLES,
+  createInvite,
+  listInvites,
+  resendInvite,
+  revokeInvite,
+  previewInvite,
+  acceptInvite,
+};
@@ -0,0 +1,314 @@
+// backend/src/companies/lifecycle.service.js
+// Company lifecycle: suspend / reactivate, soft delete / restore, purge.
+//
+//   Active <-> Suspended          members can't sign in or use API keys while suspended
+//   Active|Suspended -> Deleted   same block; restorable for COMPANY_RESTORE_DAYS (default 30)
+//   Deleted -> (purged)           manual, or automatically once the restore window ends
+//
+// Purging cascades:
+// - users whose primary company it was are deleted (or re-homed to another company
+//   they still belong to), with their sessions, reset tokens, API keys and lockout state
+// - company API keys, invites, manager assignments, notifications, role bindings
+// - AI brain memory files (company tenant + personal tenants of deleted users)
+// - audit records and security events are kept but anonymised: ids and emails are
+//   replaced with stable pseudonyms (lib/anonymise.js), and so is the company name in the
+//   name fields of the company's own audit records; in live storage and in retention archives
+//
+// A company under legal hold (retention/retention.service.js) can't be purged; expired
+// ones wait until the hold is released.
+//
+// Every transition is audited and the members are notified.
+
+const { readDb, writeDb } = require('../lib/db');
+const { audit, auditRedactions } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const { deleteBrain } = require('../lib/brain');
+const anonymise = require('../lib/anonymise');
+const { scrubEvents } = require('../services/securityEvents');
+const { scrubArchives } = require('../retention/archive.service');
+const { assertNoLegalHold } = require('../retention/retention.service');
+const users = require('../users/user.service');
+const companies = require('./company.service');
+const permissions = require('../auth/permissions');
+
+const { ACTIVE, SUSPENDED, DELETED } = companies.COMPANY_STATUS;
+const RESTORE_DAYS = Number(process.env.COMPANY_RESTORE_DAYS || 30);
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function cleanStr(v, max = 300) {
+  return String(v ?? '').trim().slice(0, max);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function load(db, companyId) {
+  const c = companies.getCompanyById(db, companyId);
+  if (!c) throw httpError(404, 'Company not found');
+  return c;
+}
+
+function notifyMembers(c, { severity = 'info', title, message }) {
+  for (const uid of c.members || []) {
+    createNotification({ userId: String(uid), severity, category: 'company', title, message });
+  }
+  createNotification({ companyId: c.id, severity, category: 'company', title, message });
+}
+
+function record(action, c, actorId, metadata = {}) {
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action,
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata,
+  });
+}
+
+/* ================= SUSPEND / REACTIVATE ================= */
+
+function suspend(companyId, { reason, actorId } = {}) {
+  const db = readDb();
+  const c = load(db, companyId);
+  if (c.status !== ACTIVE && c.status) throw httpError(409, `Company is ${c.status}`);
+
+  const why = cleanStr(reason);
+  c.status = SUSPENDED;
+  c.suspendedAt = nowISO();
+  c.suspendedBy = actorId ? String(actorId) : null;
+  c.suspendReason = why || null;
+  writeDb(db);
+
+  record('COMPANY_SUSPENDED', c, actorId, { reason: why || null });
+  notifyMembers(c, {
+    severity: 'danger',
+    title: 'Company suspended',
+    message: `${c.name} has been suspended${why ? ` (${why})` : ''}. Sign-in and API keys are disabled until it is reactivated.`,
+  });
+
+  return companies.sanitize(c);
+}
+
+function reactivate(companyId, { actorId } = {}) {
+  const db = readDb();
+  const c = load(db, companyId);
+  if (c.status !== SUSPENDED) throw httpError(409, `Company is ${c.status || ACTIVE}`);
+
+  const was = { suspendedAt: c.suspendedAt, reason: c.suspendReason };
+  c.status = ACTIVE;
+  delete c.suspendedAt;
+  delete c.suspendedBy;
+  delete c.suspendReason;
+  writeDb(db);
+
+  record('COMPANY_REACTIVATED', c, actorId, { suspendedAt: was.suspendedAt, reason: was.reason });
+  notifyMembers(c, {
+    severity: 'ok',
+    title: 'Company reactivated',
+    message: `${c.name} is active again. You can sign in as usual.`,
+  });
+
+  return companies.sanitize(c);
+}
+
+/* ================= SOFT DELETE / RESTORE ================= */
+
+function softDelete(companyId, { reason, actorId } = {}) {
+  const db = readDb();
+  const c = load(db, companyId);
+  if (c.status === DELETED) throw httpError(409, 'Company is already deleted');
+
+  const why = cleanStr(reason);
+  c.statusBeforeDelete = c.status || ACTIVE;
+  c.status = DELETED;
+  c.deletedAt = nowISO();
+  c.deletedBy = actorId ? String(actorId) : null;
+  c.deleteReason = why || null;
+  c.purgeAfter = new Date(Date.now() + RESTORE_DAYS * 24 * 3600 * 1000).toISOString();
+  writeDb(db);
+
+  record('COMPANY_DELETED', c, actorId, { reason: why || null, purgeAfter: c.purgeAfter });
+  notifyMembers(c, {
+    severity: 'danger',
+    title: 'Company deleted',
+    message: `${c.name} was deleted. Its data is kept until ${c.purgeAfter} and can be restored by an administrator until then.`,
+  });
+
+  return companies.sanitize(c);
+}
+
+function restore(companyId, { actorId } = {}) {
+  const db = readDb();
+  const c = load(db, companyId);
+  if (c.status !== DELETED) throw httpError(409, `Company is ${c.status || ACTIVE}`);
+  if (new Date(c.purgeAfter).getTime() <= Date.now()) throw httpError(410, 'Restore window has ended');
+
+  const was = { deletedAt: c.deletedAt, reason: c.deleteReason };
+  c.status = c.statusBeforeDelete || ACTIVE;
+  for (const k of ['statusBeforeDelete', 'deletedAt', 'deletedBy', 'deleteReason', 'purgeAfter']) delete c[k];
+  writeDb(db);
+
+  record('COMPANY_RESTORED', c, actorId, { deletedAt: was.deletedAt, reason: was.reason, status: c.status });
+  notifyMembers(c, {
+    severity: 'ok',
+    title: 'Company restored',
+    message: `${c.name} was restored${c.status === SUSPENDED ? ' (still suspended)' : ''}.`,
+  });
+
+  return companies.sanitize(c);
+}
+
+/* ================= PURGE ================= */
+
+/**
+ * purge(companyId, { actorId, reason })
+ * Permanently removes a soft-deleted company. Returns a summary of what was erased.
+ */
+function purge(companyId, { actorId = null, reason = 'manual' } = {}) {
+  const db = readDb();
+  const c = load(db, companyId);
+  if (c.status !== DELETED) throw httpError(409, 'Only deleted companies can be purged; delete it first');
+  assertNoLegalHold(c);
+
+  const memberIds = new Set((c.members || []).map(String));
+  const erased = [];
+  const rehomed = [];
+
+  for (const u of db.users || []) {
+    if (u.companyId !== c.id && !memberIds.has(u.id)) continue;
+    if (permissions.hasRole(u, users.ROLES.ADMIN, users.ROLES.MANAGER)) {
+      if (u.companyId === c.id) u.companyId = null;
+      continue;
+    }
+    if (u.companyId !== c.id) continue; // member here, home elsewhere: just loses the membership
+
+    const other = (db.companies || []).find(
+      (x) => x.id !== c.id && x.status !== DELETED && (x.members || []).map(String).includes(u.id)
+    );
+    if (other) {
+      u.companyId = other.id;
+      rehomed.push(u.id);
+    } else {
+      erased.push(u);
+    }
+  }
+
+  const erasedIds = new Set(erased.map((u) => u.id));
+  const erasedEmails = new Set(erased.map((u) => String(u.email || '').toLowerCase()).filter(Boolean));
+  const gone = (uid) => erasedIds.has(String(uid || ''));
+  const before = (k) => (Array.isArray(db[k]) ? db[k].length : 0);
+  const counts = {};
+
+  const prune = (k, drop) => {
+    const n = before(k);
+    db[k] = (db[k] || []).filter((x) => !drop(x));
+    counts[k] = n - db[k].length;
+  };
+
+  prune('companies', (x) => x.id === c.id);
+  prune('users', (x) => gone(x.id));
+  prune('sessions', (x) => gone(x.userId));
+  prune('passwordResets', (x) => gone(x.userId));
+  prune('apiKeys', (x) => x.companyId === c.id || gone(x.userId));
+  prune('invites', (x) => x.companyId === c.id);
+  prune('managerAssignments', (x) => x.companyId === c.id);
+  prune('notifications', (x) => x.companyId === c.id || gone(x.userId));
+  prune('notificationPrefs', (x) => gone(x.userId));
+  prune('notificationDeliveries', (x) => gone(x.userId));
+
+  for (const other of db.companies) {
+    if (Array.isArray(other.members)) other.members = other.members.filter((uid) => !gone(uid));
+    if (Array.isArray(other.roleBindings)) other.roleBindings = other.roleBindings.filter((b) => !gone(b.userId));
+  }
+
+  const accounts = db.loginGuard?.accounts || {};
+  for (const email of erasedEmails) delete accounts[email];
+
+  // audit: keep the trail, drop the identities
+  const companyRef = anonymise.pseudonym('company', c.id);
+  const replacements = [...anonymise.companyReplacements(c), ...erased.flatMap(anonymise.userReplacements)];
+  const anonymised = anonymise.anonymiseDb(db, replacements);
+
+  writeDb(db);
+
+  auditRedactions(anonymised.redactions, {
+    actorId: actorId ? String(actorId) : null,
+    targetType: 'Company',
+    targetId: companyRef,
+    reason,
+  });
+
+  const events = scrubEvents(replacements);
+  const archived = scrubArchives(replacements);
+
+  let brains = 0;
+  if (deleteBrain(c.id)) brains++;
+  for (const u of erased) if (deleteBrain(`user:${u.id}`)) brains++;
+
+  const summary = {
+    companyRef,
+    reason,
+    usersDeleted: erased.length,
+    usersRehomed: rehomed.length,
+    removed: counts,
+    auditAnonymised: anonymised.audit,
+    referencesAnonymised: anonymised.references,
+    eventsAnonymised: events,
+    archivedAnonymised: archived,
+    brainFilesDeleted: brains,
+  };
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'COMPANY_PURGED',
+    targetType: 'Company',
+    targetId: companyRef,
+    metadata: summary,
+  });
+
+  for (const uid of rehomed) {
+    createNotification({
+      userId: uid,
+      severity: 'warn',
+      category: 'company',
+      title: 'Company removed',
+      message: 'A company you belonged to was permanently deleted. Your account now uses another of your companies.',
+    });
+  }
+
+  return summary;
+}
+
+// Purges every soft-deleted company whose restore window has ended (server.js housekeeping)
+function purgeExpired(now = Date.now()) {
+  const due = (readDb().companies || []).filter(
+    (c) => c.status === DELETED && !c.legalHold && c.purgeAfter && new Date(c.purgeAfter).getTime() <= now
+  );
+
+  const out = [];
+  for (const c of due) {
+    try {
+      out.push(purge(c.id, { reason: 'restore_window_elapsed' }));
+    } catch (e) {
+      console.error('[companies] purge failed for', c.id, e?.message || e);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  RESTORE_DAYS,
+  suspend,
+  reactivate,
+  softDelete,
+  restore,
+  purge,
+  purgeExpired,
+};
@@ -0,0 +1,323 @@
+// backend/src/companies/role.service.js
+// Per-company custom roles + role bindings.
+//
+// - A custom role is a named set of company-scoped permissions
+//   (auth/permissions.js COMPANY_SCOPED), e.g. "Security analyst" = company.read + posture.read
+// - A binding gives one member a role inside one company: a built-in role
+//   (Company / Individual) or a custom role id. A user can be a member of several
+//   companies with a different binding in each.
+// - Members without a binding keep the company-scoped permissions of their global role
+// - Every change is audited (COMPANY_ROLE_*) and the affected user is notified
+//
+// companies[].roles[] = { id, name, description, permissions[], createdBy, createdAt, updatedAt }
+// companies[].roleBindings[] = { userId, role, grantedBy, grantedAt }
+
+const { nanoid } = require('nanoid');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const users = require('../users/user.service');
+const companies = require('./company.service');
+const permissions = require('../auth/permissions');
+
+const MAX_ROLES_PER_COMPANY = 50;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function cleanStr(v, max = 200) {
+  return String(v ?? '').trim().slice(0, max);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function loadCompany(db, companyId) {
+  const c = companies.getCompanyById(db, companyId);
+  if (!c) throw httpError(404, 'Company not found');
+  if (!Array.isArray(c.roles)) c.roles = [];
+  if (!Array.isArray(c.roleBindings)) c.roleBindings = [];
+  return c;
+}
+
+function validatePermissions(list) {
+  if (!Array.isArray(list) || !list.length) throw httpError(400, 'permissions must be a non-empty array');
+
+  const out = [];
+  for (const raw of list) {
+    const p = cleanStr(raw, 80);
+    if (!permissions.PERMISSIONS[p]) throw httpError(400, `Unknown permission: ${p}`);
+    if (!permissions.COMPANY_SCOPED.includes(p)) {
+      throw httpError(400, `Permission cannot be granted by a company role: ${p}`);
+    }
+    if (!out.includes(p)) out.push(p);
+  }
+  return out.sort();
+}
+
+function validateName(c, name, exceptId = null) {
+  const n = cleanStr(name, 60);
+  if (n.length < 2) throw httpError(400, 'Role name must be at least 2 characters');
+
+  const taken = [...permissions.COMPANY_BUILTIN_ROLES, ...c.roles.filter((r) => r.id !== exceptId).map((r) => r.name)]
+    .some((x) => x.toLowerCase() === n.toLowerCase());
+  if (taken) throw httpError(409, `A role named "${n}" already exists`);
+
+  return n;
+}
+
+function builtinRoles() {
+  return permissions.COMPANY_BUILTIN_ROLES.map((r) => ({
+    id: r,
+    name: r,
+    builtIn: true,
+    permissions: permissions.builtinCompanyPermissions(r),
+  }));
+}
+
+/**
+ * listRoles(companyId) -> built-in roles first, then custom ones (with member counts)
+ */
+function listRoles(companyId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  const custom = c.roles.map((r) => ({
+    ...r,
+    builtIn: false,
+    members: c.roleBindings.filter((b) => b.role === r.id).length,
+  }));
+
+  return [...builtinRoles(), ...custom];
+}
+
+function createRole(companyId, { name, description, permissions: perms } = {}, actorId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  if (c.roles.length >= MAX_ROLES_PER_COMPANY) throw httpError(400, 'Custom role limit reached');
+
+  const role = {
+    id: `role_${nanoid(10)}`,
+    name: validateName(c, name),
+    description: cleanStr(description, 300),
+    permissions: validatePermissions(perms),
+    createdBy: actorId ? String(actorId) : null,
+    createdAt: nowISO(),
+    updatedAt: nowISO(),
+  };
+
+  c.roles.push(role);
+  writeDb(db);
+
+  audit({
+    actorId: role.createdBy,
+    action: 'COMPANY_ROLE_CREATED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { roleId: role.id, name: role.name, permissions: role.permissions },
+  });
+
+  return role;
+}
+
+function updateRole(companyId, roleId, patch = {}, actorId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  const role = c.roles.find((r) => r.id === String(roleId || ''));
+  if (!role) throw httpError(404, 'Role not found');
+
+  const before = { name: role.name, description: role.description, permissions: role.permissions };
+
+  if (patch.name !== undefined) role.name = validateName(c, patch.name, role.id);
+  if (patch.description !== undefined) role.description = cleanStr(patch.description, 300);
+  if (patch.permissions !== undefined) role.permissions = validatePermissions(patch.permissions);
+  role.updatedAt = nowISO();
+
+  writeDb(db);
+
+  const affected = c.roleBindings.filter((b) => b.role === role.id).map((b) => b.userId);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'COMPANY_ROLE_UPDATED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: {
+      roleId: role.id,
+      before,
+      after: { name: role.name, description: role.description, permissions: role.permissions },
+      affectedUsers: affected.length,
+    },
+  });
+
+  if (affected.length && before.permissions.join() !== role.permissions.join()) {
+    createNotification({
+      companyId: c.id,
+      severity: 'info',
+      category: 'company',
+      title: 'Role permissions changed',
+      message: `The "${role.name}" role was updated; ${affected.length} member(s) are affected.`,
+    });
+  }
+
+  return role;
+}
+
+function deleteRole(companyId, roleId, actorId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  const role = c.roles.find((r) => r.id === String(roleId || ''));
+  if (!role) throw httpError(404, 'Role not found');
+
+  const bound = c.roleBindings.filter((b) => b.role === role.id).length;
+  if (bound) throw httpError(409, `Role is assigned to ${bound} member(s); reassign them first`);
+
+  c.roles = c.roles.filter((r) => r.id !== role.id);
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'COMPANY_ROLE_DELETED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { roleId: role.id, name: role.name },
+  });
+
+  return { ok: true, id: role.id };
+}
+
+/**
+ * listBindings(companyId) -> one row per member with their effective company role
+ */
+function listBindings(companyId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  return (c.members || []).map((uid) => {
+    const u = (db.users || []).find((x) => x.id === String(uid));
+    const b = permissions.companyRoleOf(c, uid);
+    const binding = c.roleBindings.find((x) => String(x.userId) === String(uid));
+
+    return {
+      userId: String(uid),
+      email: u ? u.email : null,
+      globalRole: u ? u.role : null,
+      role: b ? b.role : null,
+      roleName: b ? b.name : null,
+      custom: b ? b.custom : false,
+      inherited: !b, // no binding: company permissions follow the global role
+      permissions: b ? b.permissions : null,
+      grantedBy: binding ? binding.grantedBy : null,
+      grantedAt: binding ? binding.grantedAt : null,
+    };
+  });
+}
+
+/**
+ * assignRole(companyId, userId, role, actorId)
+ * role: 'Company' | 'Individual' | custom role id | null (remove binding)
+ * The user must already be a member (members/add, invites or SSO).
+ */
+function assignRole(companyId, userId, role, actorId) {
+  const db = readDb();
+  const c = loadCompany(db, companyId);
+
+  const uid = cleanStr(userId, 80);
+  const u = (db.users || []).find((x) => x.id === uid);
+  if (!u) throw httpError(404, 'User not found');
+  if (!(c.members || []).map(String).includes(uid)) throw httpError(400, 'User is not a member of this company');
+
+  if (permissions.hasRole(u, users.ROLES.ADMIN, users.ROLES.MANAGER)) {
+    throw httpError(400, 'Platform staff cannot be given company roles');
+  }
+
+  let next = null;
+  if (role !== null && role !== undefined && cleanStr(role) !== '') {
+    const builtin = permissions.normalizeRole(role);
+    if (permissions.COMPANY_BUILTIN_ROLES.includes(builtin)) next = builtin;
+    else if (c.roles.some((r) => r.id === cleanStr(role, 80))) next = cleanStr(role, 80);
+    else throw httpError(400, `Unknown role: ${cleanStr(role, 80)}`);
+  }
+
+  const existing = c.roleBindings.find((b) => String(b.userId) === uid);
+  const prev = existing ? existing.role : null;
+  if (prev === next) return listBindings(c.id).find((b) => b.userId === uid);
+
+  c.roleBindings = c.roleBindings.filter((b) => String(b.userId) !== uid);
+  if (next) {
+    c.roleBindings.push({
+      userId: uid,
+      role: next,
+      grantedBy: actorId ? String(actorId) : null,
+      grantedAt: nowISO(),
+    });
+  }
+  writeDb(db);
+
+  const nameOf = (r) => (r ? (c.roles.find((x) => x.id === r) || {}).name || r : null);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: next ? 'COMPANY_ROLE_ASSIGNED' : 'COMPANY_ROLE_UNASSIGNED',
+    targetType: 'User',
+    targetId: uid,
+    companyId: c.id,
+    metadata: { from: prev, to: next, fromName: nameOf(prev), toName: nameOf(next) },
+  });
+
+  createNotification({
+    userId: uid,
+    severity: 'info',
+    category: 'company',
+    title: 'Your company role changed',
+    message: next
+      ? `Your role in ${c.name} is now "${nameOf(next)}".`
+      : `Your custom role in ${c.name} was removed; your account role applies again.`,
+  });
+
+  return listBindings(c.id).find((b) => b.userId === uid);
+}
+
+/**
+ * membershipsFor(userId) -> every company the user belongs to, with the role held there
+ */
+function membershipsFor(userId) {
+  const db = readDb();
+  const uid = String(userId || '');
+  const u = (db.users || []).find((x) => x.id === uid);
+
+  return (db.companies || [])
+    .filter((c) => (c.members || []).map(String).includes(uid))
+    .map((c) => {
+      const b = permissions.companyRoleOf(c, uid);
+      return {
+        companyId: c.id,
+        name: c.name,
+        slug: c.slug || null,
+        primary: !!u && u.companyId === c.id,
+        role: b ? b.role : u ? u.role : null,
+        roleName: b ? b.name : u ? u.role : null,
+        custom: b ? b.custom : false,
+      };
+    });
+}
+
+module.exports = {
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  listBindings,
+  assignRole,
+  membershipsFor,
+};
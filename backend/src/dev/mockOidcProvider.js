@@ -0,0 +1,144 @@
+// backend/src/dev/mockOidcProvider.js
+// Minimal OpenID Connect provider for local SSO testing. NOT for production.
+//
+// Run:  node src/dev/mockOidcProvider.js   (or: npm run mock-oidc)
+//
+// Env:
+//   MOCK_OIDC_PORT       (default 5099)
+//   MOCK_OIDC_CLIENT_ID  (default 'autoshield-local')
+//   MOCK_OIDC_EMAIL      signed-in user when no login_hint is sent (default 'user@example.com')
+//   MOCK_OIDC_GROUPS     comma separated values for the "groups" claim
+//
+// Then configure a company with POST /api/company/sso:
+//   { issuer: 'http://localhost:5099', clientId: 'autoshield-local', domains: ['example.com'] }
+//
+// /authorize signs the user in immediately (no UI) and redirects back with a code.
+// /token enforces redirect_uri, client_id and the PKCE S256 verifier.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function createMockOidcProvider({
+  port = 5099,
+  clientId = 'autoshield-local',
+  email = 'user@example.com',
+  groups = [],
+} = {}) {
+  const issuer = `http://localhost:${port}`;
+  const kid = b64url(crypto.randomBytes(8));
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const codes = new Map(); // code -> { clientId, redirectUri, challenge, nonce, email }
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.get('/authorize', (req, res) => {
+    const q = req.query || {};
+    if (q.client_id !== clientId) return res.status(400).send('unknown client_id');
+    if (q.response_type !== 'code') return res.status(400).send('unsupported response_type');
+    if (q.code_challenge_method !== 'S256' || !q.code_challenge) {
+      return res.status(400).send('PKCE S256 required');
+    }
+
+    const code = b64url(crypto.randomBytes(16));
+    codes.set(code, {
+      clientId: q.client_id,
+      redirectUri: q.redirect_uri,
+      challenge: q.code_challenge,
+      nonce: q.nonce,
+      email: String(q.login_hint || email).toLowerCase(),
+    });
+
+    const back = new URL(String(q.redirect_uri));
+    back.searchParams.set('code', code);
+    if (q.state) back.searchParams.set('state', String(q.state));
+    return res.redirect(302, back.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const b = req.body || {};
+    const rec = codes.get(String(b.code || ''));
+    codes.delete(String(b.code || ''));
+
+    if (!rec) return res.status(400).json({ error: 'invalid_grant' });
+    if (b.grant_type !== 'authorization_code') return res.status(400).json({ error: 'unsupported_grant_type' });
+    if (b.client_id !== rec.clientId || b.redirect_uri !== rec.redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'client/redirect mismatch' });
+    }
+
+    const expected = b64url(crypto.createHash('sha256').update(String(b.code_verifier || '')).digest());
+    if (expected !== rec.challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      {
+        sub: `mock-${crypto.createHash('sha256').update(rec.email).digest('hex').slice(0, 16)}`,
+        email: rec.email,
+        email_verified: true,
+        name: rec.email.split('@')[0],
+        nonce: rec.nonce,
+        groups,
+      },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    return res.json({
+      access_token: b64url(crypto.randomBytes(16)),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return {
+    app,
+    issuer,
+    listen() {
+      return new Promise((resolve) => {
+        const server = app.listen(port, () => resolve(server));
+      });
+    },
+  };
+}
+
+if (require.main === module) {
+  const provider = createMockOidcProvider({
+    port: Number(process.env.MOCK_OIDC_PORT || 5099),
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'autoshield-local',
+    email: process.env.MOCK_OIDC_EMAIL || 'user@example.com',
+    groups: String(process.env.MOCK_OIDC_GROUPS || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+  });
+  provider.listen().then(() => {
+    console.log(`[mock-oidc] issuer ${provider.issuer}`);
+  });
+}
+
+module.exports = { createMockOidcProvider };
@@ -0,0 +1,137 @@
+// backend/src/dev/mockSyslogListener.js
+// Minimal syslog receiver for local SIEM forwarding tests. NOT for production.
+//
+// Run:  node src/dev/mockSyslogListener.js   (or: npm run mock-syslog)
+//
+// Env:
+//   MOCK_SYSLOG_UDP_PORT   (default 5514, 0 = off)
+//   MOCK_SYSLOG_TCP_PORT   (default 5514, 0 = off)
+//   MOCK_SYSLOG_TLS_PORT   (default off; needs MOCK_SYSLOG_TLS_KEY + MOCK_SYSLOG_TLS_CERT, PEM files)
+//
+// Then point a sink at it:
+//   SIEM_SINKS='[{"id":"local","type":"syslog","protocol":"tcp","host":"127.0.0.1","port":5514}]'
+//
+// Every message is printed (and kept in `messages` when used from code). TCP / TLS accept
+// octet-counted frames (RFC 6587) and newline-terminated lines.
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const dgram = require('dgram');
+
+// <PRI>1 TIMESTAMP HOST APP PROCID MSGID [SD] MSG
+const LINE_RE = /^<(\d{1,3})>1 (\S+) (\S+) (\S+) (\S+) (\S+) (-|\[(?:[^\]\\]|\\.)*\]) ?([\s\S]*)$/;
+
+function parse(line, transport) {
+  const m = line.match(LINE_RE);
+  if (!m) return { transport, raw: line };
+  const pri = Number(m[1]);
+  return {
+    transport,
+    raw: line,
+    facility: pri >> 3,
+    severity: pri & 7,
+    timestamp: m[2],
+    hostname: m[3],
+    appName: m[4],
+    procId: m[5],
+    msgId: m[6],
+    structuredData: m[7],
+    msg: m[8],
+  };
+}
+
+// Splits a stream into octet-counted frames or LF-terminated lines
+function framer(onLine) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    for (;;) {
+      const m = buf.toString('latin1', 0, Math.min(buf.length, 12)).match(/^(\d+) /);
+      if (m) {
+        const start = m[0].length;
+        const len = Number(m[1]);
+        if (buf.length < start + len) return;
+        onLine(buf.toString('utf-8', start, start + len));
+        buf = buf.subarray(start + len);
+        continue;
+      }
+      const nl = buf.indexOf(0x0a);
+      if (nl < 0) return;
+      const line = buf.toString('utf-8', 0, nl).replace(/\r$/, '');
+      if (line) onLine(line);
+      buf = buf.subarray(nl + 1);
+    }
+  };
+}
+
+function createMockSyslogListener({ host = '127.0.0.1', udpPort = 5514, tcpPort = 5514, tlsPort = 0, key, cert, print = false } = {}) {
+  const messages = [];
+  const servers = [];
+  const sockets = new Set();
+
+  const receive = (transport) => (line) => {
+    const msg = parse(line, transport);
+    messages.push(msg);
+    if (print) console.log(`[mock-syslog] ${transport} ${line}`);
+  };
+
+  const onConnection = (transport) => (s) => {
+    sockets.add(s);
+    s.on('data', framer(receive(transport)));
+    s.on('error', () => {});
+    s.on('close', () => sockets.delete(s));
+  };
+
+  return {
+    messages,
+
+    // -> { udp, tcp, tls } bound ports (0 = off)
+    async listen() {
+      const ports = { udp: 0, tcp: 0, tls: 0 };
+
+      if (udpPort) {
+        const udp = dgram.createSocket('udp4');
+        udp.on('message', (b) => receive('udp')(b.toString('utf-8')));
+        await new Promise((resolve) => udp.bind(udpPort, host, resolve));
+        ports.udp = udp.address().port;
+        servers.push(udp);
+      }
+
+      const streams = [];
+      if (tcpPort) streams.push(['tcp', net.createServer(onConnection('tcp')), tcpPort]);
+      if (tlsPort) streams.push(['tls', tls.createServer({ key, cert }, onConnection('tls')), tlsPort]);
+      for (const [name, server, port] of streams) {
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(port, host, resolve);
+        });
+        ports[name] = server.address().port;
+        servers.push(server);
+      }
+      return ports;
+    },
+
+    close() {
+      for (const s of sockets) s.destroy();
+      return Promise.all(servers.splice(0).map((s) => new Promise((resolve) => s.close(() => resolve()))));
+    },
+  };
+}
+
+if (require.main === module) {
+  const tlsPort = Number(process.env.MOCK_SYSLOG_TLS_PORT || 0);
+  const listener = createMockSyslogListener({
+    udpPort: Number(process.env.MOCK_SYSLOG_UDP_PORT ?? 5514),
+    tcpPort: Number(process.env.MOCK_SYSLOG_TCP_PORT ?? 5514),
+    tlsPort,
+    key: tlsPort ? fs.readFileSync(process.env.MOCK_SYSLOG_TLS_KEY, 'utf-8') : undefined,
+    cert: tlsPort ? fs.readFileSync(process.env.MOCK_SYSLOG_TLS_CERT, 'utf-8') : undefined,
+    print: true,
+  });
+  listener.listen().then((ports) => {
+    console.log(`[mock-syslog] listening udp:${ports.udp || 'off'} tcp:${ports.tcp || 'off'} tls:${ports.tls || 'off'}`);
+  });
+}
+
+module.exports = { createMockSyslogListener, parse };
@@ -0,0 +1,165 @@
+// backend/src/lib/anonymise.js
+// Pseudonymisation helpers shared by company purge and data-subject erasure.
+//
+// Erased ids / emails / names are replaced everywhere they appear with a stable
+// pseudonym ("deleted-user:1a2b3c..."), so audit trails keep their shape and
+// records about the same subject still line up with each other.
+// Audit records stay on the hash chain (lib/auditChain.js redact()); the caller attests the
+// rewrite with auditRedactions() once it is written.
+
+const crypto = require('crypto');
+const chain = require('./auditChain');
+
+// Collections that only *reference* users/companies (createdBy, invitedBy, ...)
+const REFERENCE_COLLECTIONS = ['companies', 'invites', 'apiKeys', 'managerAssignments', 'sessions', 'dataJobs'];
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function pseudonym(kind, id) {
+  return `deleted-${kind}:${crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 12)}`;
+}
+
+// [[from, to], ...] for one erased user
+function userReplacements(u) {
+  const ref = pseudonym('user', u.id);
+  const out = [[u.id, ref]];
+  if (u.email) out.push([u.email, `${ref}@anonymised.invalid`]);
+  return out;
+}
+
+// [[from, to], ...] for one erased company. The name is only replaced in the audit
+// log (third element), and only in the name fields of records about that company
+// (fourth element, see renameFields) -- never as a substring of unrelated text.
+function companyReplacements(c) {
+  const ref = pseudonym('company', c.id);
+  const out = [[c.id, ref]];
+  if (c.name) out.push([c.name, ref, 'audit', String(c.id)]);
+  return out;
+}
+
+// Audit content about the company: `name` when the company is the target (including
+// changes.name.from / to on a rename), `companyName` anywhere in its records
+function renameFields(value, ref, nameIsCompany, inName = false) {
+  if (typeof value === 'string') return inName ? ref : value;
+  if (Array.isArray(value)) return value.map((v) => renameFields(v, ref, nameIsCompany, inName));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const named = inName || k === 'companyName' || (nameIsCompany && k === 'name');
+      out[k] = renameFields(v, ref, nameIsCompany, named);
+    }
+    return out;
+  }
+  return value;
+}
+
+// content -> scoped name replacements that apply to it, judged before any id is replaced
+function namesFor(content, replacements) {
+  return replacements.filter(
+    ([, , , companyId]) => companyId && (content.companyId === companyId || content.targetId === companyId)
+  );
+}
+
+function renameAll(content, names) {
+  let out = content;
+  for (const [, ref, , companyId] of names) {
+    const nameIsCompany = content.targetType === 'Company' && content.targetId === companyId;
+    out = renameFields(out, ref, nameIsCompany);
+  }
+  return out;
+}
+
+// Replace every occurrence of the erased values inside a record
+function scrub(value, replacements) {
+  if (typeof value === 'string') {
+    let out = value;
+    for (const [from, to] of replacements) {
+      if (out.includes(from)) out = out.split(from).join(to);
+    }
+    return out;
+  }
+  if (Array.isArray(value)) return value.map((v) => scrub(v, replacements));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = scrub(v, replacements);
+    return out;
+  }
+  return value;
+}
+
+function mentions(rec, replacements) {
+  const raw = JSON.stringify(rec);
+  return replacements.some(([from]) => raw.includes(from));
+}
+
+/**
+ * scrubList(list, replacements, { stamp }) -> { list, count }
+ * stamp: add anonymisedAt to every rewritten record (audit trail)
+ */
+function scrubList(list, replacements, { stamp = false } = {}) {
+  let count = 0;
+  const out = (list || []).map((rec) => {
+    if (!mentions(rec, replacements)) return rec;
+    count++;
+    const clean = scrub(rec, replacements);
+    return stamp ? { ...clean, anonymisedAt: nowISO() } : clean;
+  });
+  return { list: out, count };
+}
+
+// Audit records: scrubbed content, chain fields kept -> { list, redactions }
+function redactAudit(list, replacements) {
+  const at = nowISO();
+  const redactions = [];
+  const plain = replacements.filter(([, , , companyId]) => !companyId);
+  let count = 0;
+  const out = (list || []).map((rec) => {
+    const content = chain.contentOf(rec);
+    const names = namesFor(content, replacements);
+    if (!names.length && !mentions(content, plain)) return rec;
+    count++;
+    const next = chain.redact(
+      rec,
+      (c) => ({ ...scrub(renameAll(c, names), plain), anonymisedAt: at }),
+      at
+    );
+    if (next.redaction) redactions.push({ seq: next.seq, contentHash: next.redaction.contentHash });
+    return next;
+  });
+  return { list: out, count, redactions };
+}
+
+/**
+ * anonymiseDb(db, replacements) -> { audit, references, redactions }
+ * Rewrites the audit log and the reference collections in place (caller writes the db,
+ * then passes redactions to auditRedactions()).
+ */
+function anonymiseDb(db, replacements) {
+  if (!replacements.length) return { audit: 0, references: 0, redactions: [] };
+
+  const a = redactAudit(db.audit, replacements);
+  db.audit = a.list;
+
+  const refs = replacements.filter(([, , only]) => only !== 'audit');
+  let references = 0;
+  for (const k of REFERENCE_COLLECTIONS) {
+    if (!Array.isArray(db[k]) || !refs.length) continue;
+    const r = scrubList(db[k], refs);
+    db[k] = r.list;
+    references += r.count;
+  }
+
+  return { audit: a.count, references, redactions: a.redactions };
+}
+
+module.exports = {
+  pseudonym,
+  userReplacements,
+  companyReplacements,
+  scrub,
+  scrubList,
+  redactAudit,
+  anonymiseDb,
+};
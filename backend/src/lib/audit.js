@@ -1,10 +1,18 @@
 // backend/src/lib/audit.js
-const { readDb, writeDb } = require('./db');
+// Append-only audit log. Records are hash-chained as they are written (lib/auditChain.js);
+// verification, checkpoints and export live in audit/audit.service.js.
+// onAudit(fn) listeners see every record once it is stored (siem/forwarder.service.js).
+const { AsyncLocalStorage } = require('async_hooks');
+const { store } = require('./db');
 const { nanoid } = require('nanoid');
+const chain = require('./auditChain');
 
-function ensureAudit(db) {
-  if (!db.audit) db.audit = [];
-  if (!Array.isArray(db.audit)) db.audit = [];
+// Request-scoped fields stamped onto every audit record written while
+// handling that request (e.g. impersonatorId during "view as user").
+const auditContext = new AsyncLocalStorage();
+
+function withAuditContext(ctx, fn) {
+  return auditContext.run({ ...(auditContext.getStore() || {}), ...ctx }, fn);
 }
 
 function nowISO() {
@@ -16,6 +24,28 @@ function safeObj(v) {
   return {};
 }
 
+// { id, seq, hash } of the last record this process appended; re-read whenever that
+// record is gone or changed (restore, another writer)
+let tail = null;
+
+// fn(sealedRecord) after each append; a throwing listener never fails the write
+const listeners = new Set();
+
+function onAudit(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function currentTail() {
+  if (tail) {
+    const [rec] = store.find('audit', { id: tail.id });
+    if (rec && rec.seq === tail.seq && rec.hash === tail.hash) return tail;
+  }
+  const [last] = store.find('audit', {}, { sort: { seq: -1 }, limit: 1 });
+  tail = last?.hash ? { id: last.id, seq: last.seq, hash: last.hash } : null;
+  return tail;
+}
+
 /**
  * audit({
  *   actorId,
@@ -25,11 +55,10 @@ function safeObj(v) {
  *   companyId,
  *   metadata
  * })
+ * Fields from withAuditContext() (impersonatorId) are added automatically, then the
+ * record is sealed onto the chain (seq, prevHash, hash).
  */
 function audit(event = {}) {
-  const db = readDb();
-  ensureAudit(db);
-
   const e = safeObj(event);
 
   const rec = {
@@ -46,11 +75,38 @@ function audit(event = {}) {
 
     // keep any extra fields for future expansion
     ...e,
+
+    ...(auditContext.getStore() || {}),
   };
 
-  db.audit.push(rec);
-  writeDb(db);
-  return rec;
+  const sealed = chain.seal(rec, currentTail());
+  store.insert('audit', sealed);
+  tail = { id: sealed.id, seq: sealed.seq, hash: sealed.hash };
+
+  for (const fn of listeners) {
+    try {
+      fn(sealed);
+    } catch (e) {
+      console.error('[audit] listener failed:', e?.message || e);
+    }
+  }
+  return sealed;
+}
+
+/**
+ * auditRedactions(redactions, { actorId, targetType, targetId, reason })
+ * Attests audit records rewritten by lib/anonymise.js ([{ seq, contentHash }]), so the
+ * chain still verifies. Call after the rewrite has been written.
+ */
+function auditRedactions(redactions, { actorId = null, targetType = null, targetId = null, reason = null } = {}) {
+  if (!redactions?.length) return null;
+  return audit({
+    actorId,
+    action: chain.REDACTED_ACTION,
+    targetType,
+    targetId,
+    metadata: { reason, count: redactions.length, redactions },
+  });
 }
 
-module.exports = { audit };
+module.exports = { audit, auditRedactions, withAuditContext, onAudit };
@@ -0,0 +1,236 @@
+// backend/src/lib/auditChain.js
+// Hash chain over the audit log. Pure functions (node's crypto only) so the same code
+// verifies the live log (audit/audit.service.js) and an exported bundle offline
+// (audit/verify.js).
+//
+// Every record carries
+//   seq       1, 2, 3, ... in append order
+//   prevHash  hash of record seq-1 (GENESIS for seq 1)
+//   hash      sha256("<seq>:<prevHash>:<contentHash>")
+// where contentHash is the sha256 of the record in canonical JSON (sorted keys) without
+// the chain fields and `_rev`.
+//
+// Erasure and company purge rewrite audit records (lib/anonymise.js). A rewritten record
+// keeps its link and gains redaction: { at, originalHash, contentHash }: the link is
+// checked against originalHash, the new content against contentHash, and a later
+// AUDIT_REDACTED record in the chain must list { seq, contentHash } for it.
+//
+// Retention (retention/retention.service.js) moves old records into archive files and
+// leaves a stub: { id, seq, prevHash, hash, at, archived: { archiveId, at, contentHash } }.
+// The stub's link is checked against archived.contentHash, the sealed hash of the record
+// now in the archive.
+//
+// Checkpoints sign { seq, hash, createdAt, keyId } with Ed25519, so cutting records off
+// the end or rebuilding the chain is caught without trusting the database.
+
+const crypto = require('crypto');
+
+const GENESIS = '0'.repeat(64);
+const CHAIN_FIELDS = ['seq', 'prevHash', 'hash', 'redaction', 'archived', '_rev'];
+const REDACTED_ACTION = 'AUDIT_REDACTED';
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(v).digest('hex');
+}
+
+// JSON with object keys sorted at every level (values normalised through JSON first)
+function canonical(value) {
+  const walk = (v) => {
+    if (Array.isArray(v)) return `[${v.map(walk).join(',')}]`;
+    if (v && typeof v === 'object') {
+      return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${walk(v[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(v);
+  };
+  return value === undefined ? 'null' : walk(JSON.parse(JSON.stringify(value)));
+}
+
+function contentOf(rec) {
+  const out = { ...rec };
+  for (const k of CHAIN_FIELDS) delete out[k];
+  return out;
+}
+
+function contentHash(rec) {
+  return sha256(canonical(contentOf(rec)));
+}
+
+function linkHash(seq, prevHash, content) {
+  return sha256(`${seq}:${prevHash}:${content}`);
+}
+
+/**
+ * seal(rec, tail) -> rec with seq / prevHash / hash
+ * tail: { seq, hash } of the last record, or null for the first one
+ */
+function seal(rec, tail) {
+  const seq = (tail?.seq || 0) + 1;
+  const prevHash = tail?.hash || GENESIS;
+  return { ...rec, seq, prevHash, hash: linkHash(seq, prevHash, contentHash(rec)) };
+}
+
+/**
+ * redact(rec, rewrite, at) -> the rewritten record, still linked
+ * rewrite(content) -> new content (chain fields are not passed in)
+ */
+function redact(rec, rewrite, at = new Date().toISOString()) {
+  if (!rec.hash) return rewrite(contentOf(rec));
+  const originalHash = rec.redaction?.originalHash || contentHash(rec);
+  const next = rewrite(contentOf(rec));
+  return {
+    ...next,
+    seq: rec.seq,
+    prevHash: rec.prevHash,
+    hash: rec.hash,
+    redaction: { at, originalHash, contentHash: contentHash(next) },
+  };
+}
+
+// Content hash the record's link was sealed with (before any redaction)
+function sealedHash(rec) {
+  return rec.redaction?.originalHash || contentHash(rec);
+}
+
+/**
+ * archiveStub(rec, archiveId, at) -> what stays in the live log once rec is archived
+ */
+function archiveStub(rec, archiveId, at = new Date().toISOString()) {
+  return {
+    id: rec.id,
+    seq: rec.seq,
+    prevHash: rec.prevHash,
+    hash: rec.hash,
+    at: rec.at,
+    archived: { archiveId, at, contentHash: sealedHash(rec) },
+  };
+}
+
+/* ================= CHECKPOINTS ================= */
+
+function checkpointPayload(cp) {
+  return canonical({ seq: cp.seq, hash: cp.hash, createdAt: cp.createdAt, keyId: cp.keyId });
+}
+
+function keyIdOf(publicKeyPem) {
+  const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+  return sha256(der).slice(0, 16);
+}
+
+function signCheckpoint({ seq, hash, createdAt }, privateKey, publicKeyPem) {
+  const cp = { seq, hash, createdAt, keyId: keyIdOf(publicKeyPem) };
+  const signature = crypto.sign(null, Buffer.from(checkpointPayload(cp)), privateKey).toString('base64');
+  return { ...cp, alg: 'Ed25519', publicKey: publicKeyPem, signature };
+}
+
+function checkpointSignatureOk(cp) {
+  try {
+    if (keyIdOf(cp.publicKey) !== cp.keyId) return false;
+    return crypto.verify(null, Buffer.from(checkpointPayload(cp)), cp.publicKey, Buffer.from(String(cp.signature), 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/* ================= VERIFY ================= */
+
+// seq -> contentHash attested by the latest AUDIT_REDACTED record that lists it
+function attestedRedactions(records) {
+  const out = new Map();
+  for (const r of records) {
+    if (r.action !== REDACTED_ACTION) continue;
+    for (const x of r.metadata?.redactions || []) {
+      if (Number(x.seq) < r.seq) out.set(Number(x.seq), String(x.contentHash));
+    }
+  }
+  return out;
+}
+
+/**
+ * verifyChain(records, { checkpoints, trustedKeyIds })
+ * -> { ok, records, lastSeq, lastHash, redacted, archived, checkpoints: { total, verified, latestSeq }, broken }
+ * broken: null, or the first problem: { seq, id, reason } (checkpoint problems: { checkpointId, seq, reason })
+ * trustedKeyIds: when given, checkpoints signed by any other key are rejected.
+ */
+function verifyChain(records, { checkpoints = [], trustedKeyIds = null } = {}) {
+  const list = (records || []).slice().sort((a, b) => (Number(a.seq) || Infinity) - (Number(b.seq) || Infinity));
+  const attested = attestedRedactions(list);
+  const result = {
+    ok: true,
+    records: list.length,
+    lastSeq: 0,
+    lastHash: GENESIS,
+    redacted: 0,
+    archived: 0,
+    checkpoints: { total: checkpoints.length, verified: 0, latestSeq: 0 },
+    broken: null,
+  };
+  const fail = (broken) => {
+    result.ok = false;
+    result.broken = broken;
+    return result;
+  };
+
+  let prev = GENESIS;
+  for (let i = 0; i < list.length; i++) {
+    const r = list[i];
+    const at = { seq: r.seq ?? null, id: r.id ?? null };
+
+    if (!r.hash || !Number.isInteger(r.seq)) return fail({ ...at, reason: 'record is not part of the chain' });
+    if (r.seq !== i + 1) {
+      return fail({ ...at, reason: r.seq > i + 1 ? `records ${i + 1}..${r.seq - 1} are missing` : 'sequence number used twice' });
+    }
+    if (r.prevHash !== prev) return fail({ ...at, reason: 'prevHash does not match the previous record' });
+
+    let sealed = contentHash(r);
+    if (r.archived) {
+      sealed = r.archived.contentHash;
+      result.archived++;
+    } else if (r.redaction) {
+      if (sealed !== r.redaction.contentHash) return fail({ ...at, reason: 'redacted record was changed afterwards' });
+      if (attested.get(r.seq) !== r.redaction.contentHash) {
+        return fail({ ...at, reason: 'redaction is not attested by a later AUDIT_REDACTED record' });
+      }
+      sealed = r.redaction.originalHash;
+      result.redacted++;
+    }
+    if (linkHash(r.seq, prev, sealed) !== r.hash) return fail({ ...at, reason: 'record content does not match its hash' });
+
+    prev = r.hash;
+  }
+  result.lastSeq = list.length;
+  result.lastHash = prev;
+
+  const bySeq = (seq) => list[seq - 1];
+  for (const cp of checkpoints.slice().sort((a, b) => a.seq - b.seq)) {
+    const at = { checkpointId: cp.id ?? null, seq: cp.seq };
+    if (!checkpointSignatureOk(cp)) return fail({ ...at, reason: 'checkpoint signature is invalid' });
+    if (trustedKeyIds && !trustedKeyIds.includes(cp.keyId)) {
+      return fail({ ...at, reason: `checkpoint signed by unknown key ${cp.keyId}` });
+    }
+    if (cp.seq > list.length) {
+      return fail({ ...at, reason: `log ends at ${list.length} but a checkpoint covers ${cp.seq}: records were removed` });
+    }
+    if (bySeq(cp.seq).hash !== cp.hash) return fail({ ...at, reason: 'chain does not match the signed checkpoint' });
+    result.checkpoints.verified++;
+    result.checkpoints.latestSeq = cp.seq;
+  }
+
+  return result;
+}
+
+module.exports = {
+  GENESIS,
+  REDACTED_ACTION,
+  canonical,
+  contentOf,
+  contentHash,
+  linkHash,
+  seal,
+  redact,
+  sealedHash,
+  archiveStub,
+  keyIdOf,
+  signCheckpoint,
+  checkpointSignatureOk,
+  verifyChain,
+};
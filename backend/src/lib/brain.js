@@ -6,6 +6,9 @@
 // - addMemory({ tenantId, type, text, meta })
 // - listMemory({ tenantId, limit, type })
 // - buildPersonality({ tenantId })
+// - exportBrain(tenantId)  (data export; null when the tenant has no memory)
+// - deleteBrain(tenantId)  (tenant erasure)
+// - BASE_PATH / brainPath(tenantId)  (where the files live; backups)
 //
 // 🔒 GUARANTEES:
 // - No cross-company leakage
@@ -174,10 +177,33 @@ function buildPersonality({ tenantId } = {}) {
   };
 }
 
+// Full memory of one tenant, as stored
+function exportBrain(tenantId) {
+  if (!tenantId || !fs.existsSync(brainPath(tenantId))) return null;
+  return loadBrain(tenantId);
+}
+
+// Removes a tenant's memory file for good (company purge / account erasure)
+function deleteBrain(tenantId) {
+  if (!tenantId) return false;
+  const file = brainPath(tenantId);
+  try {
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /* ================= EXPORT ================= */
 
 module.exports = {
+  BASE_PATH,
+  brainPath,
   addMemory,
   listMemory,
   buildPersonality,
+  exportBrain,
+  deleteBrain,
 };
@@ -6,6 +6,8 @@ const { updateDb, readDb } = require('./db');
 
 const MAX_PAPER_TRADES_STORED = Number(process.env.PAPER_TRADES_STORE_LIMIT || 1500);
 const MAX_BRAIN_MEMORY_STORED = Number(process.env.BRAIN_MEMORY_STORE_LIMIT || 800);
+const MAX_PAPER_DAYS_STORED = Number(process.env.PAPER_DAILY_STORE_LIMIT || 140);
+const MAX_LIVE_EVENTS_STORED = Number(process.env.LIVE_EVENTS_STORE_LIMIT || 1200);
 
 function dayKey(ts = Date.now()) {
   const d = new Date(ts);
@@ -16,7 +18,7 @@ function dayKey(ts = Date.now()) {
 }
 
 function recordPaperTrade(trade) {
-  updateDb((db) => {
+  return updateDb((db) => {
     if (!db.paper) db.paper = { summary: {}, trades: [], daily: [] };
     if (!Array.isArray(db.paper.trades)) db.paper.trades = [];
 
@@ -43,9 +45,9 @@ function recordPaperTrade(trade) {
       else { row.losses += 1; row.totalLoss += Math.abs(trade.profit); }
     }
 
-    // keep last 120 days
-    if (db.paper.daily.length > 140) {
-      db.paper.daily = db.paper.daily.slice(-140);
+    // keep the last N days
+    if (db.paper.daily.length > MAX_PAPER_DAYS_STORED) {
+      db.paper.daily = db.paper.daily.slice(-MAX_PAPER_DAYS_STORED);
     }
 
     return db;
@@ -53,7 +55,7 @@ function recordPaperTrade(trade) {
 }
 
 function setPaperSummary(summary) {
-  updateDb((db) => {
+  return updateDb((db) => {
     if (!db.paper) db.paper = {};
     db.paper.summary = { ...(db.paper.summary || {}), ...(summary || {}) };
     return db;
@@ -75,7 +77,7 @@ function addBrainMemory({ type = 'note', text = '', meta = null }) {
   const clean = String(text || '').trim();
   if (!clean) return;
 
-  updateDb((db) => {
+  return updateDb((db) => {
     if (!db.brain) db.brain = { memory: [], notes: [] };
     if (!Array.isArray(db.brain.memory)) db.brain.memory = [];
 
@@ -95,13 +97,13 @@ function getBrainMemory(limit = 50) {
 }
 
 function recordLiveEvent(evt) {
-  updateDb((db) => {
+  return updateDb((db) => {
     if (!db.live) db.live = { events: [] };
     if (!Array.isArray(db.live.events)) db.live.events = [];
     db.live.events.push({ ts: Date.now(), ...evt });
 
     // cap
-    if (db.live.events.length > 1200) db.live.events = db.live.events.slice(-1200);
+    if (db.live.events.length > MAX_LIVE_EVENTS_STORED) db.live.events = db.live.events.slice(-MAX_LIVE_EVENTS_STORED);
     return db;
   });
 }
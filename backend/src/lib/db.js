@@ -1,154 +1,74 @@
 // backend/src/lib/db.js
-// File-based JSON DB with schema + safe writes (atomic) so "brain" survives deploys.
-
-const fs = require('fs');
-const path = require('path');
-
-const DB_PATH = path.join(__dirname, '..', 'data', 'db.json');
-const TMP_PATH = DB_PATH + '.tmp';
-
-const SCHEMA_VERSION = 2;
-
-function ensureDir(p) {
-  const dir = path.dirname(p);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
-function defaultDb() {
-  return {
-    schemaVersion: SCHEMA_VERSION,
-
-    // existing
-    users: [],
-    companies: [],
-    audit: [],
-    notifications: [],
-
-    // NEW: persistent "brain" areas
-    brain: {
-      // reserved for long-term memory (summaries, rules, etc)
-      memory: [], // [{ts, type, text, meta}]
-      // reserved for system notes/flags
-      notes: [],  // [{ts, text}]
-    },
-
-    paper: {
-      // rolling stats that survive restarts
-      summary: {
-        startBalance: 0,
-        balance: 0,
-        pnl: 0,
-        wins: 0,
-        losses: 0,
-        totalGain: 0,
-        totalLoss: 0,
-        fees: 0,
-        slippage: 0,
-        spread: 0,
-        lastTradeTs: 0
-      },
-      // last N trades persisted (so you can review after restart)
-      trades: [], // [{time, symbol, type, price, qty, profit, note}]
-      // optional daily rollups
-      daily: []   // [{dayKey, trades, pnl, wins, losses, totalGain, totalLoss}]
-    },
-
-    live: {
-      events: [], // audit trail for live readiness / dry-run orders
-    }
-  };
-}
-
-// Fix old dbs into new schema (non-breaking)
-function migrate(db) {
-  if (!db || typeof db !== 'object') return defaultDb();
-
-  if (!db.schemaVersion) db.schemaVersion = 1;
-
-  // Add missing collections safely
-  if (!Array.isArray(db.users)) db.users = [];
-  if (!Array.isArray(db.companies)) db.companies = [];
-  if (!Array.isArray(db.audit)) db.audit = [];
-  if (!Array.isArray(db.notifications)) db.notifications = [];
-
-  if (!db.brain) db.brain = {};
-  if (!Array.isArray(db.brain.memory)) db.brain.memory = [];
-  if (!Array.isArray(db.brain.notes)) db.brain.notes = [];
-
-  if (!db.paper) db.paper = {};
-  if (!db.paper.summary) {
-    db.paper.summary = {
-      startBalance: 0,
-      balance: 0,
-      pnl: 0,
-      wins: 0,
-      losses: 0,
-      totalGain: 0,
-      totalLoss: 0,
-      fees: 0,
-      slippage: 0,
-      spread: 0,
-      lastTradeTs: 0
-    };
-  }
-  if (!Array.isArray(db.paper.trades)) db.paper.trades = [];
-  if (!Array.isArray(db.paper.daily)) db.paper.daily = [];
-
-  if (!db.live) db.live = {};
-  if (!Array.isArray(db.live.events)) db.live.events = [];
-
-  db.schemaVersion = SCHEMA_VERSION;
-  return db;
-}
-
+// Database facade with schema + safe writes so "brain" survives deploys.
+//
+// - readDb() / writeDb(db): the whole document, as before. writeDb() only writes the
+//   records this copy changed and throws a 409 WRITE_CONFLICT if one of them was written
+//   by someone else after readDb() (lib/storage/revisions.js)
+// - updateDb(fn): read -> fn(db) -> write, one at a time per process and retried on a
+//   conflict; use it when fn awaits something between reading and writing
+// - store: collection-level insert / find / update / remove / paginate
+//   (prefer it for hot paths like audit and notifications)
+// - flushDb(): write out batched changes now (the JSON file is flushed once per tick)
+// - ensureDb(): startup; runs pending numbered migrations (lib/storage/migrations)
+// The backend behind both is chosen by STORAGE_DRIVER (lib/storage/index.js).
+
+const { DRIVER, adapter, store, flush } = require('./storage');
+const { isConflict } = require('./storage/revisions');
+const migrations = require('./storage/migrations');
+
+const UPDATE_ATTEMPTS = 5;
+
+const DB_PATH = adapter.DB_PATH || adapter.SQLITE_PATH;
+
+// Startup: create the database if needed and run pending schema migrations
 function ensureDb() {
-  ensureDir(DB_PATH);
+  adapter.init();
 
-  if (!fs.existsSync(DB_PATH)) {
-    const fresh = defaultDb();
-    fs.writeFileSync(DB_PATH, JSON.stringify(fresh, null, 2));
-    return;
+  const result = migrations.runPending(adapter);
+  for (const m of result.applied) {
+    const counts = Object.entries(m.changes).map(([k, n]) => `${k} ${n}`).join(', ') || 'no changes';
+    console.log(`[db] migration ${String(m.version).padStart(3, '0')}_${m.name}: ${counts}`);
   }
-
-  // If file exists but schema is old/missing pieces, migrate once
-  try {
-    const raw = fs.readFileSync(DB_PATH, 'utf-8');
-    const parsed = JSON.parse(raw);
-    const migrated = migrate(parsed);
-    fs.writeFileSync(DB_PATH, JSON.stringify(migrated, null, 2));
-  } catch {
-    // If corrupted, preserve a backup then rebuild
-    try {
-      const bad = fs.readFileSync(DB_PATH, 'utf-8');
-      fs.writeFileSync(DB_PATH + '.corrupt.' + Date.now(), bad);
-    } catch {}
-    const fresh = defaultDb();
-    fs.writeFileSync(DB_PATH, JSON.stringify(fresh, null, 2));
+  if (result.applied.length) {
+    console.log(`[db] schema v${result.from} -> v${result.to}; backup at ${result.backup}`);
   }
+  return result;
 }
 
 function readDb() {
-  ensureDb();
-  const raw = fs.readFileSync(DB_PATH, 'utf-8');
-  const parsed = JSON.parse(raw);
-  return migrate(parsed);
+  return adapter.loadDocument();
 }
 
-// Atomic write so deploy/restart never half-writes db.json
+// Atomic: db.json is written via a temp file + rename, SQLite in one transaction
 function writeDb(db) {
-  ensureDb();
-  const safe = migrate(db);
-  const json = JSON.stringify(safe, null, 2);
-  fs.writeFileSync(TMP_PATH, json);
-  fs.renameSync(TMP_PATH, DB_PATH);
+  adapter.saveDocument(db);
 }
 
-// Convenience updater (read -> mutate -> write)
+// Queued updater (read -> mutate -> write). Resolves to the written document; the
+// mutator may run again on a fresh copy if its first write conflicts.
+let updateQueue = Promise.resolve();
+
 function updateDb(mutator) {
-  const db = readDb();
-  const out = mutator(db) || db;
-  writeDb(out);
-  return out;
+  const run = async () => {
+    for (let attempt = 1; ; attempt++) {
+      const db = readDb();
+      const out = (await mutator(db)) || db;
+      try {
+        writeDb(out);
+        return out;
+      } catch (e) {
+        if (!isConflict(e) || attempt >= UPDATE_ATTEMPTS) throw e;
+      }
+    }
+  };
+
+  const result = updateQueue.then(run);
+  updateQueue = result.catch(() => {});
+  return result;
+}
+
+function flushDb() {
+  flush();
 }
 
-module.exports = { DB_PATH, ensureDb, readDb, writeDb, updateDb };
+module.exports = { DB_PATH, DRIVER, ensureDb, readDb, writeDb, updateDb, flushDb, store };
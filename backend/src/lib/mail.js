@@ -0,0 +1,84 @@
+// backend/src/lib/mail.js
+// Pluggable outbound mail.
+//
+// MAIL_TRANSPORT selects the transport:
+//   - console (default): prints the message to stdout (local dev)
+//   - file:              writes one JSON file per message into MAIL_DIR
+//   - smtp:              delivers through SMTP_HOST (lib/smtp.js for the settings)
+//   - <custom>:          anything registered via registerTransport(name, fn)
+//
+// A transport is: async ({ to, from, subject, text, html, tags }) => { id }
+
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const smtp = require('./smtp');
+
+const MAIL_DIR =
+  (process.env.MAIL_DIR && String(process.env.MAIL_DIR).trim()) ||
+  path.join('/tmp', 'autoshield_mail');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'AutoShield Tech <no-reply@autoshield.local>';
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+const transports = {
+  async console(msg) {
+    console.log(
+      `[mail] to=${msg.to} subject="${msg.subject}"\n${msg.text || ''}\n[/mail]`
+    );
+    return { id: msg.id };
+  },
+
+  async file(msg) {
+    ensureDir(MAIL_DIR);
+    const file = path.join(MAIL_DIR, `${Date.now()}_${msg.id}.json`);
+    fs.writeFileSync(file, JSON.stringify(msg, null, 2));
+    return { id: msg.id, file };
+  },
+
+  async smtp(msg) {
+    return smtp.send(msg);
+  },
+};
+
+function registerTransport(name, fn) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key || typeof fn !== 'function') throw new Error('Invalid mail transport');
+  transports[key] = fn;
+}
+
+function activeTransportName() {
+  return String(process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+}
+
+/**
+ * sendMail({ to, subject, text, html?, tags? })
+ * Resolves with { id, transport } or rejects if the transport fails.
+ */
+async function sendMail({ to, subject, text, html = null, tags = [] } = {}) {
+  const recipient = String(to || '').trim();
+  if (!recipient) throw new Error('Missing recipient');
+
+  const name = activeTransportName();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+
+  const msg = {
+    id: nanoid(),
+    at: new Date().toISOString(),
+    from: DEFAULT_FROM,
+    to: recipient,
+    subject: String(subject || '').trim(),
+    text: String(text || ''),
+    html,
+    tags: Array.isArray(tags) ? tags : [],
+  };
+
+  const out = await transport(msg);
+  return { ...(out || {}), id: msg.id, transport: name };
+}
+
+module.exports = { sendMail, registerTransport, MAIL_DIR };
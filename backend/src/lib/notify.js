@@ -1,10 +1,43 @@
 // backend/src/lib/notify.js
-const { readDb, writeDb } = require('./db');
+// In-app notifications. onNotification(fn) listeners see every stored notification
+// (notifications/delivery.service.js sends them on to email / webhook / chat);
+// onNotificationsRead(fn) listeners see what markRead / markReadAll changed
+// (notifications/realtime.service.js pushes both to connected clients).
+const { store } = require('./db');
 const { nanoid } = require('nanoid');
 
-function ensureArray(db) {
-  if (!db.notifications) db.notifications = [];
-  if (!Array.isArray(db.notifications)) db.notifications = [];
+// What a notification is about; users pick delivery per category and severity
+const CATEGORIES = ['security', 'account', 'company', 'privacy', 'system', 'projects', 'general'];
+
+// fn(notification) after each insert; a throwing listener never fails the write
+const listeners = new Set();
+
+// fn(notifications) after they were marked read (only those that were unread)
+const readListeners = new Set();
+
+function onNotification(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function onNotificationsRead(fn) {
+  readListeners.add(fn);
+  return () => readListeners.delete(fn);
+}
+
+function emit(set, value) {
+  for (const fn of set) {
+    try {
+      fn(value);
+    } catch (e) {
+      console.error('[notify] listener failed:', e?.message || e);
+    }
+  }
+}
+
+function normalizeCategory(cat) {
+  const c = String(cat || 'general').toLowerCase().trim();
+  return CATEGORIES.includes(c) ? c : 'general';
 }
 
 function normalizeSeverity(sev) {
@@ -27,10 +60,7 @@ function withTimes(obj, iso) {
   };
 }
 
-function createNotification({ userId = null, companyId = null, severity = 'info', title, message }) {
-  const db = readDb();
-  ensureArray(db);
-
+function createNotification({ userId = null, companyId = null, severity = 'info', category = 'general', title, message }) {
   const iso = new Date().toISOString();
 
   const cleanTitle = String(title || '').trim();
@@ -42,6 +72,7 @@ function createNotification({ userId = null, companyId = null, severity = 'info'
       userId: userId ? String(userId) : null,
       companyId: companyId ? String(companyId) : null,
       severity: normalizeSeverity(severity),
+      category: normalizeCategory(category),
       title: cleanTitle || 'Notification',
       message: cleanMsg || '',
       read: false,
@@ -49,34 +80,18 @@ function createNotification({ userId = null, companyId = null, severity = 'info'
     iso
   );
 
-  db.notifications.push(n);
-  writeDb(db);
-  return n;
+  const saved = store.insert('notifications', n);
+  emit(listeners, saved);
+  return saved;
 }
 
 function listNotifications({ userId, companyId } = {}) {
-  const db = readDb();
-  ensureArray(db);
-
-  return db.notifications
-    .map((n) => {
-      // ✅ migrate older notifications silently
-      const iso = n.createdAt || n.at || new Date().toISOString();
-      const fixed = withTimes(
-        {
-          ...n,
-          severity: normalizeSeverity(n.severity),
-        },
-        iso
-      );
-      return fixed;
-    })
-    .filter((n) => {
-      if (userId && String(n.userId || '') !== String(userId)) return false;
-      if (companyId && String(n.companyId || '') !== String(companyId)) return false;
-      return true;
-    })
-    .sort((a, b) => ((a.createdAt || a.at) < (b.createdAt || b.at) ? 1 : -1));
+  const filter = {};
+  if (userId) filter.userId = String(userId);
+  if (companyId) filter.companyId = String(companyId);
+
+  // older records were normalised by migration 004, so `at` is always an ISO string
+  return store.find('notifications', filter, { sort: { at: -1 } });
 }
 
 /**
@@ -85,53 +100,36 @@ function listNotifications({ userId, companyId } = {}) {
  * - If userId/companyId provided, it will ONLY mark if it matches scope.
  */
 function markRead(id, userId = null, companyId = null) {
-  const db = readDb();
-  ensureArray(db);
-
-  const n = db.notifications.find((x) => String(x.id) === String(id));
+  const n = store.findOne('notifications', { id: String(id) });
   if (!n) return null;
 
   // If scope is provided, enforce it
   if (userId && String(n.userId || '') !== String(userId)) return null;
   if (companyId && String(n.companyId || '') !== String(companyId)) return null;
+  if (n.read === true) return n;
 
-  n.read = true;
-
-  // ✅ ensure both timestamps exist (older records)
-  if (!n.createdAt && n.at) n.createdAt = n.at;
-  if (!n.at && n.createdAt) n.at = n.createdAt;
-
-  // ✅ normalize severity just in case
-  n.severity = normalizeSeverity(n.severity);
-
-  writeDb(db);
-  return n;
+  const [updated] = store.update('notifications', { id: n.id }, { read: true, readAt: new Date().toISOString() });
+  if (updated) emit(readListeners, [updated]);
+  return updated || null;
 }
 
 function markReadAll({ userId = null, companyId = null } = {}) {
-  const db = readDb();
-  ensureArray(db);
-
-  let changed = 0;
-  for (const n of db.notifications) {
-    if (userId && String(n.userId || '') !== String(userId)) continue;
-    if (companyId && String(n.companyId || '') !== String(companyId)) continue;
-
-    if (!n.read) {
-      n.read = true;
-      changed++;
-    }
-
-    // keep timestamps consistent
-    if (!n.createdAt && n.at) n.createdAt = n.at;
-    if (!n.at && n.createdAt) n.at = n.createdAt;
-
-    // normalize severity
-    n.severity = normalizeSeverity(n.severity);
-  }
+  const filter = { read: { $ne: true } };
+  if (userId) filter.userId = String(userId);
+  if (companyId) filter.companyId = String(companyId);
 
-  if (changed) writeDb(db);
-  return { ok: true, changed };
+  const updated = store.update('notifications', filter, { read: true, readAt: new Date().toISOString() });
+  if (updated.length) emit(readListeners, updated);
+  return { ok: true, changed: updated.length };
 }
 
-module.exports = { createNotification, listNotifications, markRead, markReadAll };
+module.exports = {
+  CATEGORIES,
+  normalizeSeverity,
+  createNotification,
+  listNotifications,
+  markRead,
+  markReadAll,
+  onNotification,
+  onNotificationsRead,
+};
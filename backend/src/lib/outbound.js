@@ -0,0 +1,111 @@
+// backend/src/lib/outbound.js
+// HTTP(S) requests to URLs that users or tenants configure (notification webhooks, OIDC
+// issuers). Those must not reach the server's own network, so a request is refused when
+// the host is, or resolves to, a loopback, private, link-local, CGNAT, multicast or
+// unspecified address. The check runs in the socket's DNS lookup: the address checked is
+// the address connected to, so a name can't resolve to something else in between.
+// Redirects are not followed (a redirect could point anywhere).
+//
+// allowPrivate lifts the check; callers only pass it behind an explicit dev flag
+// (NOTIFY_ALLOW_PRIVATE_HOSTS, OIDC_ALLOW_PRIVATE_HOSTS).
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+function privateIPv4(ip) {
+  const [a, b, c] = ip.split('.').map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224
+  );
+}
+
+// anything that isn't a plain public address counts as private
+function isPrivateAddress(ip) {
+  const v = String(ip || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIPv4(v)) return privateIPv4(v);
+  if (!net.isIPv6(v)) return true;
+  // ::, ::1, IPv4-mapped / -compatible (::ffff:7f00:1), unique local, link-local, multicast
+  return v.startsWith('::') || /^f[cd]/.test(v) || /^fe[89ab]/.test(v) || v.startsWith('ff');
+}
+
+// hostname as written in a URL: localhost names and private address literals
+function isPrivateHost(hostname) {
+  const h = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (h === 'localhost' || h.endsWith('.localhost')) return true;
+  return net.isIP(h) ? isPrivateAddress(h) : false;
+}
+
+function blockedError(host) {
+  const err = new Error(`Refused: ${host} is a local or private address`);
+  err.code = 'PRIVATE_ADDRESS';
+  return err;
+}
+
+function guardedLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!allowPrivate && addresses.some((a) => isPrivateAddress(a.address))) {
+        return callback(blockedError(hostname));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * request(url, { method, headers, body, timeoutMs, allowPrivate })
+ * -> { status, ok, text }; rejects on a refused address, network error or timeout
+ */
+function request(url, { method = 'GET', headers = {}, body = null, timeoutMs = 10000, allowPrivate = false } = {}) {
+  return new Promise((resolve, reject) => {
+    let u;
+    try {
+      u = new URL(String(url));
+    } catch {
+      return reject(new Error('Invalid URL'));
+    }
+    if (u.protocol !== 'https:' && u.protocol !== 'http:') return reject(new Error('Only http(s) URLs are allowed'));
+    // address literals never reach the lookup
+    if (!allowPrivate && isPrivateHost(u.hostname)) return reject(blockedError(u.host));
+
+    const h = { ...headers };
+    if (body !== null) h['content-length'] = Buffer.byteLength(body);
+
+    const lib = u.protocol === 'https:' ? https : http;
+    const req = lib.request(u, { method, headers: h, lookup: guardedLookup(allowPrivate), timeout: timeoutMs }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) return req.destroy(new Error(`Response from ${u.host} is too large`));
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        const status = res.statusCode;
+        resolve({ status, ok: status >= 200 && status < 300, text: Buffer.concat(chunks).toString('utf-8') });
+      });
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`No answer from ${u.host} within ${timeoutMs}ms`)));
+    req.on('error', reject);
+    if (body !== null) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = { isPrivateAddress, isPrivateHost, request };
@@ -0,0 +1,247 @@
+// backend/src/lib/smtp.js
+// Minimal SMTP client for the "smtp" mail transport (lib/mail.js). One connection per
+// message: EHLO, STARTTLS when offered, AUTH PLAIN / LOGIN, MAIL FROM, RCPT TO, DATA.
+//
+// Env:
+//   SMTP_HOST, SMTP_PORT (587, or 465 with SMTP_SECURE=true)
+//   SMTP_SECURE=true        implicit TLS from the first byte (port 465)
+//   SMTP_STARTTLS           'auto' (default: upgrade when offered) | 'required' | 'off'
+//   SMTP_USER, SMTP_PASS    optional login
+//   SMTP_HELO               name sent with EHLO (default: os.hostname())
+//   SMTP_TIMEOUT_MS         per-step timeout (default 15000)
+//   SMTP_TLS_REJECT_UNAUTHORIZED=false   accept self-signed certificates (dev only)
+
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+function configFromEnv(env = process.env) {
+  const secure = String(env.SMTP_SECURE || '').toLowerCase() === 'true';
+  return {
+    host: String(env.SMTP_HOST || '').trim(),
+    port: Number(env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    starttls: String(env.SMTP_STARTTLS || 'auto').trim().toLowerCase(),
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    helo: env.SMTP_HELO || os.hostname(),
+    timeoutMs: Number(env.SMTP_TIMEOUT_MS || 15000),
+    rejectUnauthorized: String(env.SMTP_TLS_REJECT_UNAUTHORIZED || 'true').toLowerCase() !== 'false',
+  };
+}
+
+/* ================= MESSAGE ================= */
+
+// "Name <a@b>" or "a@b" -> "a@b"
+function addressOf(v) {
+  const s = String(v || '').trim();
+  const m = s.match(/<([^>]+)>\s*$/);
+  return (m ? m[1] : s).trim();
+}
+
+// RFC 2047 for non-ASCII header values
+function headerValue(v) {
+  const s = String(v ?? '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString('base64')}?=`;
+}
+
+function base64Body(text) {
+  return Buffer.from(String(text || ''))
+    .toString('base64')
+    .replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * buildMessage({ id, from, to, subject, text, html }) -> RFC 5322 message (CRLF line ends)
+ */
+function buildMessage({ id, from, to, subject, text, html = null }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${id || crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Body(text),
+    ].join('\r\n');
+  }
+
+  const boundary = `b_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/* ================= SESSION ================= */
+
+// Reads SMTP replies ("250-..." lines until "250 ...") from a socket
+function replyReader(socket) {
+  let buf = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    if (failure) {
+      const w = waiting;
+      waiting = null;
+      return w.reject(failure);
+    }
+    for (;;) {
+      const nl = buf.indexOf('\n');
+      if (nl < 0) return;
+      const line = buf.slice(0, nl).replace(/\r$/, '');
+      buf = buf.slice(nl + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) };
+        lines = [];
+        const w = waiting;
+        waiting = null;
+        return w.resolve(reply);
+      }
+    }
+  };
+
+  socket.on('data', (d) => {
+    buf += d.toString('utf-8');
+    settle();
+  });
+  socket.on('error', (e) => {
+    failure = e;
+    settle();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    settle();
+  });
+
+  return {
+    next(timeoutMs) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting = null;
+          reject(new Error('SMTP server did not answer in time'));
+        }, timeoutMs);
+        waiting = {
+          resolve: (r) => (clearTimeout(timer), resolve(r)),
+          reject: (e) => (clearTimeout(timer), reject(e)),
+        };
+        settle();
+      });
+    },
+  };
+}
+
+function connect(cfg) {
+  return new Promise((resolve, reject) => {
+    const opts = { host: cfg.host, port: cfg.port, servername: net.isIP(cfg.host) ? undefined : cfg.host, rejectUnauthorized: cfg.rejectUnauthorized };
+    const s = cfg.secure ? tls.connect(opts) : net.connect(opts);
+    const timer = setTimeout(() => s.destroy(new Error(`SMTP connect to ${cfg.host}:${cfg.port} timed out`)), cfg.timeoutMs);
+    s.once(cfg.secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(s);
+    });
+    s.once('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+  });
+}
+
+/**
+ * send(msg, cfg) -> { id, response }
+ * msg: { id, from, to, subject, text, html } (lib/mail.js shape). Rejects on any non-2xx/3xx
+ * reply, with the server's answer in the message.
+ */
+async function send(msg, cfg = configFromEnv()) {
+  if (!cfg.host) throw new Error('SMTP_HOST is not set');
+
+  let socket = await connect(cfg);
+  let reader = replyReader(socket);
+
+  const expect = async (ok, what) => {
+    const r = await reader.next(cfg.timeoutMs);
+    if (!ok.includes(Math.floor(r.code / 100))) {
+      throw new Error(`SMTP ${what} failed: ${r.code} ${r.lines.join(' ')}`.trim());
+    }
+    return r;
+  };
+  const cmd = (line, ok, what) => {
+    socket.write(`${line}\r\n`);
+    return expect(ok, what);
+  };
+
+  try {
+    await expect([2], 'greeting');
+    let ehlo = await cmd(`EHLO ${cfg.helo}`, [2], 'EHLO');
+    const offers = (name) => ehlo.lines.some((l) => l.toUpperCase().startsWith(name));
+
+    if (!cfg.secure && cfg.starttls !== 'off' && offers('STARTTLS')) {
+      await cmd('STARTTLS', [2], 'STARTTLS');
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+      socket = await new Promise((resolve, reject) => {
+        const t = tls.connect({ socket, servername: net.isIP(cfg.host) ? undefined : cfg.host, rejectUnauthorized: cfg.rejectUnauthorized }, () => resolve(t));
+        t.once('error', reject);
+      });
+      reader = replyReader(socket);
+      ehlo = await cmd(`EHLO ${cfg.helo}`, [2], 'EHLO');
+    } else if (!cfg.secure && cfg.starttls === 'required') {
+      throw new Error('SMTP server does not offer STARTTLS (SMTP_STARTTLS=required)');
+    }
+
+    if (cfg.user) {
+      const auth = ehlo.lines.find((l) => l.toUpperCase().startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${cfg.user}\0${cfg.pass || ''}`).toString('base64');
+        await cmd(`AUTH PLAIN ${token}`, [2], 'AUTH');
+      } else {
+        await cmd('AUTH LOGIN', [3], 'AUTH');
+        await cmd(Buffer.from(String(cfg.user)).toString('base64'), [3], 'AUTH');
+        await cmd(Buffer.from(String(cfg.pass || '')).toString('base64'), [2], 'AUTH');
+      }
+    }
+
+    await cmd(`MAIL FROM:<${addressOf(msg.from)}>`, [2], 'MAIL FROM');
+    await cmd(`RCPT TO:<${addressOf(msg.to)}>`, [2], 'RCPT TO');
+    await cmd('DATA', [3], 'DATA');
+    // base64 bodies never start a line with "." but headers might
+    const data = buildMessage(msg).replace(/\r\n\./g, '\r\n..');
+    const done = await cmd(`${data}\r\n.`, [2], 'DATA');
+
+    socket.write('QUIT\r\n');
+    return { id: msg.id, response: done.lines.join(' ') };
+  } finally {
+    socket.end();
+    setTimeout(() => socket.destroy(), 1000).unref();
+  }
+}
+
+module.exports = { configFromEnv, buildMessage, send };
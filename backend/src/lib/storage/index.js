@@ -0,0 +1,107 @@
+// backend/src/lib/storage/index.js
+// Storage backend selection + the collection API.
+//
+// STORAGE_DRIVER=json (default)  data/db.json        (lib/storage/json.adapter.js)
+// STORAGE_DRIVER=sqlite          data/autoshield.sqlite (lib/storage/sqlite.adapter.js)
+//
+// Every adapter implements:
+//   init(), loadDocument(), saveDocument(doc)       whole document (readDb / writeDb)
+//   insert(name, doc), find(name, filter, opts), count(name, filter),
+//   update(name, filter, apply), remove(name, filter)
+//   backup(dest)                                    copy the whole database to dest
+//   flush()                                         optional: write out batched changes
+//
+// `store` wraps them for services that only need a few records:
+//   store.insert('audit', rec)
+//   store.find('notifications', { userId }, { sort: { at: -1 }, limit: 50 })
+//   store.findOne('users', { id })
+//   store.update('users', { id }, { role: 'Manager' })        // merge a patch...
+//   store.update('notifications', { userId }, (n) => ({ ...n, read: true }))  // ...or map
+//   store.remove('sessions', { userId })
+//   store.paginate('audit', { companyId }, { page: 2, pageSize: 50, sort: { at: -1 } })
+// Filter and sort grammar: lib/storage/query.js. Each call is atomic and bumps the
+// records' `_rev` (lib/storage/revisions.js).
+
+const { nanoid } = require('nanoid');
+const { COLLECTIONS } = require('./schema');
+const { validateFilter } = require('./query');
+const { revOf } = require('./revisions');
+
+const DRIVERS = {
+  json: () => require('./json.adapter'),
+  sqlite: () => require('./sqlite.adapter'),
+};
+
+const DRIVER = String(process.env.STORAGE_DRIVER || 'json').trim().toLowerCase();
+if (!DRIVERS[DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+}
+
+const adapter = DRIVERS[DRIVER]();
+
+const MAX_PAGE_SIZE = 500;
+
+function collectionName(name) {
+  if (!COLLECTIONS.includes(name)) throw new Error(`Unknown collection: ${name}`);
+  return name;
+}
+
+const store = {
+  insert(name, doc) {
+    const rec = { ...doc };
+    if (rec.id === undefined || rec.id === null || rec.id === '') rec.id = nanoid();
+    rec._rev = 1;
+    return adapter.insert(collectionName(name), rec);
+  },
+
+  find(name, filter = {}, opts = {}) {
+    validateFilter(filter);
+    return adapter.find(collectionName(name), filter, opts);
+  },
+
+  findOne(name, filter = {}, opts = {}) {
+    return store.find(name, filter, { ...opts, limit: 1 })[0] || null;
+  },
+
+  count(name, filter = {}) {
+    validateFilter(filter);
+    return adapter.count(collectionName(name), filter);
+  },
+
+  // patch: object merged into each match, or fn(doc) -> new doc. Returns updated docs.
+  update(name, filter, patch) {
+    validateFilter(filter);
+    const apply = typeof patch === 'function' ? patch : (d) => ({ ...d, ...patch });
+    return adapter.update(collectionName(name), filter, (d) => {
+      const rev = revOf(d);
+      return { ...(apply(d) || d), _rev: rev + 1 };
+    });
+  },
+
+  remove(name, filter) {
+    validateFilter(filter);
+    if (!filter || !Object.keys(filter).length) throw new Error('remove() needs a filter');
+    return adapter.remove(collectionName(name), filter);
+  },
+
+  // -> { items, total, page, pageSize, pages }
+  paginate(name, filter = {}, { page = 1, pageSize = 50, sort = null } = {}) {
+    const size = Math.max(1, Math.min(MAX_PAGE_SIZE, Number(pageSize) || 50));
+    const p = Math.max(1, Number(page) || 1);
+    const total = store.count(name, filter);
+
+    return {
+      items: store.find(name, filter, { sort, limit: size, offset: (p - 1) * size }),
+      total,
+      page: p,
+      pageSize: size,
+      pages: Math.max(1, Math.ceil(total / size)),
+    };
+  },
+};
+
+function flush() {
+  if (adapter.flush) adapter.flush();
+}
+
+module.exports = { DRIVER, adapter, store, flush };
@@ -0,0 +1,253 @@
+// backend/src/lib/storage/json.adapter.js
+// Storage adapter: the whole database in one JSON file (data/db.json), written atomically.
+//
+// The document lives in memory once loaded; readDb() hands out copies and writeDb() merges
+// the records the caller changed back into it (lib/storage/revisions.js). Writes are
+// batched: the file is rewritten once at the end of the current event-loop turn, or every
+// DB_FLUSH_MS milliseconds when that is set, and synchronously by flush() / on exit.
+// One process per file: a change made on disk by someone else is picked up on the next
+// read only while this process has nothing waiting to be written.
+// Use the SQLite adapter (STORAGE_DRIVER=sqlite) when the audit log gets large.
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, defaultDb, fillDefaults } = require('./schema');
+const { matches, sortDocs } = require('./query');
+const { diffCollection, diffKeys } = require('./revisions');
+
+const DB_PATH =
+  (process.env.DB_JSON_PATH && String(process.env.DB_JSON_PATH).trim()) ||
+  path.join(__dirname, '..', '..', 'data', 'db.json');
+const TMP_PATH = DB_PATH + '.tmp';
+const FLUSH_MS = Math.max(0, Number(process.env.DB_FLUSH_MS || 0));
+
+const STATE = Symbol('jsonDocument');
+
+let cache = null;      // the current document
+let diskStamp = null;  // mtime + size of db.json as we last read or wrote it
+let dirty = false;
+let flushTimer = null;
+
+function ensureDir(p) {
+  const dir = path.dirname(p);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function stampOf() {
+  try {
+    const st = fs.statSync(DB_PATH);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch {
+    return null;
+  }
+}
+
+function writeFile(doc) {
+  ensureDir(DB_PATH);
+  fs.writeFileSync(TMP_PATH, JSON.stringify(doc, null, 2));
+  fs.renameSync(TMP_PATH, DB_PATH);
+  diskStamp = stampOf();
+}
+
+function readFile() {
+  // If file exists but is missing pieces, fill them in (versioned changes: ensureDb())
+  try {
+    const raw = fs.readFileSync(DB_PATH, 'utf-8');
+    return fillDefaults(JSON.parse(raw));
+  } catch {
+    // If corrupted, preserve a backup then rebuild
+    try {
+      const bad = fs.readFileSync(DB_PATH, 'utf-8');
+      fs.writeFileSync(DB_PATH + '.corrupt.' + Date.now(), bad);
+    } catch {}
+    return defaultDb();
+  }
+}
+
+function init() {
+  ensureDir(DB_PATH);
+
+  if (!fs.existsSync(DB_PATH)) {
+    if (!cache || !dirty) cache = defaultDb();
+    writeFile(cache);
+    dirty = false;
+    return;
+  }
+  if (cache && (dirty || stampOf() === diskStamp)) return;
+
+  cache = readFile();
+  writeFile(cache);
+}
+
+/* ================= FLUSHING ================= */
+
+function flush() {
+  if (flushTimer) {
+    if (FLUSH_MS) clearTimeout(flushTimer);
+    else clearImmediate(flushTimer);
+    flushTimer = null;
+  }
+  if (!dirty || !cache) return;
+  dirty = false;
+  writeFile(cache);
+}
+
+function markDirty() {
+  dirty = true;
+  if (flushTimer) return;
+  flushTimer = FLUSH_MS ? setTimeout(flush, FLUSH_MS) : setImmediate(flush);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+process.on('exit', flush);
+
+// Copy of db.json including anything still waiting to be flushed
+function backup(dest) {
+  init();
+  flush();
+  ensureDir(dest);
+  fs.copyFileSync(DB_PATH, dest);
+  return dest;
+}
+
+/* ================= DOCUMENT (readDb / writeDb) ================= */
+
+function loadDocument() {
+  init();
+
+  const doc = {};
+  const state = { snapshots: {}, kv: new Map() };
+
+  for (const [k, v] of Object.entries(cache)) {
+    if (COLLECTIONS.includes(k)) continue;
+    const json = JSON.stringify(v);
+    state.kv.set(k, json);
+    doc[k] = JSON.parse(json);
+  }
+  for (const name of COLLECTIONS) {
+    const snapshot = new Map();
+    doc[name] = cache[name].map((rec) => {
+      const json = JSON.stringify(rec);
+      snapshot.set(String(rec.id), json);
+      return JSON.parse(json);
+    });
+    state.snapshots[name] = snapshot;
+  }
+
+  Object.defineProperty(doc, STATE, { value: state });
+  return doc;
+}
+
+function indexOf(name) {
+  return new Map(cache[name].map((rec, i) => [String(rec.id), i]));
+}
+
+function saveDocument(input) {
+  init();
+  const doc = fillDefaults(input);
+
+  // a plain object (not from loadDocument): compare against everything stored
+  const state = doc[STATE] || {
+    snapshots: Object.fromEntries(
+      COLLECTIONS.map((n) => [n, new Map(cache[n].map((r) => [String(r.id), JSON.stringify(r)]))])
+    ),
+    kv: new Map(Object.keys(cache).filter((k) => !COLLECTIONS.includes(k)).map((k) => [k, JSON.stringify(cache[k])])),
+  };
+
+  // work out every change first so a conflict leaves the document untouched
+  const plans = COLLECTIONS.map((name) => {
+    const at = indexOf(name);
+    const plan = diffCollection(name, doc[name], state.snapshots[name], (id) =>
+      at.has(id) ? cache[name][at.get(id)] : null
+    );
+    return { name, at, ...plan };
+  });
+  const keys = diffKeys(doc, (k) => COLLECTIONS.includes(k), state.kv, (k) =>
+    k in cache ? JSON.stringify(cache[k]) : undefined
+  );
+
+  let changed = keys.length > 0;
+  for (const { name, at, upserts, deletes } of plans) {
+    if (!upserts.length && !deletes.length) continue;
+    changed = true;
+    const snapshot = state.snapshots[name];
+    for (const rec of upserts) {
+      const id = String(rec.id);
+      const json = JSON.stringify(rec);
+      if (at.has(id)) cache[name][at.get(id)] = JSON.parse(json);
+      else cache[name].push(JSON.parse(json));
+      snapshot.set(id, json);
+    }
+    if (deletes.length) {
+      const gone = new Set(deletes);
+      cache[name] = cache[name].filter((r) => !gone.has(String(r.id)));
+      for (const id of deletes) snapshot.delete(id);
+    }
+  }
+  for (const [k, json] of keys) {
+    cache[k] = JSON.parse(json);
+    state.kv.set(k, json);
+  }
+
+  if (changed) markDirty();
+}
+
+/* ================= COLLECTIONS ================= */
+
+const copy = (rec) => JSON.parse(JSON.stringify(rec));
+
+function insert(name, doc) {
+  init();
+  cache[name].push(copy(doc));
+  markDirty();
+  return doc;
+}
+
+function find(name, filter, { sort = null, limit = null, offset = 0 } = {}) {
+  init();
+  const rows = sortDocs(cache[name].filter((d) => matches(d, filter)), sort);
+  return rows.slice(offset || 0, limit ? (offset || 0) + limit : undefined).map(copy);
+}
+
+function count(name, filter) {
+  init();
+  return cache[name].filter((d) => matches(d, filter)).length;
+}
+
+// apply(doc) -> the replacement document; returns the updated documents
+function update(name, filter, apply) {
+  init();
+  const out = [];
+  cache[name] = cache[name].map((d) => {
+    if (!matches(d, filter)) return d;
+    const next = apply(copy(d));
+    out.push(next);
+    return copy(next);
+  });
+  if (out.length) markDirty();
+  return out;
+}
+
+function remove(name, filter) {
+  init();
+  const before = cache[name].length;
+  cache[name] = cache[name].filter((d) => !matches(d, filter));
+  const n = before - cache[name].length;
+  if (n) markDirty();
+  return n;
+}
+
+module.exports = {
+  name: 'json',
+  DB_PATH,
+  init,
+  flush,
+  backup,
+  loadDocument,
+  saveDocument,
+  insert,
+  find,
+  count,
+  update,
+  remove,
+};
@@ -0,0 +1,74 @@
+// backend/src/lib/storage/migrateJsonToSqlite.js
+// One-shot move of an existing db.json into the SQLite backend.
+//
+//   npm run storage:migrate [-- --from path/to/db.json] [-- --force]
+//
+// - reads the JSON file (default: the one the JSON adapter uses) and fills in missing
+//   pieces; pending numbered migrations run on the next server start, as for db.json
+// - refuses to touch a SQLite file that already holds records unless --force
+//   (--force replaces its contents)
+// - copies every collection + the remaining keys in one transaction, then compares
+//   record counts; the JSON file is left untouched
+// Afterwards start the server with STORAGE_DRIVER=sqlite (SQLITE_PATH selects the file).
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { COLLECTIONS, fillDefaults } = require('./schema');
+const json = require('./json.adapter');
+const sqlite = require('./sqlite.adapter');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return null;
+  const v = process.argv[i + 1];
+  return v && !v.startsWith('--') ? v : true;
+}
+
+function main() {
+  const from = typeof arg('from') === 'string' ? arg('from') : json.DB_PATH;
+  const force = !!arg('force');
+
+  if (!fs.existsSync(from)) {
+    console.error(`[storage] ${from} not found`);
+    return 1;
+  }
+
+  const source = fillDefaults(JSON.parse(fs.readFileSync(from, 'utf-8')));
+
+  sqlite.init();
+  const existing = COLLECTIONS.reduce((n, name) => n + sqlite.count(name, {}), 0);
+  if (existing && !force) {
+    console.error(`[storage] ${sqlite.SQLITE_PATH} already holds ${existing} records; rerun with --force to replace them`);
+    return 1;
+  }
+
+  // a plain object: saveDocument() diffs it against what is stored (nothing, or the
+  // records --force replaces) and writes everything in one transaction
+  try {
+    sqlite.saveDocument(source);
+  } catch (e) {
+    console.error('[storage] migration failed, nothing was written:', e?.message || e);
+    sqlite.close();
+    return 1;
+  }
+
+  let ok = true;
+  for (const name of COLLECTIONS) {
+    const want = (source[name] || []).length;
+    const got = sqlite.count(name, {});
+    if (want !== got) ok = false;
+    console.log(`[storage] ${name.padEnd(20)} ${String(got).padStart(7)}${want !== got ? `  (expected ${want})` : ''}`);
+  }
+
+  sqlite.close();
+
+  if (!ok) {
+    console.error('[storage] record counts differ; check for duplicate or missing ids in db.json');
+    return 1;
+  }
+  console.log(`[storage] migrated ${from} -> ${sqlite.SQLITE_PATH}; start with STORAGE_DRIVER=sqlite`);
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,15 @@
+// backend/src/lib/storage/migrations/003_autoprotect_flag.js
+// Users carried the AutoProtect switch twice: `autoprotectEnabled` and the misspelt
+// `autoprotechEnabled`, and readers OR-ed the two. Keep only `autoprotectEnabled`.
+
+module.exports = {
+  description: 'fold users.autoprotechEnabled into users.autoprotectEnabled',
+
+  up(db) {
+    for (const u of db.users) {
+      if (!Object.prototype.hasOwnProperty.call(u, 'autoprotechEnabled')) continue;
+      u.autoprotectEnabled = !!(u.autoprotectEnabled || u.autoprotechEnabled);
+      delete u.autoprotechEnabled;
+    }
+  },
+};
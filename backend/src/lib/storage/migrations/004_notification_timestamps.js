@@ -0,0 +1,34 @@
+// backend/src/lib/storage/migrations/004_notification_timestamps.js
+// Notifications from older builds have only `at` or only `createdAt`, sometimes as epoch
+// milliseconds, and severities outside the UI set. Give every notification both
+// timestamps as the same ISO string and one of info / warn / danger / ok.
+// (Severity mapping copied from lib/notify.js at the time of writing.)
+
+function severity(sev) {
+  const s = String(sev || 'info').toLowerCase().trim();
+  if (s === 'warning') return 'warn';
+  if (s === 'critical' || s === 'error') return 'danger';
+  if (s === 'success') return 'ok';
+  if (['info', 'warn', 'danger', 'ok'].includes(s)) return s;
+  return 'info';
+}
+
+function iso(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const d = new Date(typeof v === 'string' && /^\d+$/.test(v) ? Number(v) : v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+module.exports = {
+  description: 'give notifications matching ISO at/createdAt and a known severity',
+
+  // notifications with no usable timestamp get the time of the migration
+  up(db, { now }) {
+    for (const n of db.notifications) {
+      const ts = iso(n.createdAt) || iso(n.at) || now;
+      n.at = ts;
+      n.createdAt = ts;
+      n.severity = severity(n.severity);
+    }
+  },
+};
@@ -0,0 +1,22 @@
+// backend/src/lib/storage/migrations/005_audit_chain.js
+// The audit log becomes a hash chain (lib/auditChain.js). Seal every record that has no
+// hash yet, in stored order, after the last sealed one; sealed records are not touched.
+
+const chain = require('../../auditChain');
+
+module.exports = {
+  description: 'hash-chain existing audit records (seq, prevHash, hash)',
+
+  up(db) {
+    let tail = null;
+    for (const r of db.audit) {
+      if (r.hash && (!tail || r.seq > tail.seq)) tail = { seq: r.seq, hash: r.hash };
+    }
+    db.audit = db.audit.map((r) => {
+      if (r.hash) return r;
+      const sealed = chain.seal(r, tail);
+      tail = { seq: sealed.seq, hash: sealed.hash };
+      return sealed;
+    });
+  },
+};
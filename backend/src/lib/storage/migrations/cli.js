@@ -0,0 +1,61 @@
+// backend/src/lib/storage/migrations/cli.js
+// Schema migrations by hand (the server also runs them on startup).
+//
+//   npm run db:migrate                  apply pending migrations (backup first)
+//   npm run db:migrate -- --dry-run     print what each pending one would change; writes nothing
+//   npm run db:migrate -- --status      current version, pending steps and the migrations log
+//
+// Uses the same STORAGE_DRIVER / DB_JSON_PATH / SQLITE_PATH settings as the server.
+// Stop the server first: it keeps db.json in memory and would overwrite the result.
+
+require('dotenv').config();
+
+const { adapter } = require('..');
+const { LATEST, versionOf, pending, runPending } = require('.');
+
+function printStatus() {
+  const db = adapter.loadDocument();
+  const log = Array.isArray(db.migrations) ? db.migrations : [];
+
+  console.log(`[migrate] schema v${versionOf(db)} (latest v${LATEST})`);
+  for (const m of log) {
+    console.log(`  applied  ${String(m.version).padStart(3, '0')}_${m.name}  ${m.appliedAt}  ${m.backup || ''}`);
+  }
+  for (const m of pending(db)) {
+    console.log(`  pending  ${String(m.version).padStart(3, '0')}_${m.name}  ${m.description}`);
+  }
+}
+
+function main() {
+  adapter.init();
+
+  if (process.argv.includes('--status')) {
+    printStatus();
+    return 0;
+  }
+
+  const dryRun = process.argv.includes('--dry-run');
+  const result = runPending(adapter, { dryRun });
+
+  if (!result.applied.length) {
+    console.log(`[migrate] schema v${result.from} is up to date`);
+    return 0;
+  }
+
+  console.log(`[migrate] schema v${result.from} -> v${result.to}${dryRun ? ' (dry run, nothing written)' : ''}`);
+  for (const m of result.applied) {
+    const counts = Object.entries(m.changes).map(([k, n]) => `${k} ${n}`).join(', ') || 'no changes';
+    console.log(`\n${String(m.version).padStart(3, '0')}_${m.name}: ${m.description} (${counts})`);
+    for (const line of m.diff || []) console.log(`  ${line}`);
+    if (m.diffTruncated) console.log(`  ... and ${m.diffTruncated} more`);
+  }
+  if (result.backup) console.log(`\n[migrate] backup at ${result.backup}`);
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (e) {
+  console.error('[migrate]', e?.message || e);
+  process.exitCode = 1;
+}
@@ -0,0 +1,192 @@
+// backend/src/lib/storage/migrations/index.js
+// Numbered schema migrations for the database document.
+//
+// Each NNN_name.js in this folder exports { description, up(db, { now }) } and brings the
+// document to schema version NNN. up() changes the document in place (plain arrays and
+// objects, whatever the storage driver) and must not touch anything outside it.
+// Audit records are hash-chained (lib/auditChain.js): a migration may append sealed
+// records but must not change existing ones, or GET /api/admin/audit/verify fails.
+// Versions 1 and 2 predate this folder: v2 is the shape schema.fillDefaults() guarantees.
+//
+// runPending(adapter) is called by ensureDb() at startup:
+//   - nothing to do when schemaVersion is already the latest
+//   - otherwise: backup of the current file to <data dir>/backups/, every pending up()
+//     in order on a copy, then one write that also appends to db.migrations:
+//       { version, name, description, appliedAt, durationMs, changes, backup }
+//   - any failure leaves the stored document as it was
+// With { dryRun: true } nothing is written and each step carries a readable diff.
+// CLI: npm run db:migrate [-- --dry-run | --status]   (lib/storage/migrations/cli.js)
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.js$/;
+const BASE_VERSION = 2;
+const MAX_DIFF_LINES = 200;
+
+function loadMigrations() {
+  const list = fs
+    .readdirSync(__dirname)
+    .map((f) => f.match(FILE_RE))
+    .filter(Boolean)
+    .map(([file, num, name]) => {
+      const mod = require(path.join(__dirname, file));
+      if (typeof mod.up !== 'function') throw new Error(`Migration ${file} has no up()`);
+      return { version: Number(num), name, description: String(mod.description || name), up: mod.up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  list.forEach((m, i) => {
+    if (m.version !== BASE_VERSION + i + 1) {
+      throw new Error(`Migration ${m.version}_${m.name} is out of sequence (expected ${BASE_VERSION + i + 1})`);
+    }
+  });
+  return list;
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : BASE_VERSION;
+
+function versionOf(db) {
+  return Number(db?.schemaVersion) || 1;
+}
+
+function pending(db) {
+  return MIGRATIONS.filter((m) => m.version > versionOf(db));
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+/* ================= DIFF ================= */
+
+const IGNORED_KEYS = ['schemaVersion', 'migrations'];
+
+function short(v) {
+  if (v === undefined) return '(unset)';
+  const s = JSON.stringify(v);
+  return s.length > 60 ? s.slice(0, 57) + '...' : s;
+}
+
+function fieldChanges(a, b) {
+  const out = [];
+  for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (k === '_rev') continue;
+    if (JSON.stringify(a[k]) !== JSON.stringify(b[k])) out.push(`${k}: ${short(a[k])} -> ${short(b[k])}`);
+  }
+  return out;
+}
+
+/**
+ * diff(before, after) -> { changes: { <collection|key>: n }, lines: [...] }
+ * Records are matched by id; everything that is not an array of records is compared
+ * as a whole value.
+ */
+function diff(before, after) {
+  const changes = {};
+  const lines = [];
+  const bump = (k) => (changes[k] = (changes[k] || 0) + 1);
+
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (IGNORED_KEYS.includes(key)) continue;
+    const a = before[key];
+    const b = after[key];
+    const isRecords = (v) => Array.isArray(v) && v.every((r) => r && typeof r === 'object' && 'id' in r);
+
+    if (isRecords(a) && isRecords(b)) {
+      const old = new Map(a.map((r) => [String(r.id), r]));
+      const seen = new Set();
+      for (const r of b) {
+        const id = String(r.id);
+        seen.add(id);
+        if (!old.has(id)) {
+          bump(key);
+          lines.push(`+ ${key} ${id}`);
+          continue;
+        }
+        const fields = fieldChanges(old.get(id), r);
+        if (!fields.length) continue;
+        bump(key);
+        lines.push(`~ ${key} ${id}: ${fields.join(', ')}`);
+      }
+      for (const id of old.keys()) {
+        if (seen.has(id)) continue;
+        bump(key);
+        lines.push(`- ${key} ${id}`);
+      }
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      bump(key);
+      lines.push(`~ ${key}: ${short(a)} -> ${short(b)}`);
+    }
+  }
+  return { changes, lines };
+}
+
+/* ================= RUNNER ================= */
+
+function stampOf(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function backupPath(adapter, from, to, now) {
+  const file = adapter.DB_PATH || adapter.SQLITE_PATH;
+  const ext = path.extname(file) || '.db';
+  return path.join(path.dirname(file), 'backups', `pre-migration-v${from}-v${to}-${stampOf(now)}${ext}`);
+}
+
+function runPending(adapter, { dryRun = false, now = new Date() } = {}) {
+  const current = adapter.loadDocument();
+  const from = versionOf(current);
+
+  if (from > LATEST) {
+    throw new Error(`Database schema v${from} is newer than this build knows (v${LATEST}); refusing to start`);
+  }
+
+  const steps = pending(current);
+  if (!steps.length) return { from, to: from, applied: [], backup: null, dryRun };
+
+  const at = now.toISOString();
+  const work = clone(current);
+  const applied = [];
+
+  for (const m of steps) {
+    const before = clone(work);
+    const t0 = Date.now();
+    try {
+      m.up(work, { now: at });
+    } catch (e) {
+      throw new Error(`Migration ${m.version}_${m.name} failed: ${e?.message || e}`);
+    }
+    const { changes, lines } = diff(before, work);
+    const entry = {
+      version: m.version,
+      name: m.name,
+      description: m.description,
+      appliedAt: at,
+      durationMs: Date.now() - t0,
+      changes,
+    };
+    if (dryRun) {
+      entry.diff = lines.slice(0, MAX_DIFF_LINES);
+      entry.diffTruncated = Math.max(0, lines.length - MAX_DIFF_LINES);
+    }
+    applied.push(entry);
+  }
+
+  if (dryRun) return { from, to: LATEST, applied, backup: null, dryRun };
+
+  const backup = backupPath(adapter, from, LATEST, now);
+  adapter.backup(backup);
+
+  work.migrations = [
+    ...(Array.isArray(work.migrations) ? work.migrations : []),
+    ...applied.map((e) => ({ ...e, backup })),
+  ];
+  work.schemaVersion = LATEST;
+
+  adapter.saveDocument(work);
+  if (adapter.flush) adapter.flush();
+
+  return { from, to: LATEST, applied, backup, dryRun };
+}
+
+module.exports = { MIGRATIONS, LATEST, BASE_VERSION, versionOf, pending, diff, runPending };
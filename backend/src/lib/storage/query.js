@@ -0,0 +1,96 @@
+// backend/src/lib/storage/query.js
+// Filter / sort semantics for collection queries (lib/storage/index.js).
+//
+// filter = { field: value, 'metadata.ip': value, field: { $in, $ne, $gt, $gte, $lt, $lte } }
+//   - plain values match by equality; null also matches a missing field
+//   - dotted names reach into nested objects
+// sort   = { field: 1 | -1, ... } (default: insertion order)
+//
+// The JSON adapter evaluates these in memory; the SQLite adapter compiles the same
+// grammar to SQL and must return the same results.
+
+const OPERATORS = ['$in', '$ne', '$gt', '$gte', '$lt', '$lte'];
+
+function getPath(doc, field) {
+  let v = doc;
+  for (const k of String(field).split('.')) {
+    if (v === null || v === undefined) return undefined;
+    v = v[k];
+  }
+  return v;
+}
+
+function isOperator(cond) {
+  return (
+    !!cond &&
+    typeof cond === 'object' &&
+    !Array.isArray(cond) &&
+    Object.keys(cond).length > 0 &&
+    Object.keys(cond).every((k) => OPERATORS.includes(k))
+  );
+}
+
+function same(a, b) {
+  if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+  return a === b;
+}
+
+function matchCond(value, cond) {
+  if (!isOperator(cond)) return same(value, cond);
+
+  for (const [op, arg] of Object.entries(cond)) {
+    if (op === '$in' && !(Array.isArray(arg) && arg.some((x) => same(value, x)))) return false;
+    if (op === '$ne' && same(value, arg)) return false;
+    if (['$gt', '$gte', '$lt', '$lte'].includes(op)) {
+      if (value === null || value === undefined) return false;
+      if (op === '$gt' && !(value > arg)) return false;
+      if (op === '$gte' && !(value >= arg)) return false;
+      if (op === '$lt' && !(value < arg)) return false;
+      if (op === '$lte' && !(value <= arg)) return false;
+    }
+  }
+  return true;
+}
+
+function matches(doc, filter = {}) {
+  for (const [field, cond] of Object.entries(filter || {})) {
+    if (!matchCond(getPath(doc, field), cond)) return false;
+  }
+  return true;
+}
+
+function sortDocs(docs, sort) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return docs;
+
+  return docs.slice().sort((a, b) => {
+    for (const [field, dir] of keys) {
+      const x = getPath(a, field);
+      const y = getPath(b, field);
+      if (same(x, y)) continue;
+      // missing values sort first ascending, last descending (as SQLite does with NULL)
+      if (x === null || x === undefined) return -1 * (dir < 0 ? -1 : 1);
+      if (y === null || y === undefined) return 1 * (dir < 0 ? -1 : 1);
+      return (x < y ? -1 : 1) * (dir < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function validateFilter(filter) {
+  for (const [field, cond] of Object.entries(filter || {})) {
+    if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(field)) throw new Error(`Invalid filter field: ${field}`);
+    if (cond && typeof cond === 'object' && !Array.isArray(cond) && !isOperator(cond)) {
+      throw new Error(`Unsupported filter on ${field}; use a value or ${OPERATORS.join(', ')}`);
+    }
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  getPath,
+  isOperator,
+  matches,
+  sortDocs,
+  validateFilter,
+};
@@ -0,0 +1,94 @@
+// backend/src/lib/storage/revisions.js
+// Record revisions + the merge both adapters run in saveDocument().
+//
+// Every record in a COLLECTION carries `_rev` (1 on insert, +1 on every write; records
+// older than revisions count as 0). A document from readDb() remembers what each record
+// looked like when it was read, so writeDb() only writes the records the caller changed:
+//   - records the caller did not touch keep whatever is stored now (no lost updates)
+//   - records the caller changed are written if nobody else wrote them meanwhile,
+//     otherwise the whole write is rejected with a WRITE_CONFLICT (409)
+//   - the same rule applies to the non-collection keys (settings, loginGuard, ...)
+// A plain object (not from readDb) is compared against what is stored, i.e. it wins.
+// `_rev` is internal: omitRev strips it from API responses (server.js json replacer).
+
+function revOf(rec) {
+  return Number(rec?._rev) || 0;
+}
+
+// JSON.stringify replacer
+function omitRev(key, value) {
+  return key === '_rev' ? undefined : value;
+}
+
+function conflictError(where) {
+  const err = new Error(`Write conflict: ${where} changed since it was read; reload and try again`);
+  err.status = 409;
+  err.code = 'WRITE_CONFLICT';
+  return err;
+}
+
+function isConflict(e) {
+  return e?.code === 'WRITE_CONFLICT';
+}
+
+/**
+ * Work out what writing `list` means for one collection.
+ *   list      the caller's records
+ *   snapshot  Map id -> record JSON as the caller read it
+ *   current   (id) -> the stored record or null
+ * Returns { upserts, deletes }; throws a WRITE_CONFLICT before anything is written.
+ * Upserted records get their next `_rev` assigned in place; once the write succeeds the
+ * adapter records them in the snapshot so the document can be saved again after more edits.
+ */
+function diffCollection(name, list, snapshot, current) {
+  const upserts = [];
+  const deletes = [];
+  const seen = new Set();
+
+  for (const rec of Array.isArray(list) ? list : []) {
+    if (rec?.id === undefined || rec?.id === null || rec.id === '') {
+      throw new Error(`Records in ${name} need an id`);
+    }
+    const id = String(rec.id);
+    seen.add(id);
+
+    const base = snapshot.get(id);
+    if (base === JSON.stringify(rec)) continue;
+
+    const cur = current(id);
+    if (base === undefined ? cur : !cur || revOf(cur) !== revOf(JSON.parse(base))) {
+      throw conflictError(`${name} ${id}`);
+    }
+    upserts.push(rec);
+  }
+
+  for (const [id, base] of snapshot) {
+    if (seen.has(id)) continue;
+    const cur = current(id);
+    if (!cur) continue;
+    if (revOf(cur) !== revOf(JSON.parse(base))) throw conflictError(`${name} ${id}`);
+    deletes.push(id);
+  }
+
+  for (const rec of upserts) {
+    const cur = current(String(rec.id));
+    rec._rev = revOf(cur) + 1;
+  }
+  return { upserts, deletes };
+}
+
+// Non-collection keys: Map key -> JSON as read; current(key) -> stored JSON or undefined
+function diffKeys(doc, isCollection, snapshot, current) {
+  const changed = [];
+  for (const k of Object.keys(doc)) {
+    if (isCollection(k) || doc[k] === undefined) continue;
+    const json = JSON.stringify(doc[k]);
+    const base = snapshot.get(k);
+    if (base === json) continue;
+    if (current(k) !== base) throw conflictError(`"${k}"`);
+    changed.push([k, json]);
+  }
+  return changed;
+}
+
+module.exports = { revOf, omitRev, conflictError, isConflict, diffCollection, diffKeys };
@@ -0,0 +1,147 @@
+// backend/src/lib/storage/schema.js
+// Shape of the database document, shared by every storage adapter.
+//
+// COLLECTIONS are the record arrays (each record has an `id`); adapters may store them
+// row by row. Everything else (settings, loginGuard, brain, paper, live, schemaVersion,
+// migrations) is a small keyed value.
+//
+// fillDefaults() only adds missing pieces and runs on every load; changes to existing
+// data are numbered migrations (lib/storage/migrations), which set schemaVersion.
+
+const { LATEST: SCHEMA_VERSION } = require('./migrations');
+
+// Record collections (arrays of { id, ... })
+const COLLECTIONS = [
+  'users',
+  'companies',
+  'audit',
+  'auditCheckpoints',
+  'notifications',
+  'sessions',
+  'passwordResets',
+  'apiKeys',
+  'invites',
+  'managerAssignments',
+  'dataJobs',
+  'notificationPrefs',
+  'notificationDeliveries',
+];
+
+function defaultDb() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    migrations: [], // [{version, name, description, appliedAt, durationMs, changes, backup}]
+
+    // existing
+    users: [],
+    companies: [],
+    audit: [],
+    auditCheckpoints: [], // signed { seq, hash } of the audit chain (audit/audit.service.js)
+    notifications: [],
+    sessions: [],
+    passwordResets: [],
+    loginGuard: { accounts: {}, ips: {} },
+    apiKeys: [],
+    invites: [],
+    managerAssignments: [],
+    dataJobs: [],
+    notificationPrefs: [], // per-user delivery preferences (notifications/preferences.service.js)
+    notificationDeliveries: [], // email / webhook / chat sends (notifications/delivery.service.js)
+
+    // platform-wide settings (MFA policy, etc)
+    settings: {
+      mfa: { requiredRoles: [] },
+    },
+
+    // NEW: persistent "brain" areas
+    brain: {
+      // reserved for long-term memory (summaries, rules, etc)
+      memory: [], // [{ts, type, text, meta}]
+      // reserved for system notes/flags
+      notes: [],  // [{ts, text}]
+    },
+
+    paper: {
+      // rolling stats that survive restarts
+      summary: {
+        startBalance: 0,
+        balance: 0,
+        pnl: 0,
+        wins: 0,
+        losses: 0,
+        totalGain: 0,
+        totalLoss: 0,
+        fees: 0,
+        slippage: 0,
+        spread: 0,
+        lastTradeTs: 0
+      },
+      // last N trades persisted (so you can review after restart)
+      trades: [], // [{time, symbol, type, price, qty, profit, note}]
+      // optional daily rollups
+      daily: []   // [{dayKey, trades, pnl, wins, losses, totalGain, totalLoss}]
+    },
+
+    live: {
+      events: [], // audit trail for live readiness / dry-run orders
+    }
+  };
+}
+
+// Fill in whatever an older or hand-edited document is missing (non-breaking)
+function fillDefaults(db) {
+  if (!db || typeof db !== 'object') return defaultDb();
+
+  // no version at all: written before versions existed, every migration is pending
+  if (!db.schemaVersion) db.schemaVersion = 1;
+  if (!Array.isArray(db.migrations)) db.migrations = [];
+
+  // Add missing collections safely
+  if (!Array.isArray(db.users)) db.users = [];
+  if (!Array.isArray(db.companies)) db.companies = [];
+  if (!Array.isArray(db.audit)) db.audit = [];
+  if (!Array.isArray(db.auditCheckpoints)) db.auditCheckpoints = [];
+  if (!Array.isArray(db.notifications)) db.notifications = [];
+  if (!Array.isArray(db.sessions)) db.sessions = [];
+  if (!Array.isArray(db.passwordResets)) db.passwordResets = [];
+  if (!db.loginGuard || typeof db.loginGuard !== 'object') db.loginGuard = { accounts: {}, ips: {} };
+  if (!Array.isArray(db.apiKeys)) db.apiKeys = [];
+  if (!Array.isArray(db.invites)) db.invites = [];
+  if (!Array.isArray(db.managerAssignments)) db.managerAssignments = [];
+  if (!Array.isArray(db.dataJobs)) db.dataJobs = [];
+  if (!Array.isArray(db.notificationPrefs)) db.notificationPrefs = [];
+  if (!Array.isArray(db.notificationDeliveries)) db.notificationDeliveries = [];
+
+  if (!db.settings || typeof db.settings !== 'object') db.settings = {};
+  if (!db.settings.mfa) db.settings.mfa = { requiredRoles: [] };
+
+  if (!db.brain) db.brain = {};
+  if (!Array.isArray(db.brain.memory)) db.brain.memory = [];
+  if (!Array.isArray(db.brain.notes)) db.brain.notes = [];
+
+  if (!db.paper) db.paper = {};
+  if (!db.paper.summary) {
+    db.paper.summary = {
+      startBalance: 0,
+      balance: 0,
+      pnl: 0,
+      wins: 0,
+      losses: 0,
+      totalGain: 0,
+      totalLoss: 0,
+      fees: 0,
+      slippage: 0,
+      spread: 0,
+      lastTradeTs: 0
+    };
+  }
+  if (!Array.isArray(db.paper.trades)) db.paper.trades = [];
+  if (!Array.isArray(db.paper.daily)) db.paper.daily = [];
+
+  if (!db.live) db.live = {};
+  if (!Array.isArray(db.live.events)) db.live.events = [];
+
+  return db;
+}
+
+module.exports = { SCHEMA_VERSION, COLLECTIONS, defaultDb, fillDefaults };
@@ -0,0 +1,381 @@
+// backend/src/lib/storage/sqlite.adapter.js
+// Storage adapter: embedded SQLite (better-sqlite3), one file at SQLITE_PATH
+// (default data/autoshield.sqlite).
+//
+// Tables
+//   records(collection, id, seq, company_id, user_id, ts, data)
+//     one row per record of every schema COLLECTION; `data` is the record as JSON,
+//     `seq` keeps insertion order, and company_id / user_id / ts copy the fields listed
+//     in INDEXED so filters and sorts on them use an index instead of json_extract()
+//   kv(key, data)
+//     the rest of the document (settings, loginGuard, brain, paper, live, schemaVersion)
+//
+// readDb() / writeDb() keep working: loadDocument() returns an object whose collections
+// load on first access, and saveDocument() writes only the rows that changed since they
+// were loaded, checking their revisions inside the write transaction
+// (lib/storage/revisions.js), so a stale document never drops or overwrites newer rows.
+// Collection order is insertion order; re-sorting an array in place is not persisted.
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, defaultDb, fillDefaults } = require('./schema');
+const { getPath, isOperator, validateFilter } = require('./query');
+const { diffCollection, diffKeys } = require('./revisions');
+
+const SQLITE_PATH =
+  (process.env.SQLITE_PATH && String(process.env.SQLITE_PATH).trim()) ||
+  path.join(__dirname, '..', '..', 'data', 'autoshield.sqlite');
+
+// document field -> indexed column, per collection (defaults below)
+const INDEXED = {
+  audit: { userId: 'actorId', ts: 'at' },
+  managerAssignments: { userId: 'managerId', ts: 'assignedAt' },
+  notifications: { ts: 'at' },
+};
+const DEFAULT_INDEXED = { companyId: 'companyId', userId: 'userId', ts: 'createdAt' };
+const COLUMN = { companyId: 'company_id', userId: 'user_id', ts: 'ts' };
+
+const STATE = Symbol('sqliteDocument');
+
+let db = null;
+let stmts = null;
+
+function fieldsFor(name) {
+  return { ...DEFAULT_INDEXED, ...(INDEXED[name] || {}) };
+}
+
+// SQL expression for a document field: an indexed column when there is one
+function exprFor(name, field) {
+  if (field === 'id') return 'id';
+  const fields = fieldsFor(name);
+  for (const [key, source] of Object.entries(fields)) {
+    if (source === field) return COLUMN[key];
+  }
+  return `json_extract(data, '$.${field}')`;
+}
+
+function bindable(v) {
+  if (v === true) return 1;
+  if (v === false) return 0;
+  if (v === undefined) return null;
+  return v;
+}
+
+function columnsOf(name, doc) {
+  const f = fieldsFor(name);
+  const str = (v) => (v === null || v === undefined ? null : String(v));
+  return { company_id: str(getPath(doc, f.companyId)), user_id: str(getPath(doc, f.userId)), ts: str(getPath(doc, f.ts)) };
+}
+
+/* ================= CONNECTION ================= */
+
+function open() {
+  if (db) return db;
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const dir = path.dirname(SQLITE_PATH);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  db = new Database(SQLITE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      company_id TEXT,
+      user_id TEXT,
+      ts TEXT,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_records_seq ON records (collection, seq);
+    CREATE INDEX IF NOT EXISTS idx_records_company ON records (collection, company_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_records_user ON records (collection, user_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_records_ts ON records (collection, ts);
+    CREATE TABLE IF NOT EXISTS kv (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+  `);
+
+  stmts = {
+    rows: db.prepare('SELECT id, data FROM records WHERE collection = ? ORDER BY seq'),
+    row: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+    nextSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM records WHERE collection = ?'),
+    upsert: db.prepare(`
+      INSERT INTO records (collection, id, seq, company_id, user_id, ts, data)
+      VALUES (@collection, @id, @seq, @company_id, @user_id, @ts, @data)
+      ON CONFLICT (collection, id) DO UPDATE SET
+        company_id = excluded.company_id, user_id = excluded.user_id, ts = excluded.ts, data = excluded.data
+    `),
+    del: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    kvAll: db.prepare('SELECT key, data FROM kv'),
+    kvGet: db.prepare('SELECT data FROM kv WHERE key = ?'),
+    kvPut: db.prepare('INSERT INTO kv (key, data) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET data = excluded.data'),
+  };
+
+  return db;
+}
+
+function init() {
+  open();
+
+  // non-collection parts get the same defaults as the JSON file
+  const kv = {};
+  for (const r of stmts.kvAll.all()) kv[r.key] = JSON.parse(r.data);
+  const base = Object.keys(kv).length ? kv : defaultDb();
+  for (const name of COLLECTIONS) base[name] = [];
+  const fixed = fillDefaults(base);
+
+  db.transaction(() => {
+    for (const [k, v] of Object.entries(fixed)) {
+      if (COLLECTIONS.includes(k)) continue;
+      const json = JSON.stringify(v);
+      if (!(k in kv) || JSON.stringify(kv[k]) !== json) stmts.kvPut.run(k, json);
+    }
+  })();
+}
+
+let initialised = false;
+function ready() {
+  if (!initialised) {
+    init();
+    initialised = true;
+  }
+}
+
+function writeRecord(name, doc, seq = null) {
+  if (doc?.id === undefined || doc?.id === null || doc.id === '') {
+    throw new Error(`Records in ${name} need an id`);
+  }
+  stmts.upsert.run({
+    collection: name,
+    id: String(doc.id),
+    seq: seq ?? stmts.nextSeq.get(name).seq,
+    ...columnsOf(name, doc),
+    data: JSON.stringify(doc),
+  });
+}
+
+/* ================= DOCUMENT (readDb / writeDb) ================= */
+
+function loadCollection(name) {
+  const snapshot = new Map();
+  const list = stmts.rows.all(name).map((r) => {
+    snapshot.set(r.id, r.data);
+    return JSON.parse(r.data);
+  });
+  return { list, snapshot };
+}
+
+function loadDocument() {
+  ready();
+
+  const doc = {};
+  const state = { loaded: {}, snapshots: {}, kv: new Map() };
+
+  for (const r of stmts.kvAll.all()) {
+    doc[r.key] = JSON.parse(r.data);
+    state.kv.set(r.key, r.data);
+  }
+
+  for (const name of COLLECTIONS) {
+    const load = () => {
+      if (!(name in state.loaded)) {
+        const { list, snapshot } = loadCollection(name);
+        state.loaded[name] = list;
+        state.snapshots[name] = snapshot;
+      }
+    };
+    Object.defineProperty(doc, name, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        load();
+        return state.loaded[name];
+      },
+      set(v) {
+        load();
+        state.loaded[name] = v;
+      },
+    });
+  }
+
+  Object.defineProperty(doc, STATE, { value: state });
+  return doc;
+}
+
+function storedRecord(name, id) {
+  const r = stmts.row.get(name, id);
+  return r ? JSON.parse(r.data) : null;
+}
+
+function saveDocument(doc) {
+  ready();
+
+  // a plain object (not from loadDocument): compare against everything stored
+  const state = doc[STATE] || {
+    loaded: Object.fromEntries(COLLECTIONS.filter((n) => Array.isArray(doc[n])).map((n) => [n, doc[n]])),
+    snapshots: Object.fromEntries(COLLECTIONS.map((n) => [n, loadCollection(n).snapshot])),
+    kv: new Map(stmts.kvAll.all().map((r) => [r.key, r.data])),
+  };
+
+  // the revision checks run inside the transaction, so they see what is committed
+  db.transaction(() => {
+    const plans = Object.entries(state.loaded).map(([name, list]) => ({
+      name,
+      ...diffCollection(name, list, state.snapshots[name], (id) => storedRecord(name, id)),
+    }));
+    const keys = diffKeys(doc, (k) => COLLECTIONS.includes(k), state.kv, (k) => stmts.kvGet.get(k)?.data);
+
+    for (const { name, upserts, deletes } of plans) {
+      const snapshot = state.snapshots[name];
+      for (const rec of upserts) {
+        writeRecord(name, rec);
+        snapshot.set(String(rec.id), JSON.stringify(rec));
+      }
+      for (const id of deletes) {
+        stmts.del.run(name, id);
+        snapshot.delete(id);
+      }
+    }
+    for (const [k, json] of keys) {
+      stmts.kvPut.run(k, json);
+      state.kv.set(k, json);
+    }
+  })();
+}
+
+/* ================= COLLECTIONS ================= */
+
+function compile(name, filter = {}, sort = null) {
+  validateFilter(filter);
+
+  const where = ['collection = ?'];
+  const params = [name];
+
+  for (const [field, cond] of Object.entries(filter || {})) {
+    const expr = exprFor(name, field);
+    if (!isOperator(cond)) {
+      where.push(`${expr} IS ?`);
+      params.push(bindable(cond));
+      continue;
+    }
+    for (const [op, arg] of Object.entries(cond)) {
+      if (op === '$in') {
+        const vals = Array.isArray(arg) ? arg : [];
+        const nonNull = vals.filter((v) => v !== null && v !== undefined);
+        const parts = [];
+        if (nonNull.length) {
+          parts.push(`${expr} IN (${nonNull.map(() => '?').join(', ')})`);
+          params.push(...nonNull.map(bindable));
+        }
+        if (nonNull.length !== vals.length) parts.push(`${expr} IS NULL`);
+        where.push(parts.length ? `(${parts.join(' OR ')})` : '0');
+      } else if (op === '$ne') {
+        where.push(`${expr} IS NOT ?`);
+        params.push(bindable(arg));
+      } else {
+        const sql = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }[op];
+        where.push(`${expr} ${sql} ?`);
+        params.push(bindable(arg));
+      }
+    }
+  }
+
+  const order = Object.entries(sort || {}).map(([field, dir]) => {
+    validateFilter({ [field]: null });
+    return `${exprFor(name, field)} ${dir < 0 ? 'DESC' : 'ASC'}`;
+  });
+  order.push('seq ASC');
+
+  return { where: where.join(' AND '), params, order: order.join(', ') };
+}
+
+function insert(name, doc) {
+  ready();
+  writeRecord(name, doc);
+  return doc;
+}
+
+function find(name, filter, { sort = null, limit = null, offset = 0 } = {}) {
+  ready();
+  const q = compile(name, filter, sort);
+  let sql = `SELECT data FROM records WHERE ${q.where} ORDER BY ${q.order}`;
+  const params = [...q.params];
+  if (limit || offset) {
+    sql += ' LIMIT ? OFFSET ?';
+    params.push(limit ? Number(limit) : -1, Number(offset) || 0);
+  }
+  return db.prepare(sql).all(...params).map((r) => JSON.parse(r.data));
+}
+
+function count(name, filter) {
+  ready();
+  const q = compile(name, filter);
+  return db.prepare(`SELECT COUNT(*) AS n FROM records WHERE ${q.where}`).get(...q.params).n;
+}
+
+function update(name, filter, apply) {
+  ready();
+  const q = compile(name, filter);
+  const sel = db.prepare(`SELECT id, seq, data FROM records WHERE ${q.where} ORDER BY seq`);
+
+  return db.transaction(() => {
+    const out = [];
+    for (const r of sel.all(...q.params)) {
+      const next = apply(JSON.parse(r.data));
+      if (String(next.id) !== r.id) stmts.del.run(name, r.id);
+      writeRecord(name, next, r.seq);
+      out.push(next);
+    }
+    return out;
+  })();
+}
+
+function remove(name, filter) {
+  ready();
+  const q = compile(name, filter);
+  return db.prepare(`DELETE FROM records WHERE ${q.where}`).run(...q.params).changes;
+}
+
+// Consistent copy of the whole database; VACUUM INTO works while it is in use
+function backup(dest) {
+  ready();
+  const dir = path.dirname(dest);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  if (fs.existsSync(dest)) throw new Error(`Backup target already exists: ${dest}`);
+  db.prepare('VACUUM INTO ?').run(dest);
+  return dest;
+}
+
+function close() {
+  if (db) db.close();
+  db = null;
+  stmts = null;
+  initialised = false;
+}
+
+module.exports = {
+  name: 'sqlite',
+  SQLITE_PATH,
+  init: ready,
+  loadDocument,
+  saveDocument,
+  insert,
+  find,
+  count,
+  update,
+  remove,
+  backup,
+  close,
+};
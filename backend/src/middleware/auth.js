@@ -1,20 +1,105 @@
 // backend/src/middleware/auth.js
-// JWT auth middleware used by protected routes (Admin/Manager gates)
+// JWT / API-key auth middleware used by protected routes (Admin/Manager gates)
 
 const { verify } = require('../auth/jwt');
+const sessions = require('../auth/session.service');
+const apiKeys = require('../auth/apiKey.service');
+const { withAuditContext } = require('../lib/audit');
+const permissions = require('../auth/permissions');
 
-function authRequired(req, res, next) {
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const IMPERSONATION_WRITES = ['/api/auth/logout'];
+
+// Route group for API-key scopes ("/api/posture/checks" -> matches "/api/posture")
+function scopePath(req) {
+  return String(req.originalUrl || req.url || '').split('?')[0];
+}
+
+/**
+ * resolveCredentials(req)
+ * API keys: "Authorization: Bearer ask_..." or "X-API-Key: ask_..."
+ * Otherwise a session JWT.
+ * Returns { ok: true, user, apiKey } | { ok: false, status, error, reason?, missing? }
+ */
+function resolveCredentials(req) {
   const h = String(req.headers.authorization || '');
   const token = h.startsWith('Bearer ') ? h.slice(7).trim() : null;
+  const headerKey = String(req.headers['x-api-key'] || '').trim();
 
-  if (!token) return res.status(401).json({ error: 'Missing token' });
+  const rawKey = headerKey || (apiKeys.looksLikeKey(token) ? token : null);
+  if (rawKey) {
+    const r = apiKeys.authenticate(rawKey, {
+      ip: req.ip,
+      scope: scopePath(req),
+      method: req.method,
+      path: req.originalUrl,
+    });
+    if (!r.ok) return { ok: false, status: r.status || 401, error: r.error };
+    return { ok: true, user: r.user, apiKey: r.key };
+  }
 
+  if (!token) return { ok: false, status: 401, error: 'Missing token', missing: true };
+
+  let payload;
   try {
-    req.user = verify(token, process.env.JWT_SECRET);
-    return next();
-  } catch (e) {
-    return res.status(401).json({ error: 'Invalid token' });
+    payload = verify(token, process.env.JWT_SECRET);
+  } catch {
+    return { ok: false, status: 401, error: 'Invalid token' };
+  }
+
+  // purpose-bound tokens (e.g. MFA challenge) are not access tokens
+  if (payload.purpose) return { ok: false, status: 401, error: 'Invalid token' };
+
+  // server-side revocation (session signed out / user token-version bumped)
+  const revoked = sessions.checkAccess(payload);
+  if (revoked) return { ok: false, status: 401, error: 'Session revoked', reason: revoked };
+
+  return { ok: true, user: payload, apiKey: null };
+}
+
+function attach(r, req, res, next) {
+  req.user = r.user;
+  if (r.apiKey) req.apiKey = r.apiKey;
+  req.authVerified = true;
+
+  // Admin "view as user": req.user is the subject, the real actor rides along
+  // and is stamped on every audit record written during this request.
+  // The session is read-only: only signing out of it is allowed besides reads.
+  if (r.user.imp) {
+    if (!READ_METHODS.has(req.method) && !IMPERSONATION_WRITES.includes(scopePath(req))) {
+      return res.status(403).json({ error: 'Read-only support session: changes are not allowed while impersonating' });
+    }
+    req.user.impersonatorId = r.user.imp;
+    req.user.impersonating = true;
+    res.setHeader('X-Impersonating', '1');
+    return withAuditContext({ impersonatorId: r.user.imp }, next);
   }
+
+  return next();
+}
+
+function deny(r, res) {
+  const body = { error: r.error };
+  if (r.reason) body.reason = r.reason;
+  return res.status(r.status).json(body);
+}
+
+function authRequired(req, res, next) {
+  // already verified earlier in the chain (server.js optionalAuth)
+  if (req.authVerified && req.user) return next();
+
+  const r = resolveCredentials(req);
+  if (!r.ok) return deny(r, res);
+  return attach(r, req, res, next);
+}
+
+// Identifies the caller when credentials are present; requests without any
+// continue anonymously. Bad credentials are still rejected here so they are
+// never downgraded to an anonymous request.
+function optionalAuth(req, res, next) {
+  const r = resolveCredentials(req);
+  if (!r.ok) return r.missing ? next() : deny(r, res);
+  return attach(r, req, res, next);
 }
 
 // normalize role to comparable string
@@ -22,7 +107,41 @@ function normRole(r) {
   return String(r || '').trim().toLowerCase();
 }
 
+function activeCompany(req) {
+  return req.tenant ? { companyId: req.tenant.companyId } : {};
+}
+
 /**
+ * requirePermission('trading.paper.reset')
+ * requirePermission('company.read', 'company.members.write')  // all required
+ * Permissions and role bindings live in auth/permissions.js.
+ */
+function requirePermission(...args) {
+  const needed = args.flat().filter(Boolean);
+  for (const p of needed) {
+    if (!permissions.PERMISSIONS[p]) throw new Error(`Unknown permission: ${p}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Missing auth' });
+
+    // company bindings are evaluated for the resolved tenant (middleware/tenant.js)
+    const granted = permissions.permissionsFor(req.user, activeCompany(req));
+    const missing = needed.find((p) => !granted.includes(p));
+    if (missing) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        permission: missing,
+        role: req.user.role,
+      });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Legacy role gate; prefer requirePermission for new routes.
  * requireRole('Admin','Manager')
  * requireRole(['Admin','Manager'])
  * requireRole('Manager', { adminAlso: true })  // ✅ Admin can access Manager routes
@@ -61,4 +180,29 @@ function requireRole(...args) {
   };
 }
 
-module.exports = { authRequired, requireRole };
+// Blocks API-key callers (e.g. managing keys, sessions or credentials)
+function humanOnly(req, res, next) {
+  if (req.user?.authType === 'apiKey') {
+    return res.status(403).json({ error: 'Not available to API keys' });
+  }
+  return next();
+}
+
+// Blocks sensitive reads (live balances, export downloads) during impersonation;
+// writes are already refused in attach()
+function noImpersonation(req, res, next) {
+  if (req.user?.impersonating) {
+    return res.status(403).json({ error: 'Not available while impersonating a user' });
+  }
+  return next();
+}
+
+module.exports = {
+  resolveCredentials,
+  authRequired,
+  optionalAuth,
+  requirePermission,
+  requireRole,
+  humanOnly,
+  noImpersonation,
+};
@@ -12,63 +12,93 @@
  *   - Trading rooms
  *   - Dashboards & logs
  *
- * Tenant resolution order:
- * 1) Auth token (req.user.companyId)  ✅ primary
- * 2) x-company-id header              (admin / API)
- * 3) subdomain                        (future-ready)
+ * Runs AFTER credentials are verified (server.js mounts optionalAuth first),
+ * so the tenant is bound to who the caller is — never to what they claim.
+ *
+ * Tenant resolution:
+ * 1) Authenticated user
+ *    - Company member   -> their active company (must be in companies[].members);
+ *                          x-company-id / subdomain may pick another company they belong to
+ *    - Admin            -> x-company-id / subdomain may switch to any real company,
+ *                          otherwise the platform context
+ *    - Manager          -> platform context
+ *    - Individual       -> personal context (user:<id>)
+ *    - Company API key  -> the key's company
+ * 2) Anonymous         -> subdomain mapped to companies[].slug only
+ *
+ * Suspended / deleted companies are only reachable by Admins.
+ * A company with mfaRequired refuses members whose session did not pass MFA (the
+ * session's `mfa` claim, users/mfa.service.js passedFor), whichever way it was picked;
+ * personal API keys need an owner with MFA enabled.
+ *
+ * x-company-id / subdomain pointing at a company the user doesn't belong to is rejected (403)
+ * and recorded as a security event. Headers never select a tenant for
+ * anonymous callers.
  */
 
+const { store } = require("../lib/db");
+const users = require("../users/user.service");
+const mfa = require("../users/mfa.service");
+const companies = require("../companies/company.service");
+const { recordEvent } = require("../services/securityEvents");
+
+const PLATFORM_TENANT = "platform";
+
 function clean(v, max = 100) {
   return String(v ?? "").trim().slice(0, max);
 }
 
-function resolveFromSubdomain(req) {
-  const host = clean(req.headers.host);
+function resolveSubdomain(req) {
+  const host = clean(req.headers.host).toLowerCase().replace(/:\d+$/, "");
   if (!host) return null;
 
+  // TENANT_BASE_DOMAIN=autoshield.com -> only "<slug>.autoshield.com" counts
+  const base = clean(process.env.TENANT_BASE_DOMAIN).toLowerCase();
+  if (base) {
+    if (!host.endsWith(`.${base}`)) return null;
+    const sub = host.slice(0, -(base.length + 1));
+    return sub && !sub.includes(".") ? clean(sub, 50) : null;
+  }
+
   // example: acme.autoshield.com
   const parts = host.split(".");
   if (parts.length < 3) return null;
+  if (/^\d+$/.test(parts[parts.length - 1])) return null; // IPv4
 
   return clean(parts[0], 50);
 }
 
-function tenantMiddleware(req, res, next) {
-  let companyId = null;
-
-  /* ================= RESOLUTION ================= */
-
-  // 1️⃣ Authenticated user (preferred)
-  if (req.user?.companyId) {
-    companyId = clean(req.user.companyId, 50);
-  }
+function reject(req, res, { status = 403, error, hint, reason, meta = {} }) {
+  recordEvent({
+    type: "tenant_mismatch",
+    severity: "warn",
+    source: req.ip,
+    target: req.user?.id || "anonymous",
+    description: `Tenant access refused (${reason}) on ${req.method} ${req.originalUrl.split("?")[0]}`,
+    meta: { reason, userId: req.user?.id || null, role: req.user?.role || null, ...meta },
+  });
 
-  // 2️⃣ Explicit header (admin tools, internal APIs)
-  if (!companyId && req.headers["x-company-id"]) {
-    companyId = clean(req.headers["x-company-id"], 50);
-  }
+  return res.status(status).json({ ok: false, error, hint, reason });
+}
 
-  // 3️⃣ Subdomain (future expansion)
-  if (!companyId) {
-    companyId = resolveFromSubdomain(req);
-  }
+function isMember(company, userId) {
+  return (company.members || []).map(String).includes(String(userId));
+}
 
-  if (!companyId) {
-    return res.status(400).json({
-      ok: false,
-      error: "Company context missing",
-      hint: "Authenticate or provide x-company-id",
-    });
+// impersonation: the Admin's own sign-in policy applies; company API keys: bound by construction
+function mfaSatisfied(user, companyId) {
+  if (user.impersonating) return true;
+  if (user.authType === "apiKey") {
+    return String(user.id).startsWith("apikey:") || mfa.isEnabled(store.findOne("users", { id: user.id }));
   }
+  return mfa.passedFor(user.mfa, companyId);
+}
 
-  /* ================= TENANT CONTEXT ================= */
-
-  /**
-   * 🔒 SINGLE SOURCE OF TRUTH
-   * Everything downstream MUST read from req.tenant
-   */
-  req.tenant = {
-    id: companyId,
+function buildTenant(req, { id, type, companyId = null, resolvedFrom }) {
+  return {
+    id,
+    type, // 'company' | 'platform' | 'personal'
+    companyId,
 
     // user context
     userId: req.user?.id || null,
@@ -76,22 +106,159 @@ function tenantMiddleware(req, res, next) {
 
     // scope flags (used later by AI + rooms)
     scope: {
-      isCompany: true,
+      isCompany: type === "company",
       isUser: !!req.user,
     },
 
     // AI brain partition key (non-resetting memory)
-    brainKey: `company:${companyId}`,
+    brainKey: type === "company" ? `company:${id}` : id,
 
     // audit helpers
-    resolvedFrom: req.user?.companyId
-      ? "auth"
-      : req.headers["x-company-id"]
-      ? "header"
-      : "subdomain",
+    resolvedFrom,
   };
+}
+
+function tenantMiddleware(req, res, next) {
+  // runs on every request: single-record reads only
+  const user = req.user || null;
+
+  const headerId = clean(req.headers["x-company-id"], 50);
+  const sub = resolveSubdomain(req);
+  const subCompany = sub ? companies.findCompanyBySlug(sub) : null;
+
+  if (sub && !subCompany && !user) {
+    return res.status(404).json({ ok: false, error: "Unknown company", hint: `No company uses '${sub}'` });
+  }
+
+  /* ================= ANONYMOUS ================= */
+
+  if (!user) {
+    if (headerId) {
+      return reject(req, res, {
+        status: 401,
+        error: "Authentication required to select a company",
+        hint: "Sign in; x-company-id is only honored for authenticated Admins",
+        reason: "unauthenticated_header",
+        meta: { requested: headerId },
+      });
+    }
+
+    if (subCompany && companies.blockOf(subCompany)) {
+      return res.status(404).json({ ok: false, error: "Unknown company", hint: `No company uses '${sub}'` });
+    }
+
+    if (!subCompany) {
+      return res.status(400).json({
+        ok: false,
+        error: "Company context missing",
+        hint: "Authenticate or use your company subdomain",
+      });
+    }
+
+    req.tenant = buildTenant(req, {
+      id: subCompany.id,
+      type: "company",
+      companyId: subCompany.id,
+      resolvedFrom: "subdomain",
+    });
+    return next();
+  }
+
+  /* ================= ADMIN (may switch) ================= */
+
+  if (user.role === users.ROLES.ADMIN) {
+    const requested = headerId || (subCompany ? subCompany.id : null);
+    const target = requested || clean(user.companyId, 50);
+
+    if (!target) {
+      req.tenant = buildTenant(req, { id: PLATFORM_TENANT, type: "platform", resolvedFrom: "auth" });
+      return next();
+    }
+
+    const c = companies.findCompany(target);
+    if (!c) {
+      return res.status(404).json({ ok: false, error: "Unknown company", hint: "Check x-company-id" });
+    }
+
+    req.tenant = buildTenant(req, {
+      id: c.id,
+      type: "company",
+      companyId: c.id,
+      resolvedFrom: headerId ? "header" : subCompany ? "subdomain" : "auth",
+    });
+    return next();
+  }
+
+  /* ================= BOUND TO THE USER ================= */
+
+  // user.companyId is the token's active company (see POST /api/auth/switch-company);
+  // members of several companies may also pick another one per request
+  const activeId = clean(user.companyId, 50) || null;
+  const requested = headerId || (subCompany ? subCompany.id : null);
+  const requestedCompany = requested && requested !== activeId ? companies.findCompany(requested) : null;
+  const ownId = requestedCompany && isMember(requestedCompany, user.id) ? requestedCompany.id : activeId;
+
+  if (requested && requested !== ownId) {
+    return reject(req, res, {
+      error: "Company mismatch",
+      hint: "You can only access companies you are a member of",
+      reason: headerId ? "header_mismatch" : "subdomain_mismatch",
+      meta: { requested, own: ownId },
+    });
+  }
+
+  if (ownId) {
+    const c = companies.findCompany(ownId);
+    // company API keys are bound to their company by construction
+    const member = user.authType === "apiKey" && String(user.id).startsWith("apikey:")
+      ? !!c
+      : !!c && isMember(c, user.id);
+
+    if (!member) {
+      return reject(req, res, {
+        error: "Not a member of this company",
+        hint: "Ask your company owner to invite you again",
+        reason: c ? "not_member" : "company_missing",
+        meta: { companyId: ownId },
+      });
+    }
+
+    const block = companies.blockOf(c);
+    if (block) {
+      return reject(req, res, {
+        status: block.status,
+        error: block.error,
+        hint: "Contact AutoShield support",
+        reason: block.reason,
+        meta: { companyId: c.id },
+      });
+    }
+
+    if (c.mfaRequired && !mfaSatisfied(user, c.id)) {
+      return reject(req, res, {
+        error: "This company requires multi-factor authentication",
+        hint: "Enable MFA, then sign in again",
+        reason: "mfa_required",
+        meta: { companyId: c.id },
+      });
+    }
+
+    req.tenant = buildTenant(req, {
+      id: c.id,
+      type: "company",
+      companyId: c.id,
+      resolvedFrom: requested ? (headerId ? "header" : "subdomain") : "auth",
+    });
+    return next();
+  }
+
+  // no company: Managers see the platform, Individuals their own space
+  req.tenant =
+    user.role === users.ROLES.MANAGER
+      ? buildTenant(req, { id: PLATFORM_TENANT, type: "platform", resolvedFrom: "auth" })
+      : buildTenant(req, { id: `user:${user.id}`, type: "personal", resolvedFrom: "auth" });
 
-  next();
+  return next();
 }
 
 module.exports = tenantMiddleware;
@@ -0,0 +1,383 @@
+// backend/src/notifications/delivery.service.js
+// Sends stored notifications (lib/notify.js onNotification) out through the channels each
+// recipient enabled (notifications/preferences.service.js, notifications/providers.js).
+//
+// db.notificationDeliveries[] = {
+//   id, notificationId, userId, channel, mode: 'instant' | 'digest',
+//   status: 'pending' | 'sent' | 'failed' | 'skipped',
+//   attempts, nextAttemptAt, lastError, response, fingerprint, createdAt, sentAt
+// }
+// One delivery per recipient and channel. A user notification goes to that user; a company
+// notification to the company account and its members. The same alert sent to a user and
+// their company within a minute (companies/lifecycle.service.js notifyMembers) goes out once.
+//
+// Digest deliveries wait until the recipient's digest is due (digestHours after the first
+// item) and are sent together, one message per user and channel. Instant ones go out on the
+// next worker pass.
+//
+// Worker: every NOTIFY_WORKER_MS (default 15000) and right after a notification is queued.
+// A failed send is retried NOTIFY_MAX_ATTEMPTS times (default 5) with backoff from
+// NOTIFY_RETRY_BASE_MS (default 60000) x4 per attempt, at most 6 hours, then marked failed;
+// POST /api/admin/notification-deliveries/:id/retry queues it again. Finished deliveries are
+// deleted after NOTIFY_DELIVERY_KEEP_DAYS (default 30, server.js housekeeping).
+//
+// NOTIFY_TRANSPORT=file writes each rendered message to NOTIFY_FILE_DIR (one JSON file per
+// send) instead of sending it (local development and tests).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { store } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { onNotification } = require('../lib/notify');
+const prefsService = require('./preferences.service');
+const providers = require('./providers');
+
+const WORKER_MS = Math.max(1000, Number(process.env.NOTIFY_WORKER_MS || 15000));
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.NOTIFY_MAX_ATTEMPTS || 5));
+const RETRY_BASE_MS = Math.max(10, Number(process.env.NOTIFY_RETRY_BASE_MS || 60000));
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const KEEP_DAYS = Math.max(1, Number(process.env.NOTIFY_DELIVERY_KEEP_DAYS || 30));
+const DEDUPE_MS = 60 * 1000;
+const BATCH = 200;
+
+const FILE_DIR =
+  (process.env.NOTIFY_FILE_DIR && String(process.env.NOTIFY_FILE_DIR).trim()) ||
+  path.join('/tmp', 'autoshield_notify');
+
+const STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function transportName() {
+  return String(process.env.NOTIFY_TRANSPORT || 'live').trim().toLowerCase();
+}
+
+// what makes two notifications "the same alert" for dedupe
+function fingerprint(n) {
+  return crypto
+    .createHash('sha256')
+    .update(`${n.severity}|${n.title}|${n.message}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 4 ** Math.max(0, attempts - 1));
+}
+
+/* ================= QUEUE ================= */
+
+function recipientsOf(n) {
+  if (n.userId) {
+    const u = store.findOne('users', { id: String(n.userId) });
+    return u ? [u] : [];
+  }
+  if (!n.companyId) return [];
+  const c = store.findOne('companies', { id: String(n.companyId) });
+  const ids = new Set((c?.members || []).map(String));
+  return store.find('users', {}).filter((u) => u.companyId === n.companyId || ids.has(u.id));
+}
+
+// digest items of one user + channel share a send time: the first item's + digestHours
+function digestDue(userId, channel, digestHours, now) {
+  const [open] = store.find(
+    'notificationDeliveries',
+    { userId, channel, mode: 'digest', status: 'pending', attempts: 0 },
+    { sort: { nextAttemptAt: 1 }, limit: 1 }
+  );
+  return open ? open.nextAttemptAt : new Date(now + digestHours * 3600 * 1000).toISOString();
+}
+
+/**
+ * enqueue(notification) -> deliveries created
+ * Called for every stored notification once start() has run.
+ */
+function enqueue(n, now = Date.now()) {
+  const created = [];
+  const fp = fingerprint(n);
+  const since = new Date(now - DEDUPE_MS).toISOString();
+
+  for (const user of recipientsOf(n)) {
+    const prefs = prefsService.loadPrefs(user.id);
+    const mode = prefsService.modeFor(prefs, n);
+    if (mode === 'muted') continue;
+
+    for (const { name, provider, cfg } of prefsService.enabledChannels(prefs)) {
+      if (!provider.address(user, cfg)) continue;
+      if (store.count('notificationDeliveries', { userId: user.id, channel: name, fingerprint: fp, createdAt: { $gte: since } })) {
+        continue;
+      }
+
+      const at = new Date(now).toISOString();
+      created.push(
+        store.insert('notificationDeliveries', {
+          id: nanoid(),
+          notificationId: n.id,
+          userId: user.id,
+          channel: name,
+          mode,
+          fingerprint: fp,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: mode === 'digest' ? digestDue(user.id, name, prefs.digestHours, now) : at,
+          lastError: null,
+          response: null,
+          createdAt: at,
+          sentAt: null,
+        })
+      );
+    }
+  }
+
+  if (created.some((d) => d.mode === 'instant')) kick();
+  return created;
+}
+
+/* ================= SEND ================= */
+
+async function transport(channel, provider, payload, cfg, deliveries) {
+  if (transportName() !== 'file') return provider.send(payload, cfg);
+
+  if (!fs.existsSync(FILE_DIR)) fs.mkdirSync(FILE_DIR, { recursive: true });
+  const file = path.join(FILE_DIR, `${Date.now()}_${channel}_${deliveries[0]?.id || nanoid(8)}.json`);
+  const doc = { at: nowISO(), channel, deliveryIds: deliveries.map((d) => d.id), payload };
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+  return { response: `file ${path.basename(file)}` };
+}
+
+function finish(deliveries, patch) {
+  for (const d of deliveries) store.update('notificationDeliveries', { id: d.id }, patch);
+}
+
+// One message for a group of deliveries (same user + channel; several only for digests)
+async function sendGroup(group, now = Date.now()) {
+  const { userId, channel, mode } = group[0];
+  const user = store.findOne('users', { id: userId });
+  if (!user) return finish(group, { status: 'skipped', lastError: 'recipient no longer exists' });
+
+  const prefs = prefsService.loadPrefs(userId);
+  const cfg = prefs.channels?.[channel];
+  const provider = providers.getProvider(channel);
+  if (!provider || !cfg?.enabled) return finish(group, { status: 'skipped', lastError: 'channel disabled' });
+  const address = provider.address(user, cfg);
+  if (!address) return finish(group, { status: 'skipped', lastError: 'no address for channel' });
+
+  const live = [];
+  const notifications = [];
+  for (const d of group) {
+    const n = store.findOne('notifications', { id: d.notificationId });
+    if (n) {
+      live.push(d);
+      notifications.push(n);
+    } else {
+      finish([d], { status: 'skipped', lastError: 'notification no longer exists' });
+    }
+  }
+  if (!live.length) return;
+
+  try {
+    const payload = provider.render({ user, cfg, address, mode, notifications });
+    const out = await transport(channel, provider, payload, cfg, live);
+    finish(live, {
+      status: 'sent',
+      attempts: (live[0].attempts || 0) + 1,
+      sentAt: nowISO(),
+      lastError: null,
+      response: String(out?.response || '').slice(0, 300) || null,
+    });
+  } catch (e) {
+    const attempts = (live[0].attempts || 0) + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    finish(live, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: failed ? null : new Date(now + backoffMs(attempts)).toISOString(),
+      lastError: String(e?.message || e).slice(0, 300),
+    });
+  }
+}
+
+/**
+ * processDue({ now }) -> number of messages attempted
+ * Due pending deliveries, digests grouped per user + channel.
+ */
+async function processDue({ now = Date.now() } = {}) {
+  const due = store.find(
+    'notificationDeliveries',
+    { status: 'pending', nextAttemptAt: { $lte: new Date(now).toISOString() } },
+    { sort: { nextAttemptAt: 1 }, limit: BATCH }
+  );
+
+  const groups = new Map();
+  for (const d of due) {
+    const key = d.mode === 'digest' ? `digest|${d.userId}|${d.channel}|${d.attempts || 0}` : d.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(d);
+  }
+
+  for (const group of groups.values()) {
+    try {
+      await sendGroup(group, now);
+    } catch (e) {
+      console.error('[notify] delivery failed:', e?.message || e);
+    }
+  }
+  return groups.size;
+}
+
+/* ================= WORKER ================= */
+
+let timer = null;
+let unsubscribe = null;
+let running = null;
+let again = false;
+
+function tick() {
+  if (running) {
+    again = true;
+    return running;
+  }
+  running = processDue()
+    .catch((e) => console.error('[notify] worker failed:', e?.message || e))
+    .finally(() => {
+      running = null;
+      if (again) {
+        again = false;
+        tick();
+      }
+    });
+  return running;
+}
+
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+function start() {
+  if (timer) return;
+  unsubscribe = onNotification((n) => enqueue(n));
+  timer = setInterval(tick, WORKER_MS);
+  timer.unref();
+  tick();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
+
+/* ================= ADMIN / USER ================= */
+
+function publicDelivery(d) {
+  const { _rev, fingerprint: _fp, ...rest } = d;
+  return rest;
+}
+
+/**
+ * listDeliveries({ status, channel, userId, limit }) -> { items, stats }
+ * stats counts every delivery per status (not just the filtered ones).
+ */
+function listDeliveries({ status = null, channel = null, userId = null, limit = 100 } = {}) {
+  const filter = {};
+  if (status) {
+    if (!STATUSES.includes(status)) throw httpError(400, `status must be one of ${STATUSES.join(', ')}`);
+    filter.status = status;
+  }
+  if (channel) filter.channel = String(channel);
+  if (userId) filter.userId = String(userId);
+
+  const n = Math.min(Math.max(Number(limit) || 100, 1), 500);
+  const items = store.find('notificationDeliveries', filter, { sort: { createdAt: -1 }, limit: n }).map(publicDelivery);
+
+  const stats = {};
+  for (const s of STATUSES) stats[s] = store.count('notificationDeliveries', { status: s });
+  return { items, stats };
+}
+
+function retry(id, actorId = null) {
+  const d = store.findOne('notificationDeliveries', { id: String(id || '') });
+  if (!d) throw httpError(404, 'Delivery not found');
+  if (d.status === 'sent') throw httpError(409, 'Delivery was already sent');
+
+  const [updated] = store.update(
+    'notificationDeliveries',
+    { id: d.id },
+    { status: 'pending', attempts: 0, nextAttemptAt: nowISO(), lastError: null }
+  );
+
+  audit({
+    actorId,
+    action: 'NOTIFICATION_DELIVERY_RETRIED',
+    targetType: 'User',
+    targetId: d.userId,
+    metadata: { deliveryId: d.id, channel: d.channel, previousStatus: d.status, attempts: d.attempts },
+  });
+
+  kick();
+  return publicDelivery(updated);
+}
+
+/**
+ * sendTest(userId, channel) -> { ok, channel, response, error }
+ * Sends a sample message through one configured channel right away (not stored).
+ */
+async function sendTest(userId, channel) {
+  const user = store.findOne('users', { id: String(userId || '') });
+  if (!user) throw httpError(404, 'User not found');
+  const provider = providers.getProvider(channel);
+  if (!provider) throw httpError(400, `Unknown channel: ${channel}`);
+
+  const cfg = prefsService.loadPrefs(user.id).channels?.[channel] || {};
+  const address = provider.address(user, cfg);
+  if (!address) throw httpError(400, `The ${channel} channel is not configured`);
+
+  const sample = {
+    id: `test_${nanoid(8)}`,
+    at: nowISO(),
+    severity: 'info',
+    category: 'general',
+    title: 'Test notification',
+    message: `Notifications from AutoShield reach you through ${channel}.`,
+    companyId: null,
+  };
+  try {
+    const payload = provider.render({ user, cfg, address, mode: 'instant', notifications: [sample] });
+    const out = await transport(channel, provider, payload, cfg, []);
+    return { ok: true, channel, response: out?.response || null, error: null };
+  } catch (e) {
+    return { ok: false, channel, response: null, error: e?.message || String(e) };
+  }
+}
+
+// finished deliveries past NOTIFY_DELIVERY_KEEP_DAYS -> number removed
+function pruneDeliveries(now = Date.now()) {
+  const before = new Date(now - KEEP_DAYS * 24 * 3600 * 1000).toISOString();
+  return store.remove('notificationDeliveries', {
+    status: { $in: ['sent', 'failed', 'skipped'] },
+    createdAt: { $lt: before },
+  });
+}
+
+module.exports = {
+  STATUSES,
+  enqueue,
+  processDue,
+  start,
+  stop,
+  listDeliveries,
+  retry,
+  sendTest,
+  pruneDeliveries,
+};
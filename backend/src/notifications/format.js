@@ -0,0 +1,67 @@
+// backend/src/notifications/format.js
+// Shared pieces of the delivery providers (notifications/providers/*.provider.js).
+//
+// - item(n)            the notification fields that leave the system
+// - subject(list)      one-line summary: the title for one, a count for a digest
+// - textBody(list)     plain text, one block per notification
+// - assertHookUrl(url) https only, unless NOTIFY_ALLOW_INSECURE_HTTP=true; never a local or
+//                      private host unless NOTIFY_ALLOW_PRIVATE_HOSTS=true (dev only). Names
+//                      are resolved and checked again on every delivery (lib/outbound.js).
+
+const { isPrivateHost } = require('../lib/outbound');
+
+const PRODUCT = 'AutoShield';
+
+const SEVERITY_LABEL = { danger: 'ALERT', warn: 'WARNING', info: 'INFO', ok: 'OK' };
+
+function item(n) {
+  return {
+    id: n.id,
+    at: n.at || n.createdAt || null,
+    severity: n.severity,
+    category: n.category || 'general',
+    title: n.title,
+    message: n.message,
+    companyId: n.companyId || null,
+  };
+}
+
+function subject(list, mode) {
+  if (list.length === 1 && mode !== 'digest') {
+    return `[${PRODUCT}] ${SEVERITY_LABEL[list[0].severity] || 'INFO'}: ${list[0].title}`;
+  }
+  return `[${PRODUCT}] ${list.length} notification${list.length === 1 ? '' : 's'}`;
+}
+
+function textBody(list, mode) {
+  const blocks = list.map((n) =>
+    [`[${SEVERITY_LABEL[n.severity] || 'INFO'}] ${n.title}`, n.message, n.at ? `(${n.at})` : '']
+      .filter(Boolean)
+      .join('\n')
+  );
+  const head = mode === 'digest' ? `Your ${PRODUCT} digest:\n\n` : '';
+  return `${head}${blocks.join('\n\n')}\n\nChange what you receive under notification preferences in ${PRODUCT}.\n`;
+}
+
+function allowPrivateHosts() {
+  return String(process.env.NOTIFY_ALLOW_PRIVATE_HOSTS || '').toLowerCase() === 'true';
+}
+
+function assertHookUrl(value) {
+  let u;
+  try {
+    u = new URL(String(value || ''));
+  } catch {
+    throw new Error('url must be an absolute https URL');
+  }
+  const local = isPrivateHost(u.hostname);
+  if (local && !allowPrivateHosts()) throw new Error('url must not point at a local or private address');
+
+  const insecureOk = String(process.env.NOTIFY_ALLOW_INSECURE_HTTP || '').toLowerCase() === 'true';
+  if (u.protocol !== 'https:' && !(u.protocol === 'http:' && (local || insecureOk))) {
+    throw new Error('url must use https');
+  }
+  return u.toString();
+}
+
+module.exports = { PRODUCT, item, subject, textBody, allowPrivateHosts, assertHookUrl };
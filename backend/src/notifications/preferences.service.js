@@ -0,0 +1,192 @@
+// backend/src/notifications/preferences.service.js
+// Per-user notification delivery preferences.
+//
+// db.notificationPrefs[] = {
+//   id (= userId), userId,
+//   channels: { email: { enabled }, webhook: { enabled, url, secret }, chat: { enabled, url } },
+//   rules: { '<category>.<severity>' | '<category>' | '<severity>' | '*': 'instant' | 'digest' | 'muted' },
+//   digestHours,              1..168, how long digest items collect before they go out
+//   createdAt, updatedAt
+// }
+// A user without a record gets DEFAULT_PREFS: email on, danger instant, warn in the daily
+// digest, info / ok in-app only.
+//
+// modeFor() picks the most specific rule: category.severity, then category, then severity,
+// then '*', then the severity default. The mode applies to every enabled channel; the
+// in-app notification (lib/notify.js) is always stored regardless.
+
+const { store } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { CATEGORIES } = require('../lib/notify');
+const providers = require('./providers');
+
+const MODES = ['instant', 'digest', 'muted'];
+const SEVERITIES = ['danger', 'warn', 'info', 'ok'];
+
+const SEVERITY_DEFAULTS = { danger: 'instant', warn: 'digest', info: 'muted', ok: 'muted' };
+
+const DEFAULT_DIGEST_HOURS = 24;
+const MAX_DIGEST_HOURS = 168;
+
+const DEFAULT_PREFS = {
+  channels: { email: { enabled: true } },
+  rules: {},
+  digestHours: DEFAULT_DIGEST_HOURS,
+};
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isRuleKey(key) {
+  if (key === '*') return true;
+  const [a, b, ...rest] = String(key).split('.');
+  if (rest.length) return false;
+  if (b === undefined) return CATEGORIES.includes(a) || SEVERITIES.includes(a);
+  return CATEGORIES.includes(a) && SEVERITIES.includes(b);
+}
+
+/* ================= READ ================= */
+
+// internal read: channel settings include secrets
+function loadPrefs(userId) {
+  const rec = store.findOne('notificationPrefs', { id: String(userId || '') });
+  if (!rec) return { userId: String(userId || ''), ...DEFAULT_PREFS, custom: false };
+  return {
+    userId: rec.userId,
+    channels: rec.channels || {},
+    rules: rec.rules || {},
+    digestHours: rec.digestHours || DEFAULT_DIGEST_HOURS,
+    custom: true,
+  };
+}
+
+function publicPrefs(p) {
+  const channels = {};
+  for (const name of providers.providerNames()) {
+    channels[name] = providers.getProvider(name).publicConfig(p.channels?.[name] || {});
+  }
+  return {
+    channels,
+    rules: p.rules,
+    digestHours: p.digestHours,
+    custom: p.custom,
+    defaults: { rules: SEVERITY_DEFAULTS, digestHours: DEFAULT_DIGEST_HOURS },
+    categories: CATEGORIES,
+    severities: SEVERITIES,
+    modes: MODES,
+  };
+}
+
+function getPreferences(userId) {
+  return publicPrefs(loadPrefs(userId));
+}
+
+function modeFor(prefs, { category = 'general', severity = 'info' } = {}) {
+  const rules = prefs?.rules || {};
+  for (const key of [`${category}.${severity}`, category, severity, '*']) {
+    if (MODES.includes(rules[key])) return rules[key];
+  }
+  return SEVERITY_DEFAULTS[severity] || 'muted';
+}
+
+// -> [{ name, provider, cfg }] enabled channels of a prefs object
+function enabledChannels(prefs) {
+  return Object.entries(prefs?.channels || {})
+    .filter(([, cfg]) => cfg?.enabled)
+    .map(([name, cfg]) => ({ name, provider: providers.getProvider(name), cfg }))
+    .filter((c) => c.provider);
+}
+
+/* ================= WRITE ================= */
+
+function normalizeRules(input) {
+  if (input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw httpError(400, 'rules must be an object');
+  const out = {};
+  for (const [key, mode] of Object.entries(input)) {
+    if (!isRuleKey(key)) {
+      throw httpError(400, `Unknown rule "${key}": use <category>.<severity>, <category>, <severity> or *`);
+    }
+    if (!MODES.includes(mode)) throw httpError(400, `Rule "${key}" must be one of ${MODES.join(', ')}`);
+    out[key] = mode;
+  }
+  return out;
+}
+
+/**
+ * updatePreferences(userId, { channels?, rules?, digestHours? }, actorId) -> public prefs
+ * channels are merged per channel (omit a field to keep it, e.g. a webhook secret);
+ * rules replace the whole rule set when given.
+ */
+function updatePreferences(userId, input = {}, actorId = null) {
+  const uid = String(userId || '');
+  if (!store.findOne('users', { id: uid })) throw httpError(404, 'User not found');
+  const src = input && typeof input === 'object' ? input : {};
+  const prev = loadPrefs(uid);
+
+  const channels = { ...prev.channels };
+  const changedChannels = [];
+  if (src.channels !== undefined) {
+    if (!src.channels || typeof src.channels !== 'object') throw httpError(400, 'channels must be an object');
+    for (const [name, cfg] of Object.entries(src.channels)) {
+      const provider = providers.getProvider(name);
+      if (!provider) throw httpError(400, `Unknown channel: ${name}`);
+      try {
+        channels[name] = provider.configure(cfg || {}, prev.channels?.[name] || {});
+      } catch (e) {
+        throw httpError(400, `${name}: ${e?.message || e}`);
+      }
+      changedChannels.push(name);
+    }
+  }
+
+  const rules = src.rules === undefined ? prev.rules : normalizeRules(src.rules);
+
+  let digestHours = prev.digestHours;
+  if (src.digestHours !== undefined) {
+    const n = Number(src.digestHours);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_DIGEST_HOURS) {
+      throw httpError(400, `digestHours must be a whole number between 1 and ${MAX_DIGEST_HOURS}`);
+    }
+    digestHours = n;
+  }
+
+  const at = nowISO();
+  const rec = { userId: uid, channels, rules, digestHours, updatedAt: at };
+  if (prev.custom) store.update('notificationPrefs', { id: uid }, rec);
+  else store.insert('notificationPrefs', { id: uid, ...rec, createdAt: at });
+
+  audit({
+    actorId: actorId ? String(actorId) : uid,
+    action: 'NOTIFICATION_PREFS_UPDATED',
+    targetType: 'User',
+    targetId: uid,
+    metadata: {
+      channels: changedChannels,
+      enabled: enabledChannels({ channels }).map((c) => c.name),
+      rules: Object.keys(rules).length,
+      digestHours,
+    },
+  });
+
+  return getPreferences(uid);
+}
+
+module.exports = {
+  MODES,
+  SEVERITIES,
+  SEVERITY_DEFAULTS,
+  DEFAULT_PREFS,
+  loadPrefs,
+  getPreferences,
+  modeFor,
+  enabledChannels,
+  updatePreferences,
+};
@@ -0,0 +1,48 @@
+// backend/src/notifications/providers.js
+// Delivery channels for notifications (notifications/delivery.service.js).
+//
+// A provider is:
+//   {
+//     configure(input, prev) -> stored channel settings (throws on invalid input)
+//     publicConfig(cfg)      -> settings safe to show the user (secrets masked)
+//     address(user, cfg)     -> where it goes, or null when the channel cannot deliver
+//     render({ user, cfg, address, mode, notifications }) -> payload (plain JSON)
+//     send(payload, cfg)     -> async { response }
+//   }
+// render() and send() are split so NOTIFY_TRANSPORT=file can write the payload to
+// NOTIFY_FILE_DIR instead of sending it (local development and tests).
+//
+// Built in: email (lib/mail.js, so MAIL_TRANSPORT=smtp for real mail), webhook (signed JSON
+// POST) and chat (Slack / Teams / Mattermost style incoming webhook). More channels:
+// registerProvider(name, provider) at startup.
+
+const { createEmailProvider } = require('./providers/email.provider');
+const { createWebhookProvider } = require('./providers/webhook.provider');
+const { createChatProvider } = require('./providers/chat.provider');
+
+const PROVIDERS = {
+  email: createEmailProvider(),
+  webhook: createWebhookProvider(),
+  chat: createChatProvider(),
+};
+
+const NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+
+function registerProvider(name, provider) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!NAME_RE.test(key)) throw new Error('Invalid provider name');
+  for (const fn of ['configure', 'publicConfig', 'address', 'render', 'send']) {
+    if (typeof provider?.[fn] !== 'function') throw new Error(`Provider ${key} is missing ${fn}()`);
+  }
+  PROVIDERS[key] = provider;
+}
+
+function getProvider(name) {
+  return PROVIDERS[String(name || '')] || null;
+}
+
+function providerNames() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = { registerProvider, getProvider, providerNames };
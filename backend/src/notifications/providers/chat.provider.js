@@ -0,0 +1,44 @@
+// backend/src/notifications/providers/chat.provider.js
+// Chat-style incoming webhook (Slack, Microsoft Teams, Mattermost, Rocket.Chat, ...):
+// POST <url> with { text }. Channel settings: { enabled, url }.
+// The URL is the credential for these hooks, so only its origin is ever shown back.
+
+const format = require('../format');
+const { post } = require('./webhook.provider');
+
+const ICON = { danger: ':rotating_light:', warn: ':warning:', info: ':information_source:', ok: ':white_check_mark:' };
+
+function chatText(list, mode) {
+  const lines = list.map((n) => `${ICON[n.severity] || ICON.info} *${n.title}*${n.message ? `\n${n.message}` : ''}`);
+  const head = mode === 'digest' || list.length > 1 ? `*${format.subject(list, mode)}*\n` : '';
+  return head + lines.join('\n\n');
+}
+
+function createChatProvider() {
+  return {
+    configure(input = {}, prev = {}) {
+      const enabled = input.enabled === undefined ? !!prev.enabled : !!input.enabled;
+      const url = input.url === undefined ? prev.url || null : input.url ? format.assertHookUrl(input.url) : null;
+      if (enabled && !url) throw new Error('url is required to enable the chat channel');
+      return { enabled, url };
+    },
+
+    publicConfig(cfg = {}) {
+      return { enabled: !!cfg.enabled, url: cfg.url ? `${new URL(cfg.url).origin}/…` : null };
+    },
+
+    address(user, cfg = {}) {
+      return cfg.url || null;
+    },
+
+    render({ address, mode, notifications }) {
+      return { url: address, body: JSON.stringify({ text: chatText(notifications.map(format.item), mode) }) };
+    },
+
+    send(payload) {
+      return post(payload.url, {}, payload.body);
+    },
+  };
+}
+
+module.exports = { createChatProvider };
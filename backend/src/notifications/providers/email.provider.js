@@ -0,0 +1,38 @@
+// backend/src/notifications/providers/email.provider.js
+// Email to the account's own address through lib/mail.js (MAIL_TRANSPORT=smtp to send
+// real mail, see lib/smtp.js). Channel settings: { enabled }.
+
+const { sendMail } = require('../../lib/mail');
+const format = require('../format');
+
+function createEmailProvider() {
+  return {
+    configure(input = {}, prev = {}) {
+      return { enabled: input.enabled === undefined ? !!prev.enabled : !!input.enabled };
+    },
+
+    publicConfig(cfg = {}) {
+      return { enabled: !!cfg.enabled };
+    },
+
+    address(user) {
+      return String(user?.email || '').trim() || null;
+    },
+
+    render({ address, mode, notifications }) {
+      return {
+        to: address,
+        subject: format.subject(notifications, mode),
+        text: format.textBody(notifications, mode),
+        tags: ['notification', mode],
+      };
+    },
+
+    async send(payload) {
+      const out = await sendMail(payload);
+      return { response: `${out.transport} ${out.id}` };
+    },
+  };
+}
+
+module.exports = { createEmailProvider };
@@ -0,0 +1,81 @@
+// backend/src/notifications/providers/webhook.provider.js
+// Generic webhook: POST <url> with a JSON body
+//   { type: 'autoshield.notifications', mode, sentAt, userId, notifications: [...] }
+// Channel settings: { enabled, url, secret }. With a secret every request carries
+//   X-AutoShield-Timestamp: <unix seconds>
+//   X-AutoShield-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+// so the receiver can check origin and reject replays. Any 2xx answer counts as delivered.
+// Requests go through lib/outbound.js: local / private addresses are refused.
+
+const crypto = require('crypto');
+const format = require('../format');
+const outbound = require('../../lib/outbound');
+
+const TIMEOUT_MS = Number(process.env.NOTIFY_HTTP_TIMEOUT_MS || 10000);
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function post(url, headers, body) {
+  const res = await outbound.request(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body,
+    timeoutMs: TIMEOUT_MS,
+    allowPrivate: format.allowPrivateHosts(),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+  return { response: `HTTP ${res.status}` };
+}
+
+function createWebhookProvider() {
+  return {
+    configure(input = {}, prev = {}) {
+      const enabled = input.enabled === undefined ? !!prev.enabled : !!input.enabled;
+      const url = input.url === undefined ? prev.url || null : input.url ? format.assertHookUrl(input.url) : null;
+
+      let secret = prev.secret || null;
+      if (input.secret !== undefined) {
+        secret = input.secret ? String(input.secret) : null;
+        if (secret && (secret.length < 16 || secret.length > 200)) {
+          throw new Error('secret must be 16-200 characters');
+        }
+      }
+
+      if (enabled && !url) throw new Error('url is required to enable the webhook channel');
+      return { enabled, url, secret };
+    },
+
+    publicConfig(cfg = {}) {
+      return { enabled: !!cfg.enabled, url: cfg.url || null, hasSecret: !!cfg.secret };
+    },
+
+    address(user, cfg = {}) {
+      return cfg.url || null;
+    },
+
+    render({ user, cfg = {}, address, mode, notifications }) {
+      const body = JSON.stringify({
+        type: 'autoshield.notifications',
+        mode,
+        sentAt: new Date().toISOString(),
+        userId: user?.id || null,
+        notifications: notifications.map(format.item),
+      });
+      const headers = {};
+      if (cfg.secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['x-autoshield-timestamp'] = timestamp;
+        headers['x-autoshield-signature'] = sign(cfg.secret, timestamp, body);
+      }
+      return { url: address, headers, body };
+    },
+
+    send(payload) {
+      return post(payload.url, payload.headers, payload.body);
+    },
+  };
+}
+
+module.exports = { createWebhookProvider, sign, post };
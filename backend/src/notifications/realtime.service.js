@@ -0,0 +1,295 @@
+// backend/src/notifications/realtime.service.js
+// Authenticated, tenant-scoped WebSocket push of in-app notifications: /ws/notifications
+//
+// Connect, then send the access token as the first message (browsers can't set headers
+// on a WebSocket, and tokens don't belong in URLs):
+//   -> { type: 'auth', token, companyId?, since? }
+//   <- { type: 'ready', userId, companyId, unread, cursor, missed }
+// The same checks as the HTTP API apply (middleware/auth.js resolveCredentials, then
+// middleware/tenant.js): revoked sessions and API keys are refused, companyId works like
+// x-company-id. The socket carries the user's own notifications, plus the company's when
+// the tenant is a company and the user has company.read there (same as GET
+// /api/company/notifications).
+//
+// Pushed afterwards:
+//   { type: 'notification', notification, unread, cursor }   createNotification()
+//   { type: 'read', ids, unread, cursor }                    markRead() / markReadAll()
+// unread = { user, company, total } at the time of the event. cursor is the event time;
+// keep the last one and pass it as `since` when reconnecting: `missed` then holds
+// { notifications, read, truncated } since that moment (ids at the boundary may repeat, so
+// dedupe by id). truncated = more than WS_CATCHUP_MAX, reload over HTTP instead.
+//
+// Access tokens are short-lived: send { type: 'auth', token } again on the open socket
+// with a refreshed token. Every WS_RECHECK_MS (default 30000) the token is checked again
+// and dead connections are dropped; an expired or revoked one closes the socket (4401).
+//
+// Close codes: 4400 bad message, 4401 not authenticated, 4403 refused for this tenant,
+// 4408 no auth message within WS_AUTH_TIMEOUT_MS (default 10000), 4429 more than
+// WS_MAX_CONNECTIONS_PER_USER (default 10) sockets. Events reach clients of this process
+// only.
+
+const { WebSocketServer } = require('ws');
+const { store } = require('../lib/db');
+const { onNotification, onNotificationsRead } = require('../lib/notify');
+const { resolveCredentials } = require('../middleware/auth');
+const tenantMiddleware = require('../middleware/tenant');
+const permissions = require('../auth/permissions');
+const apiKeys = require('../auth/apiKey.service');
+
+const PATH = '/ws/notifications';
+
+const AUTH_TIMEOUT_MS = Math.max(100, Number(process.env.WS_AUTH_TIMEOUT_MS || 10000));
+const RECHECK_MS = Math.max(1000, Number(process.env.WS_RECHECK_MS || 30000));
+const CATCHUP_MAX = Math.max(1, Number(process.env.WS_CATCHUP_MAX || 500));
+const MAX_PER_USER = Math.max(1, Number(process.env.WS_MAX_CONNECTIONS_PER_USER || 10));
+
+let wss = null;
+let timer = null;
+let unsubscribe = [];
+
+// ws -> { token, requested, userId, companyId, alive, authTimer, upgrade: { ip, host } }
+const clients = new Map();
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function send(ws, msg) {
+  if (ws.readyState !== 1) return;
+  try {
+    ws.send(JSON.stringify(msg));
+  } catch {}
+}
+
+function refuse(ws, code, error, extra = {}) {
+  send(ws, { type: 'error', error, ...extra });
+  ws.close(code, error.slice(0, 120));
+}
+
+/* ================= SCOPE ================= */
+
+function inScope(c, n) {
+  return (!!n.userId && n.userId === c.userId) || (!!c.companyId && !!n.companyId && n.companyId === c.companyId);
+}
+
+function unreadFor(c) {
+  const user = store.count('notifications', { userId: c.userId, read: { $ne: true } });
+  const company = c.companyId ? store.count('notifications', { companyId: c.companyId, read: { $ne: true } }) : 0;
+  return { user, company, total: user + company };
+}
+
+// Same credential + tenant checks as an HTTP request to the API
+function authenticate(upgrade, { token, companyId }) {
+  if (apiKeys.looksLikeKey(token)) return { ok: false, code: 4403, error: 'Not available to API keys' };
+
+  const req = {
+    headers: {
+      authorization: `Bearer ${String(token || '')}`,
+      host: upgrade.host,
+      ...(companyId ? { 'x-company-id': String(companyId) } : {}),
+    },
+    ip: upgrade.ip,
+    method: 'GET',
+    url: PATH,
+    originalUrl: PATH,
+  };
+
+  const r = resolveCredentials(req);
+  if (!r.ok) return { ok: false, code: 4401, error: r.error, reason: r.reason };
+  if (r.apiKey) return { ok: false, code: 4403, error: 'Not available to API keys' };
+  req.user = r.user;
+
+  let refused = null;
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      refused = { ok: false, code: this.statusCode === 401 ? 4401 : 4403, error: body?.error || 'Refused', reason: body?.reason };
+      return this;
+    },
+  };
+  let passed = false;
+  tenantMiddleware(req, res, () => {
+    passed = true;
+  });
+  if (!passed) return refused || { ok: false, code: 4403, error: 'Refused' };
+
+  const tenant = req.tenant;
+  const companyRead =
+    tenant.type === 'company' &&
+    permissions.permissionsFor(r.user, { companyId: tenant.companyId }).includes('company.read');
+
+  return {
+    ok: true,
+    userId: String(r.user.id),
+    companyId: companyRead ? tenant.companyId : null,
+  };
+}
+
+// -> { notifications, read, truncated } in scope since an ISO time
+function missedSince(c, since) {
+  const scopes = [{ userId: c.userId }, ...(c.companyId ? [{ companyId: c.companyId }] : [])];
+  const created = [];
+  const read = [];
+  for (const f of scopes) {
+    created.push(...store.find('notifications', { ...f, at: { $gte: since } }, { sort: { at: 1 }, limit: CATCHUP_MAX + 1 }));
+    read.push(...store.find('notifications', { ...f, readAt: { $gte: since }, at: { $lt: since } }, { limit: CATCHUP_MAX + 1 }));
+  }
+  const truncated = created.length > CATCHUP_MAX || read.length > CATCHUP_MAX;
+  created.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  return {
+    notifications: created.slice(0, CATCHUP_MAX).map(publicNotification),
+    read: read.slice(0, CATCHUP_MAX).map((n) => n.id),
+    truncated,
+  };
+}
+
+function publicNotification(n) {
+  const { _rev, ...rest } = n;
+  return rest;
+}
+
+/* ================= CONNECTIONS ================= */
+
+function onAuthMessage(ws, c, msg) {
+  const since = msg.since ? new Date(String(msg.since)) : null;
+  if (since && Number.isNaN(since.getTime())) return refuse(ws, 4400, 'since must be an ISO date');
+
+  const a = authenticate(c.upgrade, { token: msg.token, companyId: msg.companyId });
+  if (!a.ok) return refuse(ws, a.code, a.error, a.reason ? { reason: a.reason } : {});
+
+  // a refreshed token must belong to the same user
+  if (c.userId && c.userId !== a.userId) return refuse(ws, 4403, 'Token belongs to another user');
+  const first = !c.userId;
+
+  if (first) {
+    const open = [...clients.values()].filter((x) => x.userId === a.userId).length;
+    if (open >= MAX_PER_USER) return refuse(ws, 4429, 'Too many realtime connections');
+    clearTimeout(c.authTimer);
+  }
+
+  c.token = String(msg.token);
+  c.requested = msg.companyId ? String(msg.companyId) : null;
+  c.userId = a.userId;
+  c.companyId = a.companyId;
+
+  const cursor = nowISO();
+  send(ws, {
+    type: 'ready',
+    userId: c.userId,
+    companyId: c.companyId,
+    unread: unreadFor(c),
+    cursor,
+    missed: first && since ? missedSince(c, since.toISOString()) : null,
+  });
+}
+
+function onMessage(ws, c, data) {
+  let msg;
+  try {
+    msg = JSON.parse(String(data));
+  } catch {
+    return refuse(ws, 4400, 'Messages must be JSON');
+  }
+
+  if (msg?.type === 'auth') return onAuthMessage(ws, c, msg);
+  if (!c.userId) return refuse(ws, 4401, 'Authenticate first');
+  if (msg?.type === 'ping') return send(ws, { type: 'pong', cursor: nowISO() });
+  return send(ws, { type: 'error', error: `Unknown message type: ${String(msg?.type || '')}` });
+}
+
+function onConnection(ws, req) {
+  const c = {
+    token: null,
+    requested: null,
+    userId: null,
+    companyId: null,
+    alive: true,
+    upgrade: { ip: req.socket?.remoteAddress || null, host: req.headers.host || '' },
+    authTimer: setTimeout(() => refuse(ws, 4408, 'No auth message received'), AUTH_TIMEOUT_MS),
+  };
+  clients.set(ws, c);
+
+  ws.on('message', (data) => onMessage(ws, c, data));
+  ws.on('pong', () => {
+    c.alive = true;
+  });
+  ws.on('close', () => {
+    clearTimeout(c.authTimer);
+    clients.delete(ws);
+  });
+  ws.on('error', () => {});
+}
+
+// heartbeat + credential re-check
+function sweep() {
+  for (const [ws, c] of clients) {
+    if (!c.alive) {
+      ws.terminate();
+      continue;
+    }
+    c.alive = false;
+    try {
+      ws.ping();
+    } catch {}
+
+    if (!c.userId) continue;
+    const a = authenticate(c.upgrade, { token: c.token, companyId: c.requested });
+    if (!a.ok) refuse(ws, a.code, a.error, a.reason ? { reason: a.reason } : {});
+  }
+}
+
+/* ================= EVENTS ================= */
+
+function pushCreated(n) {
+  for (const [ws, c] of clients) {
+    if (!c.userId || !inScope(c, n)) continue;
+    send(ws, { type: 'notification', notification: publicNotification(n), unread: unreadFor(c), cursor: n.at });
+  }
+}
+
+function pushRead(list) {
+  for (const [ws, c] of clients) {
+    if (!c.userId) continue;
+    const ids = list.filter((n) => inScope(c, n)).map((n) => n.id);
+    if (!ids.length) continue;
+    send(ws, { type: 'read', ids, unread: unreadFor(c), cursor: list[0].readAt || nowISO() });
+  }
+}
+
+/* ================= LIFECYCLE ================= */
+
+function start() {
+  if (wss) return wss;
+  wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+  wss.on('connection', onConnection);
+  unsubscribe = [onNotification(pushCreated), onNotificationsRead(pushRead)];
+  timer = setInterval(sweep, RECHECK_MS);
+  timer.unref();
+  return wss;
+}
+
+// server.js routes upgrade requests for PATH here
+function handleUpgrade(req, socket, head) {
+  if (!wss) start();
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  for (const off of unsubscribe) off();
+  unsubscribe = [];
+  if (wss) {
+    for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+    wss.close();
+  }
+  wss = null;
+  clients.clear();
+}
+
+module.exports = { PATH, start, stop, handleUpgrade };
@@ -0,0 +1,141 @@
+// backend/src/privacy/erasure.service.js
+// Right to erasure for one user or one company.
+//
+// User erasure:
+// - deletes the account, its sessions, reset tokens, personal API keys, notifications,
+//   notification preferences and deliveries, pending invites to its email, manager
+//   assignments and lockout state
+// - drops its memberships / role bindings in every company (the companies stay)
+// - deletes its AI brain memory (user:<id>)
+// - audit records, security events and references elsewhere (createdBy, invitedBy, ...)
+//   are kept but pseudonymised (lib/anonymise.js), retention archives included
+//
+// Neither is possible while the (home) company is under legal hold.
+//
+// Company erasure = the lifecycle purge (companies/lifecycle.service.js); the company
+// must be soft-deleted first, exactly like a manual purge.
+//
+// Both return a completion report; nothing in it identifies the erased subject.
+
+const { readDb, writeDb } = require('../lib/db');
+const { auditRedactions } = require('../lib/audit');
+const { deleteBrain } = require('../lib/brain');
+const anonymise = require('../lib/anonymise');
+const { scrubEvents } = require('../services/securityEvents');
+const { scrubArchives } = require('../retention/archive.service');
+const { assertNoLegalHold } = require('../retention/retention.service');
+const users = require('../users/user.service');
+const companies = require('../companies/company.service');
+const lifecycle = require('../companies/lifecycle.service');
+const permissions = require('../auth/permissions');
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Admins are refused so the platform can't lose its owner by accident
+function assertUserErasable(db, userId) {
+  const u = (db.users || []).find((x) => x.id === String(userId || ''));
+  if (!u) throw httpError(404, 'User not found');
+  if (permissions.hasRole(u, users.ROLES.ADMIN)) {
+    throw httpError(400, 'Admins cannot be erased; change their role first');
+  }
+  if (u.companyId) assertNoLegalHold(companies.getCompanyById(db, u.companyId));
+  return u;
+}
+
+function assertCompanyErasable(db, companyId) {
+  const c = companies.getCompanyById(db, companyId);
+  if (!c) throw httpError(404, 'Company not found');
+  if (c.status !== companies.COMPANY_STATUS.DELETED) {
+    throw httpError(409, 'Delete the company first (DELETE /api/admin/companies/:id)');
+  }
+  assertNoLegalHold(c);
+  return c;
+}
+
+/**
+ * eraseUser(userId, { actorId }) -> completion report
+ */
+function eraseUser(userId, { actorId = null } = {}) {
+  const db = readDb();
+  const u = assertUserErasable(db, userId);
+  const email = String(u.email || '').toLowerCase();
+
+  const counts = {};
+  const prune = (k, drop) => {
+    const n = Array.isArray(db[k]) ? db[k].length : 0;
+    db[k] = (db[k] || []).filter((x) => !drop(x));
+    counts[k] = n - db[k].length;
+  };
+
+  prune('users', (x) => x.id === u.id);
+  prune('sessions', (x) => x.userId === u.id);
+  prune('passwordResets', (x) => x.userId === u.id);
+  prune('apiKeys', (x) => x.userId === u.id);
+  prune('notifications', (x) => x.userId === u.id);
+  prune('notificationPrefs', (x) => x.userId === u.id);
+  prune('notificationDeliveries', (x) => x.userId === u.id);
+  prune('invites', (x) => String(x.email || '').toLowerCase() === email && x.status === 'pending');
+  prune('managerAssignments', (x) => x.managerId === u.id);
+
+  let memberships = 0;
+  for (const c of db.companies || []) {
+    const before = (c.members || []).length;
+    if (Array.isArray(c.members)) c.members = c.members.filter((uid) => String(uid) !== u.id);
+    if (Array.isArray(c.roleBindings)) c.roleBindings = c.roleBindings.filter((b) => String(b.userId) !== u.id);
+    if ((c.members || []).length !== before) memberships++;
+  }
+
+  const accounts = db.loginGuard?.accounts || {};
+  let lockouts = 0;
+  if (email && accounts[email]) {
+    delete accounts[email];
+    lockouts++;
+  }
+
+  const replacements = anonymise.userReplacements(u);
+  const anonymised = anonymise.anonymiseDb(db, replacements);
+  writeDb(db);
+
+  const subjectRef = anonymise.pseudonym('user', u.id);
+  auditRedactions(anonymised.redactions, {
+    actorId: actorId ? String(actorId) : null,
+    targetType: 'User',
+    targetId: subjectRef,
+    reason: 'erasure_request',
+  });
+
+  const events = scrubEvents(replacements);
+  const archived = scrubArchives(replacements);
+  const brains = deleteBrain(`user:${u.id}`) ? 1 : 0;
+
+  return {
+    subjectRef,
+    removed: { ...counts, memberships, lockouts },
+    auditAnonymised: anonymised.audit,
+    referencesAnonymised: anonymised.references,
+    eventsAnonymised: events,
+    archivedAnonymised: archived,
+    brainFilesDeleted: brains,
+  };
+}
+
+/**
+ * eraseCompany(companyId, { actorId }) -> completion report (lifecycle purge summary)
+ */
+function eraseCompany(companyId, { actorId = null } = {}) {
+  const c = assertCompanyErasable(readDb(), companyId);
+  const summary = lifecycle.purge(c.id, { actorId, reason: 'erasure_request' });
+  const { companyRef, ...rest } = summary;
+  return { subjectRef: companyRef, ...rest };
+}
+
+module.exports = {
+  assertUserErasable,
+  assertCompanyErasable,
+  eraseUser,
+  eraseCompany,
+};
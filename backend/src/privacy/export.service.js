@@ -0,0 +1,284 @@
+// backend/src/privacy/export.service.js
+// Data-subject export: everything tied to one company or one user, in one signed archive.
+//
+// Collected (secrets such as password/MFA/token/key hashes are never included):
+// - company profile, members (users), invites, API keys, manager assignments
+// - user profile, company memberships, sessions, API keys
+// - notifications, notification preferences and deliveries, audit entries, security events
+//   (services/securityEvents.js)
+// - AI brain memory (lib/brain.js, tenant <companyId> or user:<userId>)
+// - AutoProtect projects (not stored on their own: rebuilt from AUTOPROTECT_PROJECT_CREATED)
+//
+// Archive = gzip'd JSON:
+//   { format, version, jobId, subject, generatedAt, manifest: { <section>: { count, sha256 } },
+//     sections: { ... }, signature: { alg: 'HMAC-SHA256', value } }
+// The signature covers everything except `sections`; each section is bound through its
+// sha256 in the manifest (verifyArchive checks both). Key: DATA_EXPORT_SECRET || JWT_SECRET.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { readDb } = require('../lib/db');
+const { omitRev } = require('../lib/storage/revisions');
+const { exportBrain } = require('../lib/brain');
+const { findEvents } = require('../services/securityEvents');
+const users = require('../users/user.service');
+const companies = require('../companies/company.service');
+const permissions = require('../auth/permissions');
+
+const FORMAT = 'autoshield-export';
+const VERSION = 1;
+
+const EXPORT_PATH =
+  (process.env.DATA_EXPORT_PATH && String(process.env.DATA_EXPORT_PATH).trim()) ||
+  '/tmp/autoshield_exports';
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function signingKey() {
+  const k = process.env.DATA_EXPORT_SECRET || process.env.JWT_SECRET;
+  if (!k) throw new Error('DATA_EXPORT_SECRET or JWT_SECRET is required to sign exports');
+  return k;
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(v).digest('hex');
+}
+
+function hmac(v) {
+  return crypto.createHmac('sha256', signingKey()).update(v).digest('hex');
+}
+
+/* ================= COLLECT ================= */
+
+const strip = (obj, ...keys) => {
+  const out = { ...obj };
+  for (const k of keys) delete out[k];
+  return out;
+};
+
+function publicSession(s) {
+  return strip(s, 'refreshHash', 'previousHashes');
+}
+
+function publicInvite(inv) {
+  return strip(inv, 'tokenHash');
+}
+
+function publicApiKey(k) {
+  return strip(k, 'hash');
+}
+
+// webhook signing secret out, the fact that one is set stays
+function publicNotificationPrefs(p) {
+  const channels = {};
+  for (const [name, cfg] of Object.entries(p.channels || {})) {
+    channels[name] = cfg?.secret ? { ...strip(cfg, 'secret'), hasSecret: true } : cfg;
+  }
+  return { ...p, channels };
+}
+
+function eventMatches(e, { companyId = null, userIds, emails }) {
+  const m = e.meta || {};
+  if (companyId && m.companyId === companyId) return true;
+  if (userIds.has(String(e.target || '')) || userIds.has(String(m.userId || ''))) return true;
+  return emails.has(String(m.account || '').toLowerCase());
+}
+
+// AUTOPROTECT_PROJECT_CREATED audit rows -> project records
+function projectsFrom(auditRows) {
+  return auditRows
+    .filter((a) => a.action === 'AUTOPROTECT_PROJECT_CREATED')
+    .map((a) => ({
+      id: a.targetId,
+      createdAt: a.at,
+      createdBy: a.actorId,
+      companyId: a.metadata?.companyId || null,
+      title: a.metadata?.title || null,
+      issue: a.metadata?.issue || (a.metadata?.issueType ? { type: a.metadata.issueType } : null),
+    }));
+}
+
+function collectCompany(db, companyId) {
+  const c = companies.getCompanyById(db, companyId);
+  if (!c) throw httpError(404, 'Company not found');
+
+  const memberIds = new Set((c.members || []).map(String));
+  const people = (db.users || []).filter(
+    (u) =>
+      (u.companyId === c.id || memberIds.has(u.id)) &&
+      !permissions.hasRole(u, users.ROLES.ADMIN, users.ROLES.MANAGER)
+  );
+  const userIds = new Set(people.map((u) => u.id));
+  const emails = new Set(people.map((u) => String(u.email || '').toLowerCase()));
+
+  const auditRows = (db.audit || []).filter(
+    (a) =>
+      a.companyId === c.id ||
+      (a.targetType === 'Company' && a.targetId === c.id) ||
+      userIds.has(String(a.actorId || '')) ||
+      (a.targetType === 'User' && userIds.has(String(a.targetId || '')))
+  );
+
+  return {
+    subject: { type: 'company', id: c.id, label: c.name },
+    sections: {
+      company: companies.sanitize(c),
+      users: people.map(users.sanitize),
+      invites: (db.invites || []).filter((i) => i.companyId === c.id).map(publicInvite),
+      apiKeys: (db.apiKeys || []).filter((k) => k.companyId === c.id || userIds.has(k.userId)).map(publicApiKey),
+      managerAssignments: (db.managerAssignments || []).filter((a) => a.companyId === c.id),
+      notifications: (db.notifications || []).filter((n) => n.companyId === c.id || userIds.has(n.userId)),
+      notificationPrefs: (db.notificationPrefs || []).filter((p) => userIds.has(p.userId)).map(publicNotificationPrefs),
+      notificationDeliveries: (db.notificationDeliveries || []).filter((d) => userIds.has(d.userId)),
+      audit: auditRows,
+      securityEvents: findEvents((e) => eventMatches(e, { companyId: c.id, userIds, emails })),
+      brain: exportBrain(c.id),
+      autoprotectProjects: projectsFrom(auditRows),
+    },
+  };
+}
+
+function collectUser(db, userId) {
+  const u = (db.users || []).find((x) => x.id === String(userId || ''));
+  if (!u) throw httpError(404, 'User not found');
+
+  const userIds = new Set([u.id]);
+  const emails = new Set([String(u.email || '').toLowerCase()]);
+
+  const auditRows = (db.audit || []).filter(
+    (a) => a.actorId === u.id || (a.targetType === 'User' && a.targetId === u.id)
+  );
+
+  const memberships = (db.companies || [])
+    .filter((c) => (c.members || []).map(String).includes(u.id))
+    .map((c) => {
+      const b = permissions.companyRoleOf(c, u.id);
+      return { companyId: c.id, name: c.name, primary: u.companyId === c.id, role: b ? b.name : u.role };
+    });
+
+  return {
+    subject: { type: 'user', id: u.id, label: u.email },
+    sections: {
+      user: users.sanitize(u),
+      memberships,
+      sessions: (db.sessions || []).filter((s) => s.userId === u.id).map(publicSession),
+      apiKeys: (db.apiKeys || []).filter((k) => k.userId === u.id).map(publicApiKey),
+      notifications: (db.notifications || []).filter((n) => n.userId === u.id),
+      notificationPrefs: (db.notificationPrefs || []).filter((p) => p.userId === u.id).map(publicNotificationPrefs),
+      notificationDeliveries: (db.notificationDeliveries || []).filter((d) => d.userId === u.id),
+      audit: auditRows,
+      securityEvents: findEvents((e) => eventMatches(e, { userIds, emails })),
+      brain: exportBrain(`user:${u.id}`),
+      autoprotectProjects: projectsFrom(auditRows),
+    },
+  };
+}
+
+/* ================= ARCHIVE ================= */
+
+function envelopeOf(a) {
+  return JSON.stringify({
+    format: a.format,
+    version: a.version,
+    jobId: a.jobId,
+    subject: a.subject,
+    generatedAt: a.generatedAt,
+    manifest: a.manifest,
+  });
+}
+
+/**
+ * buildArchive({ subjectType, subjectId, jobId }) -> archive object (not yet written)
+ */
+function buildArchive({ subjectType, subjectId, jobId }) {
+  const db = readDb();
+  const collected =
+    subjectType === 'company' ? collectCompany(db, subjectId) : collectUser(db, subjectId);
+  const { subject } = collected;
+  const sections = JSON.parse(JSON.stringify(collected.sections, omitRev)); // no storage internals
+
+  const manifest = {};
+  for (const [k, v] of Object.entries(sections)) {
+    manifest[k] = {
+      count: Array.isArray(v) ? v.length : v ? 1 : 0,
+      sha256: sha256(JSON.stringify(v ?? null)),
+    };
+  }
+
+  const archive = { format: FORMAT, version: VERSION, jobId, subject, generatedAt: nowISO(), manifest, sections };
+  archive.signature = { alg: 'HMAC-SHA256', value: hmac(envelopeOf(archive)) };
+  return archive;
+}
+
+function archivePath(jobId) {
+  return path.join(EXPORT_PATH, `export_${String(jobId).replace(/[^\w-]/g, '')}.json.gz`);
+}
+
+// -> { file, bytes, sha256 }
+function writeArchive(archive) {
+  if (!fs.existsSync(EXPORT_PATH)) fs.mkdirSync(EXPORT_PATH, { recursive: true });
+
+  const file = archivePath(archive.jobId);
+  const buf = zlib.gzipSync(Buffer.from(JSON.stringify(archive)));
+  fs.writeFileSync(file + '.tmp', buf);
+  fs.renameSync(file + '.tmp', file);
+
+  return { file, bytes: buf.length, sha256: sha256(buf) };
+}
+
+function deleteArchive(file) {
+  try {
+    if (file && fs.existsSync(file)) {
+      fs.unlinkSync(file);
+      return true;
+    }
+  } catch {}
+  return false;
+}
+
+/**
+ * verifyArchive(buffer) -> { ok: true, subject, manifest } | { ok: false, error }
+ * Accepts the gzip'd file as downloaded.
+ */
+function verifyArchive(buffer) {
+  let a;
+  try {
+    a = JSON.parse(zlib.gunzipSync(buffer).toString('utf-8'));
+  } catch {
+    return { ok: false, error: 'Not an export archive' };
+  }
+  if (a?.format !== FORMAT || !a.signature || !a.manifest) return { ok: false, error: 'Not an export archive' };
+
+  const expected = Buffer.from(hmac(envelopeOf(a)));
+  const given = Buffer.from(String(a.signature.value || ''));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, error: 'Signature mismatch' };
+  }
+
+  for (const [k, m] of Object.entries(a.manifest)) {
+    if (sha256(JSON.stringify(a.sections?.[k] ?? null)) !== m.sha256) {
+      return { ok: false, error: `Section "${k}" was modified` };
+    }
+  }
+
+  return { ok: true, jobId: a.jobId, subject: a.subject, generatedAt: a.generatedAt, manifest: a.manifest };
+}
+
+module.exports = {
+  EXPORT_PATH,
+  eventMatches,
+  buildArchive,
+  writeArchive,
+  deleteArchive,
+  verifyArchive,
+};
@@ -0,0 +1,334 @@
+// backend/src/privacy/jobs.service.js
+// Export / erasure jobs (privacy/export.service.js, privacy/erasure.service.js).
+//
+// - A request creates a job (status 'queued') and returns at once; the job runs on the
+//   next tick and ends 'completed' (with a report) or 'failed' (with an error)
+// - Export archives are kept for DATA_EXPORT_TTL_DAYS (default 7), then deleted by
+//   server.js housekeeping; downloads after that get 410
+// - Erasing a subject also deletes every export archive made for it
+// - Requests, completions and downloads are audited; the requester is notified
+//
+// db.dataJobs[] = {
+//   id, kind: 'export'|'erasure', subjectType: 'company'|'user', subjectId,
+//   status: 'queued'|'running'|'completed'|'failed', requestedBy,
+//   createdAt, startedAt, completedAt, error,
+//   file, archive: { bytes, sha256, expiresAt, deletedAt }, report
+// }
+
+const { nanoid } = require('nanoid');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const exporter = require('./export.service');
+const erasure = require('./erasure.service');
+const companies = require('../companies/company.service');
+
+const SUBJECT_TYPES = ['company', 'user'];
+const EXPORT_TTL_DAYS = Number(process.env.DATA_EXPORT_TTL_DAYS || 7);
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureJobs(db) {
+  if (!db.dataJobs) db.dataJobs = [];
+  if (!Array.isArray(db.dataJobs)) db.dataJobs = [];
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanId(v) {
+  return String(v || '').trim().slice(0, 80);
+}
+
+// the server-side file path never leaves this module
+function publicJob(j) {
+  const { file, ...rest } = j;
+  return { ...rest, downloadable: !!file };
+}
+
+function validateSubject(db, subjectType, subjectId) {
+  const type = cleanId(subjectType).toLowerCase();
+  if (!SUBJECT_TYPES.includes(type)) throw httpError(400, `subjectType must be one of: ${SUBJECT_TYPES.join(', ')}`);
+
+  const id = cleanId(subjectId);
+  if (type === 'company' && !companies.getCompanyById(db, id)) throw httpError(404, 'Company not found');
+  if (type === 'user' && !(db.users || []).some((u) => u.id === id)) throw httpError(404, 'User not found');
+
+  return { type, id };
+}
+
+function enqueue(db, kind, { type, id }, requestedBy) {
+  const job = {
+    id: `dj_${nanoid(12)}`,
+    kind,
+    subjectType: type,
+    subjectId: id,
+    status: 'queued',
+    requestedBy: requestedBy ? String(requestedBy) : null,
+    createdAt: nowISO(),
+    startedAt: null,
+    completedAt: null,
+    error: null,
+    file: null,
+    archive: null,
+    report: null,
+  };
+
+  db.dataJobs.push(job);
+  writeDb(db);
+
+  audit({
+    actorId: job.requestedBy,
+    action: kind === 'export' ? 'DATA_EXPORT_REQUESTED' : 'DATA_ERASURE_REQUESTED',
+    targetType: type === 'company' ? 'Company' : 'User',
+    targetId: id,
+    companyId: type === 'company' ? id : null,
+    metadata: { jobId: job.id },
+  });
+
+  setImmediate(() => runJob(job.id));
+  return job;
+}
+
+// read-modify-write one job (the db may have changed while the job ran)
+function patchJob(jobId, patch) {
+  const db = readDb();
+  ensureJobs(db);
+  const j = db.dataJobs.find((x) => x.id === jobId);
+  if (!j) return null;
+  Object.assign(j, patch);
+  writeDb(db);
+  return j;
+}
+
+/* ================= REQUESTS ================= */
+
+/**
+ * requestExport({ subjectType, subjectId, requestedBy })
+ * -> { job, created } (an export already queued/running for the subject is returned as is)
+ */
+function requestExport({ subjectType, subjectId, requestedBy }) {
+  const db = readDb();
+  ensureJobs(db);
+
+  const subject = validateSubject(db, subjectType, subjectId);
+  const pending = db.dataJobs.find(
+    (j) =>
+      j.kind === 'export' &&
+      j.subjectType === subject.type &&
+      j.subjectId === subject.id &&
+      ['queued', 'running'].includes(j.status)
+  );
+  if (pending) return { job: publicJob(pending), created: false };
+
+  return { job: publicJob(enqueue(db, 'export', subject, requestedBy)), created: true };
+}
+
+function requestErasure({ subjectType, subjectId, requestedBy }) {
+  const db = readDb();
+  ensureJobs(db);
+
+  const subject = validateSubject(db, subjectType, subjectId);
+  if (subject.type === 'user') erasure.assertUserErasable(db, subject.id);
+  else erasure.assertCompanyErasable(db, subject.id);
+
+  if (
+    db.dataJobs.some(
+      (j) => j.kind === 'erasure' && j.subjectId === subject.id && ['queued', 'running'].includes(j.status)
+    )
+  ) {
+    throw httpError(409, 'An erasure is already in progress for this subject');
+  }
+
+  return publicJob(enqueue(db, 'erasure', subject, requestedBy));
+}
+
+/* ================= RUNNER ================= */
+
+function runExport(job) {
+  const archive = exporter.buildArchive({ subjectType: job.subjectType, subjectId: job.subjectId, jobId: job.id });
+  const written = exporter.writeArchive(archive);
+  const expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 3600 * 1000).toISOString();
+
+  const sections = {};
+  for (const [k, m] of Object.entries(archive.manifest)) sections[k] = m.count;
+
+  patchJob(job.id, {
+    status: 'completed',
+    completedAt: nowISO(),
+    file: written.file,
+    archive: { bytes: written.bytes, sha256: written.sha256, expiresAt, deletedAt: null },
+    report: { sections },
+  });
+
+  audit({
+    actorId: job.requestedBy,
+    action: 'DATA_EXPORT_COMPLETED',
+    targetType: job.subjectType === 'company' ? 'Company' : 'User',
+    targetId: job.subjectId,
+    companyId: job.subjectType === 'company' ? job.subjectId : null,
+    metadata: { jobId: job.id, bytes: written.bytes, sha256: written.sha256, sections },
+  });
+
+  if (job.requestedBy) {
+    createNotification({
+      userId: job.requestedBy,
+      severity: 'ok',
+      category: 'privacy',
+      title: 'Data export ready',
+      message: `Your ${job.subjectType} data export is ready to download until ${expiresAt}.`,
+    });
+  }
+}
+
+function runErasure(job) {
+  // exports of the subject hold the very data being erased
+  const db = readDb();
+  ensureJobs(db);
+  let archives = 0;
+  for (const j of db.dataJobs) {
+    if (j.kind !== 'export' || j.subjectId !== job.subjectId || !j.file) continue;
+    if (exporter.deleteArchive(j.file)) archives++;
+    j.file = null;
+    if (j.archive) j.archive.deletedAt = nowISO();
+  }
+  writeDb(db);
+
+  const report =
+    job.subjectType === 'company'
+      ? erasure.eraseCompany(job.subjectId, { actorId: job.requestedBy })
+      : erasure.eraseUser(job.subjectId, { actorId: job.requestedBy });
+  report.exportArchivesDeleted = archives;
+
+  // subjectId was already pseudonymised in db.dataJobs by the erasure itself
+  patchJob(job.id, { status: 'completed', completedAt: nowISO(), subjectId: report.subjectRef, report });
+
+  audit({
+    actorId: job.requestedBy,
+    action: 'DATA_ERASURE_COMPLETED',
+    targetType: job.subjectType === 'company' ? 'Company' : 'User',
+    targetId: report.subjectRef,
+    metadata: { jobId: job.id, report },
+  });
+
+  if (job.requestedBy) {
+    createNotification({
+      userId: job.requestedBy,
+      severity: 'ok',
+      category: 'privacy',
+      title: 'Data erasure completed',
+      message: `The ${job.subjectType} erasure finished; the completion report is on job ${job.id}.`,
+    });
+  }
+}
+
+function runJob(jobId) {
+  const job = patchJob(jobId, { status: 'running', startedAt: nowISO() });
+  if (!job) return;
+
+  try {
+    if (job.kind === 'export') runExport(job);
+    else runErasure(job);
+  } catch (e) {
+    console.error('[privacy] job failed', job.id, e?.message || e);
+    patchJob(job.id, { status: 'failed', completedAt: nowISO(), error: e?.message || String(e) });
+
+    if (job.requestedBy) {
+      createNotification({
+        userId: job.requestedBy,
+        severity: 'danger',
+        category: 'privacy',
+        title: `Data ${job.kind} failed`,
+        message: `Job ${job.id} failed: ${e?.message || e}`,
+      });
+    }
+  }
+}
+
+/* ================= READ ================= */
+
+function listJobs({ kind = null, subjectType = null, subjectId = null, requestedBy = null } = {}) {
+  const db = readDb();
+  ensureJobs(db);
+  return db.dataJobs
+    .filter((j) => !kind || j.kind === kind)
+    .filter((j) => !subjectType || j.subjectType === subjectType)
+    .filter((j) => !subjectId || j.subjectId === subjectId)
+    .filter((j) => !requestedBy || j.requestedBy === requestedBy)
+    .slice()
+    .reverse()
+    .map(publicJob);
+}
+
+function getJob(jobId) {
+  const db = readDb();
+  ensureJobs(db);
+  const j = db.dataJobs.find((x) => x.id === cleanId(jobId));
+  return j ? publicJob(j) : null;
+}
+
+/**
+ * archiveFor(jobId, { actorId }) -> { job, file, filename }
+ * 404 unknown, 409 not finished, 410 expired / erased. Audits the download.
+ */
+function archiveFor(jobId, { actorId = null } = {}) {
+  const db = readDb();
+  ensureJobs(db);
+
+  const j = db.dataJobs.find((x) => x.id === cleanId(jobId));
+  if (!j || j.kind !== 'export') throw httpError(404, 'Export not found');
+  if (j.status !== 'completed') throw httpError(409, `Export is ${j.status}`);
+  if (!j.file || new Date(j.archive?.expiresAt).getTime() <= Date.now()) {
+    throw httpError(410, 'Export archive is no longer available; request a new one');
+  }
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'DATA_EXPORT_DOWNLOADED',
+    targetType: j.subjectType === 'company' ? 'Company' : 'User',
+    targetId: j.subjectId,
+    companyId: j.subjectType === 'company' ? j.subjectId : null,
+    metadata: { jobId: j.id },
+  });
+
+  return {
+    job: publicJob(j),
+    file: j.file,
+    filename: `autoshield-${j.subjectType}-export-${j.completedAt.slice(0, 10)}.json.gz`,
+  };
+}
+
+// Deletes archives past their expiry (server.js housekeeping) -> number deleted
+function expireArchives(now = Date.now()) {
+  const db = readDb();
+  ensureJobs(db);
+
+  let n = 0;
+  for (const j of db.dataJobs) {
+    if (!j.file || new Date(j.archive?.expiresAt).getTime() > now) continue;
+    exporter.deleteArchive(j.file);
+    j.file = null;
+    j.archive.deletedAt = nowISO();
+    n++;
+  }
+
+  if (n) writeDb(db);
+  return n;
+}
+
+module.exports = {
+  SUBJECT_TYPES,
+  EXPORT_TTL_DAYS,
+  requestExport,
+  requestErasure,
+  listJobs,
+  getJob,
+  archiveFor,
+  expireArchives,
+  verifyArchive: exporter.verifyArchive,
+};
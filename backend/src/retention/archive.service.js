@@ -0,0 +1,234 @@
+// backend/src/retention/archive.service.js
+// Compressed archive files for records moved out of live storage (retention/retention.service.js,
+// and services/securityEvents.js once it reaches its cap).
+//
+// Archive = ARCHIVE_DIR/<id>.jsonl.gz (one record per line) + <id>.json manifest:
+//   { format, version, id, collection, reason, createdAt, count, from, to, companyIds,
+//     bytes, sha256, anonymisedAt }
+// from / to are the oldest / newest record times, companyIds every tenant with records in
+// the file; search uses them to skip files. sha256 is taken over the uncompressed lines.
+// The manifest is written last, so a file without one (crash half-way) is ignored.
+//
+// Erasure and company purge reach archives too: scrubArchives() pseudonymises them with
+// the same replacements as the live data (lib/anonymise.js). Archived audit records keep
+// their chain fields, so the stub left in the live log can be checked against them.
+//
+// Archives are not part of snapshots (backup/backup.service.js): they are written once and
+// only change on erasure, so copy ARCHIVE_DIR to long-term storage on its own schedule.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const anonymise = require('../lib/anonymise');
+
+const FORMAT = 'autoshield-archive';
+const VERSION = 1;
+
+const ARCHIVE_DIR =
+  (process.env.RETENTION_ARCHIVE_DIR && String(process.env.RETENTION_ARCHIVE_DIR).trim()) ||
+  path.join(__dirname, '..', 'data', 'archives');
+
+const ID_RE = /^ar_\d{8}T\d{6}Z_[a-zA-Z]+_[A-Za-z0-9_-]{6}$/;
+
+// How each archived collection tells time and tenant (companyId) of a record
+const COLLECTIONS = {
+  audit: {
+    time: (r) => r.at,
+    tenant: (r) => r.companyId || (r.targetType === 'Company' ? r.targetId : null),
+  },
+  notifications: {
+    time: (r) => r.at || r.createdAt,
+    tenant: (r) => r.companyId || r.tenantId || null, // tenantId: the recipient's company, set on archiving
+  },
+  securityEvents: {
+    time: (r) => r.iso || (r.ts ? new Date(r.ts).toISOString() : null),
+    tenant: (r) => r.meta?.companyId || null,
+  },
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(v).digest('hex');
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function dataFile(id) {
+  return path.join(ARCHIVE_DIR, `${id}.jsonl.gz`);
+}
+
+function manifestFile(id) {
+  return path.join(ARCHIVE_DIR, `${id}.json`);
+}
+
+function encode(records) {
+  const raw = records.map((r) => JSON.stringify(r)).join('\n') + '\n';
+  return { raw, gz: zlib.gzipSync(raw) };
+}
+
+function describe(collection, records) {
+  const c = COLLECTIONS[collection];
+  const times = records.map(c.time).filter(Boolean).sort();
+  const tenants = new Set(records.map(c.tenant).filter(Boolean).map(String));
+  return { from: times[0] || null, to: times[times.length - 1] || null, companyIds: [...tenants].sort() };
+}
+
+/* ================= WRITE ================= */
+
+/**
+ * writeArchive(collection, records, { reason }) -> manifest, or null for no records
+ */
+function writeArchive(collection, records, { reason = 'retention' } = {}) {
+  if (!COLLECTIONS[collection]) throw new Error(`Unknown archive collection: ${collection}`);
+  if (!records?.length) return null;
+
+  const createdAt = new Date().toISOString();
+  const stamp = createdAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const id = `ar_${stamp}_${collection}_${nanoid(6)}`;
+  const list = records.map(({ _rev, ...r }) => r);
+  const { raw, gz } = encode(list);
+
+  ensureDir(ARCHIVE_DIR);
+  fs.writeFileSync(dataFile(id), gz);
+
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    id,
+    collection,
+    reason,
+    createdAt,
+    count: list.length,
+    ...describe(collection, list),
+    bytes: gz.length,
+    sha256: sha256(raw),
+    anonymisedAt: null,
+  };
+  fs.writeFileSync(manifestFile(id), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/* ================= READ ================= */
+
+function readManifest(id) {
+  try {
+    const m = JSON.parse(fs.readFileSync(manifestFile(id), 'utf-8'));
+    return m.format === FORMAT && m.id === id ? m : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * listArchives({ collection, from, to, companyId }) -> manifests, newest first
+ * from / to (ISO) keep archives whose time range overlaps; companyId those holding its records.
+ */
+function listArchives({ collection = null, from = null, to = null, companyId = null } = {}) {
+  if (!fs.existsSync(ARCHIVE_DIR)) return [];
+  return fs
+    .readdirSync(ARCHIVE_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.slice(0, -'.json'.length))
+    .filter((id) => ID_RE.test(id))
+    .map(readManifest)
+    .filter(Boolean)
+    .filter((m) => !collection || m.collection === collection)
+    .filter((m) => !from || !m.to || m.to >= from)
+    .filter((m) => !to || !m.from || m.from < to)
+    .filter((m) => !companyId || (m.companyIds || []).includes(String(companyId)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+}
+
+function getArchive(id) {
+  const m = ID_RE.test(String(id || '')) ? readManifest(String(id)) : null;
+  if (!m) throw httpError(404, 'Archive not found');
+  return m;
+}
+
+/**
+ * readArchive(id) -> records (throws 422 when the file does not match its manifest)
+ */
+function readArchive(id) {
+  const m = getArchive(id);
+  let raw;
+  try {
+    raw = zlib.gunzipSync(fs.readFileSync(dataFile(m.id))).toString('utf-8');
+  } catch (e) {
+    throw httpError(422, `Archive ${m.id} is unreadable: ${e?.message || e}`);
+  }
+  if (sha256(raw) !== m.sha256) throw httpError(422, `Archive ${m.id} does not match its checksum`);
+  return raw
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// -> { ok, id, count, error }
+function verifyArchive(id) {
+  try {
+    const records = readArchive(id);
+    const m = getArchive(id);
+    if (records.length !== m.count) return { ok: false, id: m.id, count: records.length, error: `manifest says ${m.count} records` };
+    return { ok: true, id: m.id, count: records.length, error: null };
+  } catch (e) {
+    if (e?.status === 404) throw e;
+    return { ok: false, id: String(id), count: 0, error: e?.message || String(e) };
+  }
+}
+
+/* ================= ERASURE ================= */
+
+/**
+ * scrubArchives(replacements) -> number of archived records rewritten
+ * Archived audit records are redacted like live ones (lib/auditChain.js redact()).
+ */
+function scrubArchives(replacements) {
+  if (!replacements?.length) return 0;
+  const refs = replacements.filter(([, , only]) => only !== 'audit');
+  let total = 0;
+
+  for (const m of listArchives()) {
+    const records = readArchive(m.id);
+    const out =
+      m.collection === 'audit'
+        ? anonymise.redactAudit(records, replacements)
+        : anonymise.scrubList(records, refs);
+    if (!out.count) continue;
+
+    const { raw, gz } = encode(out.list);
+    const next = {
+      ...m,
+      ...describe(m.collection, out.list),
+      bytes: gz.length,
+      sha256: sha256(raw),
+      anonymisedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(dataFile(m.id) + '.tmp', gz);
+    fs.renameSync(dataFile(m.id) + '.tmp', dataFile(m.id));
+    fs.writeFileSync(manifestFile(m.id), JSON.stringify(next, null, 2));
+    total += out.count;
+  }
+  return total;
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  ARCHIVE_DIR,
+  COLLECTIONS,
+  writeArchive,
+  listArchives,
+  getArchive,
+  readArchive,
+  verifyArchive,
+  scrubArchives,
+};
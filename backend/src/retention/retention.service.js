@@ -0,0 +1,460 @@
+// backend/src/retention/retention.service.js
+// Retention policies, legal holds and the archival job.
+//
+// Effective policy = DEFAULT_POLICY <- db.settings.retention <- companies[].retention
+//   { audit: days, notifications: days, securityEvents: days }   0 = keep forever
+// Defaults: RETENTION_AUDIT_DAYS (400), RETENTION_NOTIFICATIONS_DAYS (90),
+// RETENTION_SECURITY_EVENTS_DAYS (180). A record follows the policy of its company
+// (audit: companyId or the Company it is about; notifications: the company or the
+// recipient's home company; security events: meta.companyId), else the global one.
+//
+// runRetention() (server.js housekeeping, or POST /api/admin/retention/run) moves records
+// older than their policy into compressed archive files (retention/archive.service.js):
+// - notifications and security events are removed from live storage
+// - audit records are replaced by a stub that keeps their place in the hash chain
+//   (lib/auditChain.js archiveStub), so GET /api/admin/audit/verify still passes.
+//   AUDIT_REDACTED records stay live: they attest redactions of records that may be kept
+//   longer.
+//
+// Legal hold (companies[].legalHold = { since, by, reason }) pauses deletion for a
+// company: nothing of it is archived, and purge / erasure (companies/lifecycle.service.js,
+// privacy/erasure.service.js) are refused until the hold is released.
+
+const { readDb, writeDb, store } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const chain = require('../lib/auditChain');
+const archives = require('./archive.service');
+const securityEvents = require('../services/securityEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 36500;
+const BATCH = 500;
+
+function envDays(name, fallback) {
+  const n = Number(process.env[name] ?? fallback);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+const DEFAULT_POLICY = {
+  audit: envDays('RETENTION_AUDIT_DAYS', 400),
+  notifications: envDays('RETENTION_NOTIFICATIONS_DAYS', 90),
+  securityEvents: envDays('RETENTION_SECURITY_EVENTS_DAYS', 180),
+};
+
+const SEARCH_MAX_LIMIT = 1000;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function cleanStr(v, max = 300) {
+  return String(v ?? '').trim().slice(0, max);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function findCompany(db, companyId) {
+  const c = (db.companies || []).find((x) => String(x.id) === String(companyId));
+  if (!c) throw httpError(404, 'Company not found');
+  return c;
+}
+
+/* ================= POLICY ================= */
+
+// Only known collections with whole days survive (admin input)
+function normalizeOverrides(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const out = {};
+  for (const k of Object.keys(DEFAULT_POLICY)) {
+    if (typeof src[k] === 'undefined' || src[k] === null || src[k] === '') continue;
+    const n = Number(src[k]);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_DAYS) {
+      throw httpError(400, `Invalid retention for ${k}: days between 0 (keep forever) and ${MAX_DAYS}`);
+    }
+    out[k] = Math.floor(n);
+  }
+  return out;
+}
+
+function policyFor(db, companyId = null) {
+  const company = companyId ? (db?.companies || []).find((c) => String(c.id) === String(companyId)) : null;
+  return {
+    ...DEFAULT_POLICY,
+    ...(db?.settings?.retention || {}),
+    ...((company && company.retention) || {}),
+  };
+}
+
+/**
+ * getPolicies() -> { defaults, global, effective, companies: [{ id, name, retention, effective, legalHold }] }
+ * companies lists those with their own policy or a legal hold.
+ */
+function getPolicies() {
+  const db = readDb();
+  return {
+    defaults: DEFAULT_POLICY,
+    global: db.settings?.retention || {},
+    effective: policyFor(db),
+    companies: (db.companies || [])
+      .filter((c) => c.retention || c.legalHold)
+      .map((c) => ({
+        id: c.id,
+        name: c.name,
+        retention: c.retention || null,
+        effective: policyFor(db, c.id),
+        legalHold: c.legalHold || null,
+      })),
+    lastRun,
+  };
+}
+
+function setGlobalOverrides(input, actorId) {
+  const overrides = normalizeOverrides(input);
+  const db = readDb();
+  if (!db.settings || typeof db.settings !== 'object') db.settings = {};
+  db.settings.retention = overrides;
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'RETENTION_POLICY_SET',
+    targetType: 'Settings',
+    targetId: 'retention',
+    metadata: overrides,
+  });
+
+  return policyFor(db);
+}
+
+// Pass {} to clear a company's overrides
+function setCompanyOverrides(companyId, input, actorId) {
+  const overrides = normalizeOverrides(input);
+  const db = readDb();
+  const c = findCompany(db, companyId);
+
+  c.retention = Object.keys(overrides).length ? overrides : null;
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'RETENTION_POLICY_COMPANY_SET',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: overrides,
+  });
+
+  return policyFor(db, c.id);
+}
+
+/* ================= LEGAL HOLD ================= */
+
+// Throws 409 while company c is under legal hold (purge, erasure)
+function assertNoLegalHold(c) {
+  if (c?.legalHold) {
+    throw httpError(409, `${c.name || 'The company'} is under legal hold since ${c.legalHold.since}; deletion is paused`);
+  }
+}
+
+function placeLegalHold(companyId, { reason, actorId = null } = {}) {
+  const why = cleanStr(reason, 500);
+  if (!why) throw httpError(400, 'reason is required');
+
+  const db = readDb();
+  const c = findCompany(db, companyId);
+  if (c.legalHold) throw httpError(409, 'Company is already under legal hold');
+
+  c.legalHold = { since: nowISO(), by: actorId ? String(actorId) : null, reason: why };
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'LEGAL_HOLD_PLACED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { reason: why },
+  });
+
+  return c.legalHold;
+}
+
+function releaseLegalHold(companyId, { actorId = null } = {}) {
+  const db = readDb();
+  const c = findCompany(db, companyId);
+  if (!c.legalHold) throw httpError(409, 'Company is not under legal hold');
+
+  const was = c.legalHold;
+  delete c.legalHold;
+  writeDb(db);
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'LEGAL_HOLD_RELEASED',
+    targetType: 'Company',
+    targetId: c.id,
+    companyId: c.id,
+    metadata: { since: was.since, reason: was.reason },
+  });
+
+  return { released: true, since: was.since };
+}
+
+/* ================= ARCHIVAL ================= */
+
+let lastRun = null;
+
+// cutoff(collection, companyId) -> ISO time before which records are due, or null (keep)
+function cutoffs(db, now) {
+  const memo = new Map();
+  const cutoff = (collection, companyId) => {
+    const key = `${collection}:${companyId || ''}`;
+    if (!memo.has(key)) {
+      const days = policyFor(db, companyId)[collection];
+      memo.set(key, days ? new Date(now - days * DAY_MS).toISOString() : null);
+    }
+    return memo.get(key);
+  };
+
+  // the latest cutoff any tenant has: nothing newer can be due
+  const latest = (collection) => {
+    const all = [null, ...(db.companies || []).map((c) => c.id)].map((id) => cutoff(collection, id)).filter(Boolean);
+    return all.length ? all.sort().pop() : null;
+  };
+
+  return { cutoff, latest };
+}
+
+function archiveAudit(db, { cutoff, latest }, held, out) {
+  const before = latest('audit');
+  if (!before) return;
+  const tenantOf = archives.COLLECTIONS.audit.tenant;
+
+  let afterSeq = 0;
+  for (;;) {
+    const batch = store.find(
+      'audit',
+      { at: { $lt: before }, seq: { $gt: afterSeq } },
+      { sort: { seq: 1 }, limit: BATCH }
+    );
+    if (!batch.length) return;
+    afterSeq = batch[batch.length - 1].seq;
+
+    const due = batch.filter((rec) => {
+      if (rec.archived || !rec.hash || rec.action === chain.REDACTED_ACTION) return false;
+      const tenant = tenantOf(rec);
+      if (tenant && held.has(String(tenant))) {
+        out.heldBack.audit++;
+        return false;
+      }
+      const until = cutoff('audit', tenant);
+      return !!until && rec.at < until;
+    });
+
+    if (due.length) {
+      const manifest = archives.writeArchive('audit', due);
+      const at = nowISO();
+      store.update('audit', { id: { $in: due.map((r) => r.id) } }, (rec) => chain.archiveStub(rec, manifest.id, at));
+      out.archived.audit += due.length;
+      out.archives.push(manifest.id);
+    }
+    if (batch.length < BATCH) return;
+  }
+}
+
+function archiveNotifications(db, { cutoff, latest }, held, out) {
+  const before = latest('notifications');
+  if (!before) return;
+
+  const homeOf = new Map((db.users || []).map((u) => [u.id, u.companyId || null]));
+  const due = [];
+  for (const n of store.find('notifications', { at: { $lt: before } }, { sort: { at: 1 } })) {
+    const tenant = n.companyId || homeOf.get(n.userId) || null;
+    if (tenant && held.has(String(tenant))) {
+      out.heldBack.notifications++;
+      continue;
+    }
+    const until = cutoff('notifications', tenant);
+    if (until && n.at < until) due.push(n.companyId ? n : { ...n, tenantId: tenant });
+  }
+
+  for (let i = 0; i < due.length; i += BATCH) {
+    const chunk = due.slice(i, i + BATCH);
+    const manifest = archives.writeArchive('notifications', chunk);
+    store.remove('notifications', { id: { $in: chunk.map((n) => n.id) } });
+    out.archived.notifications += chunk.length;
+    out.archives.push(manifest.id);
+  }
+}
+
+function archiveSecurityEvents(db, { cutoff, latest }, held, out) {
+  const before = latest('securityEvents');
+  if (!before) return;
+  const { time, tenant } = archives.COLLECTIONS.securityEvents;
+
+  const due = securityEvents.findEvents((e) => {
+    const at = time(e);
+    if (!at || at >= before) return false;
+    const t = tenant(e);
+    if (t && held.has(String(t))) {
+      out.heldBack.securityEvents++;
+      return false;
+    }
+    const until = cutoff('securityEvents', t);
+    return !!until && at < until;
+  });
+  if (!due.length) return;
+
+  const manifest = archives.writeArchive('securityEvents', due);
+  const ids = new Set(due.map((e) => e.id));
+  securityEvents.removeEvents((e) => ids.has(e.id));
+  out.archived.securityEvents += due.length;
+  out.archives.push(manifest.id);
+}
+
+/**
+ * runRetention({ now, trigger, actorId }) -> { trigger, startedAt, finishedAt, archived, heldBack, archives }
+ * Archives are written before anything is removed, so a crash can duplicate records in
+ * archives but never lose them.
+ */
+function runRetention({ now = Date.now(), trigger = 'schedule', actorId = null } = {}) {
+  const db = readDb();
+  const held = new Set((db.companies || []).filter((c) => c.legalHold).map((c) => String(c.id)));
+  const policy = cutoffs(db, now);
+  const out = {
+    trigger,
+    startedAt: nowISO(),
+    finishedAt: null,
+    archived: { audit: 0, notifications: 0, securityEvents: 0 },
+    heldBack: { audit: 0, notifications: 0, securityEvents: 0 },
+    archives: [],
+  };
+
+  archiveAudit(db, policy, held, out);
+  archiveNotifications(db, policy, held, out);
+  archiveSecurityEvents(db, policy, held, out);
+  out.finishedAt = nowISO();
+  lastRun = out;
+
+  const total = Object.values(out.archived).reduce((a, b) => a + b, 0);
+  if (total || trigger !== 'schedule') {
+    audit({
+      actorId: actorId ? String(actorId) : null,
+      action: 'RETENTION_RUN',
+      targetType: 'Retention',
+      targetId: null,
+      metadata: { trigger, archived: out.archived, heldBack: out.heldBack, archives: out.archives },
+    });
+  }
+  return out;
+}
+
+/* ================= ARCHIVE SEARCH ================= */
+
+function timeOf(v, name) {
+  const s = cleanStr(v, 40);
+  if (!s) return null;
+  const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  if (!Number.isFinite(ms)) throw httpError(400, `${name} must be an ISO time or epoch milliseconds`);
+  return new Date(ms).toISOString();
+}
+
+function decodeCursor(cursor) {
+  const s = cleanStr(cursor, 200);
+  if (!s) return null;
+  const m = Buffer.from(s, 'base64url').toString('utf-8').match(/^([\w-]+):(\d+)$/);
+  if (!m) throw httpError(400, 'Invalid cursor');
+  return { archiveId: m[1], index: Number(m[2]) };
+}
+
+/**
+ * searchArchives(query) -> { items: [{ archiveId, collection, record }], nextCursor, archivesScanned }
+ * query: collection, from, to (ISO / epoch ms; to exclusive), companyId, q (free text),
+ *        limit (1..1000, default 100), cursor. Newest archive first.
+ */
+function searchArchives(query = {}) {
+  const collection = cleanStr(query.collection, 40) || null;
+  if (collection && !archives.COLLECTIONS[collection]) {
+    throw httpError(400, `collection must be one of: ${Object.keys(archives.COLLECTIONS).join(', ')}`);
+  }
+  const from = timeOf(query.from, 'from');
+  const to = timeOf(query.to, 'to');
+  const companyId = cleanStr(query.companyId, 120) || null;
+  const q = cleanStr(query.q, 200).toLowerCase() || null;
+  const limit = Math.max(1, Math.min(SEARCH_MAX_LIMIT, Math.floor(Number(query.limit) || 100)));
+  const cursor = decodeCursor(query.cursor);
+
+  let list = archives.listArchives({ collection, from, to, companyId });
+  if (cursor) {
+    const at = list.findIndex((m) => m.id === cursor.archiveId);
+    if (at < 0) throw httpError(400, 'cursor refers to an archive that no longer matches');
+    list = list.slice(at);
+  }
+
+  const items = [];
+  let scanned = 0;
+  for (const m of list) {
+    scanned++;
+    const { time, tenant } = archives.COLLECTIONS[m.collection];
+    const records = archives.readArchive(m.id);
+    const start = cursor && m.id === cursor.archiveId ? cursor.index + 1 : 0;
+
+    for (let i = start; i < records.length; i++) {
+      const rec = records[i];
+      const at = time(rec);
+      if (from && (!at || at < from)) continue;
+      if (to && (!at || at >= to)) continue;
+      if (companyId && String(tenant(rec) || '') !== companyId) continue;
+      if (q && !JSON.stringify(rec).toLowerCase().includes(q)) continue;
+
+      if (items.length === limit) {
+        const last = items[items.length - 1];
+        return {
+          items,
+          nextCursor: Buffer.from(`${last.archiveId}:${last.index}`).toString('base64url'),
+          archivesScanned: scanned,
+        };
+      }
+      items.push({ archiveId: m.id, index: i, collection: m.collection, record: rec });
+    }
+  }
+  return { items, nextCursor: null, archivesScanned: scanned };
+}
+
+/**
+ * verifyArchive(id) -> { ok, id, count, error }
+ * Checksum, and for audit archives every record against its stub in the live chain.
+ */
+function verifyArchive(id) {
+  const out = archives.verifyArchive(id);
+  if (!out.ok || archives.getArchive(id).collection !== 'audit') return out;
+
+  for (const rec of archives.readArchive(id)) {
+    const stub = store.findOne('audit', { id: rec.id });
+    if (!stub?.archived || stub.archived.archiveId !== out.id) {
+      return { ...out, ok: false, error: `audit record ${rec.seq} has no stub pointing to this archive` };
+    }
+    if (stub.seq !== rec.seq || stub.hash !== rec.hash || stub.archived.contentHash !== chain.sealedHash(rec)) {
+      return { ...out, ok: false, error: `audit record ${rec.seq} does not match its stub in the chain` };
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  policyFor,
+  getPolicies,
+  setGlobalOverrides,
+  setCompanyOverrides,
+  assertNoLegalHold,
+  placeLegalHold,
+  releaseLegalHold,
+  runRetention,
+  searchArchives,
+  verifyArchive,
+};
@@ -5,19 +5,33 @@
 const express = require('express');
 const router = express.Router();
 
-const { authRequired, requireRole } = require('../middleware/auth');
+const { authRequired, requirePermission, humanOnly } = require('../middleware/auth');
 const { readDb } = require('../lib/db');
 
 const users = require('../users/user.service');
 const companies = require('../companies/company.service');
+const mfa = require('../users/mfa.service');
+const sessions = require('../auth/session.service');
+const loginGuard = require('../auth/loginGuard.service');
+const passwordPolicy = require('../users/passwordPolicy');
+const apiKeys = require('../auth/apiKey.service');
+const impersonation = require('../auth/impersonation.service');
+const assignments = require('../companies/assignment.service');
+const lifecycle = require('../companies/lifecycle.service');
+const dataJobs = require('../privacy/jobs.service');
+const backups = require('../backup/backup.service');
+const restore = require('../backup/restore.service');
+const auditLog = require('../audit/audit.service');
+const siem = require('../siem/forwarder.service');
+const retention = require('../retention/retention.service');
+const archives = require('../retention/archive.service');
+const notifyDelivery = require('../notifications/delivery.service');
+const { audit } = require('../lib/audit');
 const { listNotifications } = require('../lib/notify');
 
-// ---------------- Role safety ----------------
-const ADMIN_ROLE = users?.ROLES?.ADMIN || 'Admin';
-
 // ---------------- Middleware ----------------
+// Every route declares its permission (auth/permissions.js)
 router.use(authRequired);
-router.use(requireRole(ADMIN_ROLE));
 
 // ---------------- Helpers ----------------
 function cleanStr(v, max = 200) {
@@ -27,7 +41,7 @@ function cleanStr(v, max = 200) {
 // ---------------- Users ----------------
 
 // GET /api/admin/users
-router.get('/users', (req, res) => {
+router.get('/users', requirePermission('admin.users.read'), (req, res) => {
   try {
     return res.json(users.listUsers());
   } catch (e) {
@@ -36,24 +50,34 @@ router.get('/users', (req, res) => {
 });
 
 // POST /api/admin/users
-router.post('/users', (req, res) => {
+router.post('/users', requirePermission('admin.users.write'), (req, res) => {
   try {
     const body = req.body || {};
+    const companyId = cleanStr(body.companyId, 100) || null;
 
-    if (typeof body.email === 'string') body.email = cleanStr(body.email, 200);
-    if (typeof body.role === 'string') body.role = cleanStr(body.role, 50);
-    if (typeof body.companyId === 'string') {
-      body.companyId = cleanStr(body.companyId, 100) || null;
+    if (companyId && !companies.getCompany(companyId)) {
+      return res.status(400).json({ error: 'Company not found' });
     }
 
-    return res.status(201).json(users.createUser(body));
+    const u = users.createUser({
+      email: cleanStr(body.email, 200),
+      password: body.password,
+      role: cleanStr(body.role, 50),
+      profile: body.profile,
+      companyId,
+    });
+
+    // tenant access requires membership (middleware/tenant.js)
+    if (companyId) companies.addMember(companyId, u.id, req.user.id);
+
+    return res.status(201).json(u);
   } catch (e) {
-    return res.status(400).json({ error: e?.message || String(e) });
+    return res.status(400).json({ error: e?.message || String(e), details: e?.details });
   }
 });
 
 // POST /api/admin/users/:id/rotate-id
-router.post('/users/:id/rotate-id', (req, res) => {
+router.post('/users/:id/rotate-id', requirePermission('admin.users.write'), (req, res) => {
   try {
     return res.json(
       users.rotatePlatformIdAndForceReset(req.params.id, req.user.id)
@@ -64,7 +88,7 @@ router.post('/users/:id/rotate-id', (req, res) => {
 });
 
 // POST /api/admin/users/:id/subscription
-router.post('/users/:id/subscription', (req, res) => {
+router.post('/users/:id/subscription', requirePermission('admin.users.write'), (req, res) => {
   try {
     const patch = {};
     const body = req.body || {};
@@ -73,9 +97,8 @@ router.post('/users/:id/subscription', (req, res) => {
       patch.subscriptionStatus = cleanStr(body.subscriptionStatus, 50);
     }
 
-    // ✅ support DB typo + frontend-friendly name
     if (typeof body.autoprotectEnabled !== 'undefined') {
-      patch.autoprotechEnabled = !!body.autoprotectEnabled;
+      patch.autoprotectEnabled = !!body.autoprotectEnabled;
     }
 
     return res.json(
@@ -86,10 +109,226 @@ router.post('/users/:id/subscription', (req, res) => {
   }
 });
 
+// POST /api/admin/users/:id/mfa/reset
+// Clears the user's MFA enrollment (lost device). They must enroll again.
+router.post('/users/:id/mfa/reset', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    return res.json(mfa.disable(req.params.id, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/users/:id/sessions
+router.get('/users/:id/sessions', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    return res.json(sessions.listForUser(req.params.id));
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/users/:id/sessions/revoke
+// Signs the user out of every device.
+router.post('/users/:id/sessions/revoke', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    if (!users.findById(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const out = sessions.revokeAllForUser(req.params.id, 'admin_revoked');
+
+    audit({
+      actorId: req.user.id,
+      action: 'SESSION_REVOKE_ALL',
+      targetType: 'User',
+      targetId: req.params.id,
+      metadata: { revoked: out.revoked },
+    });
+
+    return res.json(out);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Impersonation ("view as user") ----------------
+
+// POST /api/admin/users/:id/impersonate
+// Body: { reason, ttlMinutes? } -> { token, expiresAt, sessionId, user }
+// The token acts as the user in /api/me, /api/posture, /api/company, read-only:
+// every write except POST /api/auth/logout is refused (middleware/auth.js).
+router.post('/users/:id/impersonate', requirePermission('admin.users.impersonate'), humanOnly, (req, res) => {
+  try {
+    const out = impersonation.start({
+      actorId: req.user.id,
+      userId: req.params.id,
+      reason: req.body?.reason,
+      ttlMinutes: req.body?.ttlMinutes,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+    return res.status(201).json(out);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/impersonations[?active=1]
+router.get('/impersonations', requirePermission('admin.users.impersonate'), (req, res) => {
+  try {
+    const activeOnly = ['1', 'true'].includes(String(req.query.active || '').toLowerCase());
+    return res.json(impersonation.list({ activeOnly }));
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/impersonations/:sessionId/end
+router.post('/impersonations/:sessionId/end', requirePermission('admin.users.impersonate'), (req, res) => {
+  try {
+    const out = impersonation.end(req.params.sessionId, { actorId: req.user.id });
+    if (!out) return res.status(404).json({ error: 'Not found' });
+    return res.json(out);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- API keys ----------------
+
+// GET /api/admin/api-keys[?userId=...&companyId=...]
+router.get('/api-keys', requirePermission('admin.apikeys.manage'), (req, res) => {
+  try {
+    return res.json(
+      apiKeys.listKeys({
+        userId: cleanStr(req.query.userId, 100) || null,
+        companyId: cleanStr(req.query.companyId, 100) || null,
+      })
+    );
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/api-keys/:id/revoke
+router.post('/api-keys/:id/revoke', requirePermission('admin.apikeys.manage'), (req, res) => {
+  try {
+    const k = apiKeys.revokeKey(req.params.id, { actorId: req.user.id });
+    if (!k) return res.status(404).json({ error: 'Not found' });
+    return res.json(k);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Login lockouts ----------------
+
+// GET /api/admin/lockouts
+router.get('/lockouts', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    return res.json(loginGuard.listLocks());
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/users/:id/unlock
+router.post('/users/:id/unlock', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    const u = users.findById(req.params.id);
+    if (!u) return res.status(404).json({ error: 'User not found' });
+
+    return res.json(loginGuard.unlockAccount(u.email, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/lockouts/ips/unblock
+// Body: { ip }
+router.post('/lockouts/ips/unblock', requirePermission('admin.users.security'), (req, res) => {
+  try {
+    const ip = cleanStr(req.body?.ip, 80);
+    if (!ip) return res.status(400).json({ error: 'Missing ip' });
+
+    return res.json(loginGuard.unblockIp(ip, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Password policy ----------------
+
+// GET /api/admin/password-policy[?companyId=...]
+router.get('/password-policy', requirePermission('admin.policy.read'), (req, res) => {
+  try {
+    const companyId = cleanStr(req.query.companyId, 100) || null;
+    const policy = passwordPolicy.getEffective(companyId);
+    return res.json({ policy, rules: passwordPolicy.describe(policy) });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/password-policy
+// Body: { minLength, requireSymbol, historyCount, maxAgeDays, ... }
+router.post('/password-policy', requirePermission('admin.policy.write'), (req, res) => {
+  try {
+    return res.json(passwordPolicy.setGlobalOverrides(req.body || {}, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/password-policy
+// Body: overrides for this company only ({} clears them)
+router.post('/companies/:id/password-policy', requirePermission('admin.companies.write'), (req, res) => {
+  try {
+    return res.json(
+      passwordPolicy.setCompanyOverrides(req.params.id, req.body || {}, req.user.id)
+    );
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- MFA policy ----------------
+
+// GET /api/admin/mfa/policy
+router.get('/mfa/policy', requirePermission('admin.policy.read'), (req, res) => {
+  try {
+    return res.json(mfa.getPolicy());
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/mfa/policy
+// Body: { requiredRoles: ['Admin','Manager'] }
+router.post('/mfa/policy', requirePermission('admin.policy.write'), (req, res) => {
+  try {
+    const roles = req.body?.requiredRoles;
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({ error: 'requiredRoles must be an array' });
+    }
+
+    const valid = Object.values(users.ROLES);
+    const bad = roles.filter((r) => !valid.includes(cleanStr(r, 50)));
+    if (bad.length) {
+      return res.status(400).json({ error: `Invalid role: ${bad.join(', ')}` });
+    }
+
+    return res.json(mfa.setRequiredRoles(roles.map((r) => cleanStr(r, 50)), req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
 // ---------------- Companies ----------------
 
 // GET /api/admin/companies
-router.get('/companies', (req, res) => {
+router.get('/companies', requirePermission('admin.platform.read'), (req, res) => {
   try {
     return res.json(companies.listCompanies());
   } catch (e) {
@@ -98,7 +337,7 @@ router.get('/companies', (req, res) => {
 });
 
 // POST /api/admin/companies
-router.post('/companies', (req, res) => {
+router.post('/companies', requirePermission('admin.companies.write'), (req, res) => {
   try {
     const body = req.body || {};
     if (typeof body.name === 'string') body.name = cleanStr(body.name, 200);
@@ -114,10 +353,476 @@ router.post('/companies', (req, res) => {
   }
 });
 
+// POST /api/admin/companies/:id/slug
+// Body: { slug } — subdomain used for tenant resolution (<slug>.TENANT_BASE_DOMAIN)
+router.post('/companies/:id/slug', requirePermission('admin.companies.write'), (req, res) => {
+  try {
+    return res.json(companies.setSlug(req.params.id, req.body?.slug, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// PATCH /api/admin/companies/:id
+// Body: any of { name, country, website, industry, contactEmail, contactPhone, sizeTier }
+router.patch('/companies/:id', requirePermission('admin.companies.write'), (req, res) => {
+  try {
+    return res.json(companies.updateCompany(req.params.id, req.body || {}, req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Company lifecycle ----------------
+// suspend/reactivate, soft delete/restore (COMPANY_RESTORE_DAYS), purge (companies/lifecycle.service.js)
+
+// POST /api/admin/companies/:id/suspend  Body: { reason? }
+router.post('/companies/:id/suspend', requirePermission('admin.companies.lifecycle'), (req, res) => {
+  try {
+    return res.json(
+      lifecycle.suspend(req.params.id, { reason: req.body?.reason, actorId: req.user.id })
+    );
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/reactivate
+router.post('/companies/:id/reactivate', requirePermission('admin.companies.lifecycle'), (req, res) => {
+  try {
+    return res.json(lifecycle.reactivate(req.params.id, { actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// DELETE /api/admin/companies/:id  Body: { reason? }  (soft delete, restorable)
+router.delete('/companies/:id', requirePermission('admin.companies.lifecycle'), (req, res) => {
+  try {
+    return res.json(
+      lifecycle.softDelete(req.params.id, { reason: req.body?.reason, actorId: req.user.id })
+    );
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/restore
+router.post('/companies/:id/restore', requirePermission('admin.companies.lifecycle'), (req, res) => {
+  try {
+    return res.json(lifecycle.restore(req.params.id, { actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/purge  Body: { confirm: '<company slug>' }
+// Permanent: only for soft-deleted companies, cannot be undone
+router.post('/companies/:id/purge', requirePermission('admin.companies.lifecycle'), humanOnly, (req, res) => {
+  try {
+    const c = companies.getCompany(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Company not found' });
+    if (cleanStr(req.body?.confirm, 80) !== c.slug) {
+      return res.status(400).json({ error: 'Confirm with the company slug' });
+    }
+
+    return res.json(lifecycle.purge(c.id, { actorId: req.user.id, reason: 'manual' }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/mfa
+// Body: { required: true|false }
+router.post('/companies/:id/mfa', requirePermission('admin.companies.write'), (req, res) => {
+  try {
+    return res.json(
+      mfa.setCompanyRequired(req.params.id, !!req.body?.required, req.user.id)
+    );
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Manager assignments (MSP book) ----------------
+
+// GET /api/admin/manager-assignments[?managerId=&companyId=]
+router.get('/manager-assignments', requirePermission('admin.managers.assign'), (req, res) => {
+  try {
+    return res.json(
+      assignments.listAssignments({
+        managerId: cleanStr(req.query.managerId, 80) || null,
+        companyId: cleanStr(req.query.companyId, 80) || null,
+      })
+    );
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/managers/:id/companies
+// Body: { companyId }
+router.post('/managers/:id/companies', requirePermission('admin.managers.assign'), (req, res) => {
+  try {
+    const companyId = cleanStr(req.body?.companyId, 80);
+    if (!companyId) return res.status(400).json({ error: 'companyId required' });
+
+    const out = assignments.assign({ managerId: req.params.id, companyId, actorId: req.user.id });
+    return res.status(out.created ? 201 : 200).json(out.assignment);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// DELETE /api/admin/managers/:id/companies/:companyId
+router.delete('/managers/:id/companies/:companyId', requirePermission('admin.managers.assign'), (req, res) => {
+  try {
+    const out = assignments.unassign({
+      managerId: req.params.id,
+      companyId: req.params.companyId,
+      actorId: req.user.id,
+    });
+    if (!out) return res.status(404).json({ error: 'Not found' });
+    return res.json(out);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Data export / erasure (privacy/jobs.service.js) ----------------
+
+// GET /api/admin/data-jobs[?kind=&subjectType=&subjectId=]
+router.get('/data-jobs', requirePermission('admin.privacy.manage'), (req, res) => {
+  try {
+    return res.json(
+      dataJobs.listJobs({
+        kind: cleanStr(req.query.kind, 20) || null,
+        subjectType: cleanStr(req.query.subjectType, 20) || null,
+        subjectId: cleanStr(req.query.subjectId, 80) || null,
+      })
+    );
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/data-jobs/export
+// Body: { subjectType: 'company'|'user', subjectId } -> 202 job (poll GET /data-jobs/:id)
+router.post('/data-jobs/export', requirePermission('admin.privacy.manage'), humanOnly, (req, res) => {
+  try {
+    const out = dataJobs.requestExport({
+      subjectType: req.body?.subjectType,
+      subjectId: req.body?.subjectId,
+      requestedBy: req.user.id,
+    });
+    return res.status(out.created ? 202 : 200).json(out.job);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/data-jobs/erasure
+// Body: { subjectType: 'company'|'user', subjectId, confirm: '<company slug | user email>' }
+// Permanent. Companies must be soft-deleted first (DELETE /companies/:id).
+router.post('/data-jobs/erasure', requirePermission('admin.privacy.manage'), humanOnly, (req, res) => {
+  try {
+    const subjectType = cleanStr(req.body?.subjectType, 20).toLowerCase();
+    const subjectId = cleanStr(req.body?.subjectId, 80);
+
+    const expected =
+      subjectType === 'company'
+        ? companies.getCompany(subjectId)?.slug
+        : subjectType === 'user'
+          ? users.findById(subjectId)?.email
+          : null;
+    if (expected && cleanStr(req.body?.confirm, 200).toLowerCase() !== String(expected).toLowerCase()) {
+      return res.status(400).json({
+        error: `Confirm with the ${subjectType === 'company' ? 'company slug' : 'user email'}`,
+      });
+    }
+
+    return res.status(202).json(dataJobs.requestErasure({ subjectType, subjectId, requestedBy: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/data-jobs/:id
+router.get('/data-jobs/:id', requirePermission('admin.privacy.manage'), (req, res) => {
+  try {
+    const job = dataJobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json(job);
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/data-jobs/:id/download -> application/gzip
+router.get('/data-jobs/:id/download', requirePermission('admin.privacy.manage'), humanOnly, (req, res) => {
+  try {
+    const out = dataJobs.archiveFor(req.params.id, { actorId: req.user.id });
+    return res.download(out.file, out.filename);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/data-jobs/verify
+// Body: the downloaded archive (Content-Type: application/gzip) -> signature + manifest check
+router.post(
+  '/data-jobs/verify',
+  requirePermission('admin.privacy.manage'),
+  express.raw({ type: ['application/gzip', 'application/octet-stream'], limit: '50mb' }),
+  (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: 'Send the archive as application/gzip' });
+    }
+    const out = dataJobs.verifyArchive(req.body);
+    return res.status(out.ok ? 200 : 422).json(out);
+  }
+);
+
+// ---------------- Audit integrity ----------------
+// hash chain + signed checkpoints (audit/audit.service.js)
+
+// GET /api/admin/audit/verify -> 200 intact, 409 broken (report names the first broken link)
+router.get('/audit/verify', requirePermission('admin.audit.verify'), (req, res) => {
+  try {
+    const out = auditLog.verifyLog();
+    return res.status(out.ok ? 200 : 409).json(out);
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/audit/checkpoints?limit= -> newest first
+router.get('/audit/checkpoints', requirePermission('admin.audit.verify'), (req, res) => {
+  try {
+    return res.json({ keyId: auditLog.signingKey().keyId, checkpoints: auditLog.listCheckpoints({ limit: req.query.limit }) });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/audit/checkpoints -> sign the current tail now (200 with null: already signed)
+router.post('/audit/checkpoints', requirePermission('admin.audit.verify'), (req, res) => {
+  try {
+    const cp = auditLog.createCheckpoint({ trigger: 'manual' });
+    return res.status(cp ? 201 : 200).json(cp);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/audit/public-key -> PEM for audit/verify.js --key
+router.get('/audit/public-key', requirePermission('admin.audit.verify'), (req, res) => {
+  try {
+    const { keyId, publicKey } = auditLog.signingKey();
+    return res.json({ keyId, alg: 'Ed25519', publicKey });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/audit/export -> bundle for offline verification (npm run audit:verify)
+router.get('/audit/export', requirePermission('admin.audit.verify'), humanOnly, (req, res) => {
+  try {
+    const bundle = auditLog.exportBundle({ actorId: req.user.id });
+    const stamp = bundle.exportedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    res.attachment(`audit-${stamp}.json`);
+    return res.json(bundle);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- SIEM forwarding ----------------
+// sinks come from SIEM_SINKS / SIEM_CONFIG_PATH (siem/forwarder.service.js)
+
+// GET /api/admin/siem -> per-sink state, queue / buffer sizes and delivery counters
+router.get('/siem', requirePermission('admin.siem.manage'), (req, res) => {
+  try {
+    return res.json(siem.status());
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/siem/sinks/:id/test -> one synthetic event, sent now (ok:false carries the error)
+router.post('/siem/sinks/:id/test', requirePermission('admin.siem.manage'), async (req, res) => {
+  try {
+    const out = await siem.sendTest(req.params.id, { actorId: req.user.id });
+    return res.status(out.ok ? 200 : 502).json(out);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/siem/sinks/:id/retry -> skip the backoff and send the buffer now
+router.post('/siem/sinks/:id/retry', requirePermission('admin.siem.manage'), (req, res) => {
+  try {
+    return res.json(siem.retryNow(req.params.id));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Retention & legal hold ----------------
+// policies, archival of expired records, archive search (retention/*.service.js)
+
+// GET /api/admin/retention -> defaults, global + per-company policies, legal holds, last run
+router.get('/retention', requirePermission('admin.retention.manage'), (req, res) => {
+  try {
+    return res.json(retention.getPolicies());
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/retention
+// Body: { audit, notifications, securityEvents } days (0 = keep forever, missing = default)
+router.post('/retention', requirePermission('admin.retention.manage'), (req, res) => {
+  try {
+    return res.json(retention.setGlobalOverrides(req.body || {}, req.user.id));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/retention
+// Body: overrides for this company only ({} clears them)
+router.post('/companies/:id/retention', requirePermission('admin.retention.manage'), (req, res) => {
+  try {
+    return res.json(retention.setCompanyOverrides(req.params.id, req.body || {}, req.user.id));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/retention/run -> archive everything that is due now
+router.post('/retention/run', requirePermission('admin.retention.manage'), (req, res) => {
+  try {
+    return res.json(retention.runRetention({ trigger: 'manual', actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/companies/:id/legal-hold
+// Body: { reason }
+router.post('/companies/:id/legal-hold', requirePermission('admin.legalhold.manage'), (req, res) => {
+  try {
+    const hold = retention.placeLegalHold(req.params.id, { reason: req.body?.reason, actorId: req.user.id });
+    return res.status(201).json(hold);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// DELETE /api/admin/companies/:id/legal-hold
+router.delete('/companies/:id/legal-hold', requirePermission('admin.legalhold.manage'), (req, res) => {
+  try {
+    return res.json(retention.releaseLegalHold(req.params.id, { actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/archives?collection=&companyId=&from=&to= -> manifests, newest first
+router.get('/archives', requirePermission('admin.archives.read'), (req, res) => {
+  try {
+    return res.json(
+      archives.listArchives({
+        collection: cleanStr(req.query.collection, 40) || null,
+        companyId: cleanStr(req.query.companyId, 120) || null,
+        from: cleanStr(req.query.from, 40) || null,
+        to: cleanStr(req.query.to, 40) || null,
+      })
+    );
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/archives/search?collection=&companyId=&from=&to=&q=&limit=&cursor=
+router.get('/archives/search', requirePermission('admin.archives.read'), (req, res) => {
+  try {
+    return res.json(retention.searchArchives(req.query));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/archives/:id/verify -> 200 intact, 422 damaged
+router.get('/archives/:id/verify', requirePermission('admin.archives.read'), (req, res) => {
+  try {
+    const out = retention.verifyArchive(req.params.id);
+    return res.status(out.ok ? 200 : 422).json(out);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------- Backups ----------------
+// snapshots of every state file + restore of everything or one tenant (backup/*.service.js)
+
+// GET /api/admin/backups -> newest first
+router.get('/backups', requirePermission('admin.backups.manage'), (req, res) => {
+  try {
+    return res.json(backups.listSnapshots());
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/backups -> take a snapshot now
+router.post('/backups', requirePermission('admin.backups.manage'), (req, res) => {
+  try {
+    return res.status(201).json(backups.createSnapshot({ trigger: 'manual', actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/admin/backups/:id -> summary + entries
+router.get('/backups/:id', requirePermission('admin.backups.manage'), (req, res) => {
+  try {
+    return res.json(backups.getSnapshot(req.params.id));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/backups/:id/verify -> 200 intact, 422 damaged or altered
+router.post('/backups/:id/verify', requirePermission('admin.backups.manage'), (req, res) => {
+  try {
+    const out = backups.verifySnapshot(req.params.id);
+    return res.status(out.ok ? 200 : 422).json(out);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/backups/:id/restore
+// Body: { tenant?: '<companyId>' | 'user:<userId>', confirm: '<backup id>' }
+// Without tenant everything is restored (after a 'pre-restore' snapshot of the current state).
+router.post('/backups/:id/restore', requirePermission('admin.backups.manage'), humanOnly, (req, res) => {
+  try {
+    if (cleanStr(req.body?.confirm, 100) !== String(req.params.id)) {
+      return res.status(400).json({ error: 'Confirm with the backup id' });
+    }
+    const tenant = cleanStr(req.body?.tenant, 90) || null;
+    return res.json(restore.restoreSnapshot(req.params.id, { tenant, actorId: req.user.id }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
 // ---------------- Notifications ----------------
 
 // GET /api/admin/notifications
-router.get('/notifications', (req, res) => {
+router.get('/notifications', requirePermission('admin.platform.read'), (req, res) => {
   try {
     return res.json(listNotifications({}));
   } catch (e) {
@@ -125,6 +830,32 @@ router.get('/notifications', (req, res) => {
   }
 });
 
+// GET /api/admin/notification-deliveries?status=&channel=&userId=&limit=
+// -> { items, stats } (email / webhook / chat sends, notifications/delivery.service.js)
+router.get('/notification-deliveries', requirePermission('admin.notifications.manage'), (req, res) => {
+  try {
+    return res.json(
+      notifyDelivery.listDeliveries({
+        status: req.query.status ? cleanStr(req.query.status, 20) : null,
+        channel: req.query.channel ? cleanStr(req.query.channel, 40) : null,
+        userId: req.query.userId ? cleanStr(req.query.userId, 80) : null,
+        limit: req.query.limit,
+      })
+    );
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/admin/notification-deliveries/:id/retry -> queued again, attempts reset
+router.post('/notification-deliveries/:id/retry', requirePermission('admin.notifications.manage'), (req, res) => {
+  try {
+    return res.json(notifyDelivery.retry(req.params.id, req.user.id));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
 // ======================================================
 // ✅ Admin “Manager View” (read-only mirror)
 // (Admin can already access /api/manager/* — this is optional
@@ -132,7 +863,7 @@ router.get('/notifications', (req, res) => {
 // ======================================================
 
 // GET /api/admin/manager/overview
-router.get('/manager/overview', (req, res) => {
+router.get('/manager/overview', requirePermission('admin.platform.read'), (req, res) => {
   try {
     const db = readDb();
     return res.json({
@@ -148,7 +879,7 @@ router.get('/manager/overview', (req, res) => {
 });
 
 // GET /api/admin/manager/audit
-router.get('/manager/audit', (req, res) => {
+router.get('/manager/audit', requirePermission('admin.platform.read', 'audit.read'), (req, res) => {
   try {
     const db = readDb();
     const limit = Math.min(Number(req.query.limit || 200), 1000);
@@ -159,7 +890,7 @@ router.get('/manager/audit', (req, res) => {
 });
 
 // GET /api/admin/manager/notifications
-router.get('/manager/notifications', (req, res) => {
+router.get('/manager/notifications', requirePermission('admin.platform.read'), (req, res) => {
   try {
     return res.json(listNotifications({}));
   } catch (e) {
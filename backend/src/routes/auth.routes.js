@@ -3,10 +3,26 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 
-const { sign } = require('../auth/jwt');
-const { authRequired } = require('../middleware/auth');
+const { sign, verify } = require('../auth/jwt');
+const { authRequired, humanOnly, noImpersonation, resolveCredentials } = require('../middleware/auth');
+const { readDb } = require('../lib/db');
 const users = require('../users/user.service');
+const mfa = require('../users/mfa.service');
+const sessions = require('../auth/session.service');
+const passwordReset = require('../auth/passwordReset.service');
+const loginGuard = require('../auth/loginGuard.service');
+const passwordPolicy = require('../users/passwordPolicy');
+const permissions = require('../auth/permissions');
+const oidc = require('../auth/oidc.service');
+const invites = require('../companies/invite.service');
+const companies = require('../companies/company.service');
+const roles = require('../companies/role.service');
 const { audit } = require('../lib/audit');
+const { recordEvent } = require('../services/securityEvents');
+const { createNotification } = require('../lib/notify');
+
+const MFA_CHALLENGE_TTL = '5m';
+const MFA_SETUP_TTL = '15m';
 
 function cleanEmail(v) {
   return String(v || '').trim().toLowerCase();
@@ -16,12 +32,140 @@ function cleanStr(v, max = 200) {
   return String(v || '').trim().slice(0, max);
 }
 
+function publicUser(u) {
+  return {
+    id: u.id,
+    role: u.role,
+    email: u.email,
+    companyId: u.companyId || null,
+    mustResetPassword: !!u.mustResetPassword,
+    subscriptionStatus: u.subscriptionStatus,
+    autoprotectEnabled: !!u.autoprotectEnabled,
+    mfaEnabled: mfa.isEnabled(u),
+    // forced by admin policy but not enrolled yet -> UI must send user to setup
+    mfaSetupRequired: !mfa.isEnabled(u) && mfa.isMfaRequired(u),
+    passwordExpired: users.passwordStatus(u).expired,
+  };
+}
+
+// forced by admin policy but not enrolled yet: no session until enrollment is done
+function mfaSetupRequired(u) {
+  return !mfa.isEnabled(u) && mfa.isMfaRequired(u);
+}
+
+// Restricted token that only works on /mfa/enroll, /mfa/confirm and /mfa/status
+// (middleware/auth.js refuses purpose-bound tokens everywhere else)
+function setupResponse(res, u, status = 200) {
+  const setupToken = sign(
+    { id: u.id, purpose: 'mfa_setup', tv: Number(u.tokenVersion || 0) },
+    process.env.JWT_SECRET,
+    MFA_SETUP_TTL
+  );
+  const body = { mfaSetupRequired: true, setupToken, user: publicUser(u) };
+  if (status !== 200) body.error = 'MFA setup required';
+  return res.status(status).json(body);
+}
+
+// Enrollment routes take a normal session or the setup token from /login
+function enrollmentAuth(req, res, next) {
+  const h = String(req.headers.authorization || '');
+  const token = h.startsWith('Bearer ') ? h.slice(7).trim() : '';
+
+  let claims = null;
+  try {
+    claims = token ? verify(token, process.env.JWT_SECRET) : null;
+  } catch {
+    claims = null;
+  }
+  if (claims?.purpose !== 'mfa_setup') return authRequired(req, res, next);
+
+  const u = users.findById(claims.id);
+  if (!u || Number(claims.tv || 0) !== Number(u.tokenVersion || 0)) {
+    return res.status(401).json({ error: 'MFA setup token expired or invalid' });
+  }
+
+  req.user = { id: u.id, role: u.role, companyId: u.companyId || null, mfaSetup: true };
+  return next();
+}
+
+function lockedResponse(res, gate) {
+  res.setHeader('Retry-After', String(gate.retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed sign-in attempts. Try again later.',
+    reason: gate.reason,
+    lockedUntil: gate.lockedUntil,
+    retryAfter: gate.retryAfter,
+  });
+}
+
+// Admins/Managers keep password login so a broken IdP can't lock the platform out
+function isPlatformStaff(u) {
+  return permissions.hasRole(u, users.ROLES.ADMIN, users.ROLES.MANAGER);
+}
+
+function ssoRequiredResponse(res, company) {
+  return res.status(403).json({
+    error: 'This organization requires single sign-on',
+    ssoRequired: true,
+    companyId: company.id,
+    ssoStartUrl: `/api/auth/sso/${encodeURIComponent(company.id)}/start`,
+  });
+}
+
+// Members of a suspended / deleted company can't sign in (platform staff always can)
+function companyBlockResponse(res, u) {
+  if (!u.companyId || isPlatformStaff(u)) return null;
+  const block = companies.accessBlock(readDb(), u.companyId);
+  if (!block) return null;
+  return res.status(block.status).json({ error: block.error, reason: block.reason });
+}
+
+function clientInfo(req) {
+  return { ip: req.ip, userAgent: req.headers['user-agent'] };
+}
+
+// Active company + its effective permissions for a new access token.
+// A remembered company only sticks while the user still belongs to it.
+function tokenScope(u, companyId) {
+  const wanted = (companyId === undefined || companyId === null ? u.companyId : companyId) || null;
+  const allowed =
+    !wanted ||
+    wanted === u.companyId ||
+    (permissions.hasRole(u, users.ROLES.ADMIN) && !!companies.getCompany(wanted)) ||
+    roles.membershipsFor(u.id).some((m) => m.companyId === wanted);
+
+  const cid = (allowed ? wanted : u.companyId) || null;
+  return { companyId: cid, permissions: permissions.permissionsFor(u, { companyId: cid }) };
+}
+
+// New server-side session: short-lived access token + rotating refresh token
+// mfa: how the sign-in was verified (auth/session.service.js)
+function issueSession(u, req, { mfa = null } = {}) {
+  const s = sessions.createSession(u, { ...clientInfo(req), ...tokenScope(u), mfa });
+  return {
+    token: s.token,
+    refreshToken: s.refreshToken,
+    expiresIn: s.expiresIn,
+    sessionId: s.sessionId,
+  };
+}
+
 /**
  * --------------------
  * LOGIN
  * --------------------
+ * If the user has MFA enabled, no access token is issued here.
+ * Instead a short-lived challengeToken is returned and the client
+ * must complete POST /api/auth/mfa/verify.
+ *
+ * If admin policy requires MFA and the user hasn't enrolled, the answer is
+ * { mfaSetupRequired, setupToken } instead of a session: the setup token only
+ * works on /mfa/enroll and /mfa/confirm, and confirming returns the session.
+ *
+ * Failed attempts are counted per account + source IP (auth/loginGuard.service.js):
+ * progressive delay first, then a temporary lock (429 + Retry-After).
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   try {
     const email = cleanEmail(req.body?.email);
     const password = cleanStr(req.body?.password, 500);
@@ -30,10 +174,19 @@ router.post('/login', (req, res) => {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
+    const ssoCompany = oidc.ssoEnforcedFor(email);
+    if (ssoCompany && !isPlatformStaff(users.findByEmail(email))) {
+      return ssoRequiredResponse(res, ssoCompany);
+    }
+
+    const gate = await loginGuard.admit(email, req.ip);
+    if (!gate.allowed) return lockedResponse(res, gate);
+
     const u = users.findByEmail(email);
-    if (!u) return res.status(401).json({ error: 'Invalid credentials' });
 
-    if (!u.passwordHash || !bcrypt.compareSync(password, u.passwordHash)) {
+    if (!u || !u.passwordHash || !bcrypt.compareSync(password, u.passwordHash)) {
+      const after = loginGuard.recordFailure(email, req.ip, u ? u.id : null);
+      if (!after.allowed) return lockedResponse(res, after);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -41,29 +194,188 @@ router.post('/login', (req, res) => {
       return res.status(403).json({ error: 'Account locked' });
     }
 
+    const blocked = companyBlockResponse(res, u);
+    if (blocked) return blocked;
+
     if (!process.env.JWT_SECRET) {
       return res.status(500).json({ error: 'Server misconfigured (JWT_SECRET missing)' });
     }
 
-    const token = sign(
-      { id: u.id, role: u.role, companyId: u.companyId || null },
-      process.env.JWT_SECRET,
-      '7d'
-    );
+    if (mfa.isEnabled(u)) {
+      const challengeToken = sign(
+        { id: u.id, purpose: 'mfa' },
+        process.env.JWT_SECRET,
+        MFA_CHALLENGE_TTL
+      );
+
+      audit({ actorId: u.id, action: 'LOGIN_MFA_CHALLENGE', targetType: 'Session', targetId: u.id });
+
+      return res.json({ mfaRequired: true, challengeToken });
+    }
+
+    loginGuard.recordSuccess(email);
+
+    if (mfaSetupRequired(u)) {
+      audit({ actorId: u.id, action: 'LOGIN_MFA_SETUP_REQUIRED', targetType: 'Session', targetId: u.id });
+      return setupResponse(res, u);
+    }
+
+    const session = issueSession(u, req);
+
+    audit({ actorId: u.id, action: 'LOGIN', targetType: 'Session', targetId: session.sessionId });
+
+    return res.json({ ...session, user: publicUser(u) });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * LOGIN STEP 2 — MFA
+ * --------------------
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/mfa/verify', async (req, res) => {
+  try {
+    const challengeToken = cleanStr(req.body?.challengeToken, 2000);
+    const code = cleanStr(req.body?.code, 20);
+    const recoveryCode = cleanStr(req.body?.recoveryCode, 40);
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'challengeToken and code (or recoveryCode) required' });
+    }
+
+    let claims;
+    try {
+      claims = verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: 'MFA challenge expired or invalid' });
+    }
+    if (claims.purpose !== 'mfa') {
+      return res.status(401).json({ error: 'MFA challenge expired or invalid' });
+    }
+
+    const u = users.findById(claims.id);
+    if (!u) return res.status(401).json({ error: 'User not found' });
+
+    if (u.subscriptionStatus === users.SUBSCRIPTION.LOCKED) {
+      return res.status(403).json({ error: 'Account locked' });
+    }
+
+    const blocked = companyBlockResponse(res, u);
+    if (blocked) return blocked;
+
+    // wrong MFA codes count toward the same account lockout as wrong passwords
+    const gate = await loginGuard.admit(u.email, req.ip);
+    if (!gate.allowed) return lockedResponse(res, gate);
+
+    const result = mfa.verifySecondFactor(u.id, { code, recoveryCode });
+    if (!result.ok) {
+      audit({ actorId: u.id, action: 'LOGIN_MFA_FAILED', targetType: 'Session', targetId: u.id });
+      const after = loginGuard.recordFailure(u.email, req.ip, u.id);
+      if (!after.allowed) return lockedResponse(res, after);
+      return res.status(401).json({ error: 'Invalid MFA code' });
+    }
+
+    loginGuard.recordSuccess(u.email);
+    // a recovery code counts as the second factor too
+    const session = issueSession(u, req, { mfa: 'totp' });
+
+    audit({
+      actorId: u.id,
+      action: 'LOGIN',
+      targetType: 'Session',
+      targetId: session.sessionId,
+      metadata: { mfa: result.method },
+    });
+
+    return res.json({
+      ...session,
+      user: publicUser(u),
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * REFRESH SESSION
+ * --------------------
+ * Body: { refreshToken }
+ * Rotates the refresh token and returns a new short-lived access token.
+ * Re-using an already rotated refresh token revokes the whole session.
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    const refreshToken = cleanStr(req.body?.refreshToken, 300);
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+    const r = sessions.rotate(refreshToken, clientInfo(req));
+
+    if (!r.ok) {
+      if (r.reason === 'reused') {
+        const s = r.session;
+
+        audit({
+          actorId: s.userId,
+          action: 'SESSION_REFRESH_REUSE',
+          targetType: 'Session',
+          targetId: s.id,
+          metadata: { ip: req.ip },
+        });
+
+        recordEvent({
+          type: 'refresh_token_reuse',
+          severity: 'high',
+          source: req.ip,
+          target: s.userId,
+          description: 'Rotated refresh token was presented again; session revoked.',
+          meta: { sessionId: s.id, device: s.device },
+        });
+
+        createNotification({
+          userId: s.userId,
+          severity: 'danger',
+          category: 'security',
+          title: 'Session revoked',
+          message: `A sign-in on ${s.device} was revoked because its refresh token was reused. If this wasn't you, change your password.`,
+        });
+      }
+
+      return res.status(401).json({ error: 'Invalid refresh token', reason: r.reason });
+    }
+
+    const u = users.findById(r.session.userId);
+    if (!u) return res.status(401).json({ error: 'User not found' });
+
+    if (u.subscriptionStatus === users.SUBSCRIPTION.LOCKED) {
+      sessions.revokeSession(r.session.id, { reason: 'account_locked' });
+      return res.status(403).json({ error: 'Account locked' });
+    }
+
+    const blocked = companyBlockResponse(res, u);
+    if (blocked) return blocked;
 
-    audit({ actorId: u.id, action: 'LOGIN', targetType: 'Session', targetId: u.id });
+    // MFA became mandatory after this session started
+    if (mfaSetupRequired(u)) {
+      sessions.revokeSession(r.session.id, { reason: 'mfa_setup_required' });
+      return setupResponse(res, u, 403);
+    }
+
+    audit({ actorId: u.id, action: 'TOKEN_REFRESH', targetType: 'Session', targetId: r.session.id });
 
     return res.json({
-      token,
-      user: {
-        id: u.id,
-        role: u.role,
-        email: u.email,
-        companyId: u.companyId || null,
-        mustResetPassword: !!u.mustResetPassword,
-        subscriptionStatus: u.subscriptionStatus,
-        autoprotectEnabled: !!(u.autoprotectEnabled || u.autoprotechEnabled),
-      },
+      token: sessions.accessTokenFor(u, r.session.id, {
+        ...tokenScope(u, r.session.activeCompanyId),
+        mfa: r.session.mfa,
+      }),
+      refreshToken: r.refreshToken,
+      expiresIn: sessions.ACCESS_TTL,
+      sessionId: r.session.id,
+      user: publicUser(u),
     });
   } catch (e) {
     return res.status(500).json({ error: e?.message || String(e) });
@@ -72,35 +384,194 @@ router.post('/login', (req, res) => {
 
 /**
  * --------------------
- * REFRESH SESSION (NEW)
+ * LOGOUT
  * --------------------
- * Re-issues a fresh token if the current one is valid.
- * Used on page refresh / app rehydrate.
+ * Revokes the current session (access token's sid).
  */
-router.post('/refresh', authRequired, (req, res) => {
+router.post('/logout', authRequired, (req, res) => {
   try {
+    if (req.user.sid) {
+      sessions.revokeSession(req.user.sid, { userId: req.user.id, reason: 'logout' });
+    }
+
+    audit({ actorId: req.user.id, action: 'LOGOUT', targetType: 'Session', targetId: req.user.sid || null });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * SWITCH ACTIVE COMPANY
+ * --------------------
+ * Body: { companyId }
+ * For users who belong to several companies. Returns a new access token
+ * scoped to that company (companyId + perms claims); the session remembers
+ * the choice so refreshed tokens keep it. GET /api/me/companies lists options.
+ */
+router.post('/switch-company', authRequired, humanOnly, noImpersonation, (req, res) => {
+  try {
+    const companyId = cleanStr(req.body?.companyId, 80);
+    if (!companyId) return res.status(400).json({ error: 'companyId required' });
+    if (!req.user.sid) return res.status(400).json({ error: 'Not a session token' });
+
     const u = users.findById(req.user.id);
     if (!u) return res.status(401).json({ error: 'User not found' });
 
-    const token = sign(
-      { id: u.id, role: u.role, companyId: u.companyId || null },
-      process.env.JWT_SECRET,
-      '7d'
-    );
+    const scope = tokenScope(u, companyId);
+    if (scope.companyId !== companyId) {
+      return res.status(403).json({ error: 'Not a member of this company' });
+    }
+
+    // same rule as middleware/tenant.js for x-company-id
+    if (companies.getCompany(companyId)?.mfaRequired && !mfa.passedFor(req.user.mfa, companyId)) {
+      return res.status(403).json({
+        error: 'This company requires multi-factor authentication: enable MFA and sign in again',
+        mfaRequired: true,
+      });
+    }
+
+    if (!sessions.setActiveCompany(req.user.sid, companyId)) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    audit({
+      actorId: u.id,
+      action: 'ACTIVE_COMPANY_SWITCHED',
+      targetType: 'Session',
+      targetId: req.user.sid,
+      companyId,
+      metadata: { from: req.user.companyId || null, to: companyId },
+    });
+
+    return res.json({
+      token: sessions.accessTokenFor(u, req.user.sid, { ...scope, mfa: req.user.mfa }),
+      expiresIn: sessions.ACCESS_TTL,
+      companyId,
+      permissions: scope.permissions,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * MFA ENROLLMENT (logged-in user)
+ * --------------------
+ * 1) POST /mfa/enroll   -> { secret, otpauthUrl } (render as QR)
+ * 2) POST /mfa/confirm  { code } -> { recoveryCodes } (shown ONCE)
+ * With the setup token from /login, confirm also returns the new session.
+ */
+router.get('/mfa/status', enrollmentAuth, (req, res) => {
+  try {
+    return res.json(mfa.getStatus(req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+router.post('/mfa/enroll', enrollmentAuth, noImpersonation, (req, res) => {
+  try {
+    return res.json(mfa.beginEnrollment(req.user.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+router.post('/mfa/confirm', enrollmentAuth, noImpersonation, (req, res) => {
+  try {
+    const code = cleanStr(req.body?.code, 20);
+    if (!code) return res.status(400).json({ error: 'Missing code' });
+
+    const out = mfa.confirmEnrollment(req.user.id, code);
+    if (!req.user.mfaSetup) return res.json(out);
+
+    const u = users.findById(req.user.id);
+    const blocked = companyBlockResponse(res, u);
+    if (blocked) return blocked;
+
+    const session = issueSession(u, req, { mfa: 'totp' });
+    audit({
+      actorId: u.id,
+      action: 'LOGIN',
+      targetType: 'Session',
+      targetId: session.sessionId,
+      metadata: { mfa: 'enrolled' },
+    });
+
+    return res.json({ ...out, ...session, user: publicUser(u) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+router.post('/mfa/recovery-codes', authRequired, noImpersonation, (req, res) => {
+  try {
+    const code = cleanStr(req.body?.code, 20);
+    if (!code) return res.status(400).json({ error: 'Missing code' });
+
+    return res.json(mfa.regenerateRecoveryCodes(req.user.id, code));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// Body: { password, code }
+router.post('/mfa/disable', authRequired, noImpersonation, (req, res) => {
+  try {
+    const password = cleanStr(req.body?.password, 500);
+    const code = cleanStr(req.body?.code, 20);
+    if (!password || !code) {
+      return res.status(400).json({ error: 'password and code required' });
+    }
+
+    const u = users.findById(req.user.id);
+    if (!u) return res.status(404).json({ error: 'User not found' });
+
+    if (!users.verifyPassword(u, password)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (mfa.isMfaRequired(u)) {
+      return res.status(403).json({ error: 'MFA is required by your administrator' });
+    }
 
-    audit({ actorId: u.id, action: 'TOKEN_REFRESH', targetType: 'Session', targetId: u.id });
+    if (!mfa.verifySecondFactor(u.id, { code }).ok) {
+      return res.status(401).json({ error: 'Invalid MFA code' });
+    }
+
+    return res.json(mfa.disable(u.id, u.id));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * FORGOT PASSWORD
+ * --------------------
+ * Body: { email }
+ * Always answers 200 so the endpoint can't be used to enumerate accounts.
+ */
+router.post('/forgot-password', (req, res) => {
+  try {
+    const email = cleanEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: 'Email required' });
+
+    // SSO-only accounts have no local password to reset
+    const ssoCompany = oidc.ssoEnforcedFor(email);
+    if (ssoCompany && !isPlatformStaff(users.findByEmail(email))) {
+      return ssoRequiredResponse(res, ssoCompany);
+    }
+
+    passwordReset.requestReset(email, { ip: req.ip });
 
     return res.json({
-      token,
-      user: {
-        id: u.id,
-        role: u.role,
-        email: u.email,
-        companyId: u.companyId || null,
-        mustResetPassword: !!u.mustResetPassword,
-        subscriptionStatus: u.subscriptionStatus,
-        autoprotectEnabled: !!(u.autoprotectEnabled || u.autoprotechEnabled),
-      },
+      ok: true,
+      message: 'If that account exists, a reset link has been sent.',
     });
   } catch (e) {
     return res.status(500).json({ error: e?.message || String(e) });
@@ -111,32 +582,269 @@ router.post('/refresh', authRequired, (req, res) => {
  * --------------------
  * RESET PASSWORD
  * --------------------
+ * Body (reset link):        { token, newPassword }
+ * Body (forced reset flag): { email, currentPassword, newPassword }
+ *   -> only for accounts with mustResetPassword (e.g. after platform ID rotation);
+ *      counted by the login lockout like a sign-in
  */
-router.post('/reset-password', (req, res) => {
+router.post('/reset-password', async (req, res) => {
   try {
+    const token = cleanStr(req.body?.token, 300);
     const email = cleanEmail(req.body?.email);
+    const currentPassword = cleanStr(req.body?.currentPassword, 500);
     const newPassword = cleanStr(req.body?.newPassword, 500);
 
-    if (!email || !newPassword) {
-      return res.status(400).json({ error: 'Email and newPassword required' });
+    if (!newPassword) {
+      return res.status(400).json({ error: 'newPassword required' });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    // length / classes / history are enforced by users/passwordPolicy.js inside setPassword
+
+    if (token) {
+      return res.json(passwordReset.confirmReset(token, newPassword, { ip: req.ip }));
     }
 
-    const u = users.findByEmail(email);
-    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!email || !currentPassword) {
+      return res.status(400).json({ error: 'token, or email and currentPassword, required' });
+    }
+
+    // same lockout as /login; accounts without the flag get the same answer as a
+    // wrong password, so this can't be used to test passwords either
+    const gate = await loginGuard.admit(email, req.ip);
+    if (!gate.allowed) return lockedResponse(res, gate);
 
-    if (!u.mustResetPassword) {
-      return res.status(400).json({ error: 'Reset not required' });
+    const u = users.findByEmail(email);
+    if (!u || !u.mustResetPassword || !users.verifyPassword(u, currentPassword)) {
+      audit({
+        actorId: null,
+        action: 'PASSWORD_RESET_REJECTED',
+        targetType: 'User',
+        targetId: u ? u.id : null,
+        metadata: { reason: 'bad_credentials', ip: req.ip },
+      });
+      const after = loginGuard.recordFailure(email, req.ip, u ? u.id : null);
+      if (!after.allowed) return lockedResponse(res, after);
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    loginGuard.recordSuccess(email);
     users.setPassword(u.id, newPassword, u.id);
+    sessions.revokeAllForUser(u.id, 'password_reset');
 
     audit({ actorId: u.id, action: 'PASSWORD_RESET', targetType: 'User', targetId: u.id });
 
     return res.json({ ok: true });
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e), details: e?.details });
+  }
+});
+
+/**
+ * --------------------
+ * PASSWORD POLICY (public)
+ * --------------------
+ * Lets the UI show the rules before the user picks a password.
+ * The effective policy includes company overrides; the company comes from
+ *   ?invite=<token>        invitee choosing a password for a new account
+ *   ?companyId=<id|slug>   sign-up / reset pages of a known tenant
+ *   a signed-in caller     their own company (a bearer token, if sent)
+ * otherwise the platform-wide policy.
+ */
+router.get('/password-policy', (req, res) => {
+  try {
+    const invite = cleanStr(req.query?.invite, 300);
+    const wanted = cleanStr(req.query?.companyId, 100);
+    let companyId = null;
+
+    if (invite) {
+      companyId = invites.previewInvite(invite).companyId;
+    } else if (wanted) {
+      const db = readDb();
+      const c = companies.getCompanyById(db, wanted) || companies.getCompanyBySlug(db, wanted);
+      if (!c) return res.status(404).json({ error: 'Company not found' });
+      companyId = c.id;
+    } else if (req.headers.authorization) {
+      const r = resolveCredentials(req);
+      if (r.ok) companyId = users.findById(r.user.id)?.companyId || null;
+    }
+
+    const policy = passwordPolicy.getEffective(companyId);
+    return res.json({ companyId, policy, rules: passwordPolicy.describe(policy) });
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+/**
+ * --------------------
+ * COMPANY INVITATIONS (invitee side)
+ * --------------------
+ * GET  /invites/lookup?token=           -> { email, role, companyName, expiresAt, accountExists }
+ * POST /invites/accept { token, password } -> creates the account and joins the company
+ * Existing accounts accept via POST /api/me/invites/accept while signed in.
+ */
+router.get('/invites/lookup', (req, res) => {
+  try {
+    const token = cleanStr(req.query?.token, 300);
+    if (!token) return res.status(400).json({ error: 'token required' });
+
+    return res.json(invites.previewInvite(token));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+router.post('/invites/accept', (req, res) => {
+  try {
+    const token = cleanStr(req.body?.token, 300);
+    const password = cleanStr(req.body?.password, 500);
+    if (!token || !password) return res.status(400).json({ error: 'token and password required' });
+
+    const out = invites.acceptInvite(token, { password, ip: req.ip });
+    return res.status(201).json(out);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e), details: e?.details });
+  }
+});
+
+/**
+ * --------------------
+ * SINGLE SIGN-ON (OIDC)
+ * --------------------
+ * Per-company OpenID Connect, authorization code + PKCE (auth/oidc.service.js).
+ *
+ * GET /sso/discover?email=          -> { sso, companyId, enforced, startUrl }
+ * GET /sso/:companyId/start         -> 302 to the IdP (?format=json returns the URL)
+ *       ?returnTo=/dashboard          relative path on APP_BASE_URL to land on afterwards
+ * GET /sso/callback?code=&state=    -> session JSON, or 302 to returnTo with a one-time
+ *                                      code in the URL fragment (#code=, valid 60 s)
+ * POST /sso/exchange { code }       -> session JSON for that code (once)
+ */
+function ssoRedirectUri(req) {
+  const fixed = String(process.env.OIDC_REDIRECT_URI || '').trim();
+  if (fixed) return fixed;
+  return `${req.protocol}://${req.get('host')}/api/auth/sso/callback`;
+}
+
+// only same-app relative paths, never an open redirect
+function safeReturnTo(v) {
+  const s = cleanStr(v, 500);
+  if (!s || !s.startsWith('/') || s.startsWith('//') || s.includes('\\')) return null;
+  return s;
+}
+
+function appBaseUrl() {
+  return String(process.env.APP_BASE_URL || 'http://localhost:5173').replace(/\/+$/, '');
+}
+
+router.get('/sso/discover', (req, res) => {
+  try {
+    const email = cleanEmail(req.query?.email);
+    if (!email) return res.status(400).json({ error: 'Email required' });
+
+    const c = oidc.companyForEmail(email);
+    if (!c) return res.json({ sso: false });
+
+    return res.json({
+      sso: true,
+      companyId: c.id,
+      companyName: c.name,
+      enforced: !!c.sso.enforce,
+      startUrl: `/api/auth/sso/${encodeURIComponent(c.id)}/start`,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+router.get('/sso/:companyId/start', async (req, res) => {
+  try {
+    const { authorizationUrl } = await oidc.start(req.params.companyId, {
+      redirectUri: ssoRedirectUri(req),
+      returnTo: safeReturnTo(req.query?.returnTo),
+      loginHint: cleanEmail(req.query?.email) || null,
+    });
+
+    if (req.query?.format === 'json') return res.json({ authorizationUrl });
+    return res.redirect(302, authorizationUrl);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+router.get('/sso/callback', async (req, res) => {
+  try {
+    if (req.query?.error) {
+      return res.status(401).json({
+        error: `Identity provider error: ${cleanStr(req.query.error_description || req.query.error, 300)}`,
+      });
+    }
+
+    const code = cleanStr(req.query?.code, 2000);
+    const state = cleanStr(req.query?.state, 200);
+    if (!code || !state) return res.status(400).json({ error: 'code and state required' });
+
+    let result;
+    try {
+      result = await oidc.callback({ code, state });
+    } catch (e) {
+      audit({
+        actorId: null,
+        action: 'SSO_LOGIN_FAILED',
+        targetType: 'Session',
+        targetId: null,
+        metadata: { ip: req.ip, error: e?.message || String(e) },
+      });
+      return res.status(401).json({ error: e?.message || String(e) });
+    }
+
+    const { user: u, company, created, returnTo } = result;
+
+    if (u.subscriptionStatus === users.SUBSCRIPTION.LOCKED) {
+      return res.status(403).json({ error: 'Account locked' });
+    }
+
+    const blocked = companyBlockResponse(res, u);
+    if (blocked) return blocked;
+
+    if (!process.env.JWT_SECRET) {
+      return res.status(500).json({ error: 'Server misconfigured (JWT_SECRET missing)' });
+    }
+
+    // the IdP is responsible for the second factor on SSO logins (for its own company)
+    const session = issueSession(u, req, { mfa: `sso:${company.id}` });
+
+    audit({
+      actorId: u.id,
+      action: 'LOGIN',
+      targetType: 'Session',
+      targetId: session.sessionId,
+      companyId: company.id,
+      metadata: { sso: company.sso.issuer, provisioned: created },
+    });
+
+    const payload = { ...session, user: publicUser(u), provisioned: created };
+
+    if (returnTo) {
+      const frag = new URLSearchParams({ code: oidc.handoff(payload) });
+      return res.redirect(302, `${appBaseUrl()}${returnTo}#${frag.toString()}`);
+    }
+
+    return res.json(payload);
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+router.post('/sso/exchange', (req, res) => {
+  try {
+    const code = cleanStr(req.body?.code, 200);
+    if (!code) return res.status(400).json({ error: 'code required' });
+
+    const payload = oidc.redeemHandoff(code);
+    if (!payload) return res.status(401).json({ error: 'SSO login expired or already used' });
+
+    return res.json(payload);
   } catch (e) {
     return res.status(500).json({ error: e?.message || String(e) });
   }
@@ -16,6 +16,7 @@ const router = express.Router();
 
 const { authRequired } = require('../middleware/auth');
 const users = require('../users/user.service');
+const { hasRole, can } = require('../auth/permissions');
 const { readDb, writeDb } = require('../lib/db');
 const { audit } = require('../lib/audit');
 const { createNotification } = require('../lib/notify');
@@ -27,26 +28,13 @@ function nowISO() {
   return new Date().toISOString();
 }
 
-function roleOf(u) {
-  return String(u?.role || '');
-}
-
-function isAdmin(u) {
-  return roleOf(u) === users.ROLES.ADMIN;
-}
-function isManager(u) {
-  return roleOf(u) === users.ROLES.MANAGER;
-}
 function isCompany(u) {
-  return roleOf(u) === users.ROLES.COMPANY;
-}
-function isIndividual(u) {
-  return roleOf(u) === users.ROLES.INDIVIDUAL;
+  return hasRole(u, users.ROLES.COMPANY);
 }
 
-// 🚨 HARD RULE: ONLY INDIVIDUAL USERS
+// 🚨 HARD RULE: ONLY INDIVIDUAL USERS (autoprotect.use is bound to Individual only)
 function assertIndividualOnly(user) {
-  if (!isIndividual(user)) {
+  if (!can(user, 'autoprotect.use')) {
     return {
       allowed: false,
       reason: 'AutoProtect is available to Individual users only.',
@@ -70,7 +58,7 @@ router.get('/status', (req, res) => {
   const user = req.user;
 
   // ADMIN / MANAGER = GLOBAL READ-ONLY
-  if (isAdmin(user) || isManager(user)) {
+  if (can(user, 'autoprotect.global.read')) {
     const individuals = (db.users || []).filter(u => u.role === users.ROLES.INDIVIDUAL);
 
     return res.json({
@@ -133,6 +121,7 @@ router.post('/enable', (req, res) => {
   createNotification({
     userId: user.id,
     severity: 'info',
+    category: 'projects',
     title: 'AutoProtect Enabled',
     message: 'AutoProtect is now actively monitoring your account.',
   });
@@ -1,5 +1,5 @@
 // backend/src/routes/company.routes.js
-// Company Room API (members + notifications)
+// Company Room API (members + roles + invites + notifications + data export + audit log)
 //
 // ✅ Company role can manage members in their own company
 // ✅ Admin can view/manage any company (by passing ?companyId=... or {companyId} in body)
@@ -8,10 +8,18 @@
 const express = require('express');
 const router = express.Router();
 
-const { authRequired, requireRole } = require('../middleware/auth');
+const { authRequired, requirePermission, humanOnly, noImpersonation } = require('../middleware/auth');
+const { hasRole } = require('../auth/permissions');
 const users = require('../users/user.service');
 const companies = require('../companies/company.service');
 const { listNotifications, markRead } = require('../lib/notify');
+const apiKeys = require('../auth/apiKey.service');
+const oidc = require('../auth/oidc.service');
+const invites = require('../companies/invite.service');
+const roles = require('../companies/role.service');
+const dataJobs = require('../privacy/jobs.service');
+const auditQuery = require('../audit/query.service');
+const { audit } = require('../lib/audit');
 
 router.use(authRequired);
 
@@ -23,17 +31,17 @@ function safeStr(v) {
 
 // Resolve company scope for this request
 function getCompanyId(req) {
-  const role = req.user?.role;
+  const tenantCompany = safeStr(req.tenant?.companyId);
 
-  // Admin can inspect any company by query/body (fallback to their own if present)
-  if (role === users.ROLES.ADMIN) {
+  // Admin can inspect any company by query/body, x-company-id or subdomain (req.tenant)
+  if (hasRole(req.user, users.ROLES.ADMIN)) {
     const fromQuery = safeStr(req.query.companyId);
     const fromBody = safeStr(req.body?.companyId);
-    return fromQuery || fromBody || safeStr(req.user.companyId);
+    return fromQuery || fromBody || tenantCompany || safeStr(req.user.companyId);
   }
 
-  // Company users: only their assigned company
-  return safeStr(req.user.companyId);
+  // Company users: only their assigned company (membership checked by middleware/tenant.js)
+  return tenantCompany || safeStr(req.user.companyId);
 }
 
 function requireCompany(req, res) {
@@ -50,7 +58,7 @@ function requireCompany(req, res) {
 // ✅ GET /api/company/me
 router.get(
   '/me',
-  requireRole(users.ROLES.COMPANY, users.ROLES.ADMIN),
+  requirePermission('company.read'),
   (req, res) => {
     try {
       const companyId = requireCompany(req, res);
@@ -66,10 +74,32 @@ router.get(
   }
 );
 
+// ✅ PATCH /api/company/me
+// Body: any of { name, country, website, industry, contactEmail, contactPhone, sizeTier }
+router.patch(
+  '/me',
+  requirePermission('company.profile.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const body = { ...(req.body || {}) };
+      delete body.companyId; // Admin scoping field, not a profile field
+
+      return res.json(companies.updateCompany(companyId, body, req.user.id));
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
 // ✅ GET /api/company/notifications
 router.get(
   '/notifications',
-  requireRole(users.ROLES.COMPANY, users.ROLES.ADMIN),
+  requirePermission('company.read'),
   (req, res) => {
     try {
       const companyId = requireCompany(req, res);
@@ -85,7 +115,7 @@ router.get(
 // ✅ POST /api/company/notifications/:id/read
 router.post(
   '/notifications/:id/read',
-  requireRole(users.ROLES.COMPANY, users.ROLES.ADMIN),
+  requirePermission('company.read'),
   (req, res) => {
     try {
       const companyId = requireCompany(req, res);
@@ -108,7 +138,7 @@ router.post(
 // ✅ POST /api/company/members/add
 router.post(
   '/members/add',
-  requireRole(users.ROLES.COMPANY, users.ROLES.ADMIN),
+  requirePermission('company.members.write'),
   (req, res) => {
     try {
       const companyId = requireCompany(req, res);
@@ -127,7 +157,7 @@ router.post(
 // ✅ POST /api/company/members/remove
 router.post(
   '/members/remove',
-  requireRole(users.ROLES.COMPANY, users.ROLES.ADMIN),
+  requirePermission('company.members.write'),
   (req, res) => {
     try {
       const companyId = requireCompany(req, res);
@@ -143,4 +173,430 @@ router.post(
   }
 );
 
+// ---------------- roles ----------------
+
+// ✅ GET /api/company/roles (built-in + custom roles)
+router.get(
+  '/roles',
+  requirePermission('company.read'),
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(roles.listRoles(companyId));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/roles
+// Body: { name, description?, permissions: ['company.read', 'posture.read', ...] }
+router.post(
+  '/roles',
+  requirePermission('company.roles.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.status(201).json(roles.createRole(companyId, req.body || {}, req.user.id));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/roles/:id  Body: { name?, description?, permissions? }
+router.post(
+  '/roles/:id',
+  requirePermission('company.roles.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(roles.updateRole(companyId, safeStr(req.params.id), req.body || {}, req.user.id));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ DELETE /api/company/roles/:id (only when no member holds it)
+router.delete(
+  '/roles/:id',
+  requirePermission('company.roles.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(roles.deleteRole(companyId, safeStr(req.params.id), req.user.id));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/role-bindings (every member + the role they hold here)
+router.get(
+  '/role-bindings',
+  requirePermission('company.read'),
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(roles.listBindings(companyId));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/role-bindings
+// Body: { userId, role }  role = 'Company' | 'Individual' | custom role id | null (inherit)
+router.post(
+  '/role-bindings',
+  requirePermission('company.roles.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const userId = safeStr(req.body?.userId);
+      if (!userId) return res.status(400).json({ error: 'Missing userId' });
+
+      return res.json(roles.assignRole(companyId, userId, req.body?.role ?? null, req.user.id));
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/invites[?status=pending|accepted|revoked|expired]
+router.get(
+  '/invites',
+  requirePermission('company.read'),
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(invites.listInvites(companyId, { status: safeStr(req.query.status) || null }));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/invites
+// Body: { email, role? } (role: Company | Individual, default Company)
+router.post(
+  '/invites',
+  requirePermission('company.invites.write'),
+  humanOnly,
+  async (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const out = await invites.createInvite({
+        companyId,
+        email: req.body?.email,
+        role: safeStr(req.body?.role) || users.ROLES.COMPANY,
+        invitedBy: req.user.id,
+      });
+      return res.status(201).json(out);
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/invites/:id/resend (new link, old one stops working)
+router.post(
+  '/invites/:id/resend',
+  requirePermission('company.invites.write'),
+  humanOnly,
+  async (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const out = await invites.resendInvite(safeStr(req.params.id), {
+        companyId,
+        actorId: req.user.id,
+      });
+      if (!out) return res.status(404).json({ error: 'Not found' });
+
+      return res.json(out);
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ DELETE /api/company/invites/:id (revoke)
+router.delete(
+  '/invites/:id',
+  requirePermission('company.invites.write'),
+  humanOnly,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const inv = invites.revokeInvite(safeStr(req.params.id), {
+        companyId,
+        actorId: req.user.id,
+      });
+      if (!inv) return res.status(404).json({ error: 'Not found' });
+
+      return res.json(inv);
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/api-keys (service keys for this company)
+router.get(
+  '/api-keys',
+  requirePermission('company.read'),
+  humanOnly,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(apiKeys.listKeys({ ownerType: 'company', companyId }));
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/api-keys
+// Body: { name, scopes, expiresAt?, ipAllowlist? } -> plaintext key returned ONCE
+router.post(
+  '/api-keys',
+  requirePermission('company.apikeys.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      if (!companies.getCompany(companyId)) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const body = req.body || {};
+      const out = apiKeys.createKey({
+        ownerType: 'company',
+        companyId,
+        name: body.name,
+        scopes: body.scopes,
+        ipAllowlist: body.ipAllowlist,
+        expiresAt: body.expiresAt,
+        createdBy: req.user.id,
+      });
+      return res.status(201).json(out);
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ DELETE /api/company/api-keys/:id
+router.delete(
+  '/api-keys/:id',
+  requirePermission('company.apikeys.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const k = apiKeys.revokeKey(safeStr(req.params.id), {
+        actorId: req.user.id,
+        ownerType: 'company',
+        companyId,
+      });
+      if (!k) return res.status(404).json({ error: 'Not found' });
+
+      return res.json(k);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/sso (OIDC config, client secret masked)
+router.get(
+  '/sso',
+  requirePermission('company.read'),
+  humanOnly,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json({ companyId, sso: oidc.getConfig(companyId) });
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/sso
+// Body: { issuer, clientId, clientSecret?, scopes?, roleClaim?, roleMapping?, defaultRole?,
+//         domains?, enforce?, jit?, enabled? }
+router.post(
+  '/sso',
+  requirePermission('company.sso.write'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json({ companyId, sso: oidc.setConfig(companyId, req.body || {}, req.user.id) });
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ POST /api/company/export
+// Collects everything held about the company into one signed archive -> 202 job
+router.post(
+  '/export',
+  requirePermission('company.data.export'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const out = dataJobs.requestExport({ subjectType: 'company', subjectId: companyId, requestedBy: req.user.id });
+      return res.status(out.created ? 202 : 200).json(out.job);
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/exports
+router.get(
+  '/exports',
+  requirePermission('company.data.export'),
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      return res.json(dataJobs.listJobs({ kind: 'export', subjectType: 'company', subjectId: companyId }));
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/exports/:id/download -> application/gzip
+router.get(
+  '/exports/:id/download',
+  requirePermission('company.data.export'),
+  humanOnly,
+  noImpersonation,
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const job = dataJobs.getJob(req.params.id);
+      if (!job || job.subjectType !== 'company' || job.subjectId !== companyId) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+
+      const out = dataJobs.archiveFor(job.id, { actorId: req.user.id });
+      return res.download(out.file, out.filename);
+    } catch (e) {
+      return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/audit
+// The company's own audit records, same filters and paging as GET /api/manager/audit
+// (audit/query.service.js) -> { items, nextCursor }
+router.get(
+  '/audit',
+  requirePermission('company.audit.read'),
+  (req, res) => {
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const query = auditQuery.parseQuery(req.query);
+      return res.json(auditQuery.search(query, { scope: auditQuery.companyScope(companyId) }));
+    } catch (e) {
+      return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
+// ✅ GET /api/company/audit/export?format=csv|jsonl (+ the filters above) -> streamed file
+router.get(
+  '/audit/export',
+  requirePermission('company.audit.read'),
+  async (req, res) => {
+    let streaming = false;
+    try {
+      const companyId = requireCompany(req, res);
+      if (!companyId) return;
+
+      const query = auditQuery.parseQuery(req.query, { defaultLimit: null });
+      const format = auditQuery.exportFormat(req.query.format);
+      const until = auditQuery.lastSeq();
+
+      audit({
+        actorId: req.user.id,
+        action: 'AUDIT_LOG_EXPORTED',
+        targetType: 'Company',
+        targetId: companyId,
+        companyId,
+        metadata: { format: format.ext, until, filters: req.query },
+      });
+
+      res.type(format.contentType);
+      res.attachment(auditQuery.exportFilename(format.ext));
+      streaming = true;
+      await auditQuery.writeExport(res, query, {
+        format: format.ext,
+        scope: auditQuery.companyScope(companyId),
+        until,
+      });
+    } catch (e) {
+      if (streaming) return res.destroy(e);
+      return res.status(e?.status || 500).json({ error: e?.message || String(e) });
+    }
+  }
+);
+
 module.exports = router;
@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 
-const { authRequired } = require('../middleware/auth');
+const { authRequired, noImpersonation } = require('../middleware/auth');
 const { getBalance, getOpenOrders, liveConfig } = require('../services/krakenPrivate');
 
 // ------------------------------------------------------------
@@ -77,7 +77,7 @@ router.get('/status', async (req, res) => {
 });
 
 // PROTECTED: balances (safe but private)
-router.get('/balances', authRequired, async (req, res) => {
+router.get('/balances', authRequired, noImpersonation, async (req, res) => {
   try {
     const bal = await getBalance();
     res.json({ ok: true, balances: bal });
@@ -87,7 +87,7 @@ router.get('/balances', authRequired, async (req, res) => {
 });
 
 // PROTECTED: open orders (private)
-router.get('/open-orders', authRequired, async (req, res) => {
+router.get('/open-orders', authRequired, noImpersonation, async (req, res) => {
   try {
     const oo = await getOpenOrders();
     res.json({ ok: true, openOrders: oo });
@@ -97,7 +97,7 @@ router.get('/open-orders', authRequired, async (req, res) => {
 });
 
 // PROTECTED: toggle enabled/disabled
-router.post('/mode', authRequired, async (req, res) => {
+router.post('/mode', authRequired, noImpersonation, async (req, res) => {
   const enabled = boolish(req.body?.enabled, null);
   if (enabled === null) {
     return res.status(400).json({ ok: false, error: 'Body must include { enabled: true|false }' });
@@ -108,7 +108,7 @@ router.post('/mode', authRequired, async (req, res) => {
 });
 
 // PROTECTED: toggle dry-run
-router.post('/dryrun', authRequired, async (req, res) => {
+router.post('/dryrun', authRequired, noImpersonation, async (req, res) => {
   const dryRun = boolish(req.body?.dryRun, null);
   if (dryRun === null) {
     return res.status(400).json({ ok: false, error: 'Body must include { dryRun: true|false }' });
@@ -119,7 +119,7 @@ router.post('/dryrun', authRequired, async (req, res) => {
 });
 
 // PROTECTED: arm/disarm (extra safety gate)
-router.post('/arm', authRequired, async (req, res) => {
+router.post('/arm', authRequired, noImpersonation, async (req, res) => {
   const armed = boolish(req.body?.armed, null);
   if (armed === null) {
     return res.status(400).json({ ok: false, error: 'Body must include { armed: true|false }' });
@@ -133,7 +133,7 @@ router.post('/arm', authRequired, async (req, res) => {
 // - requires enabled && armed
 // - dryRun returns "wouldPlace" (no real order)
 // - real order placement still NOT implemented (hard stop)
-router.post('/order', authRequired, async (req, res) => {
+router.post('/order', authRequired, noImpersonation, async (req, res) => {
   const cfg = effectiveConfig();
   const { symbol, side, usd } = req.body || {};
 
@@ -1,25 +1,26 @@
 // backend/src/routes/manager.routes.js
 // Manager Room API (read-only)
 // ✅ Admin can see everything Manager sees
+// ✅ Managers only see their assigned companies (companies/assignment.service.js)
 // ✅ Safe limits + filtering + stable responses
 
 const express = require('express');
 const router = express.Router();
 
-const { authRequired, requireRole } = require('../middleware/auth');
+const { authRequired, requirePermission } = require('../middleware/auth');
 const { readDb } = require('../lib/db');
 
 const users = require('../users/user.service');
 const companies = require('../companies/company.service');
+const mfa = require('../users/mfa.service');
+const assignments = require('../companies/assignment.service');
 const { listNotifications } = require('../lib/notify');
-
-// ---------------- Role safety ----------------
-const ADMIN = users?.ROLES?.ADMIN || 'Admin';
-const MANAGER = users?.ROLES?.MANAGER || 'Manager';
+const { listEvents } = require('../services/securityEvents');
+const { audit } = require('../lib/audit');
+const auditQuery = require('../audit/query.service');
 
 // ---------------- Middleware ----------------
 router.use(authRequired);
-router.use(requireRole(ADMIN, MANAGER));
 
 // ---------------- Helpers ----------------
 function clampInt(n, min, max, fallback) {
@@ -34,17 +35,95 @@ function safeStr(v, maxLen = 120) {
   return s.slice(0, maxLen);
 }
 
+function notificationInBook(book, n) {
+  return assignments.inBook(book, { companyId: n.companyId, userId: n.userId });
+}
+
+function eventInBook(book, ev) {
+  return assignments.inBook(book, { companyId: ev.meta?.companyId, userId: ev.target });
+}
+
+// Posture + alerts for one company (dashboard card)
+function companyCard(db, c, notifications, events) {
+  const memberIds = new Set((c.members || []).map(String));
+  const people = (db.users || []).filter(u => memberIds.has(u.id) || u.companyId === c.id);
+
+  let mfaEnabled = 0;
+  let mfaMissingRequired = 0;
+  let passwordsExpired = 0;
+  let passwordsExpiring = 0;
+  let mustReset = 0;
+
+  for (const u of people) {
+    const m = mfa.statusFor(u, db);
+    if (m.enabled) mfaEnabled++;
+    else if (m.required) mfaMissingRequired++;
+
+    const pw = users.passwordStatus(u);
+    if (pw.expired) passwordsExpired++;
+    else if (pw.expires && pw.warn) passwordsExpiring++;
+    if (u.mustResetPassword) mustReset++;
+  }
+
+  const mine = notifications.filter(n =>
+    String(n.companyId || '') === c.id || (n.userId && memberIds.has(String(n.userId)))
+  );
+  const unread = mine.filter(n => !n.read);
+  const securityEvents = events.filter(ev =>
+    String(ev.meta?.companyId || '') === c.id || memberIds.has(String(ev.target || ''))
+  );
+
+  const danger =
+    passwordsExpired > 0 ||
+    mfaMissingRequired > 0 ||
+    unread.some(n => n.severity === 'danger');
+  const warn =
+    mustReset > 0 ||
+    passwordsExpiring > 0 ||
+    (people.length > 0 && mfaEnabled < people.length) ||
+    unread.some(n => n.severity === 'warn') ||
+    securityEvents.length > 0;
+
+  return {
+    companyId: c.id,
+    name: c.name,
+    slug: c.slug || null,
+    status: c.status || 'Active',
+    health: danger ? 'danger' : warn ? 'warn' : 'ok',
+    posture: {
+      members: people.length,
+      mfaEnabled,
+      mfaCoverage: people.length ? Math.round((mfaEnabled / people.length) * 100) : null,
+      mfaMissingRequired,
+      passwordsExpired,
+      passwordsExpiring,
+      mustReset,
+      ssoEnabled: !!c.sso?.enabled,
+    },
+    alerts: {
+      unread: unread.length,
+      warn: unread.filter(n => n.severity === 'warn').length,
+      danger: unread.filter(n => n.severity === 'danger').length,
+      securityEvents: securityEvents.length,
+      latest: unread.slice(0, 5),
+    },
+  };
+}
+
 // ---------------- Routes ----------------
 
 // ✅ GET /api/manager/overview
-router.get('/overview', (req, res) => {
+router.get('/overview', requirePermission('platform.read'), (req, res) => {
   try {
     const db = readDb();
+    const book = assignments.bookFor(req.user, db);
+
     return res.json({
-      users: db.users?.length || 0,
-      companies: db.companies?.length || 0,
-      auditEvents: db.audit?.length || 0,
-      notifications: db.notifications?.length || 0,
+      scope: book.all ? 'platform' : 'assigned',
+      users: (db.users || []).filter(u => assignments.inBook(book, { userId: u.id })).length,
+      companies: (db.companies || []).filter(c => assignments.inBook(book, { companyId: c.id })).length,
+      auditEvents: (db.audit || []).filter(ev => assignments.auditInBook(book, ev)).length,
+      notifications: (db.notifications || []).filter(n => notificationInBook(book, n)).length,
       time: new Date().toISOString(),
     });
   } catch (e) {
@@ -53,18 +132,20 @@ router.get('/overview', (req, res) => {
 });
 
 // ✅ GET /api/manager/users (read-only)
-router.get('/users', (req, res) => {
+router.get('/users', requirePermission('platform.read'), (req, res) => {
   try {
-    return res.json(users.listUsers());
+    const book = assignments.bookFor(req.user);
+    return res.json(users.listUsers().filter(u => assignments.inBook(book, { userId: u.id })));
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
 // ✅ GET /api/manager/companies (read-only)
-router.get('/companies', (req, res) => {
+router.get('/companies', requirePermission('platform.read'), (req, res) => {
   try {
-    return res.json(companies.listCompanies());
+    const book = assignments.bookFor(req.user);
+    return res.json(companies.listCompanies().filter(c => assignments.inBook(book, { companyId: c.id })));
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
@@ -72,10 +153,11 @@ router.get('/companies', (req, res) => {
 
 // ✅ GET /api/manager/notifications
 // Optional: ?limit=200 (max 1000)
-router.get('/notifications', (req, res) => {
+router.get('/notifications', requirePermission('platform.read'), (req, res) => {
   try {
     const limit = clampInt(req.query.limit, 1, 1000, 200);
-    const all = listNotifications({}) || [];
+    const book = assignments.bookFor(req.user);
+    const all = (listNotifications({}) || []).filter(n => notificationInBook(book, n));
     return res.json(all.slice(0, limit)); // newest first
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
@@ -83,30 +165,96 @@ router.get('/notifications', (req, res) => {
 });
 
 // ✅ GET /api/manager/audit
-// Filters:
-//   ?limit=200
-//   ?actorId=...
-//   ?action=partial
-router.get('/audit', (req, res) => {
+// Cursor-paginated search of the audit log in the caller's book -> { items, nextCursor }
+// Filters: from, to, actorId, action, actions, targetType, targetId, companyId,
+// meta.<field>, q, order, limit, cursor (audit/query.service.js)
+router.get('/audit', requirePermission('audit.read'), (req, res) => {
   try {
-    const db = readDb();
-    const limit = clampInt(req.query.limit, 1, 1000, 200);
+    const book = assignments.bookFor(req.user, readDb());
+    const query = auditQuery.parseQuery(req.query);
+    return res.json(auditQuery.search(query, { scope: ev => assignments.auditInBook(book, ev) }));
+  } catch (e) {
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
 
-    const actorId = safeStr(req.query.actorId);
-    const actionQ = safeStr(req.query.action).toLowerCase();
+// ✅ GET /api/manager/audit/export?format=csv|jsonl (+ the filters above) -> streamed file
+router.get('/audit/export', requirePermission('audit.read'), async (req, res) => {
+  let streaming = false;
+  try {
+    const book = assignments.bookFor(req.user, readDb());
+    const query = auditQuery.parseQuery(req.query, { defaultLimit: null });
+    const format = auditQuery.exportFormat(req.query.format);
+    const until = auditQuery.lastSeq();
 
-    let items = (db.audit || []).slice().reverse();
+    audit({
+      actorId: req.user.id,
+      action: 'AUDIT_LOG_EXPORTED',
+      targetType: 'Audit',
+      metadata: { format: format.ext, until, filters: req.query },
+    });
 
-    if (actorId) {
-      items = items.filter(ev => String(ev.actorId || '') === actorId);
-    }
-    if (actionQ) {
-      items = items.filter(ev =>
-        String(ev.action || '').toLowerCase().includes(actionQ)
-      );
+    res.type(format.contentType);
+    res.attachment(auditQuery.exportFilename(format.ext));
+    streaming = true;
+    await auditQuery.writeExport(res, query, {
+      format: format.ext,
+      scope: ev => assignments.auditInBook(book, ev),
+      until,
+    });
+  } catch (e) {
+    if (streaming) return res.destroy(e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// ✅ GET /api/manager/dashboard
+// Posture + alerts for every company in the caller's book (all companies for Admin)
+// Optional: ?companyId=... (must be in the book)
+router.get('/dashboard', requirePermission('platform.read'), (req, res) => {
+  try {
+    const db = readDb();
+    const book = assignments.bookFor(req.user, db);
+
+    const only = safeStr(req.query.companyId);
+    if (only && !assignments.inBook(book, { companyId: only })) {
+      return res.status(403).json({ error: 'Company is not assigned to you' });
     }
 
-    return res.json(items.slice(0, limit));
+    const list = (db.companies || [])
+      .filter(c => assignments.inBook(book, { companyId: c.id }))
+      .filter(c => !only || c.id === only);
+
+    const notifications = (listNotifications({}) || []).filter(n => notificationInBook(book, n));
+    const weekAgo = Date.now() - 7 * 24 * 3600 * 1000;
+    const events = listEvents({ limit: 5000 }).filter(ev => ev.ts >= weekAgo && eventInBook(book, ev));
+
+    const cards = list.map(c => companyCard(db, c, notifications, events));
+    const sum = key => cards.reduce((n, c) => n + (c.posture[key] || 0), 0);
+    const members = sum('members');
+
+    return res.json({
+      scope: book.all ? 'platform' : 'assigned',
+      totals: {
+        companies: cards.length,
+        members,
+        mfaCoverage: members ? Math.round((sum('mfaEnabled') / members) * 100) : null,
+        passwordsExpired: sum('passwordsExpired'),
+        unreadAlerts: cards.reduce((n, c) => n + c.alerts.unread, 0),
+        dangerAlerts: cards.reduce((n, c) => n + c.alerts.danger, 0),
+        securityEvents7d: cards.reduce((n, c) => n + c.alerts.securityEvents, 0),
+        health: {
+          ok: cards.filter(c => c.health === 'ok').length,
+          warn: cards.filter(c => c.health === 'warn').length,
+          danger: cards.filter(c => c.health === 'danger').length,
+        },
+      },
+      companies: cards.sort((a, b) => {
+        const rank = { danger: 0, warn: 1, ok: 2 };
+        return rank[a.health] - rank[b.health] || a.name.localeCompare(b.name);
+      }),
+      time: new Date().toISOString(),
+    });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
@@ -2,17 +2,69 @@
 // Me endpoints (Individual user room):
 // - notifications (scoped to the logged-in user)
 // - mark notification read (scoped safety)
+// - notification delivery preferences (email / webhook / chat, per category and severity)
 // - create project/case (AutoProtect)
+// - sessions (list devices, revoke one, sign out everywhere)
+// - personal API keys
+// - accept a company invitation with an existing account
+// - effective permissions (so the UI can hide what the caller can't do)
+// - companies the user belongs to (switch with POST /api/auth/switch-company)
+// - export of everything held about the user (erasure is handled by support: /api/admin/data-jobs)
 
 const express = require('express');
 const router = express.Router();
 
-const { authRequired } = require('../middleware/auth');
+const { authRequired, humanOnly, noImpersonation } = require('../middleware/auth');
 const { listNotifications, markRead } = require('../lib/notify');
 const { createProject } = require('../autoprotect/autoprotect.service');
+const sessions = require('../auth/session.service');
+const apiKeys = require('../auth/apiKey.service');
+const invites = require('../companies/invite.service');
+const permissions = require('../auth/permissions');
+const roles = require('../companies/role.service');
+const dataJobs = require('../privacy/jobs.service');
+const notifyPrefs = require('../notifications/preferences.service');
+const notifyDelivery = require('../notifications/delivery.service');
+const { audit } = require('../lib/audit');
 
 router.use(authRequired);
 
+// GET /api/me/permissions
+// Reflects the credential in use: an impersonation token gets the subject's
+// permissions, an API key its owner's (further narrowed by the key's scopes).
+// Company-scoped permissions follow the active company (req.tenant).
+router.get('/permissions', (req, res) => {
+  try {
+    const companyId = req.tenant ? req.tenant.companyId : req.user.companyId || null;
+    const membership = companyId
+      ? roles.membershipsFor(req.user.id).find((m) => m.companyId === companyId) || null
+      : null;
+
+    return res.json({
+      role: permissions.normalizeRole(req.user.role) || req.user.role || null,
+      companyId,
+      companyRole: membership ? membership.roleName : null,
+      permissions: permissions.permissionsFor(req.user, { companyId }),
+      impersonating: !!req.user.impersonating,
+      apiKeyScopes: req.apiKey ? req.apiKey.scopes || [] : undefined,
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// GET /api/me/companies
+router.get('/companies', (req, res) => {
+  try {
+    const active = req.tenant ? req.tenant.companyId : null;
+    return res.json(
+      roles.membershipsFor(req.user.id).map((m) => ({ ...m, active: m.companyId === active }))
+    );
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
 // GET /api/me/notifications
 router.get('/notifications', (req, res) => {
   try {
@@ -38,6 +90,54 @@ router.post('/notifications/:id/read', (req, res) => {
   }
 });
 
+// GET /api/me/notification-preferences
+// Channel secrets are never returned (webhook: hasSecret; chat: URL origin only)
+router.get('/notification-preferences', humanOnly, (req, res) => {
+  try {
+    return res.json(notifyPrefs.getPreferences(req.user.id));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// PUT /api/me/notification-preferences
+// Body: { channels?: { email?: { enabled }, webhook?: { enabled, url, secret }, chat?: { enabled, url } },
+//         rules?: { 'security.danger': 'instant', 'company': 'digest', 'info': 'muted', '*': ... },
+//         digestHours? }
+router.put('/notification-preferences', humanOnly, noImpersonation, (req, res) => {
+  try {
+    return res.json(notifyPrefs.updatePreferences(req.user.id, req.body || {}, req.user.id));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/me/notification-preferences/test
+// Body: { channel } -> one sample message, sent now (ok:false carries the error)
+router.post('/notification-preferences/test', humanOnly, noImpersonation, async (req, res) => {
+  try {
+    const out = await notifyDelivery.sendTest(req.user.id, String(req.body?.channel || '').trim());
+    return res.status(out.ok ? 200 : 502).json(out);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/me/notification-deliveries?status=&channel=&limit=
+router.get('/notification-deliveries', humanOnly, (req, res) => {
+  try {
+    const { items } = notifyDelivery.listDeliveries({
+      userId: req.user.id,
+      status: req.query.status ? String(req.query.status) : null,
+      channel: req.query.channel ? String(req.query.channel) : null,
+      limit: req.query.limit,
+    });
+    return res.json(items);
+  } catch (e) {
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
 // POST /api/me/projects
 router.post('/projects', (req, res) => {
   try {
@@ -69,4 +169,144 @@ router.post('/projects', (req, res) => {
   }
 });
 
+// GET /api/me/sessions
+router.get('/sessions', humanOnly, (req, res) => {
+  try {
+    const activeOnly = String(req.query.all || '') !== '1';
+    const list = sessions.listForUser(req.user.id, req.user.sid || null);
+    return res.json(activeOnly ? list.filter((s) => s.active) : list);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// DELETE /api/me/sessions/:id
+router.delete('/sessions/:id', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ error: 'Missing session id' });
+
+    const s = sessions.revokeSession(id, { userId: req.user.id, reason: 'user_revoked' });
+    if (!s) return res.status(404).json({ error: 'Not found' });
+
+    audit({ actorId: req.user.id, action: 'SESSION_REVOKED', targetType: 'Session', targetId: id });
+
+    return res.json(s);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// POST /api/me/sessions/revoke-all
+// "Sign out everywhere" — includes the current session.
+router.post('/sessions/revoke-all', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const out = sessions.revokeAllForUser(req.user.id, 'user_revoked_all');
+
+    audit({
+      actorId: req.user.id,
+      action: 'SESSION_REVOKE_ALL',
+      targetType: 'User',
+      targetId: req.user.id,
+      metadata: { revoked: out.revoked },
+    });
+
+    return res.json(out);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// GET /api/me/api-keys
+router.get('/api-keys', humanOnly, (req, res) => {
+  try {
+    return res.json(apiKeys.listKeys({ ownerType: 'user', userId: req.user.id }));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// POST /api/me/api-keys
+// Body: { name, scopes: ['/api/posture'], expiresAt?, ipAllowlist? }
+// The plaintext key is returned ONCE.
+router.post('/api-keys', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const body = req.body || {};
+    const out = apiKeys.createKey({
+      ownerType: 'user',
+      userId: req.user.id,
+      name: body.name,
+      scopes: body.scopes,
+      ipAllowlist: body.ipAllowlist,
+      expiresAt: body.expiresAt,
+      createdBy: req.user.id,
+    });
+    return res.status(201).json(out);
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// DELETE /api/me/api-keys/:id
+router.delete('/api-keys/:id', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const k = apiKeys.revokeKey(req.params.id, {
+      actorId: req.user.id,
+      ownerType: 'user',
+      userId: req.user.id,
+    });
+    if (!k) return res.status(404).json({ error: 'Not found' });
+    return res.json(k);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// POST /api/me/invites/accept
+// Body: { token } — invite email must match the signed-in account
+router.post('/invites/accept', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const token = String(req.body?.token || '').trim().slice(0, 300);
+    if (!token) return res.status(400).json({ error: 'token required' });
+
+    return res.json(invites.acceptInvite(token, { userId: req.user.id, ip: req.ip }));
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// POST /api/me/export -> 202 job (poll GET /api/me/exports)
+router.post('/export', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const out = dataJobs.requestExport({ subjectType: 'user', subjectId: req.user.id, requestedBy: req.user.id });
+    return res.status(out.created ? 202 : 200).json(out.job);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// GET /api/me/exports
+router.get('/exports', humanOnly, (req, res) => {
+  try {
+    return res.json(dataJobs.listJobs({ kind: 'export', subjectType: 'user', subjectId: req.user.id }));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// GET /api/me/exports/:id/download -> application/gzip
+router.get('/exports/:id/download', humanOnly, noImpersonation, (req, res) => {
+  try {
+    const job = dataJobs.getJob(req.params.id);
+    if (!job || job.subjectType !== 'user' || job.subjectId !== req.user.id) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const out = dataJobs.archiveFor(job.id, { actorId: req.user.id });
+    return res.download(out.file, out.filename);
+  } catch (e) {
+    return res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
 module.exports = router;
@@ -11,32 +11,29 @@
 const express = require('express');
 const router = express.Router();
 
-const { authRequired } = require('../middleware/auth');
+const { authRequired, requirePermission } = require('../middleware/auth');
 const { readDb } = require('../lib/db');
 const users = require('../users/user.service');
+const mfa = require('../users/mfa.service');
+const { hasRole, can } = require('../auth/permissions');
+const assignments = require('../companies/assignment.service');
 
 router.use(authRequired);
+router.use(requirePermission('posture.read'));
 
 // -------------------- helpers --------------------
 function nowISO() {
   return new Date().toISOString();
 }
 
-function roleOf(u) {
-  return String(u?.role || '');
-}
-
-function isAdmin(u) {
-  return roleOf(u) === users.ROLES.ADMIN;
-}
 function isManager(u) {
-  return roleOf(u) === users.ROLES.MANAGER;
+  return hasRole(u, users.ROLES.MANAGER);
 }
 function isCompany(u) {
-  return roleOf(u) === users.ROLES.COMPANY;
+  return hasRole(u, users.ROLES.COMPANY);
 }
 function isIndividual(u) {
-  return roleOf(u) === users.ROLES.INDIVIDUAL;
+  return hasRole(u, users.ROLES.INDIVIDUAL);
 }
 
 // -------------------- AutoProtect enforcement --------------------
@@ -59,7 +56,7 @@ function autoProtectStatus(user) {
 
   // 💰 Individuals ONLY if paid
   if (isIndividual(user)) {
-    const enabled = !!(user.autoprotectEnabled || user.autoprotechEnabled);
+    const enabled = !!user.autoprotectEnabled;
     return {
       enabled,
       reason: enabled
@@ -77,12 +74,13 @@ function autoProtectStatus(user) {
 
 // -------------------- scope resolution --------------------
 function scopeFor(reqUser) {
-  if (isAdmin(reqUser)) {
+  if (can(reqUser, 'posture.global.read')) {
     return { type: 'global' }; // Admin mirror view
   }
 
   if (isManager(reqUser)) {
-    return { type: 'manager', managerId: reqUser.id };
+    // MSP book: only the companies assigned to this manager
+    return { type: 'manager', managerId: reqUser.id, companyIds: assignments.companyIdsFor(reqUser.id) };
   }
 
   if (isCompany(reqUser)) {
@@ -92,23 +90,75 @@ function scopeFor(reqUser) {
   return { type: 'user', userId: reqUser.id };
 }
 
+// -------------------- MFA (real enrollment state) --------------------
+function mfaCheck(user) {
+  const record = users.findById(user?.id);
+  const st = record ? mfa.statusFor(record) : { enabled: false, required: false };
+
+  if (st.enabled) {
+    return {
+      status: st.recoveryCodesRemaining > 0 ? 'ok' : 'warn',
+      message:
+        st.recoveryCodesRemaining > 0
+          ? 'MFA is enabled.'
+          : 'MFA is enabled, but no recovery codes remain. Generate new ones.',
+    };
+  }
+
+  if (st.required) {
+    return {
+      status: 'danger',
+      message: 'MFA is required by your administrator. Enroll now.',
+    };
+  }
+
+  return { status: 'warn', message: 'Enable MFA for stronger security.' };
+}
+
+// -------------------- Password (policy + expiry) --------------------
+function passwordCheck(user) {
+  const record = users.findById(user?.id);
+  if (!record) return { status: 'warn', message: 'Password status unavailable.' };
+
+  const st = users.passwordStatus(record);
+  if (st.sso) return { status: 'ok', message: 'Sign-in is managed by your identity provider (SSO).' };
+
+  if (record.mustResetPassword) {
+    return { status: 'danger', message: 'A password reset is required on this account.' };
+  }
+  if (st.expired) {
+    return { status: 'danger', message: `Password expired on ${st.expiresAt}. Change it now.` };
+  }
+  if (st.expires && st.warn) {
+    return { status: 'warn', message: `Password expires in ${Math.max(0, st.daysLeft)} day(s).` };
+  }
+  return {
+    status: 'ok',
+    message: st.expires
+      ? `Password policy enforced. Expires ${st.expiresAt}.`
+      : 'Password policy enforced.',
+  };
+}
+
 // -------------------- CHECKS (UI-safe) --------------------
 function buildChecks(user) {
   const ap = autoProtectStatus(user);
+  const m = mfaCheck(user);
+  const pw = passwordCheck(user);
 
   return [
     {
       id: 'password',
       title: 'Password Hygiene',
-      status: 'ok',
-      message: 'Password policy enforced.',
+      status: pw.status,
+      message: pw.message,
       at: nowISO(),
     },
     {
       id: 'mfa',
-      title: 'MFA Recommendation',
-      status: 'warn',
-      message: 'Enable MFA for stronger security.',
+      title: 'MFA',
+      status: m.status,
+      message: m.message,
       at: nowISO(),
     },
     {
@@ -159,7 +209,23 @@ router.get('/summary', (req, res) => {
     });
   }
 
-  // Individual / Manager view
+  if (scope.type === 'manager') {
+    const book = assignments.bookFor(req.user, db);
+    return res.json({
+      scope,
+      totals: {
+        companies: scope.companyIds.length,
+        users: usersDb.filter(u => assignments.inBook(book, { userId: u.id })).length,
+        auditEvents: audit.filter(a => assignments.auditInBook(book, a)).length,
+        notifications: notifications.filter(n =>
+          assignments.inBook(book, { companyId: n.companyId, userId: n.userId })
+        ).length,
+      },
+      time: nowISO(),
+    });
+  }
+
+  // Individual view
   return res.json({
     scope,
     totals: {
@@ -184,8 +250,26 @@ router.get('/recent', (req, res) => {
   const db = readDb();
   const scope = scopeFor(req.user);
 
-  const audit = (db.audit || []).slice(-50).reverse();
-  const notifications = (db.notifications || []).slice(-50).reverse();
+  // same room rules as /summary
+  let auditIn = () => true;
+  let notificationIn = () => true;
+
+  if (scope.type === 'manager') {
+    const book = assignments.bookFor(req.user, db);
+    auditIn = a => assignments.auditInBook(book, a);
+    notificationIn = n => assignments.inBook(book, { companyId: n.companyId, userId: n.userId });
+  } else if (scope.type === 'company') {
+    const cid = String(scope.companyId);
+    auditIn = a => String(a.companyId) === cid;
+    notificationIn = n => String(n.companyId) === cid;
+  } else if (scope.type === 'user') {
+    const uid = String(scope.userId);
+    auditIn = a => String(a.actorId) === uid || String(a.targetId) === uid;
+    notificationIn = n => String(n.userId) === uid;
+  }
+
+  const audit = (db.audit || []).filter(auditIn).slice(-50).reverse();
+  const notifications = (db.notifications || []).filter(notificationIn).slice(-50).reverse();
 
   return res.json({
     scope,
@@ -2,7 +2,7 @@
 const express = require("express");
 const router = express.Router();
 
-const { authRequired } = require("../middleware/auth");
+const { authRequired, requirePermission } = require("../middleware/auth");
 const paperTrader = require("../services/paperTrader");
 const liveTrader = require("../services/liveTrader");
 
@@ -18,16 +18,6 @@ const liveTrader = require("../services/liveTrader");
  * - Live trading is SAFE by default
  */
 
-// ---------- ROLE HELPERS ----------
-function isAdmin(req) {
-  return String(req?.user?.role || "").toLowerCase() === "admin";
-}
-
-function isManagerOrAdmin(req) {
-  const r = String(req?.user?.role || "").toLowerCase();
-  return r === "admin" || r === "manager";
-}
-
 // ---------- PUBLIC (NO AUTH) ----------
 
 /**
@@ -48,13 +38,9 @@ router.use(authRequired);
 
 /**
  * GET /api/trading/paper/snapshot
- * Admin + Manager
+ * trading.paper.read (Admin + Manager)
  */
-router.get("/paper/snapshot", (req, res) => {
-  if (!isManagerOrAdmin(req)) {
-    return res.status(403).json({ ok: false, error: "Forbidden" });
-  }
-
+router.get("/paper/snapshot", requirePermission("trading.paper.read"), (req, res) => {
   return res.json({
     ok: true,
     snapshot: paperTrader.snapshot(),
@@ -63,26 +49,18 @@ router.get("/paper/snapshot", (req, res) => {
 
 /**
  * POST /api/trading/paper/config
- * Admin only
+ * trading.paper.config (Admin only)
  */
-router.post("/paper/config", (req, res) => {
-  if (!isAdmin(req)) {
-    return res.status(403).json({ ok: false, error: "Admin only" });
-  }
-
+router.post("/paper/config", requirePermission("trading.paper.config"), (req, res) => {
   const updated = paperTrader.setConfig(req.body || {});
   return res.json({ ok: true, config: updated });
 });
 
 /**
  * POST /api/trading/paper/reset
- * Admin only
+ * trading.paper.reset (Admin only)
  */
-router.post("/paper/reset", (req, res) => {
-  if (!isAdmin(req)) {
-    return res.status(403).json({ ok: false, error: "Admin only" });
-  }
-
+router.post("/paper/reset", requirePermission("trading.paper.reset"), (req, res) => {
   paperTrader.hardReset();
   return res.json({ ok: true });
 });
@@ -91,30 +69,22 @@ router.post("/paper/reset", (req, res) => {
 
 /**
  * GET /api/trading/live/snapshot
- * Admin + Manager
+ * trading.live.read (Admin + Manager)
  */
-router.get("/live/snapshot", (req, res) => {
-  if (!isManagerOrAdmin(req)) {
-    return res.status(403).json({ ok: false, error: "Forbidden" });
-  }
-
+router.get("/live/snapshot", requirePermission("trading.live.read"), (req, res) => {
   return res.json(liveTrader.snapshot());
 });
 
 /**
  * POST /api/trading/live/signal
- * Admin only
+ * trading.live.signal (Admin only)
  *
  * Signals are:
  * - validated
  * - logged
  * - NEVER executed unless env + execution adapter allow it
  */
-router.post("/live/signal", async (req, res) => {
-  if (!isAdmin(req)) {
-    return res.status(403).json({ ok: false, error: "Admin only" });
-  }
-
+router.post("/live/signal", requirePermission("trading.live.signal"), async (req, res) => {
   try {
     const result = await liveTrader.pushSignal(req.body || {});
     return res.json(result);
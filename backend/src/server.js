@@ -7,14 +7,24 @@ const rateLimit = require("express-rate-limit");
 const http = require("http");
 const { WebSocketServer } = require("ws");
 
-const { ensureDb } = require("./lib/db");
+const { ensureDb, flushDb } = require("./lib/db");
+const { omitRev } = require("./lib/storage/revisions");
 const users = require("./users/user.service");
 
 const tenantMiddleware = require("./middleware/tenant"); // ✅ ADD THIS
+const { optionalAuth } = require("./middleware/auth");
 
 const paperTrader = require("./services/paperTrader");
 const liveTrader = require("./services/liveTrader");
 const { startKrakenFeed } = require("./services/krakenFeed");
+const companyLifecycle = require("./companies/lifecycle.service");
+const dataJobs = require("./privacy/jobs.service");
+const backups = require("./backup/backup.service");
+const auditLog = require("./audit/audit.service");
+const siem = require("./siem/forwarder.service");
+const retention = require("./retention/retention.service");
+const notifyDelivery = require("./notifications/delivery.service");
+const notifySocket = require("./notifications/realtime.service");
 
 // ---------------- ENV CHECKS ----------------
 function requireEnv(name) {
@@ -31,6 +41,8 @@ users.ensureAdminFromEnv();
 // ---------------- APP ----------------
 const app = express();
 app.set("trust proxy", 1);
+// record revisions (lib/storage/revisions.js) never leave the server
+app.set("json replacer", omitRev);
 
 // ---------------- CORS ----------------
 const allowlist = (process.env.CORS_ORIGINS || "")
@@ -75,7 +87,9 @@ app.get("/health", (req, res) =>
 app.use("/api/auth", authLimiter, require("./routes/auth.routes"));
 
 // 🔒 TENANT CONTEXT STARTS HERE
-// Everything below this line REQUIRES a company context
+// Credentials are verified first so the tenant is bound to the caller
+// (see middleware/tenant.js). Everything below REQUIRES a tenant context.
+app.use(optionalAuth);
 app.use(tenantMiddleware);
 
 // ---------------- TENANT-SCOPED ROUTES ----------------
@@ -92,7 +106,18 @@ app.use("/api/posture", require("./routes/posture.routes"));
 
 // ---------------- SERVER + WS ----------------
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: "/ws/market" });
+const wss = new WebSocketServer({ noServer: true });
+
+// /ws/market: public price stream; /ws/notifications: authenticated push (notifications/realtime.service.js)
+notifySocket.start();
+server.on("upgrade", (req, socket, head) => {
+  const pathname = String(req.url || "").split("?")[0];
+  if (pathname === "/ws/market") {
+    return wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+  }
+  if (pathname === notifySocket.PATH) return notifySocket.handleUpgrade(req, socket, head);
+  socket.destroy();
+});
 
 let last = { BTCUSDT: 65000, ETHUSDT: 3500 };
 
@@ -140,6 +165,73 @@ try {
   console.error("Failed to start Kraken feed:", e);
 }
 
+// ---------------- SIEM FORWARDING ----------------
+// audit records + security events -> syslog / HTTP sinks (SIEM_SINKS, SIEM_CONFIG_PATH)
+try {
+  const sinks = siem.start();
+  if (sinks) console.log("[siem] forwarding to", sinks, "sink(s)");
+} catch (e) {
+  console.error("SIEM forwarding failed to start:", e?.message || e);
+}
+
+// ---------------- NOTIFICATION DELIVERY ----------------
+// notifications -> email / webhook / chat, per user preferences (notifications/*.service.js)
+try {
+  notifyDelivery.start();
+} catch (e) {
+  console.error("Notification delivery failed to start:", e?.message || e);
+}
+
+// ---------------- HOUSEKEEPING ----------------
+// - soft-deleted companies are purged once their restore window ends
+// - data export archives are deleted once they expire
+// - a backup is taken once the newest is older than BACKUP_INTERVAL_HOURS
+// - the audit chain tail is signed once a checkpoint is due (audit/audit.service.js)
+// - records past their retention policy are archived (retention/retention.service.js)
+// - finished notification deliveries are deleted after NOTIFY_DELIVERY_KEEP_DAYS
+function housekeeping() {
+  try {
+    const purged = companyLifecycle.purgeExpired();
+    if (purged.length) console.log("[companies] purged", purged.length, "expired companies");
+  } catch (e) {
+    console.error("Company purge failed:", e);
+  }
+  try {
+    const expired = dataJobs.expireArchives();
+    if (expired) console.log("[privacy] deleted", expired, "expired export archives");
+  } catch (e) {
+    console.error("Export cleanup failed:", e);
+  }
+  try {
+    const snap = backups.backupIfDue();
+    if (snap) console.log("[backup] snapshot", snap.id, "(" + snap.entries + " files)");
+  } catch (e) {
+    console.error("Scheduled backup failed:", e);
+  }
+  try {
+    const cp = auditLog.checkpointIfDue();
+    if (cp) console.log("[audit] checkpoint signed at seq", cp.seq);
+  } catch (e) {
+    console.error("Audit checkpoint failed:", e?.message || e);
+  }
+  try {
+    const run = retention.runRetention({ trigger: "schedule" });
+    if (run.archives.length) console.log("[retention] archived", run.archived, "in", run.archives.length, "files");
+  } catch (e) {
+    console.error("Retention run failed:", e?.message || e);
+  }
+  try {
+    const pruned = notifyDelivery.pruneDeliveries();
+    if (pruned) console.log("[notify] deleted", pruned, "old deliveries");
+  } catch (e) {
+    console.error("Delivery cleanup failed:", e?.message || e);
+  }
+}
+
+housekeeping();
+const housekeepingTimer = setInterval(housekeeping, 60 * 60 * 1000);
+housekeepingTimer.unref();
+
 // ---------------- CORS ERROR HANDLER ----------------
 app.use((err, req, res, next) => {
   if (err && String(err.message || "").toLowerCase().includes("cors")) {
@@ -162,12 +254,27 @@ process.on("SIGINT", shutdown);
 
 function shutdown() {
   console.log("Shutting down...");
+  clearInterval(housekeepingTimer);
   try {
     krakenStop && krakenStop.stop();
   } catch {}
   try {
     wss.close();
   } catch {}
+  try {
+    notifySocket.stop();
+  } catch {}
+  try {
+    siem.stop();
+  } catch {}
+  try {
+    notifyDelivery.stop();
+  } catch {}
+  try {
+    flushDb();
+  } catch (e) {
+    console.error("DB flush failed:", e);
+  }
   try {
     server.close(() => process.exit(0));
   } catch {
@@ -214,6 +214,11 @@ function scheduleSave() {
 
 loadBrain();
 
+// Re-read the brain file (after a backup restore)
+function reloadState() {
+  return loadBrain();
+}
+
 function addHistory(role, text) {
   const clean = safeStr(text);
   if (!clean) return;
@@ -660,8 +665,10 @@ function answer(message, context /*, hints */) {
 }
 
 module.exports = {
+  BRAIN_PATH,
   answer,
   addNote,
   getSnapshot,
   resetBrain,
+  reloadState,
 };
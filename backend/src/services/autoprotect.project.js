@@ -98,6 +98,7 @@ function createProject({ actorId, title, issue }) {
   createNotification({
     userId: actorId,
     severity: 'warn',
+    category: 'projects',
     title: 'AutoProtect Action Required',
     message: `A new security project "${project.title}" has been created. Review the steps and take action.`,
   });
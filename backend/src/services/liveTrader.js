@@ -164,6 +164,24 @@ function stop() {
   scheduleSave();
 }
 
+// Re-read the state file (after a backup restore); keeps running / env flags as they are
+function reloadState() {
+  const persisted = loadState();
+  if (!persisted || !(persisted.version >= 1)) return false;
+  const running = state.running;
+  state = {
+    ...defaultState(),
+    ...persisted,
+    stats: {
+      ...defaultState().stats,
+      ...(persisted.stats || {}),
+    },
+    running,
+  };
+  refreshFlags();
+  return true;
+}
+
 /* ---------------- TICKS ---------------- */
 function tick(symbol, price, ts = Date.now()) {
   if (!state.running) return;
@@ -305,9 +323,11 @@ function snapshot() {
 }
 
 module.exports = {
+  STATE_PATH,
   start,
   stop,
   tick,
   snapshot,
   pushSignal,
+  reloadState,
 };
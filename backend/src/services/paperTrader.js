@@ -96,6 +96,11 @@ function save() {
 
 load();
 
+// Re-read the state file (after a backup restore)
+function reloadState() {
+  load();
+}
+
 /* ================= CORE ================= */
 
 function resetDayIfNeeded(ts) {
@@ -266,8 +271,10 @@ function hardReset() {
 }
 
 module.exports = {
+  STATE_FILE,
   tick,
   snapshot,
   start,
   hardReset,
+  reloadState,
 };
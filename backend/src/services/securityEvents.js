@@ -5,6 +5,8 @@
 const fs = require("fs");
 const path = require("path");
 const { addMemory } = require("../lib/brain");
+const { scrubList } = require("../lib/anonymise");
+const { writeArchive } = require("../retention/archive.service");
 
 /* ================= CONFIG ================= */
 
@@ -12,7 +14,10 @@ const EVENTS_PATH =
   process.env.SECURITY_EVENTS_PATH ||
   path.join("/tmp", "security_events.json");
 
-const MAX_EVENTS = 2000;
+// Beyond this the oldest events move to an archive file (retention/archive.service.js),
+// down to 90% so files are not written one event at a time; age-based retention is
+// retention/retention.service.js
+const MAX_EVENTS = Math.max(1, Number(process.env.SECURITY_EVENTS_MAX || 2000));
 
 /* ================= HELPERS ================= */
 
@@ -35,6 +40,14 @@ let state = {
   events: [],
 };
 
+// onEvent(fn) listeners (SIEM forwarding) — called with every recorded event
+const listeners = new Set();
+
+function onEvent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
 /* ================= LOAD / SAVE ================= */
 
 function load() {
@@ -51,7 +64,9 @@ function save() {
   try {
     state.updatedAt = nowIso();
     if (state.events.length > MAX_EVENTS) {
-      state.events = state.events.slice(-MAX_EVENTS);
+      const over = state.events.length - Math.floor(MAX_EVENTS * 0.9);
+      writeArchive("securityEvents", state.events.slice(0, over), { reason: "cap" });
+      state.events = state.events.slice(over);
     }
     fs.writeFileSync(EVENTS_PATH, JSON.stringify(state, null, 2));
   } catch {}
@@ -99,6 +114,12 @@ function recordEvent({
     meta: evt,
   });
 
+  for (const fn of listeners) {
+    try {
+      fn(evt);
+    } catch {}
+  }
+
   return evt;
 }
 
@@ -112,7 +133,52 @@ function listEvents({ limit = 100, severity = null } = {}) {
   return events.slice(0, limit);
 }
 
+// Every stored event matching predicate (oldest first) — data exports
+function findEvents(predicate) {
+  return state.events.filter((e) => predicate(e));
+}
+
+// Pseudonymise erased ids / emails in stored events (lib/anonymise.js replacements)
+function scrubEvents(replacements) {
+  const out = scrubList(state.events, replacements.filter(([, , only]) => only !== "audit"));
+  if (out.count) {
+    state.events = out.list;
+    save();
+  }
+  return out.count;
+}
+
+// Swap the stored events matching predicate for `events` (single-tenant backup restore)
+function replaceEvents(predicate, events) {
+  const kept = state.events.filter((e) => !predicate(e));
+  state.events = kept.concat(events || []).sort((a, b) => (a.ts || 0) - (b.ts || 0));
+  save();
+  return state.events.length - kept.length;
+}
+
+// Remove the stored events matching predicate -> the removed events (retention)
+function removeEvents(predicate) {
+  const removed = state.events.filter((e) => predicate(e));
+  if (removed.length) {
+    state.events = state.events.filter((e) => !predicate(e));
+    save();
+  }
+  return removed;
+}
+
+// Re-read the events file (after a full backup restore)
+function reloadState() {
+  load();
+}
+
 module.exports = {
+  EVENTS_PATH,
   recordEvent,
   listEvents,
+  findEvents,
+  scrubEvents,
+  replaceEvents,
+  removeEvents,
+  reloadState,
+  onEvent,
 };
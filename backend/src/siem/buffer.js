@@ -0,0 +1,77 @@
+// backend/src/siem/buffer.js
+// Durable retry buffer for one sink: a JSON-lines file holding envelopes that could not
+// be delivered yet, oldest first. Survives restarts; capped at maxItems (oldest dropped).
+
+const fs = require('fs');
+const path = require('path');
+
+function createBuffer(file, { maxItems = 10000 } = {}) {
+  let items = [];
+  let dropped = 0;
+
+  try {
+    items = fs
+      .readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch {}
+
+  function rewrite() {
+    if (!items.length) {
+      fs.rmSync(file, { force: true });
+      return;
+    }
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file + '.tmp', items.map((e) => JSON.stringify(e)).join('\n') + '\n');
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  return {
+    file,
+    get length() {
+      return items.length;
+    },
+    get dropped() {
+      return dropped;
+    },
+
+    peek(n) {
+      return items.slice(0, n);
+    },
+
+    // append envelopes; the oldest beyond maxItems are dropped -> number dropped
+    push(list) {
+      if (!list.length) return 0;
+      items.push(...list);
+      const over = Math.max(0, items.length - maxItems);
+      if (over) {
+        items = items.slice(over);
+        dropped += over;
+        rewrite();
+        return over;
+      }
+      const dir = path.dirname(file);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, list.map((e) => JSON.stringify(e)).join('\n') + '\n');
+      return 0;
+    },
+
+    // remove the first n (delivered)
+    shift(n) {
+      if (!n) return;
+      items = items.slice(n);
+      rewrite();
+    },
+  };
+}
+
+module.exports = { createBuffer };
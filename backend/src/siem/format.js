@@ -0,0 +1,168 @@
+// backend/src/siem/format.js
+// Wire formats for forwarded events (siem/forwarder.service.js).
+//
+// Every forwarded item is an envelope { stream: 'audit' | 'security', record }:
+//   audit     a sealed lib/audit.js record { id, at, action, actorId, targetType, ... }
+//   security  a services/securityEvents.js event { id, ts, iso, type, severity, ... }
+//
+// - rfc5424(env, opts)  one syslog line: <PRI>1 TIMESTAMP HOST APP PROCID MSGID [SD] MSG
+//                       MSG is the record as JSON (or the CEF line with body: 'cef')
+// - cef(env)            ArcSight CEF:0 line
+// - json(env)           { stream, ...record } for HTTP batches
+
+const os = require('os');
+const { version } = require('../../package.json');
+
+const VENDOR = 'AutoShield Tech';
+const PRODUCT = 'AutoShield';
+const DEFAULT_SD_ID = 'autoshield@32473';
+
+// syslog severities (RFC 5424 section 6.2.1)
+const SYSLOG_SEVERITY = {
+  emergency: 0,
+  alert: 1,
+  critical: 2,
+  error: 3,
+  warning: 4,
+  notice: 5,
+  info: 6,
+  debug: 7,
+};
+
+const FACILITIES = {
+  kern: 0, user: 1, daemon: 3, auth: 4, syslog: 5, authpriv: 10,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23,
+};
+
+// security event severities as written by recordEvent() callers -> syslog severity
+const EVENT_SEVERITY = {
+  critical: 'critical',
+  high: 'error',
+  danger: 'error',
+  error: 'error',
+  warn: 'warning',
+  warning: 'warning',
+  medium: 'warning',
+  low: 'notice',
+  info: 'info',
+};
+
+const AUDIT_WARNING_RE = /FAIL|DENIED|LOCK|REVOKE|PURGE|ERASE|RESTORE|IMPERSONAT/;
+
+/**
+ * normalise(env) -> { stream, id, time, name, severity (syslog name), actor, target, companyId, ip, text }
+ * The common view used by filters and both line formats.
+ */
+function normalise({ stream, record: r }) {
+  if (stream === 'security') {
+    return {
+      stream,
+      id: String(r.id || ''),
+      time: r.iso || new Date(r.ts || Date.now()).toISOString(),
+      name: String(r.type || 'event'),
+      severity: EVENT_SEVERITY[String(r.severity || 'info').toLowerCase()] || 'info',
+      actor: r.meta?.userId || r.meta?.email || null,
+      target: r.target ?? null,
+      companyId: r.meta?.companyId || null,
+      ip: r.meta?.ip || r.source || null, // callers put the client ip in `source`
+      text: String(r.description || r.type || ''),
+    };
+  }
+  const action = String(r.action || 'EVENT');
+  return {
+    stream: 'audit',
+    id: String(r.id || ''),
+    time: r.at || new Date().toISOString(),
+    name: action,
+    severity: AUDIT_WARNING_RE.test(action) ? 'warning' : 'notice',
+    actor: r.actorId ?? null,
+    target: r.targetId ? `${r.targetType || 'Target'}:${r.targetId}` : null,
+    companyId: r.companyId ?? null,
+    ip: r.metadata?.ip || null,
+    text: action,
+  };
+}
+
+/* ================= CEF ================= */
+
+const cefHeader = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+const cefValue = (v) =>
+  String(v ?? '').replace(/\\/g, '\\\\').replace(/=/g, '\\=').replace(/\r?\n/g, '\\n').replace(/\r/g, '\\r');
+
+// syslog severity -> CEF 0..10
+const CEF_SEVERITY = { emergency: 10, alert: 10, critical: 9, error: 7, warning: 5, notice: 3, info: 2, debug: 1 };
+
+function cef(env) {
+  const n = normalise(env);
+  const r = env.record;
+  const ext = [
+    ['rt', Date.parse(n.time) || Date.now()],
+    ['externalId', n.id],
+    ['cat', n.stream],
+    ['act', n.name],
+    ['suser', n.actor],
+    ['duser', n.target],
+    ['src', n.ip],
+    ['cs1Label', n.companyId ? 'companyId' : null],
+    ['cs1', n.companyId],
+    ['cs2Label', env.stream === 'audit' && r.impersonatorId ? 'impersonatorId' : null],
+    ['cs2', env.stream === 'audit' ? r.impersonatorId : null],
+    ['msg', env.stream === 'audit' ? JSON.stringify(r.metadata ?? null) : n.text],
+  ]
+    .filter(([, v]) => v !== null && v !== undefined && v !== '')
+    .map(([k, v]) => `${k}=${cefValue(v)}`)
+    .join(' ');
+
+  return [
+    'CEF:0',
+    cefHeader(VENDOR),
+    cefHeader(PRODUCT),
+    cefHeader(version),
+    cefHeader(`${n.stream}:${n.name}`),
+    cefHeader(n.text),
+    CEF_SEVERITY[n.severity] ?? 3,
+    ext,
+  ].join('|');
+}
+
+/* ================= RFC 5424 ================= */
+
+const printable = (v, max) => (String(v ?? '').replace(/[^\x21-\x7e]/g, '').slice(0, max) || '-');
+const sdValue = (v) => String(v ?? '').replace(/[\\"\]]/g, (c) => `\\${c}`);
+
+/**
+ * rfc5424(env, { facility, appName, hostname, sdId, body }) -> string (no framing)
+ * body: 'json' (default) or 'cef'
+ */
+function rfc5424(env, { facility = 'local0', appName = 'autoshield', hostname = os.hostname(), sdId = DEFAULT_SD_ID, body = 'json' } = {}) {
+  const n = normalise(env);
+  const pri = (FACILITIES[facility] ?? FACILITIES.local0) * 8 + SYSLOG_SEVERITY[n.severity];
+
+  const params = [
+    ['stream', n.stream],
+    ['id', n.id],
+    ['actor', n.actor],
+    ['target', n.target],
+    ['companyId', n.companyId],
+  ].filter(([, v]) => v !== null && v !== undefined && v !== '');
+  const sd = `[${printable(sdId, 32)} ${params.map(([k, v]) => `${k}="${sdValue(v)}"`).join(' ')}]`;
+
+  const msg = body === 'cef' ? cef(env) : JSON.stringify(json(env));
+  return `<${pri}>1 ${n.time} ${printable(hostname, 255)} ${printable(appName, 48)} ${process.pid} ${printable(n.name, 32)} ${sd} ${msg}`;
+}
+
+/* ================= JSON ================= */
+
+function json({ stream, record }) {
+  const { _rev, ...rest } = record || {};
+  return { stream, ...rest };
+}
+
+module.exports = {
+  SYSLOG_SEVERITY,
+  FACILITIES,
+  normalise,
+  cef,
+  rfc5424,
+  json,
+};
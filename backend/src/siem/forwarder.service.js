@@ -0,0 +1,396 @@
+// backend/src/siem/forwarder.service.js
+// Real-time forwarding of audit records (lib/audit.js) and security events
+// (services/securityEvents.js recordEvent) to SIEM sinks.
+//
+// Configuration: SIEM_SINKS (JSON array) or SIEM_CONFIG_PATH (JSON file { sinks: [...] }).
+// Each sink = { id, type, enabled, filter, ...type options }:
+//   type 'syslog'  RFC 5424 over udp / tcp / tls, JSON or CEF body (sinks/syslog.sink.js)
+//   type 'http'    batched JSON POSTs (sinks/http.sink.js)
+//   more types: registerSinkType(type, factory) before start()
+//
+//   filter = { streams: ['audit', 'security'],      default both
+//              include: ['LOGIN*', 'account_*'],     action / event type globs (any)
+//              exclude: ['PROFILE_VIEWED'],
+//              minSeverity: 'warning',               syslog severity (siem/format.js)
+//              companyIds: ['...'] }                 only records of these companies
+//
+// Delivery: every sink has its own in-memory queue, sent in batches (batchSize, default
+// 100; http sinks wait up to flushMs for a batch to fill). A batch that fails goes to the
+// sink's retry buffer on disk (SIEM_BUFFER_DIR, default data/siem/<id>.jsonl) together with
+// everything queued behind it, and is retried with exponential backoff (SIEM_RETRY_BASE_MS
+// 1000 .. SIEM_RETRY_MAX_MS 300000); while anything is buffered, new items are buffered
+// too so order is kept, as is anything beyond SIEM_QUEUE_MAX (default 10000) queued items.
+// The buffer holds SIEM_BUFFER_MAX (default 10000) items per sink, dropping the oldest.
+// Items still queued at shutdown are written to the buffer.
+//
+// Forwarded copies live outside this system: erasure and purge (lib/anonymise.js) cannot
+// reach them, and buffered items keep the original values until they are delivered.
+
+const path = require('path');
+const { onAudit, audit } = require('../lib/audit');
+const securityEvents = require('../services/securityEvents');
+const format = require('./format');
+const { createBuffer } = require('./buffer');
+const { createSyslogSink } = require('./sinks/syslog.sink');
+const { createHttpSink } = require('./sinks/http.sink');
+
+const BUFFER_DIR =
+  (process.env.SIEM_BUFFER_DIR && String(process.env.SIEM_BUFFER_DIR).trim()) ||
+  path.join(__dirname, '..', 'data', 'siem');
+
+const RETRY_BASE_MS = Math.max(10, Number(process.env.SIEM_RETRY_BASE_MS || 1000));
+const RETRY_MAX_MS = Math.max(RETRY_BASE_MS, Number(process.env.SIEM_RETRY_MAX_MS || 300000));
+const BUFFER_MAX = Math.max(1, Number(process.env.SIEM_BUFFER_MAX || 10000));
+const QUEUE_MAX = Math.max(1, Number(process.env.SIEM_QUEUE_MAX || 10000));
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const STREAMS = ['audit', 'security'];
+
+const SINK_TYPES = {
+  syslog: createSyslogSink,
+  http: createHttpSink,
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function registerSinkType(type, factory) {
+  if (typeof factory !== 'function') throw new Error('factory must be a function');
+  SINK_TYPES[String(type)] = factory;
+}
+
+/* ================= CONFIG ================= */
+
+function readConfig() {
+  const raw = process.env.SIEM_SINKS && String(process.env.SIEM_SINKS).trim();
+  if (raw) return JSON.parse(raw);
+
+  const file = process.env.SIEM_CONFIG_PATH && String(process.env.SIEM_CONFIG_PATH).trim();
+  if (!file) return [];
+  const parsed = JSON.parse(require('fs').readFileSync(file, 'utf-8'));
+  return Array.isArray(parsed) ? parsed : parsed.sinks || [];
+}
+
+function globToRe(glob) {
+  const body = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+/**
+ * compileFilter(filter) -> (normalised envelope) => boolean
+ */
+function compileFilter(filter = {}) {
+  const streams = Array.isArray(filter.streams) && filter.streams.length ? filter.streams : STREAMS;
+  for (const s of streams) if (!STREAMS.includes(s)) throw new Error(`filter.streams: unknown stream ${s}`);
+
+  const include = (filter.include || []).map(globToRe);
+  const exclude = (filter.exclude || []).map(globToRe);
+  const companies = Array.isArray(filter.companyIds) && filter.companyIds.length ? new Set(filter.companyIds.map(String)) : null;
+
+  let maxLevel = format.SYSLOG_SEVERITY.debug;
+  if (filter.minSeverity) {
+    maxLevel = format.SYSLOG_SEVERITY[String(filter.minSeverity).toLowerCase()];
+    if (maxLevel === undefined) throw new Error(`filter.minSeverity: unknown severity ${filter.minSeverity}`);
+  }
+
+  return (n) =>
+    streams.includes(n.stream) &&
+    format.SYSLOG_SEVERITY[n.severity] <= maxLevel &&
+    (!include.length || include.some((re) => re.test(n.name))) &&
+    !exclude.some((re) => re.test(n.name)) &&
+    (!companies || companies.has(String(n.companyId || '')));
+}
+
+/* ================= RUNTIME ================= */
+
+let sinks = [];
+let unsubscribe = [];
+const received = { audit: 0, security: 0 };
+
+function newMetrics() {
+  return {
+    received: 0,
+    filtered: 0,
+    delivered: 0,
+    batches: 0,
+    failedAttempts: 0,
+    dropped: 0,
+    lastDeliveredAt: null,
+    lastErrorAt: null,
+    lastError: null,
+  };
+}
+
+function buildSink(cfg) {
+  const id = String(cfg?.id || '');
+  const rt = {
+    id,
+    type: String(cfg?.type || ''),
+    enabled: cfg?.enabled !== false,
+    error: null,
+    sink: null,
+    match: () => false,
+    batchSize: Math.max(1, Math.min(1000, Number(cfg?.batchSize || 100))),
+    flushMs: cfg?.type === 'http' ? Math.max(0, Number(cfg?.flushMs ?? 2000)) : 0,
+    queue: [],
+    buffer: null,
+    metrics: newMetrics(),
+    failures: 0,
+    retryAt: 0,
+    inFlight: false,
+    timer: null,
+    firstQueuedAt: 0,
+  };
+
+  try {
+    if (!ID_RE.test(id)) throw new Error('id must be 1-40 lowercase letters, digits, - or _');
+    const factory = SINK_TYPES[rt.type];
+    if (!factory) throw new Error(`unknown type ${rt.type || '(none)'}; known: ${Object.keys(SINK_TYPES).join(', ')}`);
+    rt.match = compileFilter(cfg.filter);
+    rt.sink = factory(cfg);
+    rt.buffer = createBuffer(path.join(BUFFER_DIR, `${id}.jsonl`), { maxItems: BUFFER_MAX });
+  } catch (e) {
+    rt.enabled = false;
+    rt.error = e?.message || String(e);
+  }
+  return rt;
+}
+
+function schedule(rt, ms) {
+  if (rt.timer) return;
+  rt.timer = setTimeout(() => {
+    rt.timer = null;
+    pump(rt);
+  }, Math.max(0, ms));
+  rt.timer.unref();
+}
+
+function spill(rt, list) {
+  const over = rt.buffer.push(list);
+  rt.metrics.dropped += over;
+}
+
+function backoffMs(failures) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.min(30, failures - 1));
+}
+
+async function pump(rt) {
+  if (rt.inFlight || !rt.enabled) return;
+
+  const wait = rt.retryAt - Date.now();
+  if (wait > 0) return schedule(rt, wait);
+
+  const fromBuffer = rt.buffer.length > 0;
+  if (!fromBuffer && !rt.queue.length) return;
+
+  if (!fromBuffer && rt.flushMs && rt.queue.length < rt.batchSize) {
+    const age = Date.now() - rt.firstQueuedAt;
+    if (age < rt.flushMs) return schedule(rt, rt.flushMs - age);
+  }
+
+  const batch = fromBuffer ? rt.buffer.peek(rt.batchSize) : rt.queue.splice(0, rt.batchSize);
+  rt.firstQueuedAt = rt.queue.length ? Date.now() : 0;
+  rt.inFlight = true;
+
+  try {
+    await rt.sink.send(batch);
+    if (fromBuffer) rt.buffer.shift(batch.length);
+    rt.failures = 0;
+    rt.retryAt = 0;
+    rt.metrics.delivered += batch.length;
+    rt.metrics.batches++;
+    rt.metrics.lastDeliveredAt = nowISO();
+  } catch (e) {
+    rt.failures++;
+    rt.retryAt = Date.now() + backoffMs(rt.failures);
+    rt.metrics.failedAttempts++;
+    rt.metrics.lastErrorAt = nowISO();
+    rt.metrics.lastError = e?.message || String(e);
+    if (!fromBuffer) spill(rt, batch);
+    spill(rt, rt.queue.splice(0));
+  } finally {
+    rt.inFlight = false;
+  }
+
+  if (rt.buffer.length || rt.queue.length) schedule(rt, rt.retryAt ? rt.retryAt - Date.now() : 0);
+}
+
+function enqueue(rt, env, n) {
+  if (!rt.enabled) return;
+  rt.metrics.received++;
+  if (!rt.match(n)) {
+    rt.metrics.filtered++;
+    return;
+  }
+  // keep order behind anything waiting on disk, and bound memory
+  if (rt.buffer.length || rt.queue.length >= QUEUE_MAX) {
+    spill(rt, [env]);
+  } else {
+    if (!rt.queue.length) rt.firstQueuedAt = Date.now();
+    rt.queue.push(env);
+  }
+  if (!rt.inFlight) schedule(rt, 0);
+}
+
+function forward(stream, record) {
+  if (!sinks.length || !record) return;
+  received[stream]++;
+  const env = { stream, record };
+  const n = format.normalise(env);
+  for (const rt of sinks) enqueue(rt, env, n);
+}
+
+/* ================= LIFECYCLE ================= */
+
+/**
+ * start({ sinks }) -> number of enabled sinks
+ * sinks defaults to SIEM_SINKS / SIEM_CONFIG_PATH. Calling start() again replaces the set.
+ */
+function start({ sinks: configs } = {}) {
+  stop();
+
+  let list = configs;
+  if (!list) {
+    try {
+      list = readConfig();
+    } catch (e) {
+      console.error('[siem] invalid configuration:', e?.message || e);
+      list = [];
+    }
+  }
+
+  const seen = new Set();
+  sinks = (Array.isArray(list) ? list : []).map((cfg) => {
+    const rt = buildSink(cfg);
+    if (rt.enabled && seen.has(rt.id)) {
+      rt.enabled = false;
+      rt.error = 'duplicate sink id';
+    }
+    seen.add(rt.id);
+    if (rt.error) console.error(`[siem] sink ${rt.id || '?'} disabled: ${rt.error}`);
+    return rt;
+  });
+
+  if (sinks.length) {
+    unsubscribe = [onAudit((rec) => forward('audit', rec)), securityEvents.onEvent((evt) => forward('security', evt))];
+    for (const rt of sinks) if (rt.enabled && rt.buffer.length) schedule(rt, 0);
+  }
+  return sinks.filter((rt) => rt.enabled).length;
+}
+
+// Queued items go to the disk buffer; connections are closed
+function stop() {
+  for (const fn of unsubscribe) fn();
+  unsubscribe = [];
+  for (const rt of sinks) {
+    if (rt.timer) clearTimeout(rt.timer);
+    rt.timer = null;
+    if (rt.buffer && rt.queue.length) spill(rt, rt.queue.splice(0));
+    try {
+      if (rt.sink) rt.sink.close();
+    } catch {}
+  }
+  sinks = [];
+}
+
+process.on('exit', () => {
+  for (const rt of sinks) if (rt.buffer && rt.queue.length) spill(rt, rt.queue.splice(0));
+});
+
+/* ================= STATUS ================= */
+
+function statusOf(rt) {
+  return {
+    id: rt.id,
+    type: rt.type,
+    enabled: rt.enabled,
+    error: rt.error,
+    target: rt.sink ? rt.sink.describe() : null,
+    state: !rt.enabled ? 'disabled' : rt.retryAt > Date.now() ? 'retrying' : 'ok',
+    retryAt: rt.retryAt > Date.now() ? new Date(rt.retryAt).toISOString() : null,
+    queued: rt.queue.length,
+    buffered: rt.buffer ? rt.buffer.length : 0,
+    ...rt.metrics,
+  };
+}
+
+function status() {
+  return { received: { ...received }, sinks: sinks.map(statusOf) };
+}
+
+function runtime(id) {
+  const rt = sinks.find((x) => x.id === String(id || ''));
+  if (!rt) throw httpError(404, 'Sink not found');
+  return rt;
+}
+
+/**
+ * sendTest(id, { actorId }) -> { ok, error, sink }
+ * Sends one synthetic security event straight to the sink (no filter, no buffer).
+ */
+async function sendTest(id, { actorId = null } = {}) {
+  const rt = runtime(id);
+  if (!rt.enabled) throw httpError(409, `Sink is disabled: ${rt.error || 'enabled is false'}`);
+
+  const at = nowISO();
+  const env = {
+    stream: 'security',
+    record: {
+      id: `siem_test_${Date.now()}`,
+      ts: Date.parse(at),
+      iso: at,
+      type: 'siem_test',
+      severity: 'info',
+      source: 'autoshield',
+      target: rt.id,
+      description: 'AutoShield SIEM forwarding test event',
+      meta: { actorId },
+    },
+  };
+
+  let error = null;
+  try {
+    await rt.sink.send([env]);
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+
+  audit({
+    actorId: actorId ? String(actorId) : null,
+    action: 'SIEM_SINK_TESTED',
+    targetType: 'SiemSink',
+    targetId: rt.id,
+    metadata: { ok: !error, error },
+  });
+
+  return { ok: !error, error, sink: statusOf(rt) };
+}
+
+// Skip the backoff and try the buffered items now
+function retryNow(id) {
+  const rt = runtime(id);
+  if (!rt.enabled) throw httpError(409, `Sink is disabled: ${rt.error || 'enabled is false'}`);
+  rt.retryAt = 0;
+  if (rt.timer) clearTimeout(rt.timer);
+  rt.timer = null;
+  schedule(rt, 0);
+  return statusOf(rt);
+}
+
+module.exports = {
+  BUFFER_DIR,
+  registerSinkType,
+  compileFilter,
+  start,
+  stop,
+  status,
+  sendTest,
+  retryNow,
+};
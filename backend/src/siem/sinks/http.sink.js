@@ -0,0 +1,42 @@
+// backend/src/siem/sinks/http.sink.js
+// Batches of JSON events over HTTP(S): POST <url> with a JSON array body.
+//
+// Sink config:
+//   { type: 'http', url, headers: { Authorization: 'Bearer ...' }, batchSize: 100,
+//     flushMs: 2000, timeoutMs: 10000 }
+// Any 2xx answer delivers the whole batch; anything else (or no answer) retries it.
+
+const format = require('../format');
+
+function createHttpSink(cfg) {
+  let url;
+  try {
+    url = new URL(String(cfg.url || ''));
+  } catch {
+    throw new Error('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be an absolute http(s) URL');
+
+  const headers = { 'content-type': 'application/json', ...(cfg.headers || {}) };
+  const timeoutMs = Number(cfg.timeoutMs || 10000);
+
+  return {
+    type: 'http',
+    describe: () => ({ url: `${url.origin}${url.pathname}`, format: 'json' }),
+
+    async send(envelopes) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(envelopes.map(format.json)),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${url.host}`);
+      await res.arrayBuffer().catch(() => {});
+    },
+
+    close() {},
+  };
+}
+
+module.exports = { createHttpSink };
@@ -0,0 +1,134 @@
+// backend/src/siem/sinks/syslog.sink.js
+// RFC 5424 syslog over UDP (RFC 5426), TCP (RFC 6587 octet counting) or TLS (RFC 5425).
+//
+// Sink config:
+//   { type: 'syslog', protocol: 'udp' | 'tcp' | 'tls', host, port (514 / 514 / 6514),
+//     format: 'rfc5424' (JSON body) | 'cef' (CEF body), facility: 'local0', appName,
+//     hostname, sdId, connectTimeoutMs: 5000,
+//     tls: { ca, cert, key (PEM text or file path), rejectUnauthorized: true, servername } }
+//
+// UDP cannot tell whether anyone received a datagram: only local send errors count as
+// failures. TCP / TLS keep one connection open and reconnect on the next batch after
+// an error.
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const dgram = require('dgram');
+const format = require('../format');
+
+const DEFAULT_PORTS = { udp: 514, tcp: 514, tls: 6514 };
+
+// PEM text, or a path to a PEM file
+function pem(v) {
+  if (!v) return undefined;
+  const s = String(v);
+  return s.includes('-----BEGIN') ? s : fs.readFileSync(s, 'utf-8');
+}
+
+function createSyslogSink(cfg) {
+  const protocol = String(cfg.protocol || 'udp').toLowerCase();
+  if (!DEFAULT_PORTS[protocol]) throw new Error(`protocol must be udp, tcp or tls`);
+  if (!cfg.host) throw new Error('host is required');
+
+  const host = String(cfg.host);
+  const port = Number(cfg.port || DEFAULT_PORTS[protocol]);
+  const connectTimeoutMs = Number(cfg.connectTimeoutMs || 5000);
+  const lineOpts = {
+    facility: cfg.facility,
+    appName: cfg.appName,
+    hostname: cfg.hostname,
+    sdId: cfg.sdId,
+    body: cfg.format === 'cef' ? 'cef' : 'json',
+  };
+  const tlsOpts =
+    protocol === 'tls'
+      ? {
+          ca: pem(cfg.tls?.ca),
+          cert: pem(cfg.tls?.cert),
+          key: pem(cfg.tls?.key),
+          rejectUnauthorized: cfg.tls?.rejectUnauthorized !== false,
+          servername: cfg.tls?.servername || (net.isIP(host) ? undefined : host),
+        }
+      : null;
+
+  let udp = null;
+  let socket = null;
+
+  function connect() {
+    if (socket && !socket.destroyed && !socket.connecting) return Promise.resolve(socket);
+    if (socket) socket.destroy();
+
+    return new Promise((resolve, reject) => {
+      const s =
+        protocol === 'tls'
+          ? tls.connect({ host, port, ...tlsOpts })
+          : net.connect({ host, port });
+      const ready = protocol === 'tls' ? 'secureConnect' : 'connect';
+      const timer = setTimeout(() => s.destroy(new Error(`connect to ${host}:${port} timed out`)), connectTimeoutMs);
+
+      s.once(ready, () => {
+        clearTimeout(timer);
+        s.setKeepAlive(true);
+        s.on('error', () => s.destroy()); // later errors surface on the next write
+        resolve(s);
+      });
+      s.once('error', (e) => {
+        clearTimeout(timer);
+        reject(e);
+      });
+      socket = s;
+    });
+  }
+
+  function sendUdp(lines) {
+    if (!udp) {
+      udp = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+      udp.unref();
+      udp.on('error', () => {});
+    }
+    return Promise.all(
+      lines.map(
+        (line) =>
+          new Promise((resolve, reject) => {
+            udp.send(Buffer.from(line), port, host, (err) => (err ? reject(err) : resolve()));
+          })
+      )
+    );
+  }
+
+  async function sendStream(lines) {
+    const s = await connect();
+    const frames = lines.map((line) => {
+      const buf = Buffer.from(line);
+      return Buffer.concat([Buffer.from(`${buf.length} `), buf]);
+    });
+    await new Promise((resolve, reject) => {
+      s.write(Buffer.concat(frames), (err) => (err ? reject(err) : resolve()));
+    }).catch((e) => {
+      s.destroy();
+      throw e;
+    });
+  }
+
+  return {
+    type: 'syslog',
+    describe: () => ({ protocol, host, port, format: lineOpts.body === 'cef' ? 'cef' : 'rfc5424' }),
+
+    // envelopes -> resolves when written, rejects on failure (the batch is retried)
+    async send(envelopes) {
+      const lines = envelopes.map((env) => format.rfc5424(env, lineOpts));
+      if (protocol === 'udp') return sendUdp(lines);
+      return sendStream(lines);
+    },
+
+    close() {
+      if (socket) socket.end();
+      if (udp) udp.close();
+      socket = null;
+      udp = null;
+    },
+  };
+}
+
+module.exports = { createSyslogSink };
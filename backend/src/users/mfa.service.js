@@ -0,0 +1,354 @@
+// backend/src/users/mfa.service.js
+// TOTP multi-factor authentication: enrollment, login verification,
+// recovery codes and admin-forced MFA (per role / per company).
+//
+// Stored on the user record:
+//   u.mfa = {
+//     enabled, secret, enrolledAt, lastStep,
+//     pendingSecret, pendingAt,            // enrollment in progress
+//     recoveryCodes: [{ hash, usedAt }]    // sha256, shown once
+//   }
+//
+// Policy lives in db.settings.mfa.requiredRoles and companies[].mfaRequired.
+// companies[].mfaRequired applies to whichever company a session acts in (members of
+// several companies, middleware/tenant.js), not only the user's primary one.
+
+const crypto = require('crypto');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+const { createNotification } = require('../lib/notify');
+const totp = require('../auth/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const PENDING_TTL_MS = 15 * 60 * 1000;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function ensureSettings(db) {
+  if (!db.settings || typeof db.settings !== 'object') db.settings = {};
+  if (!db.settings.mfa || typeof db.settings.mfa !== 'object') db.settings.mfa = {};
+  if (!Array.isArray(db.settings.mfa.requiredRoles)) db.settings.mfa.requiredRoles = [];
+  return db.settings.mfa;
+}
+
+function findUser(db, id) {
+  const u = (db.users || []).find((x) => x.id === id);
+  if (!u) throw new Error('User not found');
+  return u;
+}
+
+function hashCode(code) {
+  const norm = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(norm).digest('hex');
+}
+
+// xxxxx-xxxxx (hex, 40 bits each)
+function newRecoveryCodes() {
+  const plain = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    plain.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    plain,
+    stored: plain.map((c) => ({ hash: hashCode(c), usedAt: null })),
+  };
+}
+
+/* ================= POLICY ================= */
+
+function isMfaRequired(user, db = readDb()) {
+  if (!user) return false;
+  const policy = ensureSettings(db);
+
+  const role = String(user.role || '').toLowerCase();
+  if (policy.requiredRoles.some((r) => String(r).toLowerCase() === role)) return true;
+
+  if (user.companyId) {
+    const c = (db.companies || []).find((x) => String(x.id) === String(user.companyId));
+    if (c && c.mfaRequired) return true;
+  }
+
+  return false;
+}
+
+/**
+ * passedFor(method, companyId)
+ * method: the session's `mfa` ('totp' | 'sso:<companyId>', see auth/session.service.js).
+ * An SSO sign-in only counts for the company whose IdP handled it.
+ */
+function passedFor(method, companyId) {
+  return method === 'totp' || (!!companyId && method === `sso:${companyId}`);
+}
+
+function getPolicy() {
+  const db = readDb();
+  const policy = ensureSettings(db);
+  return {
+    requiredRoles: policy.requiredRoles.slice(),
+    companies: (db.companies || []).filter((c) => c.mfaRequired).map((c) => c.id),
+  };
+}
+
+function setRequiredRoles(roles, actorId) {
+  const db = readDb();
+  const policy = ensureSettings(db);
+
+  const list = Array.isArray(roles) ? roles : [];
+  policy.requiredRoles = Array.from(
+    new Set(list.map((r) => String(r || '').trim()).filter(Boolean))
+  );
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'MFA_POLICY_ROLES_SET',
+    targetType: 'Settings',
+    targetId: 'mfa',
+    metadata: { requiredRoles: policy.requiredRoles },
+  });
+
+  return getPolicy();
+}
+
+function setCompanyRequired(companyId, required, actorId) {
+  const db = readDb();
+  const c = (db.companies || []).find((x) => String(x.id) === String(companyId));
+  if (!c) throw new Error('Company not found');
+
+  c.mfaRequired = !!required;
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: c.mfaRequired ? 'MFA_POLICY_COMPANY_REQUIRED' : 'MFA_POLICY_COMPANY_OPTIONAL',
+    targetType: 'Company',
+    targetId: c.id,
+  });
+
+  if (c.mfaRequired) {
+    createNotification({
+      companyId: c.id,
+      severity: 'warn',
+      category: 'security',
+      title: 'MFA required',
+      message: 'Your administrator now requires MFA for every member of this company.',
+    });
+  }
+
+  return c;
+}
+
+/* ================= STATUS ================= */
+
+function statusFor(user, db = readDb()) {
+  const m = user?.mfa || {};
+  return {
+    enabled: !!m.enabled,
+    enrolledAt: m.enrolledAt || null,
+    pending: !!m.pendingSecret,
+    required: isMfaRequired(user, db),
+    recoveryCodesRemaining: Array.isArray(m.recoveryCodes)
+      ? m.recoveryCodes.filter((c) => !c.usedAt).length
+      : 0,
+  };
+}
+
+function getStatus(userId) {
+  const db = readDb();
+  return statusFor(findUser(db, userId), db);
+}
+
+function isEnabled(user) {
+  return !!(user && user.mfa && user.mfa.enabled && user.mfa.secret);
+}
+
+/* ================= ENROLLMENT ================= */
+
+function beginEnrollment(userId) {
+  const db = readDb();
+  const u = findUser(db, userId);
+
+  if (isEnabled(u)) throw new Error('MFA already enabled');
+
+  const secret = totp.generateSecret();
+  u.mfa = { ...(u.mfa || {}), pendingSecret: secret, pendingAt: nowISO() };
+  writeDb(db);
+
+  audit({ actorId: u.id, action: 'MFA_ENROLL_STARTED', targetType: 'User', targetId: u.id });
+
+  return {
+    secret,
+    otpauthUrl: totp.otpauthUrl({
+      secret,
+      account: u.email,
+      issuer: process.env.MFA_ISSUER || 'AutoShield Tech',
+    }),
+  };
+}
+
+function confirmEnrollment(userId, code) {
+  const db = readDb();
+  const u = findUser(db, userId);
+  const m = u.mfa || {};
+
+  if (isEnabled(u)) throw new Error('MFA already enabled');
+  if (!m.pendingSecret) throw new Error('No MFA enrollment in progress');
+
+  if (Date.now() - new Date(m.pendingAt || 0).getTime() > PENDING_TTL_MS) {
+    throw new Error('MFA enrollment expired, start again');
+  }
+
+  const step = totp.verifyCode(m.pendingSecret, code);
+  if (step === null) throw new Error('Invalid MFA code');
+
+  const codes = newRecoveryCodes();
+
+  u.mfa = {
+    enabled: true,
+    secret: m.pendingSecret,
+    enrolledAt: nowISO(),
+    lastStep: step,
+    recoveryCodes: codes.stored,
+  };
+  writeDb(db);
+
+  audit({ actorId: u.id, action: 'MFA_ENABLED', targetType: 'User', targetId: u.id });
+
+  createNotification({
+    userId: u.id,
+    severity: 'ok',
+    category: 'security',
+    title: 'MFA enabled',
+    message: 'Two-factor authentication is now active. Store your recovery codes somewhere safe.',
+  });
+
+  return { enabled: true, recoveryCodes: codes.plain };
+}
+
+/* ================= VERIFICATION ================= */
+
+/**
+ * verifySecondFactor(userId, { code, recoveryCode })
+ * - TOTP codes are single-use (lastStep replay guard)
+ * - recovery codes are consumed on use
+ * Returns { ok, method, recoveryCodesRemaining }
+ */
+function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const db = readDb();
+  const u = findUser(db, userId);
+  if (!isEnabled(u)) return { ok: false };
+
+  const m = u.mfa;
+
+  if (code) {
+    const step = totp.verifyCode(m.secret, code, {
+      afterStep: Number.isFinite(m.lastStep) ? m.lastStep : null,
+    });
+    if (step === null) return { ok: false };
+
+    m.lastStep = step;
+    writeDb(db);
+    return { ok: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const h = hashCode(recoveryCode);
+    const rc = (m.recoveryCodes || []).find((c) => !c.usedAt && c.hash === h);
+    if (!rc) return { ok: false };
+
+    rc.usedAt = nowISO();
+    writeDb(db);
+
+    const remaining = m.recoveryCodes.filter((c) => !c.usedAt).length;
+
+    audit({
+      actorId: u.id,
+      action: 'MFA_RECOVERY_CODE_USED',
+      targetType: 'User',
+      targetId: u.id,
+      metadata: { remaining },
+    });
+
+    createNotification({
+      userId: u.id,
+      severity: 'warn',
+      category: 'security',
+      title: 'Recovery code used',
+      message: `A recovery code was used to sign in. ${remaining} code(s) remaining.`,
+    });
+
+    return { ok: true, method: 'recovery', recoveryCodesRemaining: remaining };
+  }
+
+  return { ok: false };
+}
+
+function regenerateRecoveryCodes(userId, code) {
+  if (!verifySecondFactor(userId, { code }).ok) throw new Error('Invalid MFA code');
+
+  const db = readDb();
+  const u = findUser(db, userId);
+
+  const codes = newRecoveryCodes();
+  u.mfa.recoveryCodes = codes.stored;
+  writeDb(db);
+
+  audit({ actorId: u.id, action: 'MFA_RECOVERY_CODES_REGENERATED', targetType: 'User', targetId: u.id });
+
+  return { recoveryCodes: codes.plain };
+}
+
+/**
+ * disable(userId, actorId)
+ * Self-service callers must have verified password + code beforehand.
+ * Admin reset passes its own actorId.
+ */
+function disable(userId, actorId) {
+  const db = readDb();
+  const u = findUser(db, userId);
+
+  const wasEnabled = isEnabled(u);
+  u.mfa = { enabled: false };
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: actorId === userId ? 'MFA_DISABLED' : 'MFA_RESET_BY_ADMIN',
+    targetType: 'User',
+    targetId: u.id,
+  });
+
+  if (wasEnabled) {
+    createNotification({
+      userId: u.id,
+      severity: 'warn',
+      category: 'security',
+      title: 'MFA disabled',
+      message:
+        actorId === userId
+          ? 'Two-factor authentication was turned off for your account.'
+          : 'An administrator reset two-factor authentication on your account. Please enroll again.',
+    });
+  }
+
+  return statusFor(u, db);
+}
+
+module.exports = {
+  isMfaRequired,
+  isEnabled,
+  passedFor,
+  getPolicy,
+  setRequiredRoles,
+  setCompanyRequired,
+  statusFor,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -0,0 +1,265 @@
+// backend/src/users/passwordPolicy.js
+// Single password policy used by createUser, setPassword and reset-password.
+//
+// Effective policy = DEFAULT_POLICY <- db.settings.passwordPolicy <- companies[].passwordPolicy
+//
+// Rules:
+// - minLength / maxLength
+// - character classes (upper, lower, digit, symbol)
+// - banned list (local file, PASSWORD_BANNED_LIST_PATH) + "contains your email"
+// - history: reject the last N passwords (bcrypt hashes in users[].passwordHistory)
+// - maxAgeDays: password expiry (0 = never), surfaced as a posture check
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { readDb, writeDb } = require('../lib/db');
+const { audit } = require('../lib/audit');
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 200,
+  requireUpper: true,
+  requireLower: true,
+  requireDigit: true,
+  requireSymbol: false,
+  historyCount: 5,
+  maxAgeDays: 0,
+  banCommon: true,
+};
+
+const EXPIRY_WARN_DAYS = 14;
+
+const BANNED_PATH =
+  (process.env.PASSWORD_BANNED_LIST_PATH && String(process.env.PASSWORD_BANNED_LIST_PATH).trim()) ||
+  path.join(__dirname, 'banned-passwords.txt');
+
+let bannedCache = null;
+
+function loadBanned() {
+  if (bannedCache) return bannedCache;
+  try {
+    const raw = fs.readFileSync(BANNED_PATH, 'utf-8');
+    bannedCache = new Set(
+      raw
+        .split(/\r?\n/)
+        .map((l) => l.trim().toLowerCase())
+        .filter((l) => l && !l.startsWith('#'))
+    );
+  } catch {
+    bannedCache = new Set();
+  }
+  return bannedCache;
+}
+
+/* ================= POLICY RESOLUTION ================= */
+
+// Only known keys with sane types survive (used for admin input too)
+function normalizeOverrides(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const out = {};
+
+  for (const k of ['minLength', 'maxLength', 'historyCount', 'maxAgeDays']) {
+    if (typeof src[k] === 'undefined' || src[k] === null) continue;
+    const n = Number(src[k]);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid password policy value: ${k}`);
+    out[k] = Math.floor(n);
+  }
+  for (const k of ['requireUpper', 'requireLower', 'requireDigit', 'requireSymbol', 'banCommon']) {
+    if (typeof src[k] === 'undefined' || src[k] === null) continue;
+    out[k] = !!src[k];
+  }
+
+  if (out.minLength !== undefined && out.minLength < 6) {
+    throw new Error('Password policy minLength cannot be lower than 6');
+  }
+  if (out.historyCount !== undefined) out.historyCount = Math.min(out.historyCount, 24);
+  assertCoherent(out);
+
+  return out;
+}
+
+// maxLength 0 = no upper limit
+function assertCoherent(policy, label = 'Password policy') {
+  if (policy.maxLength && policy.minLength !== undefined && policy.maxLength < policy.minLength) {
+    throw new Error(`${label}: maxLength (${policy.maxLength}) cannot be lower than minLength (${policy.minLength})`);
+  }
+}
+
+function policyFor(db, companyId = null) {
+  const global = db?.settings?.passwordPolicy || {};
+  const company = companyId
+    ? (db?.companies || []).find((c) => String(c.id) === String(companyId))
+    : null;
+
+  return {
+    ...DEFAULT_POLICY,
+    ...global,
+    ...((company && company.passwordPolicy) || {}),
+  };
+}
+
+function describe(policy) {
+  const rules = [`At least ${policy.minLength} characters`];
+  if (policy.maxLength) rules.push(`At most ${policy.maxLength} characters`);
+  if (policy.requireUpper) rules.push('An uppercase letter');
+  if (policy.requireLower) rules.push('A lowercase letter');
+  if (policy.requireDigit) rules.push('A number');
+  if (policy.requireSymbol) rules.push('A symbol');
+  if (policy.banCommon) rules.push('Not a common or easily guessed password');
+  if (policy.historyCount) rules.push(`Not one of your last ${policy.historyCount} passwords`);
+  if (policy.maxAgeDays) rules.push(`Expires after ${policy.maxAgeDays} days`);
+  return rules;
+}
+
+/* ================= VALIDATION ================= */
+
+/**
+ * validate(password, { policy, user })
+ * Returns [{ code, message }] — empty array means the password is acceptable.
+ */
+function validate(password, { policy = DEFAULT_POLICY, user = null } = {}) {
+  const pw = String(password || '');
+  const errors = [];
+  const add = (code, message) => errors.push({ code, message });
+
+  if (pw.length < policy.minLength) add('min_length', `Password must be at least ${policy.minLength} characters`);
+  if (policy.maxLength && pw.length > policy.maxLength) add('max_length', `Password must be at most ${policy.maxLength} characters`);
+  if (policy.requireUpper && !/[A-Z]/.test(pw)) add('require_upper', 'Password must contain an uppercase letter');
+  if (policy.requireLower && !/[a-z]/.test(pw)) add('require_lower', 'Password must contain a lowercase letter');
+  if (policy.requireDigit && !/[0-9]/.test(pw)) add('require_digit', 'Password must contain a number');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(pw)) add('require_symbol', 'Password must contain a symbol');
+
+  if (policy.banCommon) {
+    const low = pw.toLowerCase();
+    // also catch "Password1!" style decorations of banned words
+    const core = low.replace(/[^a-z0-9]+$/g, '').replace(/\d+$/g, '');
+    const banned = loadBanned();
+    if (banned.has(low) || (core && banned.has(core))) {
+      add('banned', 'Password is too common');
+    }
+
+    const local = String(user?.email || '').split('@')[0].toLowerCase();
+    if (local.length >= 4 && low.includes(local)) {
+      add('contains_email', 'Password must not contain your email name');
+    }
+  }
+
+  if (user && policy.historyCount > 0) {
+    const history = [user.passwordHash, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historyCount);
+    if (history.some((h) => bcrypt.compareSync(pw, h))) {
+      add('reused', `Password was used recently; choose one not in your last ${policy.historyCount}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * assertValid(password, opts)
+ * Throws an Error with .status = 400, .code = 'PASSWORD_POLICY' and
+ * .details = [{ code, message }] so routes can return structured errors.
+ */
+function assertValid(password, opts = {}) {
+  const errors = validate(password, opts);
+  if (!errors.length) return;
+
+  const err = new Error(errors[0].message);
+  err.status = 400;
+  err.code = 'PASSWORD_POLICY';
+  err.details = errors;
+  throw err;
+}
+
+// Push the outgoing hash into history, trimmed to the policy's window
+function rotateHistory(user, policy) {
+  const keep = Math.max(0, Number(policy.historyCount || 0));
+  const prev = [user.passwordHash, ...(user.passwordHistory || [])].filter(Boolean);
+  user.passwordHistory = keep ? prev.slice(0, keep) : [];
+}
+
+/* ================= EXPIRY ================= */
+
+function expiryFor(user, policy) {
+  if (!policy.maxAgeDays) return { expires: false, expired: false, expiresAt: null, daysLeft: null };
+
+  const changed = new Date(user?.passwordChangedAt || user?.createdAt || Date.now()).getTime();
+  const expiresAt = changed + policy.maxAgeDays * 24 * 3600 * 1000;
+  const daysLeft = Math.floor((expiresAt - Date.now()) / (24 * 3600 * 1000));
+
+  return {
+    expires: true,
+    expired: Date.now() >= expiresAt,
+    expiresAt: new Date(expiresAt).toISOString(),
+    daysLeft,
+    warn: daysLeft <= EXPIRY_WARN_DAYS,
+  };
+}
+
+/* ================= ADMIN OVERRIDES ================= */
+
+function getEffective(companyId = null) {
+  return policyFor(readDb(), companyId);
+}
+
+function setGlobalOverrides(input, actorId) {
+  const overrides = normalizeOverrides(input);
+  const db = readDb();
+  if (!db.settings || typeof db.settings !== 'object') db.settings = {};
+  db.settings.passwordPolicy = overrides;
+
+  // the new defaults must still combine with every company's own overrides
+  assertCoherent(policyFor(db));
+  for (const c of db.companies || []) {
+    if (c.passwordPolicy) assertCoherent(policyFor(db, c.id), `Password policy of company ${c.name || c.id}`);
+  }
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'PASSWORD_POLICY_SET',
+    targetType: 'Settings',
+    targetId: 'passwordPolicy',
+    metadata: overrides,
+  });
+
+  return policyFor(db);
+}
+
+// Pass null/{} to clear a company's overrides
+function setCompanyOverrides(companyId, input, actorId) {
+  const overrides = normalizeOverrides(input);
+  const db = readDb();
+  const c = (db.companies || []).find((x) => String(x.id) === String(companyId));
+  if (!c) throw new Error('Company not found');
+
+  c.passwordPolicy = Object.keys(overrides).length ? overrides : null;
+  assertCoherent(policyFor(db, c.id));
+  writeDb(db);
+
+  audit({
+    actorId,
+    action: 'PASSWORD_POLICY_COMPANY_SET',
+    targetType: 'Company',
+    targetId: c.id,
+    metadata: overrides,
+  });
+
+  return policyFor(db, c.id);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getEffective,
+  setGlobalOverrides,
+  setCompanyOverrides,
+  normalizeOverrides,
+  policyFor,
+  describe,
+  validate,
+  assertValid,
+  rotateHistory,
+  expiryFor,
+};
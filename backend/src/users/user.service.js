@@ -1,9 +1,11 @@
 // backend/src/users/user.service.js
 const bcrypt = require('bcryptjs');
 const { nanoid } = require('nanoid');
-const { readDb, writeDb } = require('../lib/db');
+const { readDb, writeDb, store } = require('../lib/db');
 const { audit } = require('../lib/audit');
 const { createNotification } = require('../lib/notify');
+const sessions = require('../auth/session.service');
+const passwordPolicy = require('./passwordPolicy');
 
 const ROLES = {
   ADMIN: 'Admin',
@@ -30,24 +32,20 @@ function normEmail(email) {
 
 function sanitize(u) {
   if (!u) return null;
-  const { passwordHash, ...rest } = u;
-  return rest;
+  const { passwordHash, passwordHistory, mfa, ...rest } = u;
+  // never expose TOTP secrets or recovery code hashes
+  return {
+    ...rest,
+    mfaEnabled: !!(mfa && mfa.enabled),
+  };
 }
 
-// ✅ single source of truth: autoprotechEnabled is what db currently stores
+// autoprotectEnabled is the only flag (migration 003 folded the old misspelt copy into it)
 function getAutoprotect(u) {
-  return !!(u?.autoprotectEnabled || u?.autoprotechEnabled);
+  return !!u?.autoprotectEnabled;
 }
 function setAutoprotect(u, enabled) {
-  // keep backward-compat fields in sync
   u.autoprotectEnabled = !!enabled;
-  u.autoprotechEnabled = !!enabled;
-  u.autoprotechEnabled = !!enabled; // supports existing typo
-  u.autoprotechEnabled = !!enabled; // safe no-op if not used
-  u.autoprotechEnabled = !!enabled;
-  u.autoprotechEnabled = !!enabled;
-  // IMPORTANT: the actual one used elsewhere in your codebase:
-  u.autoprotechEnabled = !!enabled;
 }
 
 function requireValidRole(role) {
@@ -97,7 +95,8 @@ function ensureAdminFromEnv() {
   });
 }
 
-function createUser({ email, password, role, profile = {}, companyId = null }) {
+// `sso` ({ companyId, issuer, sub }) creates a passwordless, IdP-linked account
+function createUser({ email, password, role, profile = {}, companyId = null, sso = null }) {
   const db = readDb();
   ensureArrays(db);
 
@@ -110,8 +109,11 @@ function createUser({ email, password, role, profile = {}, companyId = null }) {
     throw new Error('Email already exists');
   }
 
-  if (!password || String(password).length < 4) {
-    throw new Error('Password too short');
+  if (!sso) {
+    passwordPolicy.assertValid(password, {
+      policy: passwordPolicy.policyFor(db, companyId),
+      user: { email: cleanEmail },
+    });
   }
 
   const isIndividual = r === ROLES.INDIVIDUAL;
@@ -120,16 +122,19 @@ function createUser({ email, password, role, profile = {}, companyId = null }) {
     id: nanoid(),
     platformId: `AS-${nanoid(10).toUpperCase()}`,
     email: cleanEmail,
-    passwordHash: bcrypt.hashSync(String(password), 10),
+    passwordHash: sso ? null : bcrypt.hashSync(String(password), 10),
     role: r,
     companyId: companyId || null,
     createdAt: new Date().toISOString(),
+    passwordChangedAt: sso ? null : new Date().toISOString(),
+    passwordHistory: [],
     subscriptionStatus: isIndividual ? SUBSCRIPTION.TRIAL : SUBSCRIPTION.ACTIVE,
     trialEndsAt: isIndividual
       ? new Date(Date.now() + 30 * 24 * 3600 * 1000).toISOString()
       : null,
     mustResetPassword: false,
     profile: profile && typeof profile === 'object' ? profile : {},
+    sso: sso || null,
   };
 
   // Managers/Admins start with AutoProtect on; others off by default
@@ -143,6 +148,7 @@ function createUser({ email, password, role, profile = {}, companyId = null }) {
   createNotification({
     userId: u.id,
     severity: 'info',
+    category: 'account',
     title: 'Welcome',
     message: 'Welcome to AutoShield Tech. Check notifications and start your first project.',
   });
@@ -156,39 +162,37 @@ function findByEmail(email) {
   return db.users.find((u) => normEmail(u.email) === normEmail(email)) || null;
 }
 
-function listUsers() {
+function findById(id) {
   const db = readDb();
   ensureArrays(db);
-  return db.users.map(sanitize);
+  return db.users.find((u) => String(u.id) === String(id || '')) || null;
 }
 
-function updateUser(id, patch, actorId) {
+function listUsers() {
   const db = readDb();
   ensureArrays(db);
+  return db.users.map(sanitize);
+}
 
-  const u = db.users.find((x) => x.id === id);
+function updateUser(id, patch, actorId) {
+  const u = store.findOne('users', { id: String(id || '') });
   if (!u) throw new Error('User not found');
 
   const p = patch && typeof patch === 'object' ? { ...patch } : {};
 
-  // keep autoprotect fields synced if present
   if (typeof p.autoprotectEnabled !== 'undefined') {
     setAutoprotect(u, !!p.autoprotectEnabled);
     delete p.autoprotectEnabled;
-    delete p.autoprotechEnabled;
-  }
-  if (typeof p.autoprotechEnabled !== 'undefined') {
-    setAutoprotect(u, !!p.autoprotechEnabled);
-    delete p.autoprotechEnabled;
   }
 
   // role changes should be validated (if you ever allow it)
   if (typeof p.role !== 'undefined') {
     p.role = requireValidRole(p.role);
   }
+  const prevRole = u.role;
 
   Object.assign(u, p);
-  writeDb(db);
+  store.update('users', { id: u.id }, () => u);
 
   audit({
     actorId,
@@ -198,6 +202,17 @@ function updateUser(id, patch, actorId) {
     metadata: patch,
   });
 
+  if (u.role !== prevRole) {
+    audit({
+      actorId,
+      action: 'USER_ROLE_CHANGED',
+      targetType: 'User',
+      targetId: id,
+      companyId: u.companyId || null,
+      metadata: { from: prevRole, to: u.role },
+    });
+  }
+
   return sanitize(u);
 }
 
@@ -212,11 +227,15 @@ function rotatePlatformIdAndForceReset(id, actorId) {
   u.mustResetPassword = true;
   writeDb(db);
 
+  // kill every existing session for this user
+  sessions.revokeAllForUser(id, 'platform_id_rotated');
+
   audit({ actorId, action: 'USER_ROTATE_ID', targetType: 'User', targetId: id });
 
   createNotification({
     userId: id,
     severity: 'warn', // ✅ matches your CSS dot.warn
+    category: 'account',
     title: 'Security reset required',
     message: 'Your platform ID was rotated. Please reset your password before continuing.',
   });
@@ -231,11 +250,12 @@ function setPassword(id, newPassword, actorId) {
   const u = db.users.find((x) => x.id === id);
   if (!u) throw new Error('User not found');
 
-  if (!newPassword || String(newPassword).length < 4) {
-    throw new Error('Password too short');
-  }
+  const policy = passwordPolicy.policyFor(db, u.companyId);
+  passwordPolicy.assertValid(newPassword, { policy, user: u });
 
+  passwordPolicy.rotateHistory(u, policy);
   u.passwordHash = bcrypt.hashSync(String(newPassword), 10);
+  u.passwordChangedAt = new Date().toISOString();
   u.mustResetPassword = false;
   writeDb(db);
 
@@ -244,9 +264,20 @@ function setPassword(id, newPassword, actorId) {
   return sanitize(u);
 }
 
+// Expiry state under the user's effective policy (posture + login flag)
+// SSO-only accounts have no local password, so nothing can expire.
+function passwordStatus(user) {
+  const db = readDb();
+  const policy = passwordPolicy.policyFor(db, user?.companyId);
+  if (user && user.sso && !user.passwordHash) {
+    return { policy, expires: false, expired: false, expiresAt: null, daysLeft: null, sso: true };
+  }
+  return { policy, ...passwordPolicy.expiryFor(user, policy) };
+}
+
 // Helper (useful later)
 function verifyPassword(user, password) {
-  if (!user) return false;
+  if (!user || !user.passwordHash) return false;
   return bcrypt.compareSync(String(password || ''), String(user.passwordHash || ''));
 }
 
@@ -256,10 +287,13 @@ module.exports = {
   ensureAdminFromEnv,
   createUser,
   findByEmail,
+  findById,
   listUsers,
+  sanitize,
   updateUser,
   rotatePlatformIdAndForceReset,
   setPassword,
+  passwordStatus,
   verifyPassword,
   getAutoprotect,
 };
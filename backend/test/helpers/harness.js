@@ -0,0 +1,68 @@
+// backend/test/helpers/harness.js
+// Throwaway data directory (removed on exit) + a minimal app with the real auth, tenant and route stack.
+// Set STORAGE_DRIVER before requiring this file: the storage driver is picked on load.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoshield-test-'));
+
+Object.assign(process.env, {
+  JWT_SECRET: 'test-secret',
+  DB_JSON_PATH: path.join(dir, 'db.json'),
+  SQLITE_PATH: path.join(dir, 'autoshield.sqlite'),
+  BACKUP_DIR: path.join(dir, 'backups'),
+  AUDIT_SIGNING_KEY_PATH: path.join(dir, 'audit-signing.pem'),
+  SECURITY_EVENTS_PATH: path.join(dir, 'security-events.json'),
+  AI_MEMORY_PATH: path.join(dir, 'brains'),
+  AI_BRAIN_PATH: path.join(dir, 'brain.json'),
+  MAIL_TRANSPORT: 'file',
+  MAIL_DIR: path.join(dir, 'mail'),
+  NOTIFY_TRANSPORT: 'file',
+  NOTIFY_FILE_DIR: path.join(dir, 'notify'),
+});
+
+const express = require('express');
+const { ensureDb } = require('../../src/lib/db');
+const { optionalAuth } = require('../../src/middleware/auth');
+const tenantMiddleware = require('../../src/middleware/tenant');
+
+ensureDb();
+
+// after the JSON driver's own exit flush (registered when lib/db loaded)
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(optionalAuth);
+  app.use(tenantMiddleware);
+  app.use('/api/company', require('../../src/routes/company.routes'));
+  app.use('/api/me', require('../../src/routes/me.routes'));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // -> { status, body }
+  async function call(method, url, { token, body } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return {
+    call,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { dir, startApp };
@@ -0,0 +1,158 @@
+// backend/test/helpers/storageConcurrency.js
+// Lost-update checks for lib/db.js + lib/storage, shared by the per-driver test files
+// (storage.json.test.js, storage.sqlite.test.js).
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { startApp } = require('./harness');
+const { DRIVER, readDb, writeDb, updateDb, flushDb, store } = require('../../src/lib/db');
+const companies = require('../../src/companies/company.service');
+const sessions = require('../../src/auth/session.service');
+const { createNotification } = require('../../src/lib/notify');
+
+// what a fresh process would load: db.json on disk / the SQLite file
+function persisted(collection, id) {
+  flushDb();
+  if (DRIVER === 'json') {
+    const doc = JSON.parse(fs.readFileSync(process.env.DB_JSON_PATH, 'utf-8'));
+    return (doc[collection] || []).find((r) => r.id === id) || null;
+  }
+  return store.findOne(collection, { id });
+}
+
+function run() {
+  describe(`storage concurrency (${DRIVER})`, () => {
+    let app;
+    let company;
+    let owner;
+    let token;
+
+    before(async () => {
+      app = await startApp();
+
+      company = companies.createCompany({ name: 'Acme', createdBy: 'test' });
+      owner = store.insert('users', {
+        id: 'owner',
+        email: 'owner@acme.test',
+        role: 'Company',
+        companyId: company.id,
+        tokenVersion: 0,
+      });
+      companies.addMember(company.id, owner.id, 'test');
+      token = sessions.createSession(owner, { companyId: company.id }).token;
+    });
+
+    after(() => app.close());
+
+    test('concurrent members/add calls all land', async () => {
+      const ids = Array.from({ length: 25 }, (_, i) => `m${i}`);
+
+      const results = await Promise.all(
+        ids.map((userId) => app.call('POST', '/api/company/members/add', { token, body: { userId } }))
+      );
+      assert.deepEqual(results.map((r) => r.status), ids.map(() => 200));
+
+      const members = persisted('companies', company.id).members;
+      for (const id of ids) assert.ok(members.includes(id), `member ${id} kept`);
+      assert.equal(store.count('notifications', { companyId: company.id, title: 'Member added' }), ids.length + 1);
+    });
+
+    test('route calls, notifications and a slow updateDb interleave without losing writes', async () => {
+      const ids = Array.from({ length: 10 }, (_, i) => `late${i}`);
+      const mine = Array.from({ length: 10 }, (_, i) =>
+        createNotification({ userId: owner.id, category: 'account', title: `n${i}` })
+      );
+
+      const calls = [
+        ...ids.map((userId) => app.call('POST', '/api/company/members/add', { token, body: { userId } })),
+        ...mine.map((n) => app.call('POST', `/api/me/notifications/${n.id}/read`, { token })),
+      ];
+      for (let i = 0; i < 10; i++) createNotification({ companyId: company.id, category: 'company', title: `c${i}` });
+
+      // reads the company, then waits until the routes above have written it
+      let attempts = 0;
+      const landed = Promise.all(calls);
+      const slow = updateDb(async (db) => {
+        attempts++;
+        const c = db.companies.find((x) => x.id === company.id);
+        await landed;
+        c.industry = 'Security';
+        return db;
+      });
+
+      const results = await landed;
+      await slow;
+
+      assert.ok(results.every((r) => r.status === 200), 'every route call succeeded');
+      assert.ok(attempts >= 2, 'the slow update hit a conflict and ran again');
+
+      const c = persisted('companies', company.id);
+      assert.equal(c.industry, 'Security');
+      for (const id of ids) assert.ok(c.members.includes(id), `member ${id} kept`);
+
+      for (const n of mine) assert.equal(persisted('notifications', n.id).read, true, `${n.title} marked read`);
+      assert.equal(store.count('notifications', { companyId: company.id, title: { $in: ['c0', 'c5', 'c9'] } }), 3);
+    });
+
+    test('a stale document only writes what it changed', () => {
+      const stale = readDb();
+      const owners = stale.users;
+      const members = stale.companies.find((c) => c.id === company.id).members.length;
+
+      companies.addMember(company.id, 'fresh', 'test');
+      const n = createNotification({ companyId: company.id, category: 'company', title: 'after read' });
+
+      owners.find((u) => u.id === owner.id).country = 'NL';
+      writeDb(stale);
+
+      const kept = persisted('companies', company.id).members;
+      assert.ok(kept.includes('fresh') && kept.length === members + 1, 'company untouched by the stale copy');
+      assert.ok(persisted('notifications', n.id), 'notification inserted after the read survives');
+      assert.equal(persisted('users', owner.id).country, 'NL');
+    });
+
+    test('changing a record someone else wrote is a WRITE_CONFLICT', () => {
+      const a = readDb();
+      const b = readDb();
+      const stale = b.companies.find((c) => c.id === company.id);
+
+      a.companies.find((c) => c.id === company.id).website = 'https://a.example';
+      writeDb(a);
+
+      stale.website = 'https://b.example';
+      assert.throws(() => writeDb(b), (e) => e.code === 'WRITE_CONFLICT' && e.status === 409);
+
+      assert.equal(persisted('companies', company.id).website, 'https://a.example');
+    });
+
+    test('updateDb retries a conflicting write and gives up after five attempts', async () => {
+      let attempts = 0;
+      const racing = updateDb((db) => {
+        attempts++;
+        const mine = db.companies.find((c) => c.id === company.id);
+
+        // someone else writes the same company between our read and our write
+        const other = readDb();
+        other.companies.find((c) => c.id === company.id).contactPhone = `+1 555 010${attempts}`;
+        writeDb(other);
+
+        mine.contactPhone = 'never';
+        return db;
+      });
+
+      await assert.rejects(racing, (e) => e.code === 'WRITE_CONFLICT');
+      assert.equal(attempts, 5);
+      assert.equal(persisted('companies', company.id).contactPhone, '+1 555 0105');
+
+      // the queue keeps working after a failed update
+      await updateDb((db) => {
+        db.companies.find((c) => c.id === company.id).contactPhone = '+1 555 0199';
+      });
+      assert.equal(persisted('companies', company.id).contactPhone, '+1 555 0199');
+    });
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,2 @@
+process.env.STORAGE_DRIVER = 'json';
+require('./helpers/storageConcurrency').run();
@@ -0,0 +1,2 @@
+process.env.STORAGE_DRIVER = 'sqlite';
+require('./helpers/storageConcurrency').run();